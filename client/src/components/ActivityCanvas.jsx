@@ -1,5 +1,7 @@
 import { createSignal, createEffect, onMount, onCleanup, Show, For } from 'solid-js';
 import { ActivityControls } from './ActivityControls';
+import { TimelapseControls } from './TimelapseControls';
+import { ChatPanel } from './ChatPanel';
 
 export function ActivityCanvas(props) {
   let canvasRef;
@@ -9,6 +11,7 @@ export function ActivityCanvas(props) {
   // Canvas state
   const [isDrawing, setIsDrawing] = createSignal(false);
   const [paths, setPaths] = createSignal([]);
+  const [replayPaths, setReplayPaths] = createSignal(null); // Paths shown during timelapse replay
   const [remotePaths, setRemotePaths] = createSignal(new Map());
   const [participants, setParticipants] = createSignal(new Map());
   const [canvasReady, setCanvasReady] = createSignal(false);
@@ -167,8 +170,8 @@ export function ActivityCanvas(props) {
   function renderDrawings(ctx) {
     const isOwner = props.wsManager?.userHash === props.activity?.ownerId;
 
-    // Render all completed paths
-    paths().forEach(path => {
+    // Render all completed paths, or the current replay frame
+    (replayPaths() || paths()).forEach(path => {
       if (path.points && path.points.length > 0) {
         ctx.beginPath();
 
@@ -211,6 +214,7 @@ export function ActivityCanvas(props) {
     });
 
     // Render active remote paths
+    if (replayPaths()) return;
     remotePaths().forEach((path) => {
       if (path.points && path.points.length > 0) {
         ctx.beginPath();
@@ -290,6 +294,7 @@ export function ActivityCanvas(props) {
   // Combined pointer down handler for mouse and touch
   function handlePointerDown(e) {
     e.preventDefault();
+    if (replayPaths()) return; // The canvas is read-only during replay
     const coords = getCoordinates(e);
 
     if (selectMode()) {
@@ -419,6 +424,11 @@ export function ActivityCanvas(props) {
     setIsDrawing(false);
   }
 
+  function stopReplay() {
+    setReplayPaths(null);
+    renderCanvas();
+  }
+
   // Mouse specific handlers
   function handleMouseDown(e) {
     if (e.button === 0) {
@@ -656,6 +666,13 @@ export function ActivityCanvas(props) {
         setTimeout(() => renderCanvas(), 0);
       });
 
+      // Handle bulk removal, e.g. of a banned user's drawings
+      const cleanup13 = props.wsManager.on('drawingsRemoved', (data) => {
+        const pathIds = new Set(data.pathIds || []);
+        setPaths(prev => prev.filter(path => !pathIds.has(path.pathId)));
+        setTimeout(() => renderCanvas(), 0);
+      });
+
       // Handle contribution status
       const cleanup7 = props.wsManager.on('contributionStatus', (data) => {
         console.log('[ActivityCanvas] Contribution status:', data.status);
@@ -679,6 +696,12 @@ export function ActivityCanvas(props) {
         } else if (data.status === 'already_approved') {
           setCanContribute(true);
           setRequestSent(false);
+        } else if (data.status === 'denied') {
+          setRequestSent(false);
+          alert('Your contribution request was declined.');
+        } else if (data.status === 'banned') {
+          setRequestSent(false);
+          alert('You have been banned from contributing to this canvas.');
         }
       });
 
@@ -715,6 +738,15 @@ export function ActivityCanvas(props) {
         }
       });
 
+      // Handle the owner restoring an earlier version
+      const cleanup12 = props.wsManager.on('activityCanvasRestored', (data) => {
+        if (data.activityId === props.activity?.id) {
+          setPaths(data.canvasData?.paths || []);
+          setSelectedPaths(new Set());
+          setTimeout(() => renderCanvas(), 0);
+        }
+      });
+
       onCleanup(() => {
         cleanup1();
         cleanup2();
@@ -727,6 +759,8 @@ export function ActivityCanvas(props) {
         cleanup9();
         cleanup10();
         cleanup11?.();
+        cleanup12();
+        cleanup13();
         if (drawingThrottle.timeoutId) {
           clearTimeout(drawingThrottle.timeoutId);
         }
@@ -974,6 +1008,18 @@ export function ActivityCanvas(props) {
         </div>
 
         <div style={styles.headerActions}>
+          {/* Timelapse Replay */}
+          <button
+            style={{
+              ...styles.iconButton,
+              ...(replayPaths() ? { background: '#eff6ff', 'border-color': '#3b82f6', color: '#3b82f6' } : {})
+            }}
+            onClick={() => replayPaths() ? stopReplay() : setReplayPaths([])}
+            title="Timelapse replay"
+          >
+            <span>🎬</span>
+          </button>
+
           {/* Participants Counter */}
           <Show when={!isMobile}>
             <button
@@ -1029,6 +1075,21 @@ export function ActivityCanvas(props) {
             onTouchEnd={handleTouchEnd}
           />
 
+          {/* Timelapse Replay */}
+          <Show when={replayPaths()}>
+            <TimelapseControls
+              activity={props.activity}
+              wsManager={props.wsManager}
+              kind="path"
+              onFrame={(items) => {
+                setReplayPaths(items.map(item => item.data));
+                renderCanvas();
+              }}
+              onClose={stopReplay}
+              isMobile={isMobile}
+            />
+          </Show>
+
           {/* Owner Controls */}
           <Show when={isOwner()}>
             <ActivityControls
@@ -1189,6 +1250,11 @@ export function ActivityCanvas(props) {
                       padding: '6px 12px'
                     }}
                     onClick={() => {
+                      props.wsManager.send({
+                        type: 'denyContributor',
+                        activityId: props.activity.id,
+                        userHash: request.userHash
+                      });
                       setContributionRequests(prev =>
                         prev.filter(r => r.userHash !== request.userHash)
                       );
@@ -1202,6 +1268,9 @@ export function ActivityCanvas(props) {
           </For>
         </div>
       </Show>
+
+      {/* Chat */}
+      <ChatPanel activity={props.activity} wsManager={props.wsManager} />
     </div>
   );
 }
\ No newline at end of file
@@ -1,7 +1,11 @@
-import { Show } from 'solid-js';
+import { createSignal, Show } from 'solid-js';
+import { VersionHistoryPanel } from './VersionHistoryPanel';
+import { SharingPanel } from './SharingPanel';
 
 export function ActivityControls(props) {
   const isOwner = () => props.wsManager?.userHash === props.activity?.ownerId;
+  const [showVersions, setShowVersions] = createSignal(false);
+  const [showSharing, setShowSharing] = createSignal(false);
   
   const styles = {
     container: {
@@ -90,6 +94,46 @@ export function ActivityControls(props) {
           <span>{props.selectMode ? 'Exit Review' : 'Review Contributions'}</span>
         </button>
         
+        {/* Version History Button */}
+        <button
+          onClick={() => setShowVersions(!showVersions())}
+          style={{
+            ...styles.button,
+            ...styles.normalButton
+          }}
+        >
+          <span>🕘</span>
+          <span>Version History</span>
+        </button>
+
+        <Show when={showVersions()}>
+          <VersionHistoryPanel
+            activity={props.activity}
+            wsManager={props.wsManager}
+            onClose={() => setShowVersions(false)}
+          />
+        </Show>
+
+        {/* Sharing Button */}
+        <button
+          onClick={() => setShowSharing(!showSharing())}
+          style={{
+            ...styles.button,
+            ...styles.normalButton
+          }}
+        >
+          <span>🔗</span>
+          <span>Sharing</span>
+        </button>
+
+        <Show when={showSharing()}>
+          <SharingPanel
+            activity={props.activity}
+            wsManager={props.wsManager}
+            onClose={() => setShowSharing(false)}
+          />
+        </Show>
+
         {/* Remove Selected Button */}
         <Show when={props.selectMode && props.selectedPaths.size > 0}>
           <button
@@ -2,6 +2,7 @@ import { createSignal, createEffect, onMount, onCleanup, Show } from 'solid-js';
 import { useNavigate } from '@solidjs/router';
 import { mapService } from '../services/mapService';
 import { FabricCanvas } from './FabricCanvas';
+import { config } from '../config';
 
 // Generate artistic names for quick canvas creation
 function generateArtisticName() {
@@ -69,6 +70,7 @@ export function ActivityView(props) {
   let zoomAnimationFrame = null;
   let viewportUpdateTimeout = null;
   let activityPollingInterval = null;
+  const thumbnailImages = new Map(); // thumbnailUrl -> Image
 
   onMount(async () => {
     setupCanvas();
@@ -289,12 +291,23 @@ export function ActivityView(props) {
       ctx.fillStyle = 'white';
       ctx.fill();
 
-      // Activity icon
-      ctx.font = '16px sans-serif';
-      ctx.fillStyle = selectedActivity()?.id === activity.id ? '#3b82f6' : '#ef4444';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText('✨', 0, 0);
+      // Canvas preview, falling back to the activity icon until it loads
+      const thumbnail = getThumbnailImage(activity);
+      if (thumbnail) {
+        ctx.save();
+        ctx.clip();
+        const size = Math.max(thumbnail.width, thumbnail.height);
+        const width = 32 * thumbnail.width / size;
+        const height = 32 * thumbnail.height / size;
+        ctx.drawImage(thumbnail, -width / 2, -height / 2, width, height);
+        ctx.restore();
+      } else {
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = selectedActivity()?.id === activity.id ? '#3b82f6' : '#ef4444';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('✨', 0, 0);
+      }
 
       // Participant count
       if (activity.participantCount > 1) {
@@ -311,6 +324,22 @@ export function ActivityView(props) {
     });
   }
 
+  // Get a loaded thumbnail for an activity, starting the download if needed
+  function getThumbnailImage(activity) {
+    if (!activity.thumbnailUrl) return null;
+
+    const cached = thumbnailImages.get(activity.thumbnailUrl);
+    if (cached) {
+      return cached.complete && cached.naturalWidth > 0 ? cached : null;
+    }
+
+    const img = new Image();
+    img.onload = () => renderMap();
+    img.src = `${config.apiUrl}${activity.thumbnailUrl}`;
+    thumbnailImages.set(activity.thumbnailUrl, img);
+    return null;
+  }
+
   function renderStreetIndicators(ctx) {
     const vp = viewport();
     const zoom = mapZoom();
@@ -403,7 +432,8 @@ export function ActivityView(props) {
       lat: data.lat || location.lat,
       lng: data.lng || location.lng,
       address: address?.displayName || '',
-      street: address?.street || address?.road || 'Unknown Street'
+      street: address?.street || address?.road || 'Unknown Street',
+      tags: data.tags
     });
 
     setShowCreateActivity(false);
@@ -718,12 +748,76 @@ export function ActivityView(props) {
         renderMap();
       });
 
+      // Hidden activities leave the map; people who lost access are sent out
+      const cleanup7 = props.wsManager.on('activityHidden', (data) => {
+        setActivities(prev => prev.filter(a => a.id !== data.activityId));
+        renderMap();
+      });
+
+      const cleanup8 = props.wsManager.on('activityAccessRevoked', (data) => {
+        setActivities(prev => prev.filter(a => a.id !== data.activityId));
+        if (selectedActivity()?.id === data.activityId) {
+          setSelectedActivity(null);
+          alert(data.message || 'You no longer have access to this canvas.');
+        }
+        renderMap();
+      });
+
+      // Role changes update the open canvas so owner and moderator tools follow.
+      // Only the public roles are sent, so keep the rest of what we know.
+      const cleanup9 = props.wsManager.on('activityMembersChanged', (data) => {
+        if (selectedActivity()?.id === data.activityId) {
+          setSelectedActivity(prev => ({
+            ...prev,
+            ownerId: data.ownerId,
+            ownerName: data.ownerName,
+            permissions: { ...prev.permissions, ...data.permissions }
+          }));
+        }
+      });
+
+      const cleanup10 = props.wsManager.on('activityOwnerChanged', (data) => {
+        if (selectedActivity()?.id === data.activityId) {
+          setSelectedActivity(data.activity);
+        }
+        setMyActivities(prev => {
+          const others = prev.filter(a => a.id !== data.activityId);
+          return data.activity.ownerId === props.wsManager.userHash ? [data.activity, ...others] : others;
+        });
+        if (data.activity.ownerId === props.wsManager.userHash && data.previousOwnerId !== props.wsManager.userHash) {
+          alert(`You are now the owner of "${data.activity.title}".`);
+        }
+      });
+
+      const cleanup11 = props.wsManager.on('ownershipTransferOffered', (data) => {
+        const from = data.fromName || 'The owner';
+        const accept = confirm(`${from} wants to make you the owner of "${data.activityTitle}". Accept?`);
+        props.wsManager.send({
+          type: accept ? 'acceptOwnershipTransfer' : 'cancelOwnershipTransfer',
+          activityId: data.activityId
+        });
+      });
+
+      // Mentions in a canvas that isn't open offer to jump there
+      const cleanup12 = props.wsManager.on('chatMention', (data) => {
+        if (selectedActivity()?.id === data.activityId) return;
+        if (confirm(`${data.message.userName} mentioned you in "${data.activityTitle}": ${data.message.text}\n\nOpen it?`)) {
+          selectActivity({ id: data.activityId });
+        }
+      });
+
       onCleanup(() => {
         cleanup1();
         cleanup2();
         cleanup3();
         cleanup5();
         cleanup6();
+        cleanup7();
+        cleanup8();
+        cleanup9();
+        cleanup10();
+        cleanup11();
+        cleanup12();
         if (zoomAnimationFrame) {
           cancelAnimationFrame(zoomAnimationFrame);
         }
@@ -1419,6 +1513,10 @@ export function ActivityView(props) {
 function CreateActivityModal(props) {
   const [title, setTitle] = createSignal('');
   const [description, setDescription] = createSignal('');
+  const [tags, setTags] = createSignal('');
+
+  // Comma separated, e.g. "mural, street art"
+  const parseTags = () => tags().split(',').map(tag => tag.trim()).filter(Boolean).slice(0, 10);
 
   return (
     <div style={{
@@ -1461,7 +1559,7 @@ function CreateActivityModal(props) {
           style={{
             width: '100%',
             padding: '10px',
-            'margin-bottom': '20px',
+            'margin-bottom': '15px',
             border: '2px solid #e5e7eb',
             'border-radius': '8px',
             'font-size': '14px',
@@ -1470,9 +1568,25 @@ function CreateActivityModal(props) {
           }}
         />
 
+        <input
+          type="text"
+          placeholder="Tags, comma separated (optional)"
+          value={tags()}
+          onInput={(e) => setTags(e.target.value)}
+          maxLength={200}
+          style={{
+            width: '100%',
+            padding: '10px',
+            'margin-bottom': '20px',
+            border: '2px solid #e5e7eb',
+            'border-radius': '8px',
+            'font-size': '14px'
+          }}
+        />
+
         <div style={{ display: 'flex', gap: '10px' }}>
           <button
-            onClick={() => props.onCreate({ title: title(), description: description() })}
+            onClick={() => props.onCreate({ title: title(), description: description(), tags: parseTags() })}
             disabled={!title().trim()}
             style={{
               flex: 1,
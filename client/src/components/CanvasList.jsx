@@ -1,51 +1,223 @@
-import { createSignal, createEffect, onMount, For } from 'solid-js';
+import { createSignal, createEffect, onMount, onCleanup, For, Show } from 'solid-js';
 import { useNavigate } from '@solidjs/router';
+import { config } from '../config';
+
+const PAGE_SIZE = 50;
+const SERVER_SORTS = ['createdAt', 'lastActive']; // Columns the server keeps indexes for
+const SEARCH_PAGE_SIZE = 20;
 
 export function CanvasList(props) {
   const navigate = useNavigate();
   const [allCanvases, setAllCanvases] = createSignal([]);
   const [isLoading, setIsLoading] = createSignal(true);
+  const [isLoadingMore, setIsLoadingMore] = createSignal(false);
+  const [nextCursor, setNextCursor] = createSignal(null);
   const [sortColumn, setSortColumn] = createSignal('createdAt');
   const [sortOrder, setSortOrder] = createSignal('desc');
+  // Order the loaded pages come in; other columns only sort what's loaded
+  const [pageSort, setPageSort] = createSignal({ sort: 'createdAt', order: 'desc' });
+  let sentinel;
+  let observer;
+
+  // Search; searchResults is null while browsing the full list
+  const [searchText, setSearchText] = createSignal('');
+  const [searchTags, setSearchTags] = createSignal('');
+  const [searchRadius, setSearchRadius] = createSignal('');
+  const [searchSort, setSearchSort] = createSignal('relevance');
+  const [searchResults, setSearchResults] = createSignal(null);
+  const [searchTotal, setSearchTotal] = createSignal(0);
+  const [searchError, setSearchError] = createSignal('');
+  let searchRequest = null; // Last sent search, so pages of an old one are ignored
+  let searchCount = 0;
 
   onMount(() => {
     requestAllCanvases();
+
+    // Load the next page when the bottom of the table scrolls into view
+    observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        requestNextPage();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    onCleanup(() => observer.disconnect());
   });
 
-  // Request all canvases
+  // Request the first page of canvases
   function requestAllCanvases() {
     if (props.wsManager) {
       setIsLoading(true);
-      // Request all activities without bounds restriction
+      setIsLoadingMore(false);
+      setNextCursor(null);
+      if (SERVER_SORTS.includes(sortColumn())) {
+        setPageSort({ sort: sortColumn(), order: sortOrder() });
+      }
       props.wsManager.send({
-        type: 'getAllActivities'
+        type: 'getAllActivities',
+        ...pageSort(),
+        limit: PAGE_SIZE
       });
     }
   }
 
+  function requestNextPage() {
+    if (searchResults()) {
+      requestNextSearchPage();
+      return;
+    }
+    if (!props.wsManager || isLoading() || isLoadingMore() || !nextCursor()) return;
+
+    setIsLoadingMore(true);
+    props.wsManager.send({
+      type: 'getAllActivities',
+      ...pageSort(),
+      cursor: nextCursor(),
+      limit: PAGE_SIZE
+    });
+  }
+
+  function getPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error('Geolocation is not supported'));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+        reject,
+        { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+      );
+    });
+  }
+
+  async function runSearch() {
+    if (!props.wsManager) return;
+
+    const query = searchText().trim();
+    const tags = searchTags().split(',').map(tag => tag.trim()).filter(Boolean).slice(0, 10);
+    const radiusKm = Number(searchRadius()) || null;
+    if (!query && tags.length === 0 && !radiusKm) {
+      clearSearch();
+      return;
+    }
+
+    setSearchError('');
+    const request = { type: 'searchActivities', query, tags, sort: searchSort(), limit: SEARCH_PAGE_SIZE };
+    if (radiusKm) {
+      try {
+        request.near = await getPosition();
+        request.radiusKm = radiusKm;
+      } catch (error) {
+        setSearchError('Allow location access to search by distance');
+        return;
+      }
+    }
+
+    searchRequest = { ...request, requestId: `search-${++searchCount}` };
+    setIsLoading(true);
+    props.wsManager.send({ ...searchRequest, offset: 0 });
+  }
+
+  function requestNextSearchPage() {
+    if (!props.wsManager || !searchRequest || isLoading() || isLoadingMore()) return;
+    if (searchResults().length >= searchTotal()) return;
+
+    setIsLoadingMore(true);
+    props.wsManager.send({ ...searchRequest, offset: searchResults().length });
+  }
+
+  function clearSearch() {
+    searchRequest = null;
+    setSearchText('');
+    setSearchTags('');
+    setSearchRadius('');
+    setSearchError('');
+    setSearchResults(null);
+    setIsLoading(false);
+    setIsLoadingMore(false);
+  }
+
+  // Search results keep the server's order; the full list sorts by column
+  const displayedCanvases = () => searchResults() || sortCanvases(allCanvases());
+
+  function formatDistance(meters) {
+    return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+  }
+
   // Listen for canvas data
   createEffect(() => {
     if (props.wsManager) {
       const cleanup = props.wsManager.on('allActivities', (data) => {
-        console.log('[CanvasList] Received all activities:', data.activities?.length);
-        setAllCanvases(data.activities || []);
+        // Ignore pages from a sort that has since changed
+        if (data.sort !== pageSort().sort || data.order !== pageSort().order) return;
+
+        console.log('[CanvasList] Received activities page:', data.activities?.length);
+        const activities = data.activities || [];
+        if (data.cursor) {
+          setAllCanvases(prev => {
+            const loaded = new Set(prev.map(a => a.id));
+            return [...prev, ...activities.filter(a => !loaded.has(a.id))];
+          });
+        } else {
+          setAllCanvases(activities);
+        }
+        setNextCursor(data.nextCursor || null);
         setIsLoading(false);
+        setIsLoadingMore(false);
+
+        // Observing again reports the current state, so a short page that
+        // leaves the bottom in view still loads the next one
+        if (observer && sentinel) {
+          observer.unobserve(sentinel);
+          observer.observe(sentinel);
+        }
       });
 
       const cleanup2 = props.wsManager.on('activityCreated', (data) => {
         if (data.activity) {
-          setAllCanvases(prev => [...prev, data.activity]);
+          setAllCanvases(prev => prev.some(a => a.id === data.activity.id) ? prev : [...prev, data.activity]);
         }
       });
 
       const cleanup3 = props.wsManager.on('activityDeleted', (data) => {
         setAllCanvases(prev => prev.filter(a => a.id !== data.activityId));
+        setSearchResults(prev => prev && prev.filter(a => a.id !== data.activityId));
+      });
+
+      const cleanup4 = props.wsManager.on('activitySearchResults', (data) => {
+        if (!searchRequest || data.requestId !== searchRequest.requestId) return;
+
+        setSearchResults(prev => data.offset > 0 && prev ? [...prev, ...data.results] : data.results);
+        setSearchTotal(data.total);
+        setIsLoading(false);
+        setIsLoadingMore(false);
+
+        if (observer && sentinel) {
+          observer.unobserve(sentinel);
+          observer.observe(sentinel);
+        }
+      });
+
+      const cleanup5 = props.wsManager.on('error', (data) => {
+        if (data.code === 'INVALID_SEARCH' || data.messageType === 'searchActivities') {
+          setSearchError(data.message);
+          setIsLoading(false);
+          setIsLoadingMore(false);
+        }
+      });
+
+      const cleanup6 = props.wsManager.on('activityHidden', (data) => {
+        setAllCanvases(prev => prev.filter(a => a.id !== data.activityId));
+        setSearchResults(prev => prev && prev.filter(a => a.id !== data.activityId));
       });
 
       return () => {
         cleanup();
         cleanup2();
         cleanup3();
+        cleanup4();
+        cleanup5();
+        cleanup6();
       };
     }
   });
@@ -86,6 +258,11 @@ export function CanvasList(props) {
       setSortColumn(column);
       setSortOrder('desc');
     }
+
+    // Reload from the first page so the order covers every canvas
+    if (SERVER_SORTS.includes(column) && !searchResults()) {
+      requestAllCanvases();
+    }
   }
 
   // Format date
@@ -144,11 +321,32 @@ export function CanvasList(props) {
       transition: 'background 0.2s',
       cursor: 'pointer'
     },
+    thumbnail: {
+      width: '64px',
+      height: '48px',
+      'object-fit': 'contain',
+      background: '#f3f4f6',
+      'border-radius': '4px',
+      border: '1px solid #e5e7eb'
+    },
     loading: {
       'text-align': 'center',
       padding: '60px',
       'font-size': '18px',
       color: '#6b7280'
+    },
+    searchInput: {
+      padding: '8px 12px',
+      border: '1px solid #d1d5db',
+      'border-radius': '6px',
+      'font-size': '14px'
+    },
+    tag: {
+      background: '#e0e7ff',
+      color: '#3730a3',
+      padding: '1px 6px',
+      'border-radius': '4px',
+      'font-size': '11px'
     }
   };
 
@@ -158,7 +356,7 @@ export function CanvasList(props) {
         <h1 style={tableStyles.title}>🎨 All Canvases</h1>
         <div style={{ display: 'flex', gap: '10px' }}>
           <button
-            onClick={requestAllCanvases}
+            onClick={() => searchResults() ? runSearch() : requestAllCanvases()}
             style={{
               padding: '8px 16px',
               background: '#3b82f6',
@@ -188,6 +386,86 @@ export function CanvasList(props) {
         </div>
       </div>
 
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          runSearch();
+        }}
+        style={{ display: 'flex', gap: '10px', 'flex-wrap': 'wrap', 'align-items': 'center', 'margin-bottom': '16px' }}
+      >
+        <input
+          type="search"
+          placeholder="Search title, description or street"
+          value={searchText()}
+          onInput={(e) => setSearchText(e.target.value)}
+          maxLength={200}
+          style={{ ...tableStyles.searchInput, flex: '1 1 260px' }}
+        />
+        <input
+          type="text"
+          placeholder="Tags, comma separated"
+          value={searchTags()}
+          onInput={(e) => setSearchTags(e.target.value)}
+          style={{ ...tableStyles.searchInput, width: '200px' }}
+        />
+        <select
+          value={searchRadius()}
+          onChange={(e) => setSearchRadius(e.target.value)}
+          style={tableStyles.searchInput}
+        >
+          <option value="">Any distance</option>
+          <option value="1">Within 1 km</option>
+          <option value="5">Within 5 km</option>
+          <option value="25">Within 25 km</option>
+          <option value="100">Within 100 km</option>
+        </select>
+        <select
+          value={searchSort()}
+          onChange={(e) => setSearchSort(e.target.value)}
+          style={tableStyles.searchInput}
+        >
+          <option value="relevance">Most relevant</option>
+          <option value="recent">Recently active</option>
+          <option value="popular">Most popular</option>
+        </select>
+        <button
+          type="submit"
+          style={{
+            padding: '8px 16px',
+            background: '#3b82f6',
+            color: 'white',
+            border: 'none',
+            'border-radius': '6px',
+            cursor: 'pointer',
+            'font-weight': '500'
+          }}
+        >
+          🔍 Search
+        </button>
+        <Show when={searchResults()}>
+          <button
+            type="button"
+            onClick={clearSearch}
+            style={{
+              padding: '8px 16px',
+              background: '#e5e7eb',
+              color: '#374151',
+              border: 'none',
+              'border-radius': '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Clear
+          </button>
+          <span style={{ 'font-size': '14px', color: '#6b7280' }}>
+            {searchTotal()} {searchTotal() === 1 ? 'match' : 'matches'}
+          </span>
+        </Show>
+        <Show when={searchError()}>
+          <span style={{ 'font-size': '14px', color: '#dc2626' }}>{searchError()}</span>
+        </Show>
+      </form>
+
       <div style={{ 
         background: 'white', 
         'border-radius': '8px',
@@ -203,6 +481,9 @@ export function CanvasList(props) {
               >
                 Canvas ID {sortColumn() === 'id' && (sortOrder() === 'asc' ? '↑' : '↓')}
               </th>
+              <th style={{ ...tableStyles.th, cursor: 'default' }}>
+                Preview
+              </th>
               <th 
                 style={tableStyles.th}
                 onClick={() => toggleSort('title')}
@@ -239,6 +520,12 @@ export function CanvasList(props) {
               >
                 Created {sortColumn() === 'createdAt' && (sortOrder() === 'asc' ? '↑' : '↓')}
               </th>
+              <th 
+                style={tableStyles.th}
+                onClick={() => toggleSort('lastActive')}
+              >
+                Last Active {sortColumn() === 'lastActive' && (sortOrder() === 'asc' ? '↑' : '↓')}
+              </th>
               <th style={{ ...tableStyles.th, cursor: 'default' }}>
                 Coordinates
               </th>
@@ -250,7 +537,7 @@ export function CanvasList(props) {
           <tbody>
             {isLoading() ? (
               <tr>
-                <td colSpan="9" style={tableStyles.loading}>
+                <td colSpan="11" style={tableStyles.loading}>
                   <div style={{
                     width: '48px',
                     height: '48px',
@@ -263,14 +550,14 @@ export function CanvasList(props) {
                   Loading canvases...
                 </td>
               </tr>
-            ) : sortCanvases(allCanvases()).length === 0 ? (
+            ) : displayedCanvases().length === 0 ? (
               <tr>
-                <td colSpan="9" style={tableStyles.loading}>
-                  No canvases found
+                <td colSpan="11" style={tableStyles.loading}>
+                  {searchResults() ? 'No canvases match your search' : 'No canvases found'}
                 </td>
               </tr>
             ) : (
-              <For each={sortCanvases(allCanvases())}>
+              <For each={displayedCanvases()}>
                 {(canvas) => (
                   <tr 
                     style={tableStyles.tr}
@@ -285,6 +572,20 @@ export function CanvasList(props) {
                     <td style={{ ...tableStyles.td, 'font-family': 'monospace', 'font-size': '12px' }}>
                       {canvas.id}
                     </td>
+                    <td style={tableStyles.td}>
+                      {canvas.thumbnailUrl ? (
+                        <img
+                          src={`${config.apiUrl}${canvas.thumbnailUrl}`}
+                          alt={canvas.title}
+                          loading="lazy"
+                          style={tableStyles.thumbnail}
+                        />
+                      ) : (
+                        <div style={{ ...tableStyles.thumbnail, display: 'flex', 'align-items': 'center', 'justify-content': 'center' }}>
+                          🎨
+                        </div>
+                      )}
+                    </td>
                     <td style={{ ...tableStyles.td, 'font-weight': '500' }}>
                       <div style={{ display: 'flex', 'align-items': 'center', gap: '8px' }}>
                         {canvas.title}
@@ -301,12 +602,22 @@ export function CanvasList(props) {
                           </span>
                         )}
                       </div>
+                      <Show when={canvas.tags?.length > 0}>
+                        <div style={{ display: 'flex', gap: '4px', 'flex-wrap': 'wrap', 'margin-top': '4px' }}>
+                          <For each={canvas.tags}>
+                            {(tag) => <span style={tableStyles.tag}>#{tag}</span>}
+                          </For>
+                        </div>
+                      </Show>
                     </td>
                     <td style={tableStyles.td}>
                       {canvas.ownerName || 'Anonymous'}
                     </td>
                     <td style={tableStyles.td}>
                       📍 {canvas.street || 'Unknown Location'}
+                      {canvas.distance !== undefined && (
+                        <span style={{ color: '#6b7280' }}> · {formatDistance(canvas.distance)}</span>
+                      )}
                     </td>
                     <td style={{ ...tableStyles.td, 'text-align': 'center' }}>
                       {canvas.participantCount || 0}
@@ -317,6 +628,9 @@ export function CanvasList(props) {
                     <td style={tableStyles.td}>
                       {formatDate(canvas.createdAt)}
                     </td>
+                    <td style={tableStyles.td}>
+                      {formatDate(canvas.lastActive || canvas.createdAt)}
+                    </td>
                     <td style={{ ...tableStyles.td, 'font-family': 'monospace', 'font-size': '12px' }}>
                       {canvas.lat?.toFixed(6)}, {canvas.lng?.toFixed(6)}
                     </td>
@@ -361,6 +675,10 @@ export function CanvasList(props) {
         </table>
       </div>
 
+      <div ref={sentinel} style={{ padding: '16px', 'text-align': 'center', 'font-size': '14px', color: '#6b7280' }}>
+        {isLoadingMore() ? 'Loading more canvases...' : ''}
+      </div>
+
       <style>{`
         @keyframes spin {
           0% { transform: rotate(0deg); }
@@ -0,0 +1,392 @@
+import { createSignal, onMount, onCleanup, For, Show } from 'solid-js';
+
+export function ChatPanel(props) {
+  const [open, setOpen] = createSignal(false);
+  const [messages, setMessages] = createSignal([]);
+  const [hasMore, setHasMore] = createSignal(false);
+  const [text, setText] = createSignal('');
+  const [unread, setUnread] = createSignal(0);
+  const [mentionQuery, setMentionQuery] = createSignal(null);
+  // People who can be @mentioned: userHash -> name
+  const [people, setPeople] = createSignal(new Map());
+  let mentions = new Map(); // name -> userHash picked while typing
+  let listRef;
+  let inputRef;
+
+  const userHash = () => props.wsManager?.userHash;
+  const canModerate = () => props.activity?.ownerId === userHash() ||
+    !!props.activity?.permissions?.moderators?.includes(userHash());
+  const isMobile = window.innerWidth <= 768;
+
+  function rememberPerson(hash, name) {
+    if (!hash || !name || hash === userHash()) return;
+    setPeople(prev => {
+      if (prev.get(hash) === name) return prev;
+      const next = new Map(prev);
+      next.set(hash, name);
+      return next;
+    });
+  }
+
+  function requestHistory(before = null) {
+    props.wsManager.send({
+      type: 'getChatHistory',
+      activityId: props.activity.id,
+      ...(before ? { before } : {})
+    });
+  }
+
+  function scrollToBottom() {
+    requestAnimationFrame(() => {
+      if (listRef) listRef.scrollTop = listRef.scrollHeight;
+    });
+  }
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('chatHistory', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      data.messages.forEach(message => rememberPerson(message.userHash, message.userName));
+      setMessages(prev => data.before ? [...data.messages, ...prev] : data.messages);
+      setHasMore(data.hasMore);
+      if (!data.before) scrollToBottom();
+    });
+
+    const cleanup2 = props.wsManager.on('chatMessage', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      rememberPerson(data.message.userHash, data.message.userName);
+      setMessages(prev => prev.some(message => message.id === data.message.id) ? prev : [...prev, data.message]);
+      if (open()) {
+        scrollToBottom();
+      } else if (data.message.userHash !== userHash()) {
+        setUnread(prev => prev + 1);
+      }
+    });
+
+    const cleanup3 = props.wsManager.on('chatMessageDeleted', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setMessages(prev => prev.filter(message => message.id !== data.messageId));
+      }
+    });
+
+    const cleanup4 = props.wsManager.on('participantJoined', (data) => {
+      rememberPerson(data.userHash, data.username);
+    });
+
+    // Rejoining (or resuming) may have missed messages
+    const reload = (data) => {
+      if (data.activityId === props.activity?.id) requestHistory();
+    };
+    const cleanup5 = props.wsManager.on('activityJoined', reload);
+    const cleanup6 = props.wsManager.on('resumed', reload);
+
+    requestHistory();
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+      cleanup3();
+      cleanup4();
+      cleanup5();
+      cleanup6();
+    });
+  });
+
+  function toggle() {
+    setOpen(!open());
+    if (open()) {
+      setUnread(0);
+      scrollToBottom();
+      inputRef?.focus();
+    }
+  }
+
+  // Suggest people while an @word is being typed at the cursor
+  function handleInput(e) {
+    setText(e.target.value);
+    const beforeCursor = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCursor.match(/@([^\s@]*)$/);
+    setMentionQuery(match ? match[1].toLowerCase() : null);
+  }
+
+  const suggestions = () => {
+    const query = mentionQuery();
+    if (query === null) return [];
+    return Array.from(people())
+      .filter(([, name]) => name.toLowerCase().startsWith(query))
+      .slice(0, 5);
+  };
+
+  function pickMention([hash, name]) {
+    const value = text();
+    const cursor = inputRef.selectionStart;
+    const start = value.slice(0, cursor).lastIndexOf('@');
+    const next = `${value.slice(0, start)}@${name} ${value.slice(cursor)}`;
+    mentions.set(name, hash);
+    setText(next);
+    setMentionQuery(null);
+    inputRef.focus();
+  }
+
+  function sendMessage(e) {
+    e.preventDefault();
+    const value = text().trim();
+    if (!value || !props.wsManager || !props.activity) return;
+
+    // Only mentions still present in the text are sent
+    const mentioned = Array.from(mentions)
+      .filter(([name]) => value.includes(`@${name}`))
+      .map(([, hash]) => hash);
+
+    props.wsManager.send({
+      type: 'sendChatMessage',
+      activityId: props.activity.id,
+      text: value,
+      ...(mentioned.length > 0 ? { mentions: mentioned } : {})
+    });
+    setText('');
+    setMentionQuery(null);
+    mentions = new Map();
+  }
+
+  function deleteMessage(message) {
+    if (confirm('Delete this message?')) {
+      props.wsManager.send({
+        type: 'deleteChatMessage',
+        activityId: props.activity.id,
+        messageId: message.id
+      });
+    }
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  const styles = {
+    container: {
+      position: 'fixed',
+      left: '16px',
+      bottom: '16px',
+      'z-index': 100,
+      display: 'flex',
+      'flex-direction': 'column',
+      'align-items': 'flex-start',
+      gap: '8px'
+    },
+    toggle: {
+      position: 'relative',
+      padding: '10px 14px',
+      'border-radius': '9999px',
+      background: 'rgba(31, 41, 55, 0.95)',
+      color: 'white',
+      border: '1px solid rgba(148, 163, 184, 0.2)',
+      cursor: 'pointer',
+      'font-size': '14px',
+      'box-shadow': '0 8px 16px -2px rgba(0, 0, 0, 0.3)'
+    },
+    badge: {
+      position: 'absolute',
+      top: '-6px',
+      right: '-6px',
+      background: '#EF4444',
+      color: 'white',
+      'font-size': '11px',
+      'font-weight': 'bold',
+      'border-radius': '9999px',
+      'min-width': '18px',
+      height: '18px',
+      padding: '0 4px',
+      display: 'flex',
+      'align-items': 'center',
+      'justify-content': 'center'
+    },
+    panel: {
+      width: isMobile ? 'calc(100vw - 32px)' : '320px',
+      height: isMobile ? '50vh' : '380px',
+      background: 'rgba(31, 41, 55, 0.95)',
+      'backdrop-filter': 'blur(10px)',
+      'border-radius': '12px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.1)',
+      display: 'flex',
+      'flex-direction': 'column',
+      overflow: 'hidden'
+    },
+    list: {
+      flex: 1,
+      'overflow-y': 'auto',
+      padding: '12px',
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px'
+    },
+    message: {
+      background: 'rgba(55, 65, 81, 0.5)',
+      'border-radius': '8px',
+      padding: '8px 10px',
+      color: 'white',
+      'font-size': '14px',
+      'word-break': 'break-word'
+    },
+    mentionedMessage: {
+      background: 'rgba(59, 130, 246, 0.25)',
+      border: '1px solid rgba(59, 130, 246, 0.5)'
+    },
+    meta: {
+      display: 'flex',
+      'align-items': 'center',
+      gap: '6px',
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '12px',
+      'margin-bottom': '2px'
+    },
+    author: {
+      color: 'rgba(209, 213, 219, 1)',
+      'font-weight': '600'
+    },
+    deleteButton: {
+      'margin-left': 'auto',
+      background: 'transparent',
+      border: 'none',
+      color: 'rgba(156, 163, 175, 1)',
+      cursor: 'pointer',
+      'font-size': '12px',
+      padding: 0
+    },
+    loadMore: {
+      background: 'transparent',
+      border: 'none',
+      color: '#93C5FD',
+      cursor: 'pointer',
+      'font-size': '12px'
+    },
+    form: {
+      position: 'relative',
+      display: 'flex',
+      gap: '8px',
+      padding: '10px',
+      'border-top': '1px solid rgba(75, 85, 99, 1)'
+    },
+    input: {
+      flex: 1,
+      'min-width': 0,
+      background: 'rgba(55, 65, 81, 0.5)',
+      border: '1px solid rgba(75, 85, 99, 1)',
+      'border-radius': '6px',
+      color: 'white',
+      padding: '6px 10px',
+      'font-size': '13px'
+    },
+    sendButton: {
+      background: '#3B82F6',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px 12px',
+      'font-size': '13px',
+      'font-weight': '500',
+      cursor: 'pointer'
+    },
+    suggestions: {
+      position: 'absolute',
+      left: '10px',
+      bottom: '100%',
+      background: 'rgba(17, 24, 39, 0.98)',
+      border: '1px solid rgba(75, 85, 99, 1)',
+      'border-radius': '8px',
+      overflow: 'hidden',
+      'min-width': '160px'
+    },
+    suggestion: {
+      display: 'block',
+      width: '100%',
+      'text-align': 'left',
+      background: 'transparent',
+      border: 'none',
+      color: 'white',
+      padding: '6px 10px',
+      'font-size': '13px',
+      cursor: 'pointer'
+    },
+    emptyState: {
+      margin: 'auto',
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '13px'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Show when={open()}>
+        <div style={styles.panel}>
+          <div ref={listRef} style={styles.list}>
+            <Show when={hasMore()}>
+              <button onClick={() => requestHistory(messages()[0]?.id)} style={styles.loadMore}>
+                Load earlier messages
+              </button>
+            </Show>
+            <Show when={messages().length > 0} fallback={<div style={styles.emptyState}>No messages yet. Say hi!</div>}>
+              <For each={messages()}>
+                {(message) => (
+                  <div style={{
+                    ...styles.message,
+                    ...(message.mentions?.includes(userHash()) ? styles.mentionedMessage : {})
+                  }}>
+                    <div style={styles.meta}>
+                      <span style={styles.author}>
+                        {message.userHash === userHash() ? 'You' : message.userName}
+                      </span>
+                      <span>{formatTime(message.createdAt)}</span>
+                      <Show when={canModerate() || message.userHash === userHash()}>
+                        <button onClick={() => deleteMessage(message)} style={styles.deleteButton} title="Delete message">
+                          ✕
+                        </button>
+                      </Show>
+                    </div>
+                    {message.text}
+                  </div>
+                )}
+              </For>
+            </Show>
+          </div>
+
+          <form onSubmit={sendMessage} style={styles.form}>
+            <Show when={suggestions().length > 0}>
+              <div style={styles.suggestions}>
+                <For each={suggestions()}>
+                  {(person) => (
+                    <button type="button" onClick={() => pickMention(person)} style={styles.suggestion}>
+                      @{person[1]}
+                    </button>
+                  )}
+                </For>
+              </div>
+            </Show>
+            <input
+              ref={inputRef}
+              type="text"
+              value={text()}
+              onInput={handleInput}
+              placeholder="Message, @ to mention"
+              maxLength={1000}
+              style={styles.input}
+            />
+            <button type="submit" style={styles.sendButton}>
+              Send
+            </button>
+          </form>
+        </div>
+      </Show>
+
+      <button onClick={toggle} style={styles.toggle} title={open() ? 'Hide chat' : 'Show chat'}>
+        💬 {open() ? 'Hide chat' : 'Chat'}
+        <Show when={unread() > 0}>
+          <span style={styles.badge}>{unread()}</span>
+        </Show>
+      </button>
+    </div>
+  );
+}
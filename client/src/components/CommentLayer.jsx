@@ -0,0 +1,541 @@
+import { createSignal, createEffect, onMount, onCleanup, For, Show } from 'solid-js';
+import * as fabric from 'fabric';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' }
+];
+
+// Review comment pins drawn over a Fabric canvas. Pins follow their object
+// (or stay at their point) through zooming and panning.
+export function CommentLayer(props) {
+  const [threads, setThreads] = createSignal([]);
+  const [positions, setPositions] = createSignal(new Map());
+  const [filter, setFilter] = createSignal('open');
+  const [activeId, setActiveId] = createSignal(null);
+  const [draft, setDraft] = createSignal(null);
+  const [text, setText] = createSignal('');
+  let awaitingOwnThread = false;
+
+  const userHash = () => props.wsManager?.userHash;
+  const canManage = (thread) => thread.createdBy === userHash() ||
+    props.activity?.ownerId === userHash() ||
+    !!props.activity?.permissions?.moderators?.includes(userHash());
+
+  const visibleThreads = () => threads()
+    .map((thread, i) => ({ thread, number: i + 1 }))
+    .filter(({ thread }) => filter() === 'all' || thread.status === filter());
+  const activeThread = () => threads().find(thread => thread.id === activeId());
+
+  function loadComments() {
+    props.wsManager.send({
+      type: 'getComments',
+      activityId: props.activity.id
+    });
+  }
+
+  function updateThread(threadId, update) {
+    setThreads(prev => prev.map(thread => thread.id === threadId ? update(thread) : thread));
+  }
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('activityComments', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setThreads(data.threads);
+      }
+    });
+
+    const cleanup2 = props.wsManager.on('commentThreadCreated', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      setThreads(prev => prev.some(thread => thread.id === data.thread.id) ? prev : [...prev, data.thread]);
+      if (awaitingOwnThread && data.thread.createdBy === userHash()) {
+        awaitingOwnThread = false;
+        setActiveId(data.thread.id);
+      }
+    });
+
+    const cleanup3 = props.wsManager.on('commentAdded', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      updateThread(data.threadId, thread => thread.comments.some(comment => comment.id === data.comment.id)
+        ? thread
+        : { ...thread, comments: [...thread.comments, data.comment] });
+    });
+
+    const cleanup4 = props.wsManager.on('commentThreadUpdated', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      // Updates carry the thread without its comments
+      updateThread(data.thread.id, thread => ({ ...data.thread, comments: thread.comments }));
+    });
+
+    const cleanup5 = props.wsManager.on('commentThreadDeleted', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      setThreads(prev => prev.filter(thread => thread.id !== data.threadId));
+      if (activeId() === data.threadId) setActiveId(null);
+    });
+
+    // Rejoining (or resuming) may have missed changes
+    const reload = (data) => {
+      if (data.activityId === props.activity?.id) loadComments();
+    };
+    const cleanup6 = props.wsManager.on('activityJoined', reload);
+    const cleanup7 = props.wsManager.on('resumed', reload);
+
+    loadComments();
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+      cleanup3();
+      cleanup4();
+      cleanup5();
+      cleanup6();
+      cleanup7();
+    });
+  });
+
+  // Position every pin in screen coordinates
+  function updatePositions() {
+    const canvas = props.canvas;
+    if (!canvas) return;
+
+    const vpt = canvas.viewportTransform;
+    const objects = new Map(canvas.getObjects().filter(obj => obj.id).map(obj => [obj.id, obj]));
+    const next = new Map();
+
+    threads().forEach(thread => {
+      const obj = thread.anchor.objectId && objects.get(thread.anchor.objectId);
+      if (obj) {
+        // Top-right corner of the object's bounding box
+        const points = obj.getCoords().map(point => fabric.util.transformPoint(point, vpt));
+        next.set(thread.id, {
+          left: Math.max(...points.map(point => point.x)),
+          top: Math.min(...points.map(point => point.y))
+        });
+      } else {
+        const point = fabric.util.transformPoint(new fabric.Point(thread.anchor.x, thread.anchor.y), vpt);
+        next.set(thread.id, { left: point.x, top: point.y });
+      }
+    });
+
+    const current = draft();
+    if (current) {
+      const point = fabric.util.transformPoint(new fabric.Point(current.x, current.y), vpt);
+      next.set('draft', { left: point.x, top: point.y });
+    }
+
+    setPositions(next);
+  }
+
+  function handleMouseDown(e) {
+    if (!props.commentMode) return;
+
+    const point = props.canvas.getScenePoint(e.e);
+    setDraft({
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+      objectId: e.target?.id || null
+    });
+    setActiveId(null);
+    setText('');
+    props.canvas.discardActiveObject();
+    props.canvas.requestRenderAll();
+  }
+
+  createEffect(() => {
+    const canvas = props.canvas;
+    if (!canvas) return;
+
+    canvas.on('after:render', updatePositions);
+    canvas.on('mouse:down', handleMouseDown);
+    onCleanup(() => {
+      canvas.off('after:render', updatePositions);
+      canvas.off('mouse:down', handleMouseDown);
+    });
+  });
+
+  // New threads and drafts need a position before the next render
+  createEffect(() => {
+    threads();
+    draft();
+    updatePositions();
+  });
+
+  createEffect(() => {
+    if (props.canvas) {
+      props.canvas.defaultCursor = props.commentMode ? 'crosshair' : 'default';
+    }
+  });
+
+  function submitDraft(e) {
+    e.preventDefault();
+    const value = text().trim();
+    const current = draft();
+    if (!value || !current) return;
+
+    props.wsManager.send({
+      type: 'createCommentThread',
+      activityId: props.activity.id,
+      x: current.x,
+      y: current.y,
+      ...(current.objectId ? { objectId: current.objectId } : {}),
+      text: value
+    });
+    awaitingOwnThread = true;
+    setDraft(null);
+    setText('');
+    if (filter() === 'resolved') setFilter('open');
+    props.onExitCommentMode?.();
+  }
+
+  function submitReply(e) {
+    e.preventDefault();
+    const value = text().trim();
+    if (!value || !activeId()) return;
+
+    props.wsManager.send({
+      type: 'replyToComment',
+      activityId: props.activity.id,
+      threadId: activeId(),
+      text: value
+    });
+    setText('');
+  }
+
+  function setStatus(thread, status) {
+    props.wsManager.send({
+      type: 'setCommentStatus',
+      activityId: props.activity.id,
+      threadId: thread.id,
+      status
+    });
+    if (filter() !== 'all') setActiveId(null);
+  }
+
+  function deleteThread(thread) {
+    if (confirm('Delete this comment thread and all its replies?')) {
+      props.wsManager.send({
+        type: 'deleteCommentThread',
+        activityId: props.activity.id,
+        threadId: thread.id
+      });
+    }
+  }
+
+  function openThread(thread) {
+    setActiveId(activeId() === thread.id ? null : thread.id);
+    setDraft(null);
+    setText('');
+  }
+
+  function close() {
+    setActiveId(null);
+    setDraft(null);
+    setText('');
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  const styles = {
+    filterBar: {
+      position: 'absolute',
+      top: '12px',
+      left: '12px',
+      display: 'flex',
+      gap: '4px',
+      padding: '4px',
+      background: 'rgba(31, 41, 55, 0.9)',
+      'border-radius': '8px',
+      'z-index': 950
+    },
+    filterButton: {
+      background: 'transparent',
+      color: 'rgba(209, 213, 219, 1)',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '4px 10px',
+      'font-size': '12px',
+      cursor: 'pointer'
+    },
+    activeFilterButton: {
+      background: 'rgba(59, 130, 246, 0.8)',
+      color: 'white'
+    },
+    hint: {
+      color: 'white',
+      'font-size': '12px',
+      padding: '4px 6px'
+    },
+    pin: {
+      position: 'absolute',
+      width: '26px',
+      height: '26px',
+      'margin-left': '-13px',
+      'margin-top': '-26px',
+      'border-radius': '50% 50% 50% 0',
+      border: '2px solid white',
+      color: 'white',
+      'font-size': '12px',
+      'font-weight': 'bold',
+      display: 'flex',
+      'align-items': 'center',
+      'justify-content': 'center',
+      cursor: 'pointer',
+      'box-shadow': '0 2px 6px rgba(0, 0, 0, 0.3)',
+      'z-index': 950,
+      padding: 0
+    },
+    popover: {
+      position: 'absolute',
+      width: '280px',
+      'max-height': '360px',
+      'margin-left': '18px',
+      background: 'rgba(31, 41, 55, 0.97)',
+      'border-radius': '10px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.3)',
+      display: 'flex',
+      'flex-direction': 'column',
+      overflow: 'hidden',
+      'z-index': 960
+    },
+    popoverHeader: {
+      display: 'flex',
+      'align-items': 'center',
+      gap: '6px',
+      padding: '8px 10px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)',
+      color: 'white',
+      'font-size': '13px',
+      'font-weight': '600'
+    },
+    comments: {
+      flex: 1,
+      'overflow-y': 'auto',
+      padding: '8px 10px',
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px'
+    },
+    comment: {
+      color: 'white',
+      'font-size': '13px',
+      'word-break': 'break-word',
+      'white-space': 'pre-wrap'
+    },
+    meta: {
+      display: 'flex',
+      gap: '6px',
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '11px',
+      'margin-bottom': '2px'
+    },
+    author: {
+      color: 'rgba(209, 213, 219, 1)',
+      'font-weight': '600'
+    },
+    form: {
+      display: 'flex',
+      gap: '6px',
+      padding: '8px 10px',
+      'border-top': '1px solid rgba(75, 85, 99, 1)'
+    },
+    input: {
+      flex: 1,
+      'min-width': 0,
+      background: 'rgba(55, 65, 81, 0.5)',
+      border: '1px solid rgba(75, 85, 99, 1)',
+      'border-radius': '6px',
+      color: 'white',
+      padding: '6px 8px',
+      'font-size': '13px'
+    },
+    smallButton: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: '1px solid rgba(148, 163, 184, 0.2)',
+      'border-radius': '6px',
+      padding: '4px 8px',
+      'font-size': '12px',
+      cursor: 'pointer',
+      'white-space': 'nowrap'
+    },
+    primaryButton: {
+      background: '#3B82F6',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px 10px',
+      'font-size': '12px',
+      'font-weight': '500',
+      cursor: 'pointer'
+    },
+    closeButton: {
+      'margin-left': 'auto',
+      background: 'transparent',
+      border: 'none',
+      color: 'rgba(209, 213, 219, 1)',
+      cursor: 'pointer',
+      'font-size': '14px',
+      padding: '0 4px'
+    }
+  };
+
+  const pinColor = (thread) => thread.status === 'resolved' ? '#10B981' : '#F97316';
+
+  return (
+    <>
+      <Show when={threads().length > 0 || props.commentMode}>
+        <div style={styles.filterBar}>
+          <Show when={props.commentMode}>
+            <span style={styles.hint}>Click the canvas to place a comment</span>
+          </Show>
+          <For each={STATUS_FILTERS}>
+            {(option) => (
+              <button
+                onClick={() => setFilter(option.value)}
+                style={{
+                  ...styles.filterButton,
+                  ...(filter() === option.value ? styles.activeFilterButton : {})
+                }}
+              >
+                {option.label} ({option.value === 'all'
+                  ? threads().length
+                  : threads().filter(thread => thread.status === option.value).length})
+              </button>
+            )}
+          </For>
+        </div>
+      </Show>
+
+      <For each={visibleThreads()}>
+        {({ thread, number }) => (
+          <Show when={positions().get(thread.id)}>
+            {(position) => (
+              <button
+                onClick={() => openThread(thread)}
+                title={thread.comments[0]?.text}
+                style={{
+                  ...styles.pin,
+                  left: `${position().left}px`,
+                  top: `${position().top}px`,
+                  background: pinColor(thread),
+                  outline: activeId() === thread.id ? '2px solid #3B82F6' : 'none'
+                }}
+              >
+                {number}
+              </button>
+            )}
+          </Show>
+        )}
+      </For>
+
+      {/* Thread being placed */}
+      <Show when={draft() && positions().get('draft')}>
+        {(position) => (
+          <>
+            <div style={{
+              ...styles.pin,
+              left: `${position().left}px`,
+              top: `${position().top}px`,
+              background: '#3B82F6',
+              cursor: 'default'
+            }}>
+              +
+            </div>
+            <form
+              onSubmit={submitDraft}
+              style={{
+                ...styles.popover,
+                left: `${position().left}px`,
+                top: `${position().top}px`
+              }}
+            >
+              <div style={styles.popoverHeader}>
+                New comment{draft().objectId ? ' on object' : ''}
+                <button type="button" onClick={close} style={styles.closeButton}>✕</button>
+              </div>
+              <div style={styles.form}>
+                <input
+                  ref={(el) => setTimeout(() => el.focus())}
+                  type="text"
+                  value={text()}
+                  onInput={(e) => setText(e.target.value)}
+                  placeholder="Add a comment"
+                  maxLength={2000}
+                  style={styles.input}
+                />
+                <button type="submit" style={styles.primaryButton}>Add</button>
+              </div>
+            </form>
+          </>
+        )}
+      </Show>
+
+      {/* Open thread */}
+      <Show when={activeThread() && positions().get(activeId())}>
+        {(position) => (
+          <div style={{
+            ...styles.popover,
+            left: `${position().left}px`,
+            top: `${position().top}px`
+          }}>
+            <div style={styles.popoverHeader}>
+              <span>{activeThread().status === 'resolved' ? '✓ Resolved' : 'Open'}</span>
+              <Show when={canManage(activeThread())}>
+                <button
+                  onClick={() => setStatus(activeThread(), activeThread().status === 'resolved' ? 'open' : 'resolved')}
+                  style={styles.smallButton}
+                >
+                  {activeThread().status === 'resolved' ? 'Reopen' : 'Resolve'}
+                </button>
+                <button onClick={() => deleteThread(activeThread())} style={styles.smallButton}>
+                  Delete
+                </button>
+              </Show>
+              <button onClick={close} style={styles.closeButton}>✕</button>
+            </div>
+            <div style={styles.comments}>
+              <For each={activeThread().comments}>
+                {(comment) => (
+                  <div style={styles.comment}>
+                    <div style={styles.meta}>
+                      <span style={styles.author}>
+                        {comment.userHash === userHash() ? 'You' : comment.userName}
+                      </span>
+                      <span>{formatTime(comment.createdAt)}</span>
+                    </div>
+                    {comment.text}
+                  </div>
+                )}
+              </For>
+            </div>
+            <form onSubmit={submitReply} style={styles.form}>
+              <input
+                type="text"
+                value={text()}
+                onInput={(e) => setText(e.target.value)}
+                placeholder="Reply"
+                maxLength={2000}
+                style={styles.input}
+              />
+              <button type="submit" style={styles.primaryButton}>Reply</button>
+            </form>
+          </div>
+        )}
+      </Show>
+    </>
+  );
+}
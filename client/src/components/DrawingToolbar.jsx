@@ -1,6 +1,8 @@
-import { Show, For } from 'solid-js';
+import { Show, For, onMount, onCleanup } from 'solid-js';
 
 export function DrawingToolbar(props) {
+  let importInputRef;
+
   const tools = [
     { id: 'select', icon: '↖️', label: 'Select', shortcut: 'V' },
     { id: 'pen', icon: '✏️', label: 'Pen', shortcut: 'P' },
@@ -16,6 +18,27 @@ export function DrawingToolbar(props) {
     '#000000', '#FFFFFF', '#EF4444', '#F97316', '#FBBF24', 
     '#22C55E', '#14B8A6', '#3B82F6', '#8B5CF6', '#EC4899'
   ];
+
+  // Keyboard shortcuts: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+  onMount(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      // Leave text fields (including Fabric's hidden textarea) to the browser
+      const tag = document.activeElement?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        props.onRedo?.();
+      } else {
+        props.onUndo?.();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    onCleanup(() => window.removeEventListener('keydown', handleKeyDown));
+  });
   
   const styles = {
     toolbar: {
@@ -126,6 +149,10 @@ export function DrawingToolbar(props) {
     },
     actionButtonDanger: {
       background: 'rgba(239, 68, 68, 0.5)'
+    },
+    actionButtonDisabled: {
+      opacity: 0.4,
+      cursor: 'not-allowed'
     }
   };
   
@@ -303,10 +330,20 @@ export function DrawingToolbar(props) {
       <div style={styles.section}>
         <div style={styles.sectionTitle}>Actions</div>
         <div style={{ display: 'flex', 'flex-direction': 'column', gap: '8px' }}>
-          <button onClick={props.onUndo} style={styles.actionButton}>
+          <button
+            onClick={props.onUndo}
+            disabled={!props.canUndo}
+            style={{...styles.actionButton, ...(!props.canUndo ? styles.actionButtonDisabled : {})}}
+            title="Undo (Ctrl+Z)"
+          >
             ↶ Undo
           </button>
-          <button onClick={props.onRedo} style={styles.actionButton}>
+          <button
+            onClick={props.onRedo}
+            disabled={!props.canRedo}
+            style={{...styles.actionButton, ...(!props.canRedo ? styles.actionButtonDisabled : {})}}
+            title="Redo (Ctrl+Shift+Z)"
+          >
             ↷ Redo
           </button>
           <button onClick={props.onDelete} style={styles.actionButton}>
@@ -321,6 +358,26 @@ export function DrawingToolbar(props) {
           <button onClick={props.onToggleLayers} style={styles.actionButton}>
             📚 Layers
           </button>
+          <button
+            onClick={() => importInputRef.click()}
+            style={styles.actionButton}
+            title="Import an SVG, PNG or JPEG (or drop it on the canvas)"
+          >
+            📥 Import Image
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".svg,image/svg+xml,image/png,image/jpeg"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) {
+                props.onImport?.(file);
+              }
+              e.target.value = ''; // Allow importing the same file again
+            }}
+          />
           <button 
             onClick={props.onClear} 
             style={{...styles.actionButton, ...styles.actionButtonDanger}}
@@ -1,12 +1,26 @@
-import { createSignal, createEffect, onMount, onCleanup, Show } from 'solid-js';
+import { createSignal, createEffect, onMount, onCleanup, Show, For } from 'solid-js';
 import * as fabric from 'fabric';
 import { DrawingToolbar } from './DrawingToolbar';
 import { LayerPanel } from './LayerPanel';
 import { ActivityControls } from './ActivityControls';
+import { MembersPanel } from './MembersPanel';
+import { ChatPanel } from './ChatPanel';
+import { CommentLayer } from './CommentLayer';
+import { TimelapseControls } from './TimelapseControls';
+import { config } from '../config';
+
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024; // Matches the server's per-image cap
+const MAX_IMAGE_DIMENSION = 2048; // Larger bitmaps are downscaled before upload
+const FIXED_PROPERTIES = ['id', 'type', 'userId', 'userName', 'src']; // Never sent as modifications
+const LOCK_RENEW_MS = 10000; // Well inside the server's lock lease
+const GHOST_TIMEOUT_MS = 5000; // Drop previews whose author went quiet
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 10;
 
 export function FabricCanvas(props) {
   let canvasContainerRef;
   let canvasElement;
+  let previewElement;
 
   // Canvas state
   const [canvas, setCanvas] = createSignal(null);
@@ -15,11 +29,17 @@ export function FabricCanvas(props) {
   const [requestSent, setRequestSent] = createSignal(false);
   const [contributionRequests, setContributionRequests] = createSignal([]);
   const [showParticipants, setShowParticipants] = createSignal(false);
+  const [showMembers, setShowMembers] = createSignal(false);
+  const [commentMode, setCommentMode] = createSignal(false);
   const [showMobileRequests, setShowMobileRequests] = createSignal(false);
   const [participants, setParticipants] = createSignal(new Map());
   const [selectMode, setSelectMode] = createSignal(false);
   const [selectedObjects, setSelectedObjects] = createSignal([]);
   const [showLayers, setShowLayers] = createSignal(false);
+  const [canUndo, setCanUndo] = createSignal(false);
+  const [canRedo, setCanRedo] = createSignal(false);
+  const [replaying, setReplaying] = createSignal(false);
+  const [pendingOps, setPendingOps] = createSignal(props.wsManager?.pendingOps || 0);
 
   // Drawing tool state
   const [activeTool, setActiveTool] = createSignal('select');
@@ -34,9 +54,46 @@ export function FabricCanvas(props) {
   let currentShape = null;
   let startPoint = null;
 
+  // Timelapse replay renders into its own canvas on top of the live one
+  let replayCanvas = null;
+  let replayItems = [];
+
+  // Live previews: the shape or stroke this client is drawing, and ghosts of
+  // what others are drawing (rendered on an overlay so they're never saved)
+  let previewCanvas = null;
+  let activePreview = null; // { id, kind, started, pendingPoints }
+  const ghosts = new Map(); // previewId -> { data, points, object, timeoutId }
+  const previewThrottle = {
+    lastSendTime: 0,
+    throttleMs: 50,
+    timeoutId: null
+  };
+
   // Remote cursors
   const [remoteCursors, setRemoteCursors] = createSignal(new Map());
 
+  // Pan/zoom, and following what someone else is looking at
+  const [viewportTransform, setViewportTransform] = createSignal([1, 0, 0, 1, 0, 0]);
+  const [following, setFollowing] = createSignal(null); // clientId whose view we mirror
+  const [presenter, setPresenter] = createSignal(null); // { clientId, userHash, userName }
+  const remoteViewports = new Map(); // clientId -> visible area in canvas coordinates
+  let applyingRemoteViewport = false;
+  let presenting = false; // Survives the new connection id after a reconnect
+  const viewportThrottle = {
+    lastSendTime: 0,
+    throttleMs: 100,
+    timeoutId: null
+  };
+
+  // Objects other participants are editing, and where to outline them
+  const [objectLocks, setObjectLocks] = createSignal(new Map()); // objectId -> lock
+  const [lockOutlines, setLockOutlines] = createSignal([]);
+  const heldLocks = new Set(); // Object ids this client has claimed
+  let lockRenewInterval = null;
+
+  // Lets stored images of private activities load over HTTP; sent on join
+  let accessToken = null;
+
   // Throttle for sending updates
   const updateThrottle = {
     lastSendTime: 0,
@@ -53,9 +110,25 @@ export function FabricCanvas(props) {
       if (canvas()) {
         canvas().dispose();
       }
+      if (replayCanvas) {
+        replayCanvas.dispose();
+      }
       if (updateThrottle.timeoutId) {
         clearTimeout(updateThrottle.timeoutId);
       }
+      if (lockRenewInterval) {
+        clearInterval(lockRenewInterval);
+      }
+      if (previewThrottle.timeoutId) {
+        clearTimeout(previewThrottle.timeoutId);
+      }
+      if (viewportThrottle.timeoutId) {
+        clearTimeout(viewportThrottle.timeoutId);
+      }
+      ghosts.forEach(ghost => clearTimeout(ghost.timeoutId));
+      if (previewCanvas) {
+        previewCanvas.dispose();
+      }
     });
   });
 
@@ -77,16 +150,34 @@ export function FabricCanvas(props) {
     fabricCanvas.freeDrawingBrush.color = brushColor();
     fabricCanvas.freeDrawingBrush.width = brushSize();
 
+    previewCanvas = new fabric.StaticCanvas(previewElement, {
+      width: canvasContainerRef.clientWidth,
+      height: canvasContainerRef.clientHeight,
+      renderOnAddRemove: false,
+      enableRetinaScaling: true
+    });
+
     setCanvas(fabricCanvas);
     setCanvasReady(true);
 
     // Handle window resize
     const handleResize = () => {
-      fabricCanvas.setDimensions({
+      const dimensions = {
         width: canvasContainerRef.clientWidth,
         height: canvasContainerRef.clientHeight
-      });
+      };
+      fabricCanvas.setDimensions(dimensions);
       fabricCanvas.renderAll();
+      previewCanvas.setDimensions(dimensions);
+      previewCanvas.requestRenderAll();
+
+      // The visible area changed: refit to whoever we follow, or tell others
+      const followed = following() && remoteViewports.get(following());
+      if (followed) {
+        applyRemoteViewport(followed);
+      } else {
+        queueViewport();
+      }
     };
 
     window.addEventListener('resize', handleResize);
@@ -130,6 +221,12 @@ export function FabricCanvas(props) {
       fabricCanvas.on('selection:created', handleSelectionCreated);
       fabricCanvas.on('selection:updated', handleSelectionUpdated);
       fabricCanvas.on('selection:cleared', handleSelectionCleared);
+
+      // Keep lock outlines on top of objects as they move
+      fabricCanvas.on('after:render', updateLockOutlines);
+
+      // Wheel pans, ctrl/cmd + wheel (or pinch) zooms
+      fabricCanvas.on('mouse:wheel', handleMouseWheel);
     });
 
     // Update brush settings when they change
@@ -149,7 +246,10 @@ export function FabricCanvas(props) {
   }
 
   function handleMouseDown(e) {
-    if (!canContribute()) return;
+    // Interacting with the canvas takes the view back
+    stopFollowing();
+
+    if (!canContribute() || commentMode()) return;
 
     const tool = activeTool();
 
@@ -167,6 +267,7 @@ export function FabricCanvas(props) {
           canvas().freeDrawingBrush.color = brushColor();
           canvas().freeDrawingBrush.width = brushSize();
         }
+        startStrokePreview(pointer);
         break;
 
       case 'line':
@@ -255,11 +356,23 @@ export function FabricCanvas(props) {
           canvas().freeDrawingBrush.color = '#ffffff';
           canvas().freeDrawingBrush.width = brushSize() * 2;
         }
+        startStrokePreview(pointer);
         break;
     }
+
+    if (currentShape) {
+      activePreview = { id: serializeObject(currentShape).id, kind: 'shape', started: false };
+      queuePreview();
+    }
   }
 
   function handleMouseMove(e) {
+    if (isDrawing && activePreview?.kind === 'stroke') {
+      const pointer = canvas().getPointer(e.e);
+      activePreview.pendingPoints.push([Math.round(pointer.x), Math.round(pointer.y)]);
+      queuePreview();
+    }
+
     if (!isDrawing || !currentShape || !canContribute()) return;
 
     const pointer = canvas().getPointer(e.e);
@@ -302,6 +415,7 @@ export function FabricCanvas(props) {
     }
 
     canvas().renderAll();
+    queuePreview();
 
     // Send cursor position
     sendCursorPosition(pointer);
@@ -312,11 +426,14 @@ export function FabricCanvas(props) {
     canvas().isDrawingMode = false;
 
     if (currentShape) {
-      // Send the completed object
+      // The finished object replaces the preview on other clients
+      endPreview(false);
       sendObjectAdded(currentShape);
       currentShape = null;
     }
 
+    // A stroke that never became a path (path:created fires before mouse:up)
+    endPreview(true);
     startPoint = null;
   }
 
@@ -326,8 +443,10 @@ export function FabricCanvas(props) {
   }
 
   function handleObjectAdded(e) {
-    // Only send if it's a user action, not a remote sync
-    if (e.target && !e.target.isRemote) {
+    // Only send if it's a user action, not a remote sync.
+    // Shapes being dragged out are sent on mouse-up and pen paths on
+    // path:created, so each action reaches the server (and undo stack) once.
+    if (e.target && !e.target.isRemote && e.target !== currentShape && e.target.type !== 'path') {
       sendObjectAdded(e.target);
     }
   }
@@ -340,14 +459,169 @@ export function FabricCanvas(props) {
 
   function handleSelectionCreated(e) {
     setSelectedObjects(e.selected || []);
+    syncSelectionLocks();
   }
 
   function handleSelectionUpdated(e) {
     setSelectedObjects(e.selected || []);
+    syncSelectionLocks();
   }
 
   function handleSelectionCleared() {
     setSelectedObjects([]);
+    syncSelectionLocks();
+  }
+
+  // Claim locks on newly selected objects and release deselected ones
+  function syncSelectionLocks() {
+    if (!canvas() || !props.wsManager || !props.activity) return;
+
+    const selectedIds = canvas().getActiveObjects().map(obj => obj.id).filter(Boolean);
+    const claimed = selectedIds.filter(id => !heldLocks.has(id));
+    const released = Array.from(heldLocks).filter(id => !selectedIds.includes(id));
+
+    claimed.forEach(id => heldLocks.add(id));
+    released.forEach(id => heldLocks.delete(id));
+
+    if (claimed.length > 0) {
+      props.wsManager.send({
+        type: 'lockObjects',
+        activityId: props.activity.id,
+        objectIds: claimed
+      });
+    }
+    if (released.length > 0) {
+      props.wsManager.send({
+        type: 'unlockObjects',
+        activityId: props.activity.id,
+        objectIds: released
+      });
+    }
+
+    // Leases lapse on the server unless renewed while the selection lasts
+    if (heldLocks.size > 0 && !lockRenewInterval) {
+      lockRenewInterval = setInterval(() => {
+        if (heldLocks.size === 0 || !props.activity) return;
+        props.wsManager.send({
+          type: 'lockObjects',
+          activityId: props.activity.id,
+          objectIds: Array.from(heldLocks)
+        });
+      }, LOCK_RENEW_MS);
+    } else if (heldLocks.size === 0 && lockRenewInterval) {
+      clearInterval(lockRenewInterval);
+      lockRenewInterval = null;
+    }
+  }
+
+  // Record locks held by others and make their objects unselectable
+  function applyObjectLocks(locks) {
+    const others = locks.filter(lock => lock.clientId !== props.wsManager?.clientId);
+    if (others.length === 0) return;
+
+    setObjectLocks(prev => {
+      const next = new Map(prev);
+      others.forEach(lock => next.set(lock.objectId, lock));
+      return next;
+    });
+
+    if (!canvas()) return;
+
+    const lockedIds = new Set(others.map(lock => lock.objectId));
+    let lostSelection = false;
+    canvas().getObjects().forEach(obj => {
+      if (!lockedIds.has(obj.id)) return;
+      obj.selectable = false;
+      obj.evented = false;
+      if (heldLocks.has(obj.id)) lostSelection = true;
+    });
+
+    // Someone else claimed an object we had selected first
+    if (lostSelection) {
+      canvas().discardActiveObject();
+    }
+    canvas().requestRenderAll();
+  }
+
+  function removeObjectLocks(objectIds, brokenBy = null) {
+    setObjectLocks(prev => {
+      const next = new Map(prev);
+      objectIds.forEach(id => next.delete(id));
+      return next;
+    });
+
+    if (!canvas()) return;
+
+    canvas().getObjects().forEach(obj => {
+      if (!objectIds.includes(obj.id)) return;
+      obj.selectable = canContribute();
+      obj.evented = true;
+    });
+
+    // An owner or moderator took back something we were editing
+    const lost = objectIds.filter(id => heldLocks.has(id));
+    if (brokenBy && lost.length > 0) {
+      lost.forEach(id => heldLocks.delete(id));
+      canvas().discardActiveObject();
+      alert(`${brokenBy} unlocked the object you were editing.`);
+    }
+    canvas().requestRenderAll();
+  }
+
+  function breakObjectLock(objectId) {
+    if (!props.wsManager || !props.activity) return;
+
+    props.wsManager.send({
+      type: 'breakObjectLocks',
+      activityId: props.activity.id,
+      objectIds: [objectId]
+    });
+  }
+
+  const canBreakLocks = () => {
+    const userHash = props.wsManager?.userHash;
+    return props.activity?.ownerId === userHash ||
+      props.activity?.permissions?.moderators?.includes(userHash);
+  };
+
+  // Position the outline for each locked object in screen coordinates
+  function updateLockOutlines() {
+    if (!canvas()) return;
+
+    const locks = objectLocks();
+    if (locks.size === 0) {
+      if (lockOutlines().length > 0) setLockOutlines([]);
+      return;
+    }
+
+    const vpt = canvas().viewportTransform;
+    const outlines = [];
+    canvas().getObjects().forEach(obj => {
+      const lock = locks.get(obj.id);
+      if (!lock) return;
+
+      const points = obj.getCoords().map(point => fabric.util.transformPoint(point, vpt));
+      const xs = points.map(point => point.x);
+      const ys = points.map(point => point.y);
+      outlines.push({
+        lock,
+        left: Math.min(...xs),
+        top: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+        color: getLockColor(lock.userHash)
+      });
+    });
+    setLockOutlines(outlines);
+  }
+
+  // Helper: Stable per-user color for lock outlines
+  function getLockColor(userHash = '') {
+    let hash = 0;
+    for (let i = 0; i < userHash.length; i++) {
+      hash = (hash * 31 + userHash.charCodeAt(i)) | 0;
+    }
+    return `hsl(${Math.abs(hash) % 360}, 70%, 45%)`;
   }
 
   function handlePathCreated(e) {
@@ -360,8 +634,12 @@ export function FabricCanvas(props) {
     if (path) {
       console.log('[FabricCanvas] Path created:', path);
       // Add metadata to the path
+      // Reuse the preview id so collaborators swap the ghost for the real path
+      const previewId = activePreview?.kind === 'stroke' ? activePreview.id : null;
+      endPreview(false);
+
       path.set({
-        id: `path_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: previewId || `path_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         objectType: activeTool() === 'eraser' ? 'eraser' : 'pen',
         userId: props.wsManager?.userHash,
         userName: props.wsManager?.userName || 'Anonymous'
@@ -382,7 +660,10 @@ export function FabricCanvas(props) {
 
     console.log('[FabricCanvas] Sending object added:', obj.type, obj.id);
     const serialized = serializeObject(obj);
-    sendThrottledUpdate({
+    obj.syncedState = serialized;
+    obj.propertyVersions = {};
+    // Not throttled: a later cursor or modify update would replace a pending add
+    props.wsManager.send({
       type: 'fabricObjectAdded',
       activityId: props.activity.id,
       object: serialized,
@@ -391,15 +672,39 @@ export function FabricCanvas(props) {
     });
   }
 
+  // Send only the properties that changed since the last synced state, with
+  // the version of each we last saw so the server can reject stale edits
   function sendObjectModified(obj) {
     if (!props.wsManager || !props.activity) return;
 
     const serialized = serializeObject(obj);
-    sendThrottledUpdate({
+    const synced = obj.syncedState || {};
+    const changes = {};
+    Object.keys(serialized).forEach(key => {
+      if (FIXED_PROPERTIES.includes(key)) return;
+      if (JSON.stringify(serialized[key]) !== JSON.stringify(synced[key])) {
+        changes[key] = serialized[key];
+      }
+    });
+    if (Object.keys(changes).length === 0) return;
+
+    // Optimistically assume each change is accepted; the server's reply
+    // confirms or corrects these
+    const versions = obj.propertyVersions || (obj.propertyVersions = {});
+    const baseVersions = {};
+    Object.keys(changes).forEach(key => {
+      baseVersions[key] = versions[key] || 0;
+      versions[key] = baseVersions[key] + 1;
+    });
+    obj.syncedState = serialized;
+
+    // Not throttled: dropping a diff would lose the change for good
+    props.wsManager.send({
       type: 'fabricObjectModified',
       activityId: props.activity.id,
       objectId: obj.id,
-      object: serialized,
+      object: changes,
+      baseVersions,
       userHash: props.wsManager.userHash
     });
   }
@@ -415,6 +720,80 @@ export function FabricCanvas(props) {
     });
   }
 
+  function startStrokePreview(pointer) {
+    activePreview = {
+      id: `path_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      kind: 'stroke',
+      started: false,
+      pendingPoints: [[Math.round(pointer.x), Math.round(pointer.y)]]
+    };
+    queuePreview();
+  }
+
+  // Previews have their own throttle so they don't displace cursor updates
+  function queuePreview() {
+    if (!activePreview) return;
+
+    const now = Date.now();
+    if (now - previewThrottle.lastSendTime >= previewThrottle.throttleMs) {
+      flushPreview();
+    } else if (!previewThrottle.timeoutId) {
+      const remainingTime = previewThrottle.throttleMs - (now - previewThrottle.lastSendTime);
+      previewThrottle.timeoutId = setTimeout(flushPreview, remainingTime);
+    }
+  }
+
+  function flushPreview() {
+    if (previewThrottle.timeoutId) {
+      clearTimeout(previewThrottle.timeoutId);
+      previewThrottle.timeoutId = null;
+    }
+    if (!activePreview || !props.wsManager || !props.activity) return;
+
+    const message = {
+      type: 'fabricPreview',
+      activityId: props.activity.id,
+      previewId: activePreview.id,
+      phase: activePreview.started ? 'update' : 'start'
+    };
+
+    if (activePreview.kind === 'shape') {
+      if (!currentShape) return;
+      message.object = serializeObject(currentShape);
+    } else {
+      // Strokes send only the points added since the last message
+      if (activePreview.started && activePreview.pendingPoints.length === 0) return;
+      message.points = activePreview.pendingPoints;
+      message.stroke = {
+        color: canvas()?.freeDrawingBrush?.color || brushColor(),
+        width: canvas()?.freeDrawingBrush?.width || brushSize()
+      };
+      activePreview.pendingPoints = [];
+    }
+
+    props.wsManager.send(message);
+    activePreview.started = true;
+    previewThrottle.lastSendTime = Date.now();
+  }
+
+  // Stop previewing. sendEnd clears the ghost when no final object follows.
+  function endPreview(sendEnd) {
+    if (previewThrottle.timeoutId) {
+      clearTimeout(previewThrottle.timeoutId);
+      previewThrottle.timeoutId = null;
+    }
+
+    if (sendEnd && activePreview?.started && props.wsManager && props.activity) {
+      props.wsManager.send({
+        type: 'fabricPreview',
+        activityId: props.activity.id,
+        previewId: activePreview.id,
+        phase: 'end'
+      });
+    }
+    activePreview = null;
+  }
+
   function sendCursorPosition(pointer) {
     if (!props.wsManager || !props.activity) return;
 
@@ -479,6 +858,10 @@ export function FabricCanvas(props) {
       stroke: obj.stroke,
       strokeWidth: obj.strokeWidth,
       radius: obj.radius,
+      rx: obj.rx,
+      ry: obj.ry,
+      points: obj.points,
+      src: obj.type === 'image' ? obj.getSrc() : undefined,
       x1: obj.x1,
       y1: obj.y1,
       x2: obj.x2,
@@ -508,6 +891,30 @@ export function FabricCanvas(props) {
       case 'triangle':
         obj = new fabric.Triangle(data);
         break;
+      case 'ellipse':
+        obj = new fabric.Ellipse(data);
+        break;
+      case 'polygon':
+        obj = new fabric.Polygon(data.points || [], data);
+        break;
+      case 'polyline':
+        obj = new fabric.Polyline(data.points || [], data);
+        break;
+      case 'image': {
+        const { src, ...options } = data;
+        const element = new Image();
+        element.crossOrigin = 'anonymous';
+        obj = new fabric.FabricImage(element, options);
+        // Stored images are served by the activity server
+        element.onload = () => {
+          obj.dirty = true;
+          obj.canvas?.requestRenderAll();
+        };
+        element.src = src?.startsWith('data:')
+          ? src
+          : `${config.apiUrl}${src}${accessToken ? `?token=${encodeURIComponent(accessToken)}` : ''}`;
+        break;
+      }
       case 'line':
         obj = new fabric.Line([data.x1, data.y1, data.x2, data.y2], data);
         break;
@@ -529,7 +936,10 @@ export function FabricCanvas(props) {
       obj.userId = data.userId;
       obj.userName = data.userName;
       obj.isRemote = true;
-      obj.selectable = canContribute();
+      obj.selectable = canContribute() && !objectLocks().has(data.id);
+      obj.evented = !objectLocks().has(data.id);
+      obj.propertyVersions = { ...(data.versions || {}) };
+      obj.syncedState = serializeObject(obj);
     }
 
     return obj;
@@ -538,6 +948,9 @@ export function FabricCanvas(props) {
   // Handle remote updates
   function handleRemoteObjectAdded(data) {
     console.log('[FabricCanvas] Received remote object:', data);
+    removeGhost(data.object?.id);
+    if (canvas()?.getObjects().some(o => o.id === data.object?.id)) return;
+
     const obj = deserializeObject(data.object);
     if (obj && canvas()) {
       obj.isRemote = true; // Mark as remote to prevent re-sending
@@ -551,11 +964,26 @@ export function FabricCanvas(props) {
     if (!canvas()) return;
 
     const obj = canvas().getObjects().find(o => o.id === data.objectId);
-    if (obj) {
-      obj.set(data.object);
-      obj.setCoords();
-      canvas().renderAll();
-    }
+    if (!obj) return;
+
+    // Skip properties we've changed locally since this version was assigned;
+    // our own pending edit will be accepted or corrected by the server
+    const versions = obj.propertyVersions || (obj.propertyVersions = {});
+    const updates = {};
+    Object.entries(data.object || {}).forEach(([key, value]) => {
+      const incoming = data.versions?.[key];
+      if (incoming === undefined) {
+        updates[key] = value;
+      } else if (data.corrective || incoming >= (versions[key] || 0)) {
+        updates[key] = value;
+        versions[key] = incoming;
+      }
+    });
+
+    obj.set(updates);
+    obj.setCoords();
+    obj.syncedState = { ...(obj.syncedState || serializeObject(obj)), ...updates };
+    canvas().renderAll();
   }
 
   function handleRemoteObjectRemoved(data) {
@@ -563,11 +991,79 @@ export function FabricCanvas(props) {
 
     const obj = canvas().getObjects().find(o => o.id === data.objectId);
     if (obj) {
+      obj.isRemote = true; // Prevent re-sending the removal
       canvas().remove(obj);
       canvas().renderAll();
     }
   }
 
+  // Remove many objects with a single render, e.g. a banned user's content
+  function handleRemoteObjectsRemoved(data) {
+    if (!canvas()) return;
+
+    const objectIds = new Set(data.objectIds || []);
+    const objects = canvas().getObjects().filter(o => objectIds.has(o.id));
+    if (objects.length === 0) return;
+
+    objects.forEach(obj => {
+      obj.isRemote = true; // Prevent re-sending the removals
+    });
+    canvas().remove(...objects);
+    canvas().renderAll();
+  }
+
+  function handleRemotePreview(data) {
+    if (!previewCanvas || !canvas()) return;
+
+    if (data.phase === 'end') {
+      removeGhost(data.previewId);
+      return;
+    }
+
+    const ghost = ghosts.get(data.previewId) || { points: [] };
+    clearTimeout(ghost.timeoutId);
+    if (ghost.object) {
+      previewCanvas.remove(ghost.object);
+    }
+
+    if (data.object) {
+      ghost.object = deserializeObject(data.object);
+    } else if (data.points) {
+      // Ghost strokes are drawn as polylines through the sampled points
+      ghost.points.push(...data.points.map(([x, y]) => ({ x, y })));
+      ghost.object = new fabric.Polyline(ghost.points, {
+        stroke: data.stroke?.color || '#000000',
+        strokeWidth: data.stroke?.width || 5,
+        fill: '',
+        strokeLineCap: 'round',
+        strokeLineJoin: 'round'
+      });
+    }
+
+    if (ghost.object) {
+      ghost.object.set({ opacity: 0.5, selectable: false, evented: false });
+      previewCanvas.add(ghost.object);
+    }
+
+    ghost.timeoutId = setTimeout(() => removeGhost(data.previewId), GHOST_TIMEOUT_MS);
+    ghosts.set(data.previewId, ghost);
+
+    previewCanvas.setViewportTransform([...canvas().viewportTransform]);
+    previewCanvas.requestRenderAll();
+  }
+
+  function removeGhost(previewId) {
+    const ghost = ghosts.get(previewId);
+    if (!ghost) return;
+
+    clearTimeout(ghost.timeoutId);
+    if (ghost.object) {
+      previewCanvas.remove(ghost.object);
+      previewCanvas.requestRenderAll();
+    }
+    ghosts.delete(previewId);
+  }
+
   function handleRemoteCursor(data) {
     setRemoteCursors(prev => {
       const next = new Map(prev);
@@ -594,11 +1090,146 @@ export function FabricCanvas(props) {
     }, 3000);
   }
 
+  function handleMouseWheel(opt) {
+    const e = opt.e;
+    e.preventDefault();
+    e.stopPropagation();
+    stopFollowing();
+
+    const fabricCanvas = canvas();
+    if (e.ctrlKey || e.metaKey) {
+      const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, fabricCanvas.getZoom() * 0.999 ** e.deltaY));
+      fabricCanvas.zoomToPoint(new fabric.Point(e.offsetX, e.offsetY), zoom);
+    } else {
+      fabricCanvas.relativePan(new fabric.Point(-e.deltaX, -e.deltaY));
+    }
+    handleViewportChanged();
+  }
+
+  function resetViewport() {
+    stopFollowing();
+    canvas()?.setViewportTransform([1, 0, 0, 1, 0, 0]);
+    handleViewportChanged();
+  }
+
+  // Keep overlays in step with the view and share it unless it was mirrored
+  // from someone else (sharing those could bounce between two followers)
+  function handleViewportChanged() {
+    const vpt = canvas().viewportTransform;
+    setViewportTransform([...vpt]);
+    previewCanvas.setViewportTransform([...vpt]);
+    previewCanvas.requestRenderAll();
+
+    if (!applyingRemoteViewport) {
+      queueViewport();
+    }
+  }
+
+  // The part of the canvas on screen, in canvas coordinates
+  function getVisibleArea() {
+    const vpt = canvas().viewportTransform;
+    const zoom = vpt[0];
+    return {
+      left: Math.round(-vpt[4] / zoom),
+      top: Math.round(-vpt[5] / zoom),
+      width: Math.max(1, Math.round(canvas().width / zoom)),
+      height: Math.max(1, Math.round(canvas().height / zoom))
+    };
+  }
+
+  function queueViewport() {
+    if (!props.wsManager || !props.activity || viewportThrottle.timeoutId) return;
+
+    const wait = Math.max(0, viewportThrottle.throttleMs - (Date.now() - viewportThrottle.lastSendTime));
+    viewportThrottle.timeoutId = setTimeout(sendViewport, wait);
+  }
+
+  function sendViewport() {
+    viewportThrottle.timeoutId = null;
+    viewportThrottle.lastSendTime = Date.now();
+    if (!canvas() || !props.wsManager || !props.activity) return;
+
+    props.wsManager.send({
+      type: 'fabricViewport',
+      activityId: props.activity.id,
+      ...getVisibleArea()
+    });
+  }
+
+  // Fit someone else's visible area into our canvas, centered
+  function applyRemoteViewport(area) {
+    const fabricCanvas = canvas();
+    if (!fabricCanvas) return;
+
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM,
+      Math.min(fabricCanvas.width / area.width, fabricCanvas.height / area.height)));
+    const centerX = area.left + area.width / 2;
+    const centerY = area.top + area.height / 2;
+
+    applyingRemoteViewport = true;
+    fabricCanvas.setViewportTransform([
+      zoom, 0, 0, zoom,
+      fabricCanvas.width / 2 - centerX * zoom,
+      fabricCanvas.height / 2 - centerY * zoom
+    ]);
+    handleViewportChanged();
+    applyingRemoteViewport = false;
+  }
+
+  function followParticipant(clientId) {
+    setFollowing(clientId);
+    const area = remoteViewports.get(clientId);
+    if (area) applyRemoteViewport(area);
+  }
+
+  function stopFollowing() {
+    if (following()) setFollowing(null);
+  }
+
+  const isPresenting = () => !!presenter() && presenter().clientId === props.wsManager?.clientId;
+
+  const canPresent = () => {
+    const userHash = props.wsManager?.userHash;
+    return props.activity?.ownerId === userHash ||
+      !!props.activity?.permissions?.moderators?.includes(userHash);
+  };
+
+  function togglePresenting() {
+    if (!props.wsManager || !props.activity) return;
+
+    props.wsManager.send({
+      type: isPresenting() ? 'stopPresenting' : 'startPresenting',
+      activityId: props.activity.id
+    });
+  }
+
+  const followedName = () => {
+    const clientId = following();
+    if (presenter()?.clientId === clientId) return presenter().userName;
+    return participants().get(clientId)?.username || 'participant';
+  };
+
+  // Participants we heard from before we knew they were here
+  function rememberParticipant(data) {
+    if (!data.clientId || participants().has(data.clientId)) return;
+
+    setParticipants(prev => {
+      const next = new Map(prev);
+      next.set(data.clientId, { username: data.userName, userHash: data.userHash });
+      return next;
+    });
+  }
+
   // Load canvas data
   function loadCanvasData(canvasData) {
     if (!canvas() || !canvasData) return;
 
+    // Replacing the canvas is not a user removal, so don't echo it to the server
+    canvas().getObjects().forEach(obj => {
+      obj.isRemote = true;
+    });
     canvas().clear();
+    canvas().backgroundColor = '#ffffff';
 
     if (canvasData.objects && Array.isArray(canvasData.objects)) {
       canvasData.objects.forEach(objData => {
@@ -612,6 +1243,54 @@ export function FabricCanvas(props) {
     canvas().renderAll();
   }
 
+  // Timelapse replay
+  function initializeReplayCanvas(element) {
+    if (!canvas()) return;
+
+    replayCanvas = new fabric.StaticCanvas(element, {
+      width: canvas().getWidth(),
+      height: canvas().getHeight(),
+      backgroundColor: '#ffffff',
+      enableRetinaScaling: true
+    });
+    replayCanvas.setViewportTransform([...canvas().viewportTransform]);
+    replayItems = [];
+  }
+
+  function renderReplayFrame(items) {
+    if (!replayCanvas) return;
+
+    // Playing forward only adds objects; anything else (scrubbing back,
+    // changing the filter) redraws the frame from scratch
+    const isExtension = items.length >= replayItems.length &&
+      replayItems.every((item, i) => items[i] === item);
+    if (!isExtension) {
+      replayCanvas.clear();
+      replayCanvas.backgroundColor = '#ffffff';
+      replayItems = [];
+    }
+
+    items.slice(replayItems.length).forEach(item => {
+      const obj = deserializeObject(item.data);
+      if (obj) {
+        obj.selectable = false;
+        replayCanvas.add(obj);
+      }
+    });
+
+    replayItems = items;
+    replayCanvas.renderAll();
+  }
+
+  function stopReplay() {
+    if (replayCanvas) {
+      replayCanvas.dispose();
+      replayCanvas = null;
+    }
+    replayItems = [];
+    setReplaying(false);
+  }
+
   // Export canvas data
   function exportCanvasData() {
     if (!canvas()) return null;
@@ -657,10 +1336,15 @@ export function FabricCanvas(props) {
 
     const cleanup1 = props.wsManager.on('activityJoined', (data) => {
       console.log('[FabricCanvas] Activity joined, loading canvas data');
+      accessToken = data.accessToken || null;
+      heldLocks.clear();
+      setObjectLocks(new Map());
+      applyObjectLocks(data.objectLocks || []);
       if (data.canvasData) {
         loadCanvasData(data.canvasData);
       }
       setCanvasReady(true);
+      queueViewport();
 
       if (data.activity) {
         const userHash = props.wsManager?.userHash;
@@ -676,24 +1360,29 @@ export function FabricCanvas(props) {
       }
     });
 
+    // Undo/redo results are echoed back to their author too
     const cleanup2 = props.wsManager.on('fabricObjectAdded', (data) => {
-      if (data.userHash !== props.wsManager?.userHash) {
+      if (data.userHash !== props.wsManager?.userHash || data.historyAction) {
         handleRemoteObjectAdded(data);
       }
     });
 
     const cleanup3 = props.wsManager.on('fabricObjectModified', (data) => {
-      if (data.userHash !== props.wsManager?.userHash) {
+      if (data.userHash !== props.wsManager?.userHash || data.historyAction) {
         handleRemoteObjectModified(data);
       }
     });
 
     const cleanup4 = props.wsManager.on('fabricObjectRemoved', (data) => {
-      if (data.userHash !== props.wsManager?.userHash) {
+      if (data.userHash !== props.wsManager?.userHash || data.historyAction) {
         handleRemoteObjectRemoved(data);
       }
     });
 
+    const cleanup22 = props.wsManager.on('fabricObjectsRemoved', (data) => {
+      handleRemoteObjectsRemoved(data);
+    });
+
     const cleanup5 = props.wsManager.on('fabricCursor', (data) => {
       if (data.userHash !== props.wsManager?.userHash) {
         handleRemoteCursor(data);
@@ -703,9 +1392,18 @@ export function FabricCanvas(props) {
     const cleanup6 = props.wsManager.on('participantJoined', (data) => {
       setParticipants(prev => {
         const next = new Map(prev);
-        next.set(data.clientId, { username: data.username });
+        next.set(data.clientId, { username: data.username, userHash: data.userHash });
         return next;
       });
+
+      // Newcomers only learn where we are (and who presents) from us
+      queueViewport();
+      if (isPresenting()) {
+        props.wsManager.send({
+          type: 'startPresenting',
+          activityId: props.activity.id
+        });
+      }
     });
 
     const cleanup7 = props.wsManager.on('participantLeft', (data) => {
@@ -714,6 +1412,10 @@ export function FabricCanvas(props) {
         next.delete(data.clientId);
         return next;
       });
+
+      remoteViewports.delete(data.clientId);
+      if (following() === data.clientId) setFollowing(null);
+      if (presenter()?.clientId === data.clientId) setPresenter(null);
     });
 
     const cleanup8 = props.wsManager.on('contributionStatus', (data) => {
@@ -733,6 +1435,12 @@ export function FabricCanvas(props) {
       } else if (data.status === 'already_approved') {
         setCanContribute(true);
         setRequestSent(false);
+      } else if (data.status === 'denied') {
+        setRequestSent(false);
+        alert('Your contribution request was declined.');
+      } else if (data.status === 'banned') {
+        setRequestSent(false);
+        alert('You have been banned from contributing to this canvas.');
       }
     });
 
@@ -750,6 +1458,106 @@ export function FabricCanvas(props) {
       }
     });
 
+    const cleanup11 = props.wsManager.on('fabricHistoryState', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setCanUndo(data.undoCount > 0);
+        setCanRedo(data.redoCount > 0);
+      }
+    });
+
+    const cleanup12 = props.wsManager.on('activityCanvasRestored', (data) => {
+      if (data.activityId === props.activity?.id) {
+        console.log(`[FabricCanvas] Canvas restored to version "${data.version?.name}"`);
+        loadCanvasData(data.canvasData);
+      }
+    });
+
+    const cleanup13 = props.wsManager.on('objectsLocked', (data) => {
+      if (data.activityId === props.activity?.id) {
+        applyObjectLocks(data.locks || []);
+      }
+    });
+
+    const cleanup14 = props.wsManager.on('objectsUnlocked', (data) => {
+      if (data.activityId === props.activity?.id) {
+        removeObjectLocks(data.objectIds || [], data.brokenBy);
+      }
+    });
+
+    const cleanup15 = props.wsManager.on('objectLocksDenied', (data) => {
+      if (data.activityId === props.activity?.id) {
+        (data.locks || []).forEach(lock => heldLocks.delete(lock.objectId));
+        applyObjectLocks(data.locks || []);
+        canvas()?.discardActiveObject();
+        canvas()?.requestRenderAll();
+      }
+    });
+
+    const cleanup16 = props.wsManager.on('fabricPreview', (data) => {
+      if (data.activityId === props.activity?.id) {
+        handleRemotePreview(data);
+      }
+    });
+
+    // Back after a dropped connection: our old locks were released, and the
+    // missed canvas changes are replayed as ordinary messages after this
+    const cleanup17 = props.wsManager.on('resumed', (data) => {
+      if (data.activityId === props.activity?.id) {
+        accessToken = data.accessToken || accessToken;
+        heldLocks.clear();
+        canvas()?.discardActiveObject();
+        removeObjectLocks(Array.from(objectLocks().keys()));
+        applyObjectLocks(data.objectLocks || []);
+
+        // Others saw us leave, so share the view and presentation again
+        queueViewport();
+        if (presenting) {
+          setPresenter(null);
+          props.wsManager.send({
+            type: 'startPresenting',
+            activityId: props.activity.id
+          });
+        }
+      }
+    });
+
+    const cleanup19 = props.wsManager.on('fabricViewport', (data) => {
+      if (data.activityId !== props.activity?.id) return;
+
+      rememberParticipant(data);
+      remoteViewports.set(data.clientId, data.viewport);
+      if (following() === data.clientId) {
+        applyRemoteViewport(data.viewport);
+      }
+    });
+
+    // Presenting is announced again for newcomers, so only follow a
+    // presenter once; stopping to follow them then sticks
+    const cleanup20 = props.wsManager.on('presentationStarted', (data) => {
+      if (data.activityId !== props.activity?.id || presenter()?.clientId === data.clientId) return;
+
+      setPresenter({ clientId: data.clientId, userHash: data.userHash, userName: data.userName });
+      presenting = data.clientId === props.wsManager.clientId;
+      if (!presenting) {
+        rememberParticipant(data);
+        followParticipant(data.clientId);
+      }
+    });
+
+    const cleanup21 = props.wsManager.on('presentationStopped', (data) => {
+      if (data.activityId !== props.activity?.id || presenter()?.clientId !== data.clientId) return;
+
+      setPresenter(null);
+      presenting = false;
+      if (following() === data.clientId) setFollowing(null);
+    });
+
+    // Drawing done while offline, waiting to be sent
+    const cleanup18 = props.wsManager.on('pendingOps', (count) => {
+      setPendingOps(count);
+    });
+    setPendingOps(props.wsManager.pendingOps || 0);
+
     onCleanup(() => {
       cleanup1();
       cleanup2();
@@ -761,12 +1569,25 @@ export function FabricCanvas(props) {
       cleanup8();
       cleanup9();
       cleanup10();
+      cleanup11();
+      cleanup12();
+      cleanup13();
+      cleanup14();
+      cleanup15();
+      cleanup16();
+      cleanup17();
+      cleanup18();
+      cleanup19();
+      cleanup20();
+      cleanup21();
+      cleanup22();
     });
   });
 
   // Tool handlers
   function handleToolChange(tool) {
     setActiveTool(tool);
+    setCommentMode(false);
 
     if (canvas()) {
       // Enable drawing mode for pen and eraser
@@ -793,6 +1614,18 @@ export function FabricCanvas(props) {
     }
   }
 
+  // Clicks place comment pins instead of drawing or selecting
+  function toggleCommentMode() {
+    const enable = !commentMode();
+    if (enable && canvas()) {
+      handleToolChange('select');
+      canvas().selection = false;
+    } else if (canvas()) {
+      canvas().selection = activeTool() === 'select';
+    }
+    setCommentMode(enable);
+  }
+
   function handleDelete() {
     if (!canvas() || !canContribute()) return;
 
@@ -814,6 +1647,7 @@ export function FabricCanvas(props) {
       const objects = canvas().getObjects();
       objects.forEach(obj => {
         sendObjectRemoved(obj);
+        obj.isRemote = true; // Already sent, skip the object:removed handler
       });
       canvas().clear();
       canvas().backgroundColor = '#ffffff';
@@ -821,14 +1655,167 @@ export function FabricCanvas(props) {
     }
   }
 
+  // Import an SVG (as native objects) or a PNG/JPEG (as an image object).
+  // point is where the file was dropped; otherwise it lands in the middle.
+  async function handleImport(file, point = null) {
+    if (!canvas() || !canContribute() || !file) return;
+
+    try {
+      if (file.type === 'image/svg+xml' || file.name?.toLowerCase().endsWith('.svg')) {
+        await importSvg(await file.text(), point);
+      } else if (file.type === 'image/png' || file.type === 'image/jpeg') {
+        await importBitmap(file, point);
+      } else {
+        alert('Only SVG, PNG and JPEG files can be imported');
+      }
+    } catch (error) {
+      console.error('[FabricCanvas] Import failed:', error);
+      alert('Could not import this file');
+    }
+  }
+
+  async function importSvg(svgText, point) {
+    const { objects } = await fabric.loadSVGFromString(svgText);
+    const imported = objects.filter(Boolean);
+    if (imported.length === 0) {
+      alert('This SVG has no shapes to import');
+      return;
+    }
+
+    // The canvas only syncs left/top-origin objects with plain color fills
+    imported.forEach(obj => {
+      const position = obj.translateToOriginPoint(obj.getCenterPoint(), 'left', 'top');
+      obj.set({ originX: 'left', originY: 'top', left: position.x, top: position.y });
+      ['fill', 'stroke'].forEach(key => {
+        if (obj[key] && typeof obj[key] !== 'string') {
+          obj.set(key, obj[key].colorStops?.[0]?.color || '#000000');
+        }
+      });
+      obj.setCoords();
+    });
+
+    const bounds = getObjectsBounds(imported);
+    const { scale, left, top } = getImportPlacement(bounds.width, bounds.height, point);
+
+    imported.forEach(obj => {
+      obj.set({
+        left: left + (obj.left - bounds.left) * scale,
+        top: top + (obj.top - bounds.top) * scale,
+        scaleX: (obj.scaleX || 1) * scale,
+        scaleY: (obj.scaleY || 1) * scale
+      });
+      addImportedObject(obj, 'svg');
+    });
+
+    canvas().renderAll();
+  }
+
+  async function importBitmap(file, point) {
+    const dataUrl = await readBitmap(file);
+    if (dataUrl.length * 3 / 4 > MAX_IMAGE_BYTES) {
+      alert(`Images must be smaller than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+      return;
+    }
+
+    const image = await fabric.FabricImage.fromURL(dataUrl);
+    const { scale, left, top } = getImportPlacement(image.width, image.height, point);
+    image.set({ left, top, scaleX: scale, scaleY: scale });
+    addImportedObject(image, 'image');
+    canvas().renderAll();
+  }
+
+  // Helper: Read a bitmap as a data URL, downscaling oversized images
+  function readBitmap(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(reader.error);
+      reader.onload = () => {
+        const img = new Image();
+        img.onerror = reject;
+        img.onload = () => {
+          const ratio = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(img.width, img.height));
+          if (ratio === 1) {
+            resolve(reader.result);
+            return;
+          }
+
+          const scaled = document.createElement('canvas');
+          scaled.width = Math.round(img.width * ratio);
+          scaled.height = Math.round(img.height * ratio);
+          scaled.getContext('2d').drawImage(img, 0, 0, scaled.width, scaled.height);
+          resolve(scaled.toDataURL(file.type, 0.9));
+        };
+        img.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Helper: Scale imports to fit comfortably in view, centered on the drop point
+  function getImportPlacement(width, height, point) {
+    const scale = Math.min(1, (canvas().getWidth() * 0.6) / width, (canvas().getHeight() * 0.6) / height);
+    const center = point || canvas().getVpCenter();
+    return {
+      scale,
+      left: center.x - (width * scale) / 2,
+      top: center.y - (height * scale) / 2
+    };
+  }
+
+  function getObjectsBounds(objects) {
+    const rects = objects.map(obj => obj.getBoundingRect());
+    const left = Math.min(...rects.map(r => r.left));
+    const top = Math.min(...rects.map(r => r.top));
+    return {
+      left,
+      top,
+      width: Math.max(...rects.map(r => r.left + r.width)) - left,
+      height: Math.max(...rects.map(r => r.top + r.height)) - top
+    };
+  }
+
+  function addImportedObject(obj, objectType) {
+    obj.set({
+      id: `${objectType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      objectType,
+      userId: props.wsManager?.userHash,
+      userName: props.wsManager?.userName || 'Anonymous'
+    });
+    obj.setCoords();
+
+    // Send explicitly; object:added skips paths, which SVGs are mostly made of
+    obj.isRemote = true;
+    canvas().add(obj);
+    obj.isRemote = false;
+    sendObjectAdded(obj);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    const file = e.dataTransfer?.files?.[0];
+    if (file && canvas()) {
+      handleImport(file, canvas().getScenePoint(e));
+    }
+  }
+
+  // Undo/redo stacks live on the server so they only revert our own
+  // operations and survive a page reload
   function handleUndo() {
-    // TODO: Implement undo/redo stack
-    console.log('Undo not yet implemented');
+    if (!props.wsManager || !props.activity || !canUndo()) return;
+
+    props.wsManager.send({
+      type: 'fabricUndo',
+      activityId: props.activity.id
+    });
   }
 
   function handleRedo() {
-    // TODO: Implement undo/redo stack
-    console.log('Redo not yet implemented');
+    if (!props.wsManager || !props.activity || !canRedo()) return;
+
+    props.wsManager.send({
+      type: 'fabricRedo',
+      activityId: props.activity.id
+    });
   }
 
   function handleBringForward() {
@@ -890,6 +1877,26 @@ export function FabricCanvas(props) {
       overflow: 'hidden',
       position: 'relative'
     },
+    viewBanner: {
+      display: 'flex',
+      'align-items': 'center',
+      gap: '8px',
+      background: 'rgba(31, 41, 55, 0.9)',
+      color: 'white',
+      'border-radius': '9999px',
+      padding: '6px 8px 6px 14px',
+      'font-size': '13px',
+      'white-space': 'nowrap'
+    },
+    viewBannerButton: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: 'none',
+      'border-radius': '9999px',
+      padding: '4px 10px',
+      'font-size': '12px',
+      cursor: 'pointer'
+    },
     closeButton: {
       padding: '10px',
       'border-radius': '50%',
@@ -930,9 +1937,62 @@ export function FabricCanvas(props) {
         </div>
 
         <div style={{ display: 'flex', 'align-items': 'center', gap: isMobile ? '8px' : '12px' }}>
+          {/* Offline changes not yet sent */}
+          <Show when={pendingOps() > 0}>
+            <span
+              title="Changes made while offline will be sent when the connection is back"
+              style={{
+                padding: '6px 10px',
+                'border-radius': '9999px',
+                background: 'rgba(245, 158, 11, 0.9)',
+                color: 'white',
+                'font-size': '12px',
+                'font-weight': '600',
+                'white-space': 'nowrap'
+              }}
+            >
+              ⏳ {pendingOps()} pending
+            </span>
+          </Show>
+
+          {/* Timelapse Button */}
+          <button
+            onClick={() => replaying() ? stopReplay() : setReplaying(true)}
+            title="Timelapse replay"
+            style={{
+              padding: '10px',
+              'border-radius': '50%',
+              background: replaying() ? 'rgba(59, 130, 246, 0.8)' : 'rgba(55, 65, 81, 0.5)',
+              color: 'white',
+              border: 'none',
+              cursor: 'pointer'
+            }}
+          >
+            🎬
+          </button>
+
+          {/* Comments Button */}
+          <button
+            onClick={toggleCommentMode}
+            title={commentMode() ? 'Stop placing comments' : 'Add a comment'}
+            style={{
+              padding: '10px',
+              'border-radius': '50%',
+              background: commentMode() ? 'rgba(59, 130, 246, 0.8)' : 'rgba(55, 65, 81, 0.5)',
+              color: 'white',
+              border: 'none',
+              cursor: 'pointer'
+            }}
+          >
+            📌
+          </button>
+
           {/* Participants Button */}
           <button
-            onClick={() => setShowParticipants(!showParticipants())}
+            onClick={() => {
+              setShowParticipants(!showParticipants());
+              setShowMembers(false);
+            }}
             style={{
               padding: '10px',
               'border-radius': '50%',
@@ -963,6 +2023,25 @@ export function FabricCanvas(props) {
             </span>
           </button>
 
+          {/* Members Button */}
+          <button
+            onClick={() => {
+              setShowMembers(!showMembers());
+              setShowParticipants(false);
+            }}
+            title="Members and roles"
+            style={{
+              padding: '10px',
+              'border-radius': '50%',
+              background: showMembers() ? 'rgba(59, 130, 246, 0.8)' : 'rgba(55, 65, 81, 0.5)',
+              color: 'white',
+              border: 'none',
+              cursor: 'pointer'
+            }}
+          >
+            🛡️
+          </button>
+
           {/* Close Button */}
           <button
             onClick={props.onClose}
@@ -982,15 +2061,145 @@ export function FabricCanvas(props) {
       {/* Main Content */}
       <div style={styles.mainContent}>
         {/* Canvas Container */}
-        <div ref={canvasContainerRef} style={styles.canvasContainer}>
+        <div
+          ref={canvasContainerRef}
+          style={styles.canvasContainer}
+          onDragOver={(e) => {
+            if (canContribute()) e.preventDefault();
+          }}
+          onDrop={handleDrop}
+        >
           <canvas ref={canvasElement} />
 
+          {/* Live previews of what others are drawing */}
+          <div style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            'pointer-events': 'none',
+            'z-index': 400
+          }}>
+            <canvas ref={previewElement} />
+          </div>
+
+          {/* Timelapse Replay */}
+          <Show when={replaying()}>
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              'z-index': 500
+            }}>
+              <canvas ref={initializeReplayCanvas} />
+            </div>
+            <TimelapseControls
+              activity={props.activity}
+              wsManager={props.wsManager}
+              kind="object"
+              onFrame={renderReplayFrame}
+              onClose={stopReplay}
+              isMobile={isMobile}
+            />
+          </Show>
+
+          {/* Follow mode and zoom */}
+          <div style={{
+            position: 'absolute',
+            top: '12px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            display: 'flex',
+            gap: '8px',
+            'z-index': 950
+          }}>
+            <Show when={following()}>
+              <div style={styles.viewBanner}>
+                👁️ Following {followedName()}
+                <button onClick={stopFollowing} style={styles.viewBannerButton}>Stop</button>
+              </div>
+            </Show>
+            <Show when={isPresenting()}>
+              <div style={styles.viewBanner}>
+                📣 Everyone is following your view
+                <button onClick={togglePresenting} style={styles.viewBannerButton}>Stop</button>
+              </div>
+            </Show>
+            <Show when={viewportTransform().some((value, i) => value !== [1, 0, 0, 1, 0, 0][i])}>
+              <div style={styles.viewBanner}>
+                {Math.round(viewportTransform()[0] * 100)}%
+                <button onClick={resetViewport} style={styles.viewBannerButton}>Reset view</button>
+              </div>
+            </Show>
+          </div>
+
+          {/* Review comments */}
+          <Show when={canvas()}>
+            <CommentLayer
+              canvas={canvas()}
+              activity={props.activity}
+              wsManager={props.wsManager}
+              commentMode={commentMode()}
+              onExitCommentMode={() => commentMode() && toggleCommentMode()}
+            />
+          </Show>
+
+          {/* Objects locked by other participants */}
+          <For each={lockOutlines()}>
+            {(outline) => (
+              <div style={{
+                position: 'absolute',
+                left: `${outline.left}px`,
+                top: `${outline.top}px`,
+                width: `${outline.width}px`,
+                height: `${outline.height}px`,
+                border: `2px dashed ${outline.color}`,
+                'pointer-events': 'none',
+                'z-index': 900
+              }}>
+                <div style={{
+                  position: 'absolute',
+                  bottom: '100%',
+                  left: '-2px',
+                  display: 'flex',
+                  'align-items': 'center',
+                  gap: '4px',
+                  background: outline.color,
+                  color: 'white',
+                  padding: '2px 6px',
+                  'border-radius': '4px 4px 0 0',
+                  'font-size': '12px',
+                  'white-space': 'nowrap'
+                }}>
+                  🔒 {outline.lock.userName}
+                  <Show when={canBreakLocks()}>
+                    <button
+                      onClick={() => breakObjectLock(outline.lock.objectId)}
+                      title="Unlock"
+                      style={{
+                        background: 'rgba(255, 255, 255, 0.25)',
+                        color: 'white',
+                        border: 'none',
+                        'border-radius': '3px',
+                        padding: '0 4px',
+                        'font-size': '11px',
+                        cursor: 'pointer',
+                        'pointer-events': 'auto'
+                      }}
+                    >
+                      Unlock
+                    </button>
+                  </Show>
+                </div>
+              </div>
+            )}
+          </For>
+
           {/* Remote Cursors */}
           {Array.from(remoteCursors()).map(([userHash, cursor]) => (
             <div style={{
               position: 'absolute',
-              left: `${cursor.x}px`,
-              top: `${cursor.y}px`,
+              left: `${cursor.x * viewportTransform()[0] + viewportTransform()[4]}px`,
+              top: `${cursor.y * viewportTransform()[3] + viewportTransform()[5]}px`,
               'pointer-events': 'none',
               'z-index': 1000,
               transform: 'translate(-50%, -50%)'
@@ -1095,9 +2304,12 @@ export function FabricCanvas(props) {
             onClear={handleClear}
             onUndo={handleUndo}
             onRedo={handleRedo}
+            canUndo={canUndo()}
+            canRedo={canRedo()}
             onBringForward={handleBringForward}
             onSendBackward={handleSendBackward}
             onToggleLayers={() => setShowLayers(!showLayers())}
+            onImport={handleImport}
             isMobile={isMobile}
           />
         </Show>
@@ -1183,6 +2395,11 @@ export function FabricCanvas(props) {
                     </button>
                     <button
                       onClick={() => {
+                        props.wsManager.send({
+                          type: 'denyContributor',
+                          activityId: props.activity.id,
+                          userHash: request.userHash
+                        });
                         setContributionRequests(prev =>
                           prev.filter(r => r.userHash !== request.userHash)
                         );
@@ -1198,6 +2415,30 @@ export function FabricCanvas(props) {
                     >
                       Decline
                     </button>
+                    <button
+                      onClick={() => {
+                        if (!confirm('Ban this user? Their drawings will be removed and they will not be able to open this canvas.')) return;
+                        props.wsManager.send({
+                          type: 'banUser',
+                          activityId: props.activity.id,
+                          userHash: request.userHash
+                        });
+                        setContributionRequests(prev =>
+                          prev.filter(r => r.userHash !== request.userHash)
+                        );
+                      }}
+                      title="Ban from this canvas"
+                      style={{
+                        padding: '4px 12px',
+                        background: 'rgba(55, 65, 81, 1)',
+                        color: 'white',
+                        'border-radius': '4px',
+                        border: 'none',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Ban
+                    </button>
                   </div>
                 </div>
               ))}
@@ -1206,6 +2447,18 @@ export function FabricCanvas(props) {
         </Show>
       </div>
 
+      {/* Chat */}
+      <ChatPanel activity={props.activity} wsManager={props.wsManager} />
+
+      {/* Members Panel */}
+      <Show when={showMembers()}>
+        <MembersPanel
+          activity={props.activity}
+          wsManager={props.wsManager}
+          onClose={() => setShowMembers(false)}
+        />
+      </Show>
+
       {/* Participants Sidebar */}
       <Show when={showParticipants()}>
         <div style={{
@@ -1255,7 +2508,9 @@ export function FabricCanvas(props) {
               border: '1px solid rgba(59, 130, 246, 0.4)',
               'border-radius': '8px',
               padding: '12px',
-              color: 'white'
+              color: 'white',
+              display: 'flex',
+              'align-items': 'center'
             }}>
               <span>You</span>
               {props.wsManager?.userHash === props.activity?.ownerId && (
@@ -1270,6 +2525,25 @@ export function FabricCanvas(props) {
                   Owner
                 </span>
               )}
+              <Show when={canPresent()}>
+                <button
+                  onClick={togglePresenting}
+                  title={isPresenting() ? 'Let everyone look around again' : 'Ask everyone to follow your view'}
+                  style={{
+                    'margin-left': 'auto',
+                    background: isPresenting() ? 'rgba(239, 68, 68, 0.8)' : 'rgba(55, 65, 81, 1)',
+                    color: 'white',
+                    border: '1px solid rgba(148, 163, 184, 0.2)',
+                    'border-radius': '6px',
+                    padding: '4px 8px',
+                    'font-size': '12px',
+                    cursor: 'pointer',
+                    'white-space': 'nowrap'
+                  }}
+                >
+                  {isPresenting() ? 'Stop presenting' : '📣 Present'}
+                </button>
+              </Show>
             </div>
             {/* Other Participants */}
             {Array.from(participants()).map(([id, participant]) => (
@@ -1277,9 +2551,32 @@ export function FabricCanvas(props) {
                 background: 'rgba(55, 65, 81, 0.5)',
                 'border-radius': '8px',
                 padding: '12px',
-                color: 'white'
+                color: 'white',
+                display: 'flex',
+                'align-items': 'center',
+                gap: '8px'
               }}>
-                {participant.username}
+                <span>{participant.username}</span>
+                <Show when={presenter()?.clientId === id}>
+                  <span style={{ 'font-size': '12px', color: 'rgba(156, 163, 175, 1)' }}>📣 Presenting</span>
+                </Show>
+                <button
+                  onClick={() => following() === id ? stopFollowing() : followParticipant(id)}
+                  title={following() === id ? 'Stop following' : `Follow ${participant.username}'s view`}
+                  style={{
+                    'margin-left': 'auto',
+                    background: following() === id ? 'rgba(59, 130, 246, 0.8)' : 'rgba(55, 65, 81, 1)',
+                    color: 'white',
+                    border: '1px solid rgba(148, 163, 184, 0.2)',
+                    'border-radius': '6px',
+                    padding: '4px 8px',
+                    'font-size': '12px',
+                    cursor: 'pointer',
+                    'white-space': 'nowrap'
+                  }}
+                >
+                  {following() === id ? 'Following' : 'Follow'}
+                </button>
               </div>
             ))}
           </div>
@@ -0,0 +1,256 @@
+import { createSignal, onMount, onCleanup, For, Show } from 'solid-js';
+
+export function MembersPanel(props) {
+  const [members, setMembers] = createSignal(null);
+
+  const userHash = () => props.wsManager?.userHash;
+  const isOwner = () => props.activity?.ownerId === userHash();
+  const isModerator = () => !!props.activity?.permissions?.moderators?.includes(userHash());
+
+  function loadMembers() {
+    props.wsManager.send({
+      type: 'getActivityMembers',
+      activityId: props.activity.id
+    });
+  }
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('activityMembers', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setMembers(data);
+      }
+    });
+
+    // Any role change or transfer means the lists are stale
+    const reload = (data) => {
+      if (data.activityId === props.activity?.id) {
+        loadMembers();
+      }
+    };
+    const cleanup2 = props.wsManager.on('activityMembersChanged', reload);
+    const cleanup3 = props.wsManager.on('activityOwnerChanged', reload);
+    const cleanup4 = props.wsManager.on('ownershipTransferPending', reload);
+    const cleanup5 = props.wsManager.on('ownershipTransferCancelled', reload);
+
+    loadMembers();
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+      cleanup3();
+      cleanup4();
+      cleanup5();
+    });
+  });
+
+  function send(type, member) {
+    props.wsManager.send({
+      type,
+      activityId: props.activity.id,
+      ...(member ? { userHash: member.userHash } : {})
+    });
+  }
+
+  function transferTo(member) {
+    if (confirm(`Offer ownership of this canvas to ${displayName(member)}? You will stay on as a moderator once they accept.`)) {
+      send('transferOwnership', member);
+    }
+  }
+
+  function ban(member) {
+    if (confirm(`Ban ${displayName(member)}? Their drawings will be removed and they will not be able to open this canvas.`)) {
+      send('banUser', member);
+    }
+  }
+
+  function displayName(member) {
+    if (member.userHash === userHash()) return 'You';
+    return member.name || `User ${member.userHash.slice(-6)}`;
+  }
+
+  const styles = {
+    panel: {
+      position: 'fixed',
+      right: '16px',
+      top: '80px',
+      width: '320px',
+      'max-height': '70vh',
+      background: 'rgba(31, 41, 55, 0.95)',
+      'backdrop-filter': 'blur(10px)',
+      'border-radius': '12px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.1)',
+      display: 'flex',
+      'flex-direction': 'column',
+      'z-index': 100
+    },
+    header: {
+      padding: '16px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)',
+      display: 'flex',
+      'justify-content': 'space-between',
+      'align-items': 'center'
+    },
+    title: {
+      color: 'white',
+      'font-weight': '600',
+      'font-size': '16px',
+      margin: 0
+    },
+    closeButton: {
+      background: 'transparent',
+      border: 'none',
+      color: 'rgba(209, 213, 219, 1)',
+      cursor: 'pointer',
+      'font-size': '20px',
+      padding: '4px 8px'
+    },
+    body: {
+      flex: 1,
+      'overflow-y': 'auto',
+      padding: '8px 16px 16px'
+    },
+    sectionTitle: {
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '12px',
+      'font-weight': '600',
+      'text-transform': 'uppercase',
+      margin: '12px 0 6px'
+    },
+    member: {
+      background: 'rgba(55, 65, 81, 0.5)',
+      'border-radius': '8px',
+      padding: '10px 12px',
+      'margin-bottom': '6px',
+      display: 'flex',
+      'align-items': 'center',
+      gap: '8px',
+      color: 'white',
+      'font-size': '14px'
+    },
+    name: {
+      flex: 1,
+      overflow: 'hidden',
+      'text-overflow': 'ellipsis',
+      'white-space': 'nowrap'
+    },
+    smallButton: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: '1px solid rgba(148, 163, 184, 0.2)',
+      'border-radius': '6px',
+      padding: '4px 8px',
+      'font-size': '12px',
+      cursor: 'pointer',
+      'white-space': 'nowrap'
+    },
+    offer: {
+      background: 'rgba(59, 130, 246, 0.2)',
+      border: '1px solid rgba(59, 130, 246, 0.4)',
+      'border-radius': '8px',
+      padding: '12px',
+      color: 'white',
+      'font-size': '13px',
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px',
+      'margin-top': '8px'
+    },
+    emptyState: {
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '13px',
+      padding: '4px 0'
+    }
+  };
+
+  const MemberList = (listProps) => (
+    <>
+      <div style={styles.sectionTitle}>{listProps.title}</div>
+      <Show when={listProps.members.length > 0} fallback={<div style={styles.emptyState}>None</div>}>
+        <For each={listProps.members}>
+          {(member) => (
+            <div style={styles.member}>
+              <span style={styles.name} title={member.userHash}>{displayName(member)}</span>
+              {listProps.actions?.(member)}
+            </div>
+          )}
+        </For>
+      </Show>
+    </>
+  );
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🛡️ Members</h3>
+        <button onClick={props.onClose} style={styles.closeButton}>
+          ✕
+        </button>
+      </div>
+
+      <div style={styles.body}>
+        <Show when={members()} fallback={<div style={styles.emptyState}>Loading members...</div>}>
+          <Show when={members().ownershipOffer}>
+            {(offer) => (
+              <div style={styles.offer}>
+                <Show
+                  when={offer().to === userHash()}
+                  fallback={<span>Waiting for {offer().toName || `User ${offer().to.slice(-6)}`} to accept ownership.</span>}
+                >
+                  <span>You have been offered ownership of this canvas.</span>
+                  <button onClick={() => send('acceptOwnershipTransfer')} style={styles.smallButton}>
+                    Accept ownership
+                  </button>
+                </Show>
+                <button onClick={() => send('cancelOwnershipTransfer')} style={styles.smallButton}>
+                  {offer().to === userHash() ? 'Decline' : 'Cancel transfer'}
+                </button>
+              </div>
+            )}
+          </Show>
+
+          <MemberList title="Owner" members={[members().owner]} />
+
+          <MemberList
+            title="Moderators"
+            members={members().moderators}
+            actions={(member) => isOwner() && (
+              <>
+                <button onClick={() => transferTo(member)} style={styles.smallButton}>Make owner</button>
+                <button onClick={() => send('removeModerator', member)} style={styles.smallButton}>Remove</button>
+                <button onClick={() => ban(member)} style={styles.smallButton}>Ban</button>
+              </>
+            )}
+          />
+
+          <MemberList
+            title="Contributors"
+            members={members().contributors}
+            actions={(member) => (
+              <>
+                <Show when={isOwner()}>
+                  <button onClick={() => transferTo(member)} style={styles.smallButton}>Make owner</button>
+                  <button onClick={() => send('addModerator', member)} style={styles.smallButton}>Make moderator</button>
+                </Show>
+                <Show when={isOwner() || isModerator()}>
+                  <button onClick={() => ban(member)} style={styles.smallButton}>Ban</button>
+                </Show>
+              </>
+            )}
+          />
+
+          <Show when={members().banned.length > 0}>
+            <MemberList
+              title="Banned"
+              members={members().banned}
+              actions={(member) => (
+                <button onClick={() => send('unbanUser', member)} style={styles.smallButton}>Unban</button>
+              )}
+            />
+          </Show>
+        </Show>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import { createSignal, onMount, onCleanup, For } from 'solid-js';
+
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: '🌍 Public', hint: 'Shown on the map and in the canvas list' },
+  { value: 'unlisted', label: '🔗 Unlisted', hint: 'Anyone with the link can open it' },
+  { value: 'private', label: '🔒 Private', hint: 'Only people you invite can open it' }
+];
+
+export function SharingPanel(props) {
+  const [visibility, setVisibility] = createSignal(props.activity?.visibility || 'public');
+  const [invites, setInvites] = createSignal([]);
+  const [loading, setLoading] = createSignal(true);
+  const [role, setRole] = createSignal('viewer');
+  const [expiresInHours, setExpiresInHours] = createSignal('');
+  const [maxUses, setMaxUses] = createSignal('');
+  const [copiedId, setCopiedId] = createSignal(null);
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('activityInvites', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setInvites(data.invites || []);
+        setLoading(false);
+      }
+    });
+
+    const cleanup2 = props.wsManager.on('activityInviteCreated', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setInvites(prev => [data.invite, ...prev]);
+      }
+    });
+
+    const cleanup3 = props.wsManager.on('activityInviteRevoked', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setInvites(prev => prev.filter(invite => invite.id !== data.inviteId));
+      }
+    });
+
+    const cleanup4 = props.wsManager.on('activityVisibilityChanged', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setVisibility(data.visibility);
+      }
+    });
+
+    props.wsManager.send({
+      type: 'getActivityInvites',
+      activityId: props.activity.id
+    });
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+      cleanup3();
+      cleanup4();
+    });
+  });
+
+  function changeVisibility(value) {
+    if (!props.wsManager || !props.activity || value === visibility()) return;
+
+    if (value === 'private' && !confirm('Make this canvas private? People without an invite will be removed from it.')) {
+      return;
+    }
+
+    props.wsManager.send({
+      type: 'setActivityVisibility',
+      activityId: props.activity.id,
+      visibility: value
+    });
+  }
+
+  function createInvite(e) {
+    e.preventDefault();
+    if (!props.wsManager || !props.activity) return;
+
+    props.wsManager.send({
+      type: 'createActivityInvite',
+      activityId: props.activity.id,
+      role: role(),
+      ...(expiresInHours() ? { expiresInHours: parseInt(expiresInHours()) } : {}),
+      ...(maxUses() ? { maxUses: parseInt(maxUses()) } : {})
+    });
+  }
+
+  function revokeInvite(invite) {
+    if (!props.wsManager || !props.activity) return;
+
+    if (confirm('Revoke this invite link? It will stop working for anyone who has not used it yet.')) {
+      props.wsManager.send({
+        type: 'revokeActivityInvite',
+        activityId: props.activity.id,
+        inviteId: invite.id
+      });
+    }
+  }
+
+  function inviteLink(invite) {
+    return `${window.location.origin}/canvas/${props.activity.id}?invite=${encodeURIComponent(invite.token)}`;
+  }
+
+  async function copyLink(invite) {
+    try {
+      await navigator.clipboard.writeText(inviteLink(invite));
+      setCopiedId(invite.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      prompt('Copy this invite link:', inviteLink(invite));
+    }
+  }
+
+  function describeInvite(invite) {
+    const parts = [invite.role === 'contributor' ? 'Can draw' : 'Can view'];
+    parts.push(invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`);
+    if (invite.expiresAt) {
+      parts.push(`expires ${new Date(invite.expiresAt).toLocaleString()}`);
+    }
+    return parts.join(' · ');
+  }
+
+  const styles = {
+    panel: {
+      width: '280px',
+      background: 'rgba(31, 41, 55, 0.95)',
+      'backdrop-filter': 'blur(10px)',
+      'border-radius': '12px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.1)',
+      display: 'flex',
+      'flex-direction': 'column',
+      'max-height': '60vh'
+    },
+    header: {
+      padding: '16px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)',
+      display: 'flex',
+      'justify-content': 'space-between',
+      'align-items': 'center'
+    },
+    title: {
+      color: 'white',
+      'font-weight': '600',
+      'font-size': '16px',
+      margin: 0
+    },
+    closeButton: {
+      background: 'transparent',
+      border: 'none',
+      color: 'rgba(209, 213, 219, 1)',
+      cursor: 'pointer',
+      'font-size': '20px',
+      padding: '4px 8px'
+    },
+    section: {
+      padding: '12px 16px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)',
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px'
+    },
+    option: {
+      display: 'flex',
+      'align-items': 'flex-start',
+      gap: '8px',
+      color: 'white',
+      'font-size': '13px',
+      cursor: 'pointer'
+    },
+    hint: {
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '12px'
+    },
+    row: {
+      display: 'flex',
+      gap: '8px'
+    },
+    input: {
+      flex: 1,
+      'min-width': 0,
+      background: 'rgba(55, 65, 81, 0.5)',
+      border: '1px solid rgba(75, 85, 99, 1)',
+      'border-radius': '6px',
+      color: 'white',
+      padding: '6px 10px',
+      'font-size': '13px'
+    },
+    createButton: {
+      background: '#3B82F6',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px 12px',
+      'font-size': '13px',
+      'font-weight': '500',
+      cursor: 'pointer'
+    },
+    inviteList: {
+      flex: 1,
+      'overflow-y': 'auto',
+      padding: '8px'
+    },
+    inviteItem: {
+      background: 'rgba(55, 65, 81, 0.5)',
+      'border-radius': '8px',
+      padding: '12px',
+      'margin-bottom': '8px',
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px'
+    },
+    smallButton: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: '1px solid rgba(148, 163, 184, 0.2)',
+      'border-radius': '6px',
+      padding: '6px 10px',
+      'font-size': '12px',
+      cursor: 'pointer'
+    },
+    emptyState: {
+      padding: '32px',
+      'text-align': 'center',
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '14px'
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🔗 Sharing</h3>
+        <button onClick={props.onClose} style={styles.closeButton}>
+          ✕
+        </button>
+      </div>
+
+      <div style={styles.section}>
+        <For each={VISIBILITY_OPTIONS}>
+          {(option) => (
+            <label style={styles.option}>
+              <input
+                type="radio"
+                name="visibility"
+                checked={visibility() === option.value}
+                onChange={() => changeVisibility(option.value)}
+              />
+              <span>
+                {option.label}
+                <div style={styles.hint}>{option.hint}</div>
+              </span>
+            </label>
+          )}
+        </For>
+      </div>
+
+      <form onSubmit={createInvite} style={styles.section}>
+        <div style={styles.row}>
+          <select value={role()} onChange={(e) => setRole(e.target.value)} style={styles.input}>
+            <option value="viewer">Can view</option>
+            <option value="contributor">Can draw</option>
+          </select>
+          <select value={expiresInHours()} onChange={(e) => setExpiresInHours(e.target.value)} style={styles.input}>
+            <option value="">Never expires</option>
+            <option value="1">1 hour</option>
+            <option value="24">1 day</option>
+            <option value="168">1 week</option>
+            <option value="720">30 days</option>
+          </select>
+        </div>
+        <div style={styles.row}>
+          <input
+            type="number"
+            min="1"
+            max="10000"
+            value={maxUses()}
+            onInput={(e) => setMaxUses(e.target.value)}
+            placeholder="Unlimited uses"
+            style={styles.input}
+          />
+          <button type="submit" style={styles.createButton}>
+            Create link
+          </button>
+        </div>
+      </form>
+
+      <div style={styles.inviteList}>
+        {loading() ? (
+          <div style={styles.emptyState}>Loading invites...</div>
+        ) : invites().length === 0 ? (
+          <div style={styles.emptyState}>No invite links yet</div>
+        ) : (
+          <For each={invites()}>
+            {(invite) => (
+              <div style={styles.inviteItem}>
+                <div style={styles.hint}>{describeInvite(invite)}</div>
+                <div style={styles.row}>
+                  <button onClick={() => copyLink(invite)} style={{ ...styles.smallButton, flex: 1 }}>
+                    {copiedId() === invite.id ? '✓ Copied' : 'Copy link'}
+                  </button>
+                  <button onClick={() => revokeInvite(invite)} style={styles.smallButton}>
+                    Revoke
+                  </button>
+                </div>
+              </div>
+            )}
+          </For>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,278 @@
+import { createSignal, createEffect, createMemo, onMount, onCleanup, untrack, For, Show } from 'solid-js';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+const TICK_MS = 100;
+
+// Plays an activity back in the order it was drawn. The history is streamed
+// from the server in chunks; the host canvas renders whatever onFrame receives.
+export function TimelapseControls(props) {
+  const [items, setItems] = createSignal([]);
+  const [total, setTotal] = createSignal(0);
+  const [loaded, setLoaded] = createSignal(false);
+  const [contributors, setContributors] = createSignal([]);
+  const [hiddenContributors, setHiddenContributors] = createSignal(new Set());
+  const [position, setPosition] = createSignal(0);
+  const [playing, setPlaying] = createSignal(false);
+  const [speed, setSpeed] = createSignal(1);
+  const [showFilter, setShowFilter] = createSignal(false);
+
+  const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let playInterval = null;
+
+  const filteredItems = createMemo(() => {
+    const hidden = hiddenContributors();
+    if (hidden.size === 0) return items();
+    return items().filter(item => !hidden.has(item.userHash || 'unknown'));
+  });
+
+  const visibleCount = () => Math.min(Math.floor(position()), filteredItems().length);
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('activityHistoryStart', (data) => {
+      if (data.requestId !== requestId) return;
+      setTotal(data.total);
+      setContributors(data.contributors || []);
+    });
+
+    const cleanup2 = props.wsManager.on('activityHistoryChunk', (data) => {
+      if (data.requestId !== requestId) return;
+      setItems(prev => [...prev, ...data.items]);
+      if (data.done) {
+        setLoaded(true);
+      }
+    });
+
+    props.wsManager.send({
+      type: 'requestActivityHistory',
+      activityId: props.activity.id,
+      kind: props.kind,
+      requestId
+    });
+
+    // Start playing as soon as the first chunk arrives
+    setPlaying(true);
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+      stopTimer();
+    });
+  });
+
+  createEffect(() => {
+    if (playing()) {
+      startTimer();
+    } else {
+      stopTimer();
+    }
+  });
+
+  createEffect(() => {
+    const frame = filteredItems().slice(0, visibleCount());
+    // The host may read its own signals while rendering; don't subscribe to them
+    untrack(() => props.onFrame?.(frame));
+  });
+
+  function startTimer() {
+    if (playInterval) return;
+
+    playInterval = setInterval(() => {
+      const count = filteredItems().length;
+      // Large canvases play back in roughly the same time as small ones
+      const step = speed() * Math.max(1, count / 200);
+      const next = position() + step;
+
+      if (next >= count) {
+        setPosition(count);
+        // Wait for more chunks rather than stopping mid-stream
+        if (loaded()) {
+          setPlaying(false);
+        }
+      } else {
+        setPosition(next);
+      }
+    }, TICK_MS);
+  }
+
+  function stopTimer() {
+    if (playInterval) {
+      clearInterval(playInterval);
+      playInterval = null;
+    }
+  }
+
+  function togglePlay() {
+    // Replay from the start once the end is reached
+    if (!playing() && loaded() && visibleCount() >= filteredItems().length) {
+      setPosition(0);
+    }
+    setPlaying(!playing());
+  }
+
+  function handleScrub(e) {
+    setPosition(parseInt(e.target.value, 10));
+  }
+
+  function toggleContributor(key) {
+    setHiddenContributors(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+    setPosition(0);
+  }
+
+  function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  }
+
+  const currentItem = () => filteredItems()[visibleCount() - 1];
+
+  const styles = {
+    bar: {
+      position: 'absolute',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: props.isMobile ? 'calc(100% - 32px)' : '560px',
+      background: 'rgba(31, 41, 55, 0.95)',
+      'backdrop-filter': 'blur(10px)',
+      'border-radius': '12px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.1)',
+      padding: '12px 16px',
+      color: 'white',
+      'z-index': 1100,
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '8px'
+    },
+    row: {
+      display: 'flex',
+      'align-items': 'center',
+      gap: '12px'
+    },
+    button: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px 10px',
+      'font-size': '14px',
+      cursor: 'pointer'
+    },
+    slider: {
+      flex: 1,
+      cursor: 'pointer'
+    },
+    select: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px',
+      'font-size': '13px'
+    },
+    meta: {
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '12px',
+      display: 'flex',
+      'justify-content': 'space-between'
+    },
+    filterList: {
+      display: 'flex',
+      'flex-wrap': 'wrap',
+      gap: '8px',
+      'max-height': '96px',
+      'overflow-y': 'auto'
+    },
+    filterItem: {
+      display: 'flex',
+      'align-items': 'center',
+      gap: '4px',
+      'font-size': '13px',
+      background: 'rgba(55, 65, 81, 0.5)',
+      'border-radius': '9999px',
+      padding: '4px 10px',
+      cursor: 'pointer'
+    }
+  };
+
+  return (
+    <div style={styles.bar}>
+      <div style={styles.row}>
+        <button onClick={togglePlay} style={styles.button} title={playing() ? 'Pause' : 'Play'}>
+          {playing() ? '⏸' : '▶️'}
+        </button>
+
+        <input
+          type="range"
+          min="0"
+          max={filteredItems().length}
+          value={visibleCount()}
+          onInput={handleScrub}
+          style={styles.slider}
+        />
+
+        <select
+          value={speed()}
+          onChange={(e) => setSpeed(parseFloat(e.target.value))}
+          style={styles.select}
+          title="Playback speed"
+        >
+          <For each={SPEEDS}>
+            {(value) => <option value={value}>{value}x</option>}
+          </For>
+        </select>
+
+        <button
+          onClick={() => setShowFilter(!showFilter())}
+          style={{
+            ...styles.button,
+            background: hiddenContributors().size > 0 ? '#3B82F6' : styles.button.background
+          }}
+          title="Filter contributors"
+        >
+          👥
+        </button>
+
+        <button onClick={props.onClose} style={styles.button} title="Exit replay">
+          ✕
+        </button>
+      </div>
+
+      <div style={styles.meta}>
+        <span>
+          {visibleCount()} / {filteredItems().length}
+          {!loaded() ? ` (loading ${items().length} of ${total()})` : ''}
+        </span>
+        <span>{formatTime(currentItem()?.timestamp)}</span>
+      </div>
+
+      <Show when={showFilter()}>
+        <div style={styles.filterList}>
+          <For each={contributors()}>
+            {(contributor) => {
+              const key = contributor.userHash || 'unknown';
+              return (
+                <label style={styles.filterItem}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenContributors().has(key)}
+                    onChange={() => toggleContributor(key)}
+                  />
+                  <span>{contributor.userName || 'Anonymous'} ({contributor.count})</span>
+                </label>
+              );
+            }}
+          </For>
+        </div>
+      </Show>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { createSignal, onMount, onCleanup, For } from 'solid-js';
+
+export function VersionHistoryPanel(props) {
+  const [versions, setVersions] = createSignal([]);
+  const [versionName, setVersionName] = createSignal('');
+  const [loading, setLoading] = createSignal(true);
+
+  onMount(() => {
+    if (!props.wsManager || !props.activity) return;
+
+    const cleanup1 = props.wsManager.on('activityVersions', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setVersions(data.versions || []);
+        setLoading(false);
+      }
+    });
+
+    const cleanup2 = props.wsManager.on('activityVersionSaved', (data) => {
+      if (data.activityId === props.activity?.id) {
+        setVersions(prev => [data.version, ...prev]);
+      }
+    });
+
+    props.wsManager.send({
+      type: 'getActivityVersions',
+      activityId: props.activity.id
+    });
+
+    onCleanup(() => {
+      cleanup1();
+      cleanup2();
+    });
+  });
+
+  function saveVersion(e) {
+    e.preventDefault();
+    if (!props.wsManager || !props.activity) return;
+
+    props.wsManager.send({
+      type: 'saveActivityVersion',
+      activityId: props.activity.id,
+      name: versionName().trim()
+    });
+    setVersionName('');
+  }
+
+  function restoreVersion(version) {
+    if (!props.wsManager || !props.activity) return;
+
+    if (confirm(`Restore "${version.name}"? Everyone in this activity will see the restored canvas.`)) {
+      props.wsManager.send({
+        type: 'restoreActivityVersion',
+        activityId: props.activity.id,
+        versionId: version.id
+      });
+    }
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  const styles = {
+    panel: {
+      width: '280px',
+      background: 'rgba(31, 41, 55, 0.95)',
+      'backdrop-filter': 'blur(10px)',
+      'border-radius': '12px',
+      'box-shadow': '0 20px 25px -5px rgba(0, 0, 0, 0.1)',
+      display: 'flex',
+      'flex-direction': 'column',
+      'max-height': '60vh'
+    },
+    header: {
+      padding: '16px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)',
+      display: 'flex',
+      'justify-content': 'space-between',
+      'align-items': 'center'
+    },
+    title: {
+      color: 'white',
+      'font-weight': '600',
+      'font-size': '16px',
+      margin: 0
+    },
+    closeButton: {
+      background: 'transparent',
+      border: 'none',
+      color: 'rgba(209, 213, 219, 1)',
+      cursor: 'pointer',
+      'font-size': '20px',
+      padding: '4px 8px'
+    },
+    form: {
+      display: 'flex',
+      gap: '8px',
+      padding: '12px 16px',
+      'border-bottom': '1px solid rgba(75, 85, 99, 1)'
+    },
+    input: {
+      flex: 1,
+      'min-width': 0,
+      background: 'rgba(55, 65, 81, 0.5)',
+      border: '1px solid rgba(75, 85, 99, 1)',
+      'border-radius': '6px',
+      color: 'white',
+      padding: '6px 10px',
+      'font-size': '13px'
+    },
+    saveButton: {
+      background: '#3B82F6',
+      color: 'white',
+      border: 'none',
+      'border-radius': '6px',
+      padding: '6px 12px',
+      'font-size': '13px',
+      'font-weight': '500',
+      cursor: 'pointer'
+    },
+    versionList: {
+      flex: 1,
+      'overflow-y': 'auto',
+      padding: '8px'
+    },
+    versionItem: {
+      background: 'rgba(55, 65, 81, 0.5)',
+      'border-radius': '8px',
+      padding: '12px',
+      'margin-bottom': '8px',
+      display: 'flex',
+      'align-items': 'center',
+      gap: '12px'
+    },
+    versionInfo: {
+      flex: 1,
+      display: 'flex',
+      'flex-direction': 'column',
+      gap: '4px',
+      'min-width': 0
+    },
+    versionName: {
+      color: 'white',
+      'font-weight': '500',
+      'font-size': '14px',
+      overflow: 'hidden',
+      'text-overflow': 'ellipsis',
+      'white-space': 'nowrap'
+    },
+    versionMeta: {
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '12px'
+    },
+    restoreButton: {
+      background: 'rgba(55, 65, 81, 1)',
+      color: 'white',
+      border: '1px solid rgba(148, 163, 184, 0.2)',
+      'border-radius': '6px',
+      padding: '6px 10px',
+      'font-size': '12px',
+      cursor: 'pointer'
+    },
+    emptyState: {
+      padding: '32px',
+      'text-align': 'center',
+      color: 'rgba(156, 163, 175, 1)',
+      'font-size': '14px'
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🕘 Version History</h3>
+        <button onClick={props.onClose} style={styles.closeButton}>
+          ✕
+        </button>
+      </div>
+
+      <form onSubmit={saveVersion} style={styles.form}>
+        <input
+          type="text"
+          value={versionName()}
+          onInput={(e) => setVersionName(e.target.value)}
+          placeholder="Version name"
+          maxLength={100}
+          style={styles.input}
+        />
+        <button type="submit" style={styles.saveButton}>
+          Save
+        </button>
+      </form>
+
+      <div style={styles.versionList}>
+        {loading() ? (
+          <div style={styles.emptyState}>Loading versions...</div>
+        ) : versions().length === 0 ? (
+          <div style={styles.emptyState}>No versions saved yet</div>
+        ) : (
+          <For each={versions()}>
+            {(version) => (
+              <div style={styles.versionItem}>
+                <div style={styles.versionInfo}>
+                  <div style={styles.versionName} title={version.name}>
+                    {version.auto ? '⏱️ ' : '📌 '}{version.name}
+                  </div>
+                  <div style={styles.versionMeta}>
+                    {formatDate(version.createdAt)}
+                  </div>
+                  <div style={styles.versionMeta}>
+                    {version.pathCount + version.objectCount} items
+                    {version.createdByName ? ` · by ${version.createdByName}` : ''}
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => restoreVersion(version)}
+                  style={styles.restoreButton}
+                  title="Restore this version"
+                >
+                  Restore
+                </button>
+              </div>
+            )}
+          </For>
+        )}
+      </div>
+    </div>
+  );
+}
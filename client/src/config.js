@@ -15,4 +15,6 @@ const getWebSocketUrl = () => {
 export const config = {
   // WebSocket URL based on environment
   wsUrl: getWebSocketUrl(),
+  // REST endpoints (exports, thumbnails) live on the same server
+  apiUrl: getWebSocketUrl().replace(/^ws/, 'http'),
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+// Drawing operations made while disconnected, kept in IndexedDB so they
+// survive a reload and can be sent once the connection is back. Falls back to
+// memory when IndexedDB isn't available (private browsing, old browsers).
+const DB_NAME = 'drawing-outbox';
+const STORE_NAME = 'operations';
+const MAX_AGE_MS = 24 * 60 * 60 * 1000; // The server forgets idempotency keys after a day
+
+export class Outbox {
+  constructor() {
+    this.dbPromise = null;
+    this.memory = []; // Used when IndexedDB can't be opened
+    this.nextMemoryId = 1;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('Failed to open outbox, keeping it in memory:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run one request in a transaction and resolve with its result
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async add(activityId, message) {
+    const entry = {
+      activityId,
+      idempotencyKey: message.idempotencyKey,
+      message,
+      createdAt: Date.now()
+    };
+
+    if (!(await this.open())) {
+      this.memory.push({ ...entry, id: this.nextMemoryId++ });
+      return;
+    }
+    await this.request('readwrite', store => store.add(entry));
+  }
+
+  // Entries for an activity in the order they were made, optionally only
+  // those after an entry id. Expired entries are dropped along the way.
+  async getEntries(activityId, afterId = 0) {
+    const cutoff = Date.now() - MAX_AGE_MS;
+    const entries = (await this.open())
+      ? await this.request('readonly', store => store.getAll(IDBKeyRange.lowerBound(afterId, true)))
+      : this.memory.filter(entry => entry.id > afterId);
+
+    const expired = entries.filter(entry => entry.createdAt < cutoff);
+    for (const entry of expired) {
+      await this.remove(entry.idempotencyKey);
+    }
+
+    return entries.filter(entry => entry.activityId === activityId && entry.createdAt >= cutoff);
+  }
+
+  // Drop an entry once the server has acknowledged it
+  async remove(idempotencyKey) {
+    if (!(await this.open())) {
+      this.memory = this.memory.filter(entry => entry.idempotencyKey !== idempotencyKey);
+      return;
+    }
+
+    await this.request('readwrite', store => {
+      const index = store.index('idempotencyKey');
+      const request = index.getKey(idempotencyKey);
+      request.onsuccess = () => {
+        if (request.result !== undefined) {
+          store.delete(request.result);
+        }
+      };
+      return request;
+    });
+  }
+
+  async count() {
+    if (!(await this.open())) return this.memory.length;
+    return this.request('readonly', store => store.count());
+  }
+}
@@ -1,3 +1,24 @@
+import { Outbox } from './outbox.js';
+
+// Drawing operations kept while offline and replayed once reconnected
+const OUTBOX_TYPES = new Set(['activityDraw', 'fabricObjectAdded', 'fabricObjectModified', 'fabricObjectRemoved']);
+
+// Offline operations are replayed a batch at a time, waiting for each batch to
+// be acknowledged so the replay stays well inside the server's rate limits
+const FLUSH_BATCH_SIZE = 20;
+const FLUSH_ACK_TIMEOUT_MS = 5000;
+const MAX_FLUSH_STALLS = 3; // Unacknowledged batches before waiting for the next connection
+
+// Replies that report an activity's sequence rather than being numbered broadcasts
+const SEQUENCE_MARKERS = new Set(['activityJoined', 'resumed']);
+
+function createIdempotencyKey() {
+  if (globalThis.crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 export class WebSocketManager {
   constructor(url, getAuthToken) {
     this.url = url;
@@ -10,6 +31,18 @@ export class WebSocketManager {
     this.pingInterval = null;
     this.latency = 0;
     this.userId = null;
+    this.resumeToken = null;
+    this.activitySession = null; // { activityId, lastSeq } of the joined activity
+    this.pendingResume = null; // { activityId, lastSeq, buffer } while resuming
+    this.reconnecting = false;
+    this.outbox = new Outbox();
+    this.outboxWrites = Promise.resolve(); // Flushes wait for queued writes to land
+    this.pendingOps = 0;
+    this.flushing = false;
+    this.unackedOps = new Set(); // Idempotency keys replayed but not yet acknowledged
+    this.ackWaiter = null; // Resolves the flush waiting for its batch to be acknowledged
+    this.rejoinAfterFlush = null; // Activity to reload once its replayed ops are applied
+    this.refreshPendingOps();
   }
 
   connect() {
@@ -72,6 +105,10 @@ export class WebSocketManager {
       });
       this.emit('disconnected');
       this.stopPing();
+      // Anything unacknowledged stays in the outbox for the next connection
+      this.unackedOps.clear();
+      this.ackWaiter?.();
+      this.rejoinAfterFlush = null;
       
       // Only reconnect if it was not a clean close
       if (!event.wasClean && event.code !== 1000) {
@@ -82,9 +119,12 @@ export class WebSocketManager {
   
   handleMessage(data) {
     console.log('[WS] Received message:', data.type, data);
+
+    // Numbered activity broadcasts are held back while a resume is in flight
+    if (data.seq !== undefined && !SEQUENCE_MARKERS.has(data.type) && this.trackSequence(data)) return;
     
     switch (data.type) {
-      case 'welcome':
+      case 'welcome': {
         this.clientId = data.clientId;
         this.userId = data.userId; // Real user ID from auth
         this.userHash = data.userHash; // Legacy support
@@ -92,7 +132,38 @@ export class WebSocketManager {
         if (!this.getAuthToken?.() && data.userHash) {
           localStorage.setItem('userHash', data.userHash);
         }
+        // Re-sent welcomes after authentication carry no token
+        const previousToken = this.resumeToken;
+        if (data.resumeToken) {
+          this.resumeToken = data.resumeToken;
+        }
         this.emit('welcome', data);
+
+        // A reconnect: pick the activity back up where we left it
+        if (this.reconnecting) {
+          this.reconnecting = false;
+          if (this.activitySession) {
+            this.resume(previousToken);
+          }
+        }
+        break;
+      }
+
+      case 'activityJoined':
+        this.activitySession = { activityId: data.activityId, lastSeq: data.seq || 0 };
+        this.emit('activityJoined', data);
+        this.flushResumeBuffer(data.activityId, data.seq || 0);
+        // The canvas just loaded without our offline ops; reload once they're in
+        this.flushOutbox(data.activityId, true);
+        break;
+
+      case 'resumed':
+        this.handleResumed(data);
+        this.flushOutbox(data.activityId, false);
+        break;
+
+      case 'operationAcked':
+        this.handleOperationAcked(data);
         break;
       
       case 'init':
@@ -150,10 +221,188 @@ export class WebSocketManager {
   }
   
   send(data) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (data.type === 'leaveActivity') {
+      this.activitySession = null;
+    }
+    // Hold drawing operations until the activity is back and earlier ones are sent
+    if (OUTBOX_TYPES.has(data.type) && (!this.isOpen() || this.reconnecting || this.pendingResume || this.flushing)) {
+      this.queueOperation(data);
+      return;
+    }
+    if (this.isOpen()) {
       this.ws.send(JSON.stringify(data));
     }
   }
+
+  isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  queueOperation(data) {
+    const activityId = this.activitySession?.activityId;
+    if (!activityId) return; // Not in an activity, so nowhere to replay it
+
+    const message = { ...data, idempotencyKey: createIdempotencyKey() };
+    this.setPendingOps(this.pendingOps + 1);
+    this.outboxWrites = this.outboxWrites
+      .then(() => this.outbox.add(activityId, message))
+      .catch(error => console.error('Failed to queue offline operation:', error));
+  }
+
+  // Send queued operations for an activity in the order they were made. The
+  // server skips any it already applied, so resending after a drop is safe.
+  async flushOutbox(activityId, rejoin) {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    let sent = 0;
+    let stalls = 0;
+    try {
+      while (this.isOpen()) {
+        await this.outboxWrites;
+        // Acknowledged operations leave the outbox, so this resends any the
+        // server dropped along with the next ones
+        const entries = (await this.outbox.getEntries(activityId)).slice(0, FLUSH_BATCH_SIZE);
+        if (entries.length === 0) break;
+
+        entries.forEach(entry => {
+          this.unackedOps.add(entry.idempotencyKey);
+          this.ws.send(JSON.stringify(entry.message));
+        });
+        sent += entries.length;
+
+        if (!await this.waitForAcks(FLUSH_ACK_TIMEOUT_MS) && ++stalls >= MAX_FLUSH_STALLS) {
+          // Keep the rest for the next connection, but still reload the canvas
+          console.warn(`[WS] Offline operations for activity ${activityId} are not being acknowledged`);
+          this.unackedOps.clear();
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to flush offline operations:', error);
+    } finally {
+      this.flushing = false;
+    }
+
+    if (sent > 0) {
+      console.log(`[WS] Replayed ${sent} offline operations to activity ${activityId}`);
+      if (rejoin) {
+        this.rejoinAfterFlush = activityId;
+        this.rejoinIfFlushed();
+      }
+    }
+    this.refreshPendingOps();
+  }
+
+  async handleOperationAcked(data) {
+    try {
+      await this.outbox.remove(data.idempotencyKey);
+    } catch (error) {
+      console.error('Failed to remove acknowledged operation:', error);
+    }
+    // Only once it has left the outbox, so the next batch doesn't resend it
+    this.unackedOps.delete(data.idempotencyKey);
+    if (this.unackedOps.size === 0) {
+      this.ackWaiter?.();
+    }
+    this.refreshPendingOps();
+    this.rejoinIfFlushed();
+  }
+
+  // Resolves true once every replayed operation is acknowledged, or false on timeout
+  waitForAcks(timeoutMs) {
+    if (this.unackedOps.size === 0) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.ackWaiter = null;
+        resolve(false);
+      }, timeoutMs);
+      this.ackWaiter = () => {
+        clearTimeout(timer);
+        this.ackWaiter = null;
+        resolve(true);
+      };
+    });
+  }
+
+  rejoinIfFlushed() {
+    if (!this.rejoinAfterFlush || this.flushing || this.unackedOps.size > 0) return;
+
+    const activityId = this.rejoinAfterFlush;
+    this.rejoinAfterFlush = null;
+    if (this.activitySession?.activityId === activityId) {
+      this.send({ type: 'joinActivity', activityId });
+    }
+  }
+
+  refreshPendingOps() {
+    this.outboxWrites
+      .then(() => this.outbox.count())
+      .then(count => this.setPendingOps(count))
+      .catch(error => console.error('Failed to count offline operations:', error));
+  }
+
+  setPendingOps(count) {
+    if (count === this.pendingOps) return;
+    this.pendingOps = count;
+    this.emit('pendingOps', count);
+  }
+
+  // Ask the server to restore our activity and replay what we missed. Without
+  // a usable token the server sends the whole activity again instead.
+  resume(previousToken) {
+    const { activityId, lastSeq } = this.activitySession;
+    console.log(`[WS] Resuming activity ${activityId} after seq ${lastSeq}`);
+
+    this.pendingResume = { activityId, lastSeq, buffer: [] };
+    this.send({ type: 'resume', resumeToken: previousToken, activityId, lastSeq });
+  }
+
+  // Record the latest sequence seen. Returns true if the message was buffered.
+  trackSequence(data) {
+    if (this.pendingResume && this.pendingResume.activityId === data.activityId) {
+      this.pendingResume.buffer.push(data);
+      return true;
+    }
+
+    if (this.activitySession && this.activitySession.activityId === data.activityId) {
+      this.activitySession.lastSeq = Math.max(this.activitySession.lastSeq, data.seq);
+    }
+    return false;
+  }
+
+  // Play the replay and anything that arrived live meanwhile, in order, once each
+  handleResumed(data) {
+    const resume = this.pendingResume;
+    this.pendingResume = null;
+    if (!resume || resume.activityId !== data.activityId) return;
+
+    this.activitySession = { activityId: data.activityId, lastSeq: resume.lastSeq };
+    this.emit('resumed', data);
+    this.replayInOrder([...(data.messages || []), ...resume.buffer], resume.lastSeq);
+  }
+
+  // The server fell back to a full reload; keep only what's newer than it
+  flushResumeBuffer(activityId, seq) {
+    if (!this.pendingResume || this.pendingResume.activityId !== activityId) return;
+
+    const { buffer } = this.pendingResume;
+    this.pendingResume = null;
+    this.replayInOrder(buffer, seq);
+  }
+
+  replayInOrder(messages, afterSeq) {
+    const seen = new Set();
+    messages
+      .filter(message => message.seq > afterSeq)
+      .sort((a, b) => a.seq - b.seq)
+      .forEach(message => {
+        if (seen.has(message.seq)) return;
+        seen.add(message.seq);
+        this.handleMessage(message);
+      });
+  }
   
   joinRoom(roomId, username) {
     this.send({ type: 'join', room: roomId, username: username });
@@ -196,6 +445,7 @@ export class WebSocketManager {
   attemptReconnect() {
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
+      this.reconnecting = true;
       console.log(`Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
       
       setTimeout(() => {
@@ -1,10 +1,13 @@
 import { createSignal, onMount, Show } from 'solid-js';
-import { useParams, useNavigate } from '@solidjs/router';
+import { useParams, useNavigate, useSearchParams } from '@solidjs/router';
 import { ActivityCanvas } from '../components/ActivityCanvas';
 
+const ACCESS_ERRORS = ['PRIVATE_ACTIVITY', 'BANNED_FROM_ACTIVITY', 'INVALID_INVITE', 'INVITE_EXPIRED', 'INVITE_USED_UP'];
+
 export function CanvasPage(props) {
   const params = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [activity, setActivity] = createSignal(null);
   const [loading, setLoading] = createSignal(true);
   const [error, setError] = createSignal(null);
@@ -40,16 +43,26 @@ export function CanvasPage(props) {
         }
       });
 
-      // Request to join the activity
+      // Private canvases and bad invite links are refused with an error
+      const cleanup3 = props.wsManager().on('error', (data) => {
+        if (data.activityId === activityId && ACCESS_ERRORS.includes(data.code)) {
+          setError(data.message);
+          setLoading(false);
+        }
+      });
+
+      // Request to join the activity, with the invite from the link if any
       props.wsManager().send({
         type: 'joinActivity',
-        activityId: activityId
+        activityId: activityId,
+        ...(searchParams.invite ? { inviteToken: searchParams.invite } : {})
       });
 
       // Cleanup listeners
       return () => {
         cleanup();
         cleanup2();
+        cleanup3();
       };
     } else {
       setError('WebSocket not connected');
@@ -0,0 +1,89 @@
+// Recent activity broadcasts, numbered per activity so clients that reconnect
+// can be sent exactly what they missed
+export class ActivityBroadcastLog {
+  constructor(redis) {
+    this.redis = redis;
+    this.logKeyPrefix = 'activity:broadcasts:';
+    this.seqKeyPrefix = 'activity:seq:';
+    this.maxEntries = 1000; // Longer gaps fall back to a full reload
+    this.ttlSeconds = 24 * 60 * 60; // Idle activities drop their log
+  }
+
+  get enabled() {
+    return !!this.redis;
+  }
+
+  // Number a broadcast and store it. Returns the sequence number, or null if
+  // it couldn't be stored (the broadcast still goes out, just unnumbered).
+  async append(activityId, message, excludeId = null) {
+    if (!this.redis) return null;
+
+    try {
+      const seq = await this.redis.incr(this.getSeqKey(activityId));
+      const logKey = this.getLogKey(activityId);
+
+      await this.redis.multi()
+        .zAdd(logKey, { score: seq, value: JSON.stringify({ seq, excludeId, message }) })
+        .zRemRangeByRank(logKey, 0, -(this.maxEntries + 1))
+        .expire(logKey, this.ttlSeconds)
+        .exec();
+
+      return seq;
+    } catch (error) {
+      console.error('Failed to log activity broadcast:', error);
+      return null;
+    }
+  }
+
+  async getLatestSeq(activityId) {
+    if (!this.redis) return 0;
+
+    try {
+      return parseInt(await this.redis.get(this.getSeqKey(activityId)), 10) || 0;
+    } catch (error) {
+      console.error('Failed to load activity sequence:', error);
+      return 0;
+    }
+  }
+
+  // Get the broadcasts after a sequence number. complete is false when some
+  // of them are no longer stored and the client has to reload instead.
+  async getSince(activityId, seq) {
+    if (!this.redis) return { entries: [], latestSeq: 0, complete: false };
+
+    try {
+      const [latestSeq, raw] = await Promise.all([
+        this.getLatestSeq(activityId),
+        this.redis.zRangeByScore(this.getLogKey(activityId), `(${seq}`, '+inf')
+      ]);
+      const entries = raw.map(entry => JSON.parse(entry));
+
+      return {
+        entries,
+        latestSeq,
+        complete: seq <= latestSeq && entries.length === latestSeq - seq
+      };
+    } catch (error) {
+      console.error('Failed to load activity broadcasts:', error);
+      return { entries: [], latestSeq: 0, complete: false };
+    }
+  }
+
+  async deleteLog(activityId) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.del([this.getLogKey(activityId), this.getSeqKey(activityId)]);
+    } catch (error) {
+      console.error('Failed to delete activity broadcast log:', error);
+    }
+  }
+
+  getLogKey(activityId) {
+    return `${this.logKeyPrefix}${activityId}`;
+  }
+
+  getSeqKey(activityId) {
+    return `${this.seqKeyPrefix}${activityId}`;
+  }
+}
@@ -0,0 +1,121 @@
+// Chat messages of activities: a capped list of message IDs per activity, in
+// order, and a hash of the messages by ID
+export class ActivityChatManager {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'activity:';
+    this.maxMessages = 200; // Older messages are dropped
+    this.pageSize = 50;
+  }
+
+  async addMessage(activityId, { userHash, userName, text, mentions = [] }) {
+    if (!this.redis) return null;
+
+    try {
+      const message = {
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        activityId,
+        userHash,
+        userName: userName || 'Anonymous',
+        text,
+        mentions: [...new Set(mentions)].filter(hash => hash !== userHash),
+        createdAt: Date.now()
+      };
+
+      const listKey = this.getListKey(activityId);
+      const [, , dropped] = await this.redis.multi()
+        .hSet(this.getMessagesKey(activityId), message.id, JSON.stringify(message))
+        .rPush(listKey, message.id)
+        .lRange(listKey, 0, -(this.maxMessages + 1))
+        .lTrim(listKey, -this.maxMessages, -1)
+        .exec();
+
+      if (dropped.length > 0) {
+        await this.redis.hDel(this.getMessagesKey(activityId), dropped);
+      }
+
+      return message;
+    } catch (error) {
+      console.error('Failed to save chat message:', error);
+      return null;
+    }
+  }
+
+  // A page of messages, oldest first, ending just before the message with
+  // ID before (or at the newest message). The page is empty if before is no
+  // longer kept.
+  async getMessages(activityId, before = null) {
+    if (!this.redis) return { messages: [], hasMore: false };
+
+    try {
+      const listKey = this.getListKey(activityId);
+      const end = before
+        ? await this.redis.lPos(listKey, before)
+        : await this.redis.lLen(listKey);
+      if (end === null) return { messages: [], hasMore: false };
+
+      const start = Math.max(0, end - this.pageSize);
+      if (end === start) return { messages: [], hasMore: false };
+
+      const messageIds = await this.redis.lRange(listKey, start, end - 1);
+      const entries = await this.redis.hmGet(this.getMessagesKey(activityId), messageIds);
+      const messages = entries.filter(Boolean).map(entry => JSON.parse(entry));
+
+      return { messages, hasMore: start > 0 };
+    } catch (error) {
+      console.error('Failed to load chat messages:', error);
+      return { messages: [], hasMore: false };
+    }
+  }
+
+  async getMessage(activityId, messageId) {
+    if (!this.redis) return null;
+
+    try {
+      const entry = await this.redis.hGet(this.getMessagesKey(activityId), messageId);
+      return entry ? JSON.parse(entry) : null;
+    } catch (error) {
+      console.error('Failed to load chat message:', error);
+      return null;
+    }
+  }
+
+  // Remove a message. Returns it, or null if it wasn't found.
+  async deleteMessage(activityId, messageId) {
+    if (!this.redis) return null;
+
+    try {
+      const entry = await this.redis.hGet(this.getMessagesKey(activityId), messageId);
+      if (!entry) return null;
+
+      const [, removed] = await this.redis.multi()
+        .lRem(this.getListKey(activityId), 1, messageId)
+        .hDel(this.getMessagesKey(activityId), messageId)
+        .exec();
+      return removed > 0 ? JSON.parse(entry) : null;
+    } catch (error) {
+      console.error('Failed to delete chat message:', error);
+      return null;
+    }
+  }
+
+  async deleteHistory(activityId) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.del([this.getListKey(activityId), this.getMessagesKey(activityId)]);
+    } catch (error) {
+      console.error('Failed to delete chat history:', error);
+    }
+  }
+
+  // Helper: Redis key for the IDs of an activity's chat messages, oldest first
+  getListKey(activityId) {
+    return `${this.keyPrefix}chat:${activityId}`;
+  }
+
+  // Helper: Redis key for an activity's chat messages by ID
+  getMessagesKey(activityId) {
+    return `${this.keyPrefix}chat-messages:${activityId}`;
+  }
+}
@@ -0,0 +1,206 @@
+import { WatchError } from 'redis';
+
+// Review comment threads pinned to a point or an object of an activity
+// canvas. They live next to the canvas data, so exports never include them.
+// Thread metadata is one hash field per thread; replies are appended to a
+// list per thread, so concurrent replies never overwrite each other.
+export class ActivityCommentManager {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'activity:';
+    this.maxThreads = 500;
+    this.maxReplies = 200;
+  }
+
+  async createThread(activityId, { x, y, objectId = null, text, userHash, userName }) {
+    if (!this.redis) return null;
+
+    try {
+      if (await this.redis.hLen(this.getThreadsKey(activityId)) >= this.maxThreads) return null;
+
+      const now = Date.now();
+      const thread = {
+        id: this.createId(),
+        activityId,
+        anchor: { x, y, objectId }, // x, y is where the object was when it's gone
+        status: 'open',
+        createdBy: userHash,
+        createdByName: userName || 'Anonymous',
+        createdAt: now,
+        updatedAt: now,
+        resolvedBy: null
+      };
+      const comment = this.createComment(text, userHash, userName);
+
+      await this.redis.multi()
+        .hSet(this.getThreadsKey(activityId), thread.id, JSON.stringify(thread))
+        .rPush(this.getRepliesKey(activityId, thread.id), JSON.stringify(comment))
+        .exec();
+
+      return { ...thread, comments: [comment] };
+    } catch (error) {
+      console.error('Failed to create comment thread:', error);
+      return null;
+    }
+  }
+
+  // Every thread with its comments, oldest first
+  async getThreads(activityId) {
+    if (!this.redis) return [];
+
+    try {
+      const stored = await this.redis.hGetAll(this.getThreadsKey(activityId));
+      const threads = Object.values(stored).map(value => JSON.parse(value));
+      if (threads.length === 0) return [];
+
+      const multi = this.redis.multi();
+      threads.forEach(thread => multi.lRange(this.getRepliesKey(activityId, thread.id), 0, -1));
+      const replies = await multi.exec();
+
+      return threads
+        .map((thread, i) => ({ ...thread, comments: replies[i].map(entry => JSON.parse(entry)) }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Failed to load comment threads:', error);
+      return [];
+    }
+  }
+
+  async getThread(activityId, threadId) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.hGet(this.getThreadsKey(activityId), threadId);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to load comment thread:', error);
+      return null;
+    }
+  }
+
+  // Returns the new comment, or null if the thread is gone or full
+  async addReply(activityId, threadId, { text, userHash, userName }) {
+    if (!this.redis) return null;
+
+    const repliesKey = this.getRepliesKey(activityId, threadId);
+
+    try {
+      return await this.updateThread(activityId, threadId, [repliesKey], async (thread, isolatedClient) => {
+        if (await isolatedClient.lLen(repliesKey) >= this.maxReplies) return null;
+
+        const comment = this.createComment(text, userHash, userName);
+        return { result: comment, multi: isolatedClient.multi().rPush(repliesKey, JSON.stringify(comment)) };
+      });
+    } catch (error) {
+      console.error('Failed to add comment reply:', error);
+      return null;
+    }
+  }
+
+  // status is 'open' or 'resolved'. Returns the updated thread without comments.
+  async setStatus(activityId, threadId, status, userHash) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.updateThread(activityId, threadId, [], async (thread, isolatedClient) => {
+        const updated = {
+          ...thread,
+          status,
+          resolvedBy: status === 'resolved' ? userHash : null,
+          updatedAt: Date.now()
+        };
+        return {
+          result: updated,
+          multi: isolatedClient.multi().hSet(this.getThreadsKey(activityId), threadId, JSON.stringify(updated))
+        };
+      });
+    } catch (error) {
+      console.error('Failed to update comment thread:', error);
+      return null;
+    }
+  }
+
+  async deleteThread(activityId, threadId) {
+    if (!this.redis) return false;
+
+    try {
+      const [removed] = await this.redis.multi()
+        .hDel(this.getThreadsKey(activityId), threadId)
+        .del(this.getRepliesKey(activityId, threadId))
+        .exec();
+      return removed > 0;
+    } catch (error) {
+      console.error('Failed to delete comment thread:', error);
+      return false;
+    }
+  }
+
+  // Remove every thread of a deleted activity
+  async deleteComments(activityId) {
+    if (!this.redis) return;
+
+    try {
+      const threadIds = await this.redis.hKeys(this.getThreadsKey(activityId));
+      const multi = this.redis.multi().del(this.getThreadsKey(activityId));
+      threadIds.forEach(threadId => multi.del(this.getRepliesKey(activityId, threadId)));
+      await multi.exec();
+    } catch (error) {
+      console.error('Failed to delete activity comments:', error);
+    }
+  }
+
+  // Helper: Write to a thread only while it still exists. update gets the
+  // thread and returns { result, multi } to commit, or null to give up; it is
+  // retried if the thread or the extra watched keys change before the commit.
+  async updateThread(activityId, threadId, watchKeys, update) {
+    const threadsKey = this.getThreadsKey(activityId);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await this.redis.executeIsolated(async isolatedClient => {
+          await isolatedClient.watch([threadsKey, ...watchKeys]);
+
+          const data = await isolatedClient.hGet(threadsKey, threadId);
+          const change = data ? await update(JSON.parse(data), isolatedClient) : null;
+          if (!change) {
+            await isolatedClient.unwatch();
+            return null;
+          }
+
+          await change.multi.exec();
+          return change.result;
+        });
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        throw error;
+      }
+    }
+
+    console.warn(`[Comments] Gave up updating thread ${threadId} in ${activityId} after repeated conflicts`);
+    return null;
+  }
+
+  createComment(text, userHash, userName) {
+    return {
+      id: this.createId(),
+      userHash,
+      userName: userName || 'Anonymous',
+      text,
+      createdAt: Date.now()
+    };
+  }
+
+  createId() {
+    return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Helper: Redis key for an activity's thread metadata
+  getThreadsKey(activityId) {
+    return `${this.keyPrefix}comments:${activityId}`;
+  }
+
+  // Helper: Redis key for a thread's comments
+  getRepliesKey(activityId, threadId) {
+    return `${this.keyPrefix}comments:${activityId}:${threadId}`;
+  }
+}
@@ -0,0 +1,105 @@
+// Bitmap images placed on Fabric activity canvases.
+// Canvas objects reference images by URL so the operation log stays small.
+export class ActivityImageStore {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'activity:image:';
+    this.maxBytes = 2 * 1024 * 1024; // Cap per image after decoding
+    this.mimeTypes = ['image/png', 'image/jpeg'];
+  }
+
+  // Store a data URL and return the URL canvas objects should reference.
+  // Throws with a user-facing message if the image is rejected.
+  async saveImage(activityId, dataUrl) {
+    if (!this.redis) throw new Error('Image storage is unavailable');
+
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/);
+    if (!match || !this.mimeTypes.includes(match[1])) {
+      throw new Error('Only PNG and JPEG images are supported');
+    }
+
+    const mimeType = match[1];
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length > this.maxBytes) {
+      throw new Error(`Images must be smaller than ${Math.round(this.maxBytes / 1024 / 1024)}MB`);
+    }
+    if (!this.hasValidSignature(buffer, mimeType)) {
+      throw new Error('Image data does not match its type');
+    }
+
+    const imageId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await this.redis.multi()
+      .set(this.getImageKey(activityId, imageId), JSON.stringify({
+        mimeType,
+        data: match[2]
+      }))
+      .sAdd(this.getIndexKey(activityId), imageId)
+      .exec();
+
+    console.log(`[Images] Stored ${buffer.length} byte image ${imageId} for activity ${activityId}`);
+    return `/activities/${activityId}/images/${imageId}`;
+  }
+
+  // Load an image as { mimeType, buffer }
+  async getImage(activityId, imageId) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(this.getImageKey(activityId, imageId));
+      if (!data) return null;
+
+      const image = JSON.parse(data);
+      return { mimeType: image.mimeType, buffer: Buffer.from(image.data, 'base64') };
+    } catch (error) {
+      console.error('Failed to load activity image:', error);
+      return null;
+    }
+  }
+
+  // Map the image URLs used on a canvas to data URLs, for server-side rendering
+  async resolveImages(activityId, canvasData) {
+    const images = {};
+    const prefix = `/activities/${activityId}/images/`;
+
+    for (const obj of canvasData?.objects || []) {
+      if (obj.type !== 'image' || !obj.src?.startsWith(prefix) || images[obj.src]) continue;
+
+      const image = await this.getImage(activityId, obj.src.slice(prefix.length));
+      if (image) {
+        images[obj.src] = `data:${image.mimeType};base64,${image.buffer.toString('base64')}`;
+      }
+    }
+
+    return images;
+  }
+
+  // Delete every image of an activity
+  async deleteImages(activityId) {
+    if (!this.redis) return;
+
+    try {
+      const indexKey = this.getIndexKey(activityId);
+      const imageIds = await this.redis.sMembers(indexKey);
+      await this.redis.del([indexKey, ...imageIds.map(imageId => this.getImageKey(activityId, imageId))]);
+    } catch (error) {
+      console.error('Failed to delete activity images:', error);
+    }
+  }
+
+  // Helper: Check the file signature so the declared type can't lie
+  hasValidSignature(buffer, mimeType) {
+    if (mimeType === 'image/png') {
+      return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47;
+    }
+    return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  }
+
+  getImageKey(activityId, imageId) {
+    return `${this.keyPrefix}${activityId}:${imageId}`;
+  }
+
+  // Set of an activity's image ids, so deleting them never scans the keyspace
+  getIndexKey(activityId) {
+    return `activity:images:${activityId}`;
+  }
+}
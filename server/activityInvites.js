@@ -0,0 +1,214 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Invite links for private activities. A token is "<inviteId>.<signature>",
+// where the signature is an HMAC of the activity and invite IDs, so a token
+// can't be guessed or reused for another activity. Invites can expire and be
+// limited to a number of uses; redeeming one makes the user a member.
+export class ActivityInviteManager {
+  constructor(redis, activityPersistence, options = {}) {
+    this.redis = redis;
+    this.activityPersistence = activityPersistence;
+    this.keyPrefix = 'activity:';
+    this.secret = options.secret || null; // Shared by every node; kept in Redis when not configured
+    this.secretKey = `${this.keyPrefix}invite:_secret`; // Invite IDs are hex, so never clash
+    this.maxInvitesPerActivity = 50;
+    this.accessTokenTtlMs = 12 * 60 * 60 * 1000; // Renewed on every join
+  }
+
+  getInviteKey(inviteId) {
+    return `${this.keyPrefix}invite:${inviteId}`;
+  }
+
+  getListKey(activityId) {
+    return `${this.keyPrefix}invites:${activityId}`;
+  }
+
+  async getSecret() {
+    if (!this.secret) {
+      await this.redis.set(this.secretKey, randomBytes(32).toString('hex'), { NX: true });
+      this.secret = await this.redis.get(this.secretKey);
+    }
+    return this.secret;
+  }
+
+  async sign(activityId, inviteId) {
+    return createHmac('sha256', await this.getSecret())
+      .update(`${activityId}:${inviteId}`)
+      .digest('base64url');
+  }
+
+  // Access tokens let a member's browser fetch an activity's images and
+  // exports over HTTP, where there is no socket identity. A token is
+  // "<userHash>.<expiresAt>.<signature>"; the user's access is checked again
+  // on every request, so bans and visibility changes apply immediately.
+  async createAccessToken(activityId, userHash) {
+    try {
+      const expiresAt = Date.now() + this.accessTokenTtlMs;
+      const user = Buffer.from(userHash).toString('base64url');
+      return `${user}.${expiresAt}.${await this.sign(activityId, `access:${user}:${expiresAt}`)}`;
+    } catch (error) {
+      console.error('Failed to create access token:', error);
+      return null;
+    }
+  }
+
+  // Returns the token's userHash, or null if it is invalid or expired
+  async verifyAccessToken(activityId, token) {
+    if (!token) return null;
+
+    try {
+      const [user, expiresAt, signature] = String(token).split('.');
+      if (!user || !expiresAt || !signature || Date.now() > Number(expiresAt)) return null;
+
+      const expected = Buffer.from(await this.sign(activityId, `access:${user}:${expiresAt}`));
+      const given = Buffer.from(signature);
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+      return Buffer.from(user, 'base64url').toString();
+    } catch (error) {
+      console.error('Failed to verify access token:', error);
+      return null;
+    }
+  }
+
+  // role is 'viewer' or 'contributor'. Returns the invite with its token.
+  async createInvite(activityId, { role = 'viewer', expiresInHours = null, maxUses = null, createdBy = null } = {}) {
+    if (!this.redis) return null;
+
+    try {
+      const existing = await this.redis.sCard(this.getListKey(activityId));
+      if (existing >= this.maxInvitesPerActivity) {
+        await this.pruneInvites(activityId);
+        if (await this.redis.sCard(this.getListKey(activityId)) >= this.maxInvitesPerActivity) {
+          return null;
+        }
+      }
+
+      const invite = {
+        id: randomBytes(8).toString('hex'),
+        activityId,
+        role,
+        createdBy,
+        createdAt: Date.now(),
+        expiresAt: expiresInHours ? Date.now() + expiresInHours * 60 * 60 * 1000 : null,
+        maxUses: maxUses || null
+      };
+
+      const inviteKey = this.getInviteKey(invite.id);
+      const multi = this.redis.multi()
+        .hSet(inviteKey, { data: JSON.stringify(invite), uses: 0 })
+        .sAdd(this.getListKey(activityId), invite.id);
+      if (invite.expiresAt) {
+        multi.expire(inviteKey, Math.ceil(expiresInHours * 60 * 60));
+      }
+      await multi.exec();
+
+      console.log(`[Invites] Created ${role} invite ${invite.id} for activity ${activityId}`);
+      return { ...invite, uses: 0, token: `${invite.id}.${await this.sign(activityId, invite.id)}` };
+    } catch (error) {
+      console.error('Failed to create invite:', error);
+      return null;
+    }
+  }
+
+  // Live invites for an activity, newest first, with their tokens
+  async getInvites(activityId) {
+    if (!this.redis) return [];
+
+    try {
+      const inviteIds = await this.redis.sMembers(this.getListKey(activityId));
+      const invites = [];
+      const gone = [];
+
+      for (const inviteId of inviteIds) {
+        const stored = await this.redis.hGetAll(this.getInviteKey(inviteId));
+        if (!stored.data) {
+          gone.push(inviteId);
+          continue;
+        }
+        invites.push({
+          ...JSON.parse(stored.data),
+          uses: parseInt(stored.uses || '0'),
+          token: `${inviteId}.${await this.sign(activityId, inviteId)}`
+        });
+      }
+
+      if (gone.length > 0) {
+        await this.redis.sRem(this.getListKey(activityId), gone);
+      }
+      return invites.sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.error('Failed to load invites:', error);
+      return [];
+    }
+  }
+
+  // Drop expired and used-up invites from an activity's list
+  async pruneInvites(activityId) {
+    const invites = await this.getInvites(activityId);
+    const usedUp = invites.filter(invite => invite.maxUses && invite.uses >= invite.maxUses);
+    for (const invite of usedUp) {
+      await this.revokeInvite(activityId, invite.id);
+    }
+  }
+
+  async revokeInvite(activityId, inviteId) {
+    if (!this.redis) return false;
+
+    try {
+      const removed = await this.redis.sRem(this.getListKey(activityId), inviteId);
+      await this.redis.del(this.getInviteKey(inviteId));
+      return removed > 0;
+    } catch (error) {
+      console.error('Failed to revoke invite:', error);
+      return false;
+    }
+  }
+
+  // Check a token and make the user a member. Returns { invite } or { error }
+  // with INVALID_INVITE, INVITE_EXPIRED, INVITE_USED_UP or BANNED_FROM_ACTIVITY.
+  async redeemInvite(activityId, token, userHash) {
+    if (!this.redis) return { error: 'INVALID_INVITE' };
+
+    try {
+      const [inviteId, signature] = String(token).split('.');
+      if (!inviteId || !signature) return { error: 'INVALID_INVITE' };
+
+      const expected = Buffer.from(await this.sign(activityId, inviteId));
+      const given = Buffer.from(signature);
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return { error: 'INVALID_INVITE' };
+      }
+
+      // Revoked and expired invites are deleted
+      const inviteKey = this.getInviteKey(inviteId);
+      const stored = await this.redis.hGetAll(inviteKey);
+      if (!stored.data) return { error: 'INVITE_EXPIRED' };
+
+      const invite = JSON.parse(stored.data);
+      if (invite.activityId !== activityId) return { error: 'INVALID_INVITE' };
+      if (invite.expiresAt && Date.now() > invite.expiresAt) return { error: 'INVITE_EXPIRED' };
+
+      // Members following the link again don't use it up
+      const activity = await this.activityPersistence.getActivity(activityId);
+      if (!activity) return { error: 'INVALID_INVITE' };
+      if (activity.permissions?.bannedUsers?.includes(userHash)) return { error: 'BANNED_FROM_ACTIVITY' };
+      if (this.activityPersistence.hasMemberRole(activity, userHash, invite.role)) {
+        return { invite };
+      }
+
+      const uses = await this.redis.hIncrBy(inviteKey, 'uses', 1);
+      if (invite.maxUses && uses > invite.maxUses) {
+        await this.redis.hIncrBy(inviteKey, 'uses', -1);
+        return { error: 'INVITE_USED_UP' };
+      }
+
+      await this.activityPersistence.addActivityMember(activityId, userHash, invite.role);
+      console.log(`[Invites] ${userHash} joined activity ${activityId} as ${invite.role} with invite ${inviteId}`);
+      return { invite };
+    } catch (error) {
+      console.error('Failed to redeem invite:', error);
+      return { error: 'INVALID_INVITE' };
+    }
+  }
+}
@@ -1,9 +1,31 @@
+import { WatchError } from 'redis';
+import { encodeGeohash, decodeGeohash, geohashesForBounds, boundsIntersect, isInBounds } from './geohash.js';
+
 // Persistence layer for location-based activities
 export class ActivityPersistence {
-  constructor(redis) {
+  constructor(redis, options = {}) {
     this.redis = redis;
     this.keyPrefix = 'activity:';
     this.defaultPrecision = 7; // Street level geohash precision
+    this.minIndexPrecision = 4; // Coarsest geohash index kept
+    this.compactionThreshold = 100; // Logged canvas operations before folding into the snapshot
+    this.idempotencyTtlSeconds = 24 * 60 * 60; // Matches how long clients keep their outbox
+
+    // Secondary indexes, so listings never scan the keyspace
+    this.registryKey = `${this.keyPrefix}index:registry`; // Every activity ID
+    this.sortIndexKeys = {
+      createdAt: `${this.keyPrefix}index:createdAt`,
+      lastActive: `${this.keyPrefix}index:lastActive`
+    };
+    this.ownerIndexPrefix = `${this.keyPrefix}index:owner:`; // Scored by createdAt
+    this.termIndexPrefix = `${this.keyPrefix}index:term:`; // Words of title, description and street
+    this.tagIndexPrefix = `${this.keyPrefix}index:tag:`;
+    this.geoCellIndexKey = `${this.keyPrefix}index:geoCells`; // Coarsest geohash cells holding activities
+    this.indexVersionKey = `${this.keyPrefix}index:version`;
+    this.indexVersion = 3; // Bump when addToIndexes changes so ensureIndexes reruns
+    this.maxTags = 10;
+    this.ownershipOfferTtl = 7 * 24 * 60 * 60; // Seconds an ownership transfer waits for acceptance
+    this.contributionRequestTtlMs = (options.contributionRequestTtlHours || 72) * 60 * 60 * 1000;
   }
 
   // Removed getOrCreateDefaultActivity - no longer creating default canvases
@@ -34,28 +56,36 @@ export class ActivityPersistence {
         geohash,
         address: data.address || '',
         street: data.street || '',
+        tags: this.normalizeTags(data.tags),
         createdAt: Date.now(),
         lastActive: Date.now(),
         participantCount: 1,
         drawingCount: 0,
         isDefault: false,
+        visibility: 'public', // 'public', 'unlisted' (link only) or 'private' (members only)
         permissions: {
           allowContributions: false, // Default to view-only mode
           contributorRequests: [], // List of users requesting to contribute
           approvedContributors: [data.ownerId], // Owner is always approved
           bannedUsers: [], // List of banned user hashes
-          moderators: [] // List of user hashes who can moderate
+          moderators: [], // List of user hashes who can moderate
+          viewers: [] // Users who joined a private activity through a view-only invite
         }
       };
 
       // Store activity
-      await this.redis.set(`${this.keyPrefix}${activityId}`, JSON.stringify(activity));
+      const multi = this.addToIndexes(
+        this.redis.multi().set(`${this.keyPrefix}${activityId}`, JSON.stringify(activity)),
+        activity
+      );
 
-      // Add to geohash indices for spatial queries
-      for (let precision = 4; precision <= this.defaultPrecision; precision++) {
+      // Add to geohash indices for spatial queries, in the same transaction
+      // as the populated cell so deletes can't unlist it in between
+      for (let precision = this.minIndexPrecision; precision <= this.defaultPrecision; precision++) {
         const hash = geohash.substring(0, precision);
-        await this.redis.sAdd(`${this.keyPrefix}geo:${hash}`, activityId);
+        multi.sAdd(`${this.keyPrefix}geo:${hash}`, activityId);
       }
+      await multi.exec();
 
       // Add to street index if available
       if (data.street) {
@@ -79,14 +109,7 @@ export class ActivityPersistence {
 
     try {
       const activities = [];
-      const geohashes = await this.getGeohashesForBounds(bounds, 6); // Lower precision for larger area
-
-      // Collect activity IDs from all matching geohashes
-      const activityIds = new Set();
-      for (const geohash of geohashes) {
-        const ids = await this.redis.sMembers(`${this.keyPrefix}geo:${geohash}`);
-        ids.forEach(id => activityIds.add(id));
-      }
+      const activityIds = await this.getActivityIdsInBounds(bounds);
 
       // Load activity details
       for (const activityId of activityIds) {
@@ -95,7 +118,7 @@ export class ActivityPersistence {
           const activity = JSON.parse(activityData);
           
           // Check if actually within bounds
-          if (this.isInBounds(activity.lat, activity.lng, bounds)) {
+          if (this.isListed(activity) && this.isInBounds(activity.lat, activity.lng, bounds)) {
             activities.push(activity);
             if (activities.length >= limit) break;
           }
@@ -112,6 +135,19 @@ export class ActivityPersistence {
     }
   }
 
+  // IDs of activities in the geohash cells covering a bounding box
+  async getActivityIdsInBounds(bounds) {
+    const geohashes = await this.getGeohashesForBounds(bounds)
+      || await this.getIndexedCellsInBounds(bounds);
+
+    const activityIds = new Set();
+    const cells = await Promise.all(
+      geohashes.map(geohash => this.redis.sMembers(`${this.keyPrefix}geo:${geohash}`))
+    );
+    cells.forEach(ids => ids.forEach(id => activityIds.add(id)));
+    return [...activityIds];
+  }
+
   // Get activities aggregated by street
   async getStreetActivities(bounds) {
     if (!this.redis) return {};
@@ -156,34 +192,38 @@ export class ActivityPersistence {
     if (!this.redis) return;
 
     try {
-      const activityData = await this.redis.get(`${this.keyPrefix}${activityId}`);
-      if (!activityData) return;
-
-      const activity = JSON.parse(activityData);
-      
-      // Update fields
-      if (updates.participantCount !== undefined) {
-        activity.participantCount = updates.participantCount;
-      }
-      if (updates.drawingCount !== undefined) {
-        activity.drawingCount = updates.drawingCount;
-      }
-      activity.lastActive = Date.now();
+      await this.changeActivity(activityId, (activity, multi) => {
+        // Update fields
+        if (updates.participantCount !== undefined) {
+          activity.participantCount = updates.participantCount;
+        }
+        if (updates.drawingCount !== undefined) {
+          activity.drawingCount = updates.drawingCount;
+        }
+        if (updates.thumbnailUrl !== undefined) {
+          activity.thumbnailUrl = updates.thumbnailUrl;
+        }
+        activity.lastActive = Date.now();
 
-      await this.redis.set(`${this.keyPrefix}${activityId}`, JSON.stringify(activity));
+        multi.zAdd(this.sortIndexKeys.lastActive, { score: activity.lastActive, value: activityId }, { XX: true });
+        return activity;
+      });
     } catch (error) {
       console.error('Failed to update activity stats:', error);
     }
   }
 
-  // Store canvas data for an activity
+  // Replace the canvas snapshot for an activity and discard its operation log
   async saveActivityCanvas(activityId, canvasData) {
     if (!this.redis) return;
 
     try {
-      const key = `${this.keyPrefix}canvas:${activityId}`;
-      await this.redis.set(key, JSON.stringify(canvasData));
-      
+      const multi = this.redis.multi()
+        .set(`${this.keyPrefix}canvas:${activityId}`, JSON.stringify(canvasData))
+        .del(`${this.keyPrefix}ops:${activityId}`);
+      await this.queueObjectStates(multi, activityId, canvasData.objects || []);
+      await multi.exec();
+
       // Update activity stats
       await this.updateActivityStats(activityId, { 
         drawingCount: canvasData.paths?.length || 0 
@@ -193,20 +233,497 @@ export class ActivityPersistence {
     }
   }
 
-  // Load canvas data for an activity
+  // Append a canvas operation (addPath, removePath, addObject, modifyObject,
+  // removeObject) to the activity's log. Appends never read the canvas, so
+  // concurrent writers can't overwrite each other.
+  async appendCanvasOperation(activityId, operation) {
+    if (!this.redis) return null;
+
+    try {
+      const opsKey = `${this.keyPrefix}ops:${activityId}`;
+      const [opId] = await this.queueObjectState(
+        this.redis.multi().xAdd(opsKey, '*', { op: JSON.stringify(operation) }),
+        activityId,
+        operation
+      ).exec();
+      await this.compactIfNeeded(activityId);
+      return opId;
+    } catch (error) {
+      console.error('Failed to append canvas operation:', error);
+      return null;
+    }
+  }
+
+  // Append several canvas operations in one transaction. Returns false if
+  // none of them were written.
+  async appendCanvasOperations(activityId, operations) {
+    if (!this.redis || operations.length === 0) return false;
+
+    try {
+      const opsKey = `${this.keyPrefix}ops:${activityId}`;
+      const multi = this.redis.multi();
+      operations.forEach(operation => {
+        this.queueObjectState(multi.xAdd(opsKey, '*', { op: JSON.stringify(operation) }), activityId, operation);
+      });
+      await multi.exec();
+      await this.compactIfNeeded(activityId);
+      return true;
+    } catch (error) {
+      console.error('Failed to append canvas operations:', error);
+      return false;
+    }
+  }
+
+  // Append an addObject operation unless an object with its ID exists.
+  // Returns the log entry ID, false if the ID is taken, or null on failure.
+  async addCanvasObject(activityId, operation) {
+    if (!this.redis) return null;
+
+    const objectKey = this.getObjectKey(activityId, operation.object.id);
+    const opsKey = `${this.keyPrefix}ops:${activityId}`;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const opId = await this.redis.executeIsolated(async isolatedClient => {
+          await isolatedClient.watch(objectKey);
+
+          if (await isolatedClient.exists(objectKey)) {
+            await isolatedClient.unwatch();
+            return false;
+          }
+
+          const [opId] = await this.queueObjectState(
+            isolatedClient.multi().xAdd(opsKey, '*', { op: JSON.stringify(operation) }),
+            activityId,
+            operation
+          ).exec();
+          return opId;
+        });
+
+        if (opId) await this.compactIfNeeded(activityId);
+        return opId;
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        console.error('Failed to add canvas object:', error);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  // Record the idempotency key of an operation a client replays from its
+  // offline outbox. Returns false if that operation was already applied.
+  async claimIdempotencyKey(activityId, key) {
+    if (!this.redis) return true;
+
+    try {
+      const result = await this.redis.set(`${this.keyPrefix}applied:${activityId}:${key}`, '1', {
+        NX: true,
+        EX: this.idempotencyTtlSeconds
+      });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Failed to record idempotency key:', error);
+      return true; // Applying twice beats dropping the operation
+    }
+  }
+
+  // Forget a claimed idempotency key whose operation couldn't be applied, so
+  // the client's next replay of it is applied rather than skipped
+  async releaseIdempotencyKey(activityId, key) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.del(`${this.keyPrefix}applied:${activityId}:${key}`);
+    } catch (error) {
+      console.error('Failed to release idempotency key:', error);
+    }
+  }
+
+  // Modify a Fabric object using per-property Lamport clocks.
+  // Each property carries a version; a change is accepted only if the sender
+  // had seen the latest version of that property (baseVersions[key]), and
+  // accepted properties get version + 1. Stale properties are rejected and
+  // returned with their current value so the sender can be corrected.
+  // Passing baseVersions = null forces the change (undo/redo, older clients).
+  // Only the object's own state is watched, so strokes and edits of other
+  // objects never conflict with this one.
+  // Returns { operation, accepted, rejected, versions, previousObject }, or
+  // null if the object doesn't exist or keeps being changed concurrently.
+  async modifyCanvasObject(activityId, objectId, changes, baseVersions = null) {
+    if (!this.redis) return null;
+
+    const objectKey = this.getObjectKey(activityId, objectId);
+    const opsKey = `${this.keyPrefix}ops:${activityId}`;
+
+    // Retry when another change to the object lands between our read and write
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const result = await this.redis.executeIsolated(async isolatedClient => {
+          await isolatedClient.watch(objectKey);
+
+          const stored = await isolatedClient.get(objectKey);
+          if (!stored) {
+            await isolatedClient.unwatch();
+            return { missing: true };
+          }
+
+          const previousObject = JSON.parse(stored);
+          const storedVersions = previousObject.versions || {};
+          const accepted = {};
+          const rejected = {};
+          const versions = {};
+
+          Object.keys(changes || {}).forEach(key => {
+            const storedVersion = storedVersions[key] || 0;
+            const baseVersion = baseVersions ? (baseVersions[key] || 0) : storedVersion;
+
+            if (baseVersion < storedVersion) {
+              rejected[key] = previousObject[key];
+              versions[key] = storedVersion;
+            } else {
+              accepted[key] = changes[key];
+              versions[key] = storedVersion + 1;
+            }
+          });
+
+          if (Object.keys(accepted).length === 0) {
+            await isolatedClient.unwatch();
+            return { operation: null, accepted, rejected, versions, previousObject };
+          }
+
+          const operation = {
+            type: 'modifyObject',
+            objectId,
+            object: accepted,
+            versions: Object.fromEntries(Object.keys(accepted).map(key => [key, versions[key]])),
+            timestamp: Date.now()
+          };
+
+          await this.queueObjectState(
+            isolatedClient.multi().xAdd(opsKey, '*', { op: JSON.stringify(operation) }),
+            activityId,
+            operation,
+            previousObject
+          ).exec();
+
+          return { operation, accepted, rejected, versions, previousObject };
+        });
+
+        // Objects from before per-object states are seeded from the canvas once
+        if (result?.missing) {
+          if (!await this.seedObjectState(activityId, objectId)) return null;
+          continue;
+        }
+
+        if (result?.operation) {
+          await this.compactIfNeeded(activityId);
+        }
+        return result;
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        console.error('Failed to modify canvas object:', error);
+        return null;
+      }
+    }
+
+    console.warn(`[Activity] Gave up modifying ${objectId} in ${activityId} after repeated conflicts`);
+    return null;
+  }
+
+  // Helper: Redis key for the current state of one Fabric object. States
+  // mirror the snapshot plus log, so reading or modifying one object never
+  // rebuilds the canvas.
+  getObjectKey(activityId, objectId) {
+    return `${this.keyPrefix}object:${activityId}:${objectId}`;
+  }
+
+  // Helper: Redis key for the IDs of an activity's stored object states
+  getObjectIndexKey(activityId) {
+    return `${this.keyPrefix}objects:${activityId}`;
+  }
+
+  // Helper: Queue the object state change of an operation on a transaction.
+  // modifyObject needs the object as it was before the operation.
+  queueObjectState(multi, activityId, operation, previousObject = null) {
+    switch (operation.type) {
+      case 'addObject':
+        multi.set(this.getObjectKey(activityId, operation.object.id), JSON.stringify(operation.object))
+          .sAdd(this.getObjectIndexKey(activityId), operation.object.id);
+        break;
+
+      case 'modifyObject': {
+        if (!previousObject) break;
+        const [object] = this.applyCanvasOperation({ objects: [previousObject] }, operation).objects;
+        multi.set(this.getObjectKey(activityId, operation.objectId), JSON.stringify(object));
+        break;
+      }
+
+      case 'removeObject':
+        multi.del(this.getObjectKey(activityId, operation.objectId))
+          .sRem(this.getObjectIndexKey(activityId), operation.objectId);
+        break;
+    }
+    return multi;
+  }
+
+  // Helper: Queue replacing every object state of an activity
+  async queueObjectStates(multi, activityId, objects) {
+    const indexKey = this.getObjectIndexKey(activityId);
+    const existing = await this.redis.sMembers(indexKey);
+    existing.forEach(objectId => multi.del(this.getObjectKey(activityId, objectId)));
+    multi.del(indexKey);
+    objects.forEach(object => this.queueObjectState(multi, activityId, { type: 'addObject', object }));
+  }
+
+  // Helper: Store the state of an object from before per-object states were
+  // kept. Returns false if the canvas has no such object.
+  async seedObjectState(activityId, objectId) {
+    const canvasKey = `${this.keyPrefix}canvas:${activityId}`;
+    const opsKey = `${this.keyPrefix}ops:${activityId}`;
+    const objectKey = this.getObjectKey(activityId, objectId);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await this.redis.executeIsolated(async isolatedClient => {
+          // The whole log is watched, but only until the object is seeded
+          await isolatedClient.watch([canvasKey, opsKey, objectKey]);
+
+          const [snapshotData, entries] = await Promise.all([
+            isolatedClient.get(canvasKey),
+            isolatedClient.xRange(opsKey, '-', '+')
+          ]);
+          const object = this.rebuildCanvas(snapshotData, entries).canvasData.objects?.find(obj => obj.id === objectId);
+          if (!object) {
+            await isolatedClient.unwatch();
+            return false;
+          }
+
+          await isolatedClient.multi()
+            .set(objectKey, JSON.stringify(object), { NX: true })
+            .sAdd(this.getObjectIndexKey(activityId), objectId)
+            .exec();
+          return true;
+        });
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        throw error;
+      }
+    }
+    return false;
+  }
+
+  // Remove every object state of a deleted activity
+  async deleteObjectStates(activityId) {
+    const multi = this.redis.multi();
+    await this.queueObjectStates(multi, activityId, []);
+    await multi.exec();
+  }
+
+  // Fold the log into the snapshot once it grows past the threshold
+  async compactIfNeeded(activityId) {
+    const logLength = await this.redis.xLen(`${this.keyPrefix}ops:${activityId}`);
+    if (logLength >= this.compactionThreshold) {
+      this.compactActivityCanvas(activityId).catch(err => {
+        console.error('Failed to compact activity canvas:', err);
+      });
+    }
+  }
+
+  // Load canvas data for an activity (snapshot plus operation log tail)
   async loadActivityCanvas(activityId) {
     if (!this.redis) return null;
 
     try {
-      const key = `${this.keyPrefix}canvas:${activityId}`;
-      const data = await this.redis.get(key);
-      return data ? JSON.parse(data) : null;
+      // Read both in one transaction so a concurrent compaction can't be seen half-done
+      const [snapshotData, entries] = await this.redis.multi()
+        .get(`${this.keyPrefix}canvas:${activityId}`)
+        .xRange(`${this.keyPrefix}ops:${activityId}`, '-', '+')
+        .exec();
+
+      if (!snapshotData && entries.length === 0) return null;
+
+      return this.rebuildCanvas(snapshotData, entries).canvasData;
     } catch (error) {
       console.error('Failed to load activity canvas:', error);
       return null;
     }
   }
 
+  // Get the current state of a single Fabric object
+  async getCanvasObject(activityId, objectId) {
+    if (!this.redis) return null;
+
+    try {
+      const stored = await this.redis.get(this.getObjectKey(activityId, objectId));
+      if (stored) return JSON.parse(stored);
+
+      // Objects from before per-object states only exist in the canvas
+      if (!await this.seedObjectState(activityId, objectId)) return null;
+      const seeded = await this.redis.get(this.getObjectKey(activityId, objectId));
+      return seeded ? JSON.parse(seeded) : null;
+    } catch (error) {
+      console.error('Failed to get canvas object:', error);
+      return null;
+    }
+  }
+
+  // Get canvas contents in the order they were drawn, for timelapse replay.
+  // kind limits the result to 'path' or 'object' items.
+  async getActivityHistory(activityId, kind = null) {
+    const canvasData = await this.loadActivityCanvas(activityId);
+    if (!canvasData) return [];
+
+    const items = [];
+
+    if (!kind || kind === 'path') {
+      (canvasData.paths || []).forEach(path => {
+        items.push({
+          id: path.pathId,
+          kind: 'path',
+          timestamp: path.timestamp || 0,
+          userHash: path.userHash || null,
+          userName: path.userName || 'Anonymous',
+          data: path
+        });
+      });
+    }
+
+    if (!kind || kind === 'object') {
+      (canvasData.objects || []).forEach(obj => {
+        items.push({
+          id: obj.id,
+          kind: 'object',
+          // Modifications bump timestamp, so prefer the creation time
+          timestamp: obj.createdAt || obj.timestamp || 0,
+          userHash: obj.userId || null,
+          userName: obj.userName || 'Anonymous',
+          data: obj
+        });
+      });
+    }
+
+    // Stable sort keeps insertion order for items without timestamps
+    return items.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Fold the operation log into the snapshot and trim the applied entries
+  async compactActivityCanvas(activityId) {
+    if (!this.redis) return;
+
+    const canvasKey = `${this.keyPrefix}canvas:${activityId}`;
+    const opsKey = `${this.keyPrefix}ops:${activityId}`;
+
+    try {
+      const canvasData = await this.redis.executeIsolated(async isolatedClient => {
+        // Abort if another compaction or a snapshot replace lands first
+        await isolatedClient.watch(canvasKey);
+
+        const snapshotData = await isolatedClient.get(canvasKey);
+        const entries = await isolatedClient.xRange(opsKey, '-', '+');
+        const { canvasData, lastOpId, appliedCount } = this.rebuildCanvas(snapshotData, entries);
+
+        if (appliedCount === 0) {
+          await isolatedClient.unwatch();
+          return null;
+        }
+
+        // MINID keeps the entry equal to lastOpId; rebuilds skip it
+        await isolatedClient.multi()
+          .set(canvasKey, JSON.stringify({ ...canvasData, lastOpId }))
+          .xTrim(opsKey, 'MINID', lastOpId)
+          .exec();
+
+        console.log(`[Activity] Compacted ${appliedCount} canvas operations for ${activityId}`);
+        return canvasData;
+      });
+
+      if (canvasData) {
+        await this.updateActivityStats(activityId, {
+          drawingCount: canvasData.paths?.length || 0
+        });
+      }
+    } catch (error) {
+      if (error instanceof WatchError) {
+        console.log(`[Activity] Compaction of ${activityId} skipped, snapshot changed concurrently`);
+        return;
+      }
+      console.error('Failed to compact activity canvas:', error);
+    }
+  }
+
+  // Helper: Apply logged operations newer than the snapshot
+  rebuildCanvas(snapshotData, entries) {
+    const { lastOpId: snapshotOpId, ...canvasData } = snapshotData ? JSON.parse(snapshotData) : {};
+    let lastOpId = snapshotOpId || null;
+    let appliedCount = 0;
+
+    for (const entry of entries) {
+      if (lastOpId && this.compareOpIds(entry.id, lastOpId) <= 0) continue;
+
+      this.applyCanvasOperation(canvasData, JSON.parse(entry.message.op));
+      lastOpId = entry.id;
+      appliedCount++;
+    }
+
+    return { canvasData, lastOpId, appliedCount };
+  }
+
+  // Helper: Apply a single canvas operation in place
+  applyCanvasOperation(canvasData, operation) {
+    switch (operation.type) {
+      case 'addPath':
+        canvasData.paths = [...(canvasData.paths || []), operation.path];
+        break;
+
+      case 'removePath':
+        if (canvasData.paths) {
+          canvasData.paths = canvasData.paths.filter(path => path.pathId !== operation.pathId);
+        }
+        break;
+
+      case 'addObject':
+        // An object is only ever added once, even if its operation was logged twice
+        if (!canvasData.objects?.some(obj => obj.id === operation.object.id)) {
+          canvasData.objects = [...(canvasData.objects || []), operation.object];
+        }
+        break;
+
+      case 'modifyObject': {
+        const objectIndex = canvasData.objects?.findIndex(obj => obj.id === operation.objectId) ?? -1;
+        if (objectIndex !== -1) {
+          const existing = canvasData.objects[objectIndex];
+          canvasData.objects[objectIndex] = {
+            ...existing,
+            ...operation.object,
+            versions: { ...existing.versions, ...operation.versions },
+            timestamp: operation.timestamp
+          };
+        }
+        break;
+      }
+
+      case 'removeObject':
+        if (canvasData.objects) {
+          canvasData.objects = canvasData.objects.filter(obj => obj.id !== operation.objectId);
+        }
+        break;
+
+      default:
+        console.warn('[Activity] Unknown canvas operation:', operation.type);
+    }
+
+    return canvasData;
+  }
+
+  // Helper: Compare Redis stream IDs ("<ms>-<seq>")
+  compareOpIds(a, b) {
+    const [aMs, aSeq] = a.split('-').map(Number);
+    const [bMs, bSeq] = b.split('-').map(Number);
+    return aMs !== bMs ? aMs - bMs : aSeq - bSeq;
+  }
+
   // Helper: Normalize street name for indexing
   normalizeStreet(street) {
     return street.toLowerCase()
@@ -216,75 +733,54 @@ export class ActivityPersistence {
 
   // Helper: Check if point is in bounds
   isInBounds(lat, lng, bounds) {
-    return lat >= bounds.south && 
-           lat <= bounds.north &&
-           lng >= bounds.west && 
-           lng <= bounds.east;
+    return isInBounds(lat, lng, bounds);
   }
 
-  // Geohash implementation (reuse from geoDrawingPersistence)
   async getGeohash(lat, lng, precision = this.defaultPrecision) {
-    const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
-    let idx = 0;
-    let bit = 0;
-    let evenBit = true;
-    let geohash = '';
-
-    const latRange = [-90, 90];
-    const lngRange = [-180, 180];
-
-    while (geohash.length < precision) {
-      if (evenBit) {
-        const mid = (lngRange[0] + lngRange[1]) / 2;
-        if (lng > mid) {
-          idx |= (1 << (4 - bit));
-          lngRange[0] = mid;
-        } else {
-          lngRange[1] = mid;
-        }
-      } else {
-        const mid = (latRange[0] + latRange[1]) / 2;
-        if (lat > mid) {
-          idx |= (1 << (4 - bit));
-          latRange[0] = mid;
-        } else {
-          latRange[1] = mid;
-        }
-      }
-
-      evenBit = !evenBit;
+    return encodeGeohash(lat, lng, precision);
+  }
 
-      if (bit < 4) {
-        bit++;
-      } else {
-        geohash += base32[idx];
-        bit = 0;
-        idx = 0;
-      }
-    }
+  // Geohashes covering a bounding box at a precision we index, or null when
+  // the box is too large to enumerate
+  async getGeohashesForBounds(bounds) {
+    return geohashesForBounds(bounds, { minPrecision: this.minIndexPrecision, maxPrecision: this.defaultPrecision });
+  }
 
-    return geohash;
+  // Cells at the coarsest indexed precision that hold activities and overlap
+  // the bounds, for boxes too large to enumerate
+  async getIndexedCellsInBounds(bounds) {
+    const geohashes = await this.redis.sMembers(this.geoCellIndexKey);
+    return geohashes.filter(geohash => boundsIntersect(decodeGeohash(geohash), bounds));
   }
 
-  // Get geohashes that cover a bounding box
-  async getGeohashesForBounds(bounds, precision = 5) {
-    const geohashes = new Set();
-    
-    const latStep = (bounds.north - bounds.south) / 3;
-    const lngStep = (bounds.east - bounds.west) / 3;
-    
-    for (let lat = bounds.south; lat <= bounds.north; lat += latStep) {
-      for (let lng = bounds.west; lng <= bounds.east; lng += lngStep) {
-        const hash = await this.getGeohash(lat, lng, precision);
-        geohashes.add(hash);
-      }
+  // Helper: Unlist a coarse cell once its last activity is gone. Watching the
+  // cell means an activity created meanwhile keeps it listed.
+  async removeGeoCellIfEmpty(geohash) {
+    const cellKey = `${this.keyPrefix}geo:${geohash}`;
+
+    try {
+      await this.redis.executeIsolated(async isolatedClient => {
+        await isolatedClient.watch(cellKey);
+
+        if (await isolatedClient.sCard(cellKey) > 0) {
+          await isolatedClient.unwatch();
+          return;
+        }
+
+        await isolatedClient.multi().sRem(this.geoCellIndexKey, geohash).exec();
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError)) throw error;
     }
-    
-    return Array.from(geohashes);
   }
   
   // Check if user is within range of a location (500 meters)
   async isUserNearLocation(userLat, userLng, targetLat, targetLng, maxDistance = 500) {
+    return this.getDistance(userLat, userLng, targetLat, targetLng) <= maxDistance;
+  }
+
+  // Distance in meters between two points
+  getDistance(userLat, userLng, targetLat, targetLng) {
     // Calculate distance using Haversine formula
     const R = 6371e3; // Earth's radius in meters
     const φ1 = userLat * Math.PI / 180;
@@ -296,9 +792,7 @@ export class ActivityPersistence {
               Math.cos(φ1) * Math.cos(φ2) *
               Math.sin(Δλ/2) * Math.sin(Δλ/2);
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c; // Distance in meters
-    
-    return distance <= maxDistance;
+    return R * c; // Distance in meters
   }
   
   // Check if user can create activity at location
@@ -314,7 +808,7 @@ export class ActivityPersistence {
     try {
       const data = await this.redis.get(`${this.keyPrefix}${activityId}`);
       if (data) {
-        return JSON.parse(data);
+        return this.dropExpiredRequests(JSON.parse(data));
       }
       return null;
     } catch (error) {
@@ -323,52 +817,15 @@ export class ActivityPersistence {
     }
   }
   
-  // Get activities created by a specific owner
+  // Get activities created by a specific owner, newest first
   async getActivitiesByOwner(ownerId) {
-    if (!this.redis || !ownerId) {
-      console.log('[getActivitiesByOwner] Missing redis or ownerId:', { redis: !!this.redis, ownerId });
-      return [];
-    }
-    
+    if (!this.redis || !ownerId) return [];
+
     try {
-      const activities = [];
-      // We need to scan all activities to find ones by this owner
-      // In production, you'd want an index for this
-      const keys = await this.redis.keys(`${this.keyPrefix}*`);
-      console.log(`[getActivitiesByOwner] Found ${keys.length} total activity keys`);
-      
-      for (const key of keys) {
-        // Skip canvas, default, geo, and street data keys
-        if (key.includes(':canvas:') || key.includes(':default:') || key.includes(':geo:') || key.includes(':street:')) {
-          continue;
-        }
-        
-        // Check if it's a proper activity key (should be activity:ID format)
-        const activityIdMatch = key.match(/^activity:([^:]+)$/);
-        if (!activityIdMatch) {
-          console.log(`[getActivitiesByOwner] Skipping invalid key format: ${key}`);
-          continue;
-        }
-        
-        try {
-          const activityData = await this.redis.get(key);
-          if (activityData) {
-            const activity = JSON.parse(activityData);
-            console.log(`[getActivitiesByOwner] Checking activity ${activity.id}, owner: ${activity.ownerId}, looking for: ${ownerId}`);
-            if (activity.ownerId === ownerId) {
-              activities.push(activity);
-            }
-          }
-        } catch (err) {
-          // Skip keys that aren't strings (could be hashes, sets, etc)
-          console.log(`[getActivitiesByOwner] Skipping non-string key: ${key}`);
-          continue;
-        }
-      }
-      
+      const ownerKey = this.getOwnerIndexKey(ownerId);
+      const activityIds = await this.redis.zRange(ownerKey, 0, -1, { REV: true });
+      const activities = await this.loadActivities(activityIds, ownerKey);
       console.log(`[getActivitiesByOwner] Found ${activities.length} activities for owner ${ownerId}`);
-      // Sort by creation date, newest first
-      activities.sort((a, b) => b.createdAt - a.createdAt);
       return activities;
     } catch (error) {
       console.error('Failed to get activities by owner:', error);
@@ -376,32 +833,33 @@ export class ActivityPersistence {
     }
   }
   
-  // Update activity permissions
-  async updateActivity(activityId, activityData) {
-    if (!this.redis || !activityId) return false;
-    
+  // Queue a contribution request. Returns null if the user already has one.
+  async addContributionRequest(activityId, request) {
+    if (!this.redis || !activityId) return null;
+
     try {
-      await this.redis.set(`${this.keyPrefix}${activityId}`, JSON.stringify(activityData));
-      console.log(`[Activity] Updated activity: ${activityId}`);
-      return true;
+      return await this.changeActivity(activityId, activity => {
+        activity.permissions = activity.permissions || {};
+        const requests = activity.permissions.contributorRequests || [];
+        if (requests.some(existing => existing.userHash === request.userHash)) return null;
+
+        activity.permissions.contributorRequests = [...requests, request];
+        return activity;
+      });
     } catch (error) {
-      console.error('Failed to update activity:', error);
-      return false;
+      console.error('Failed to add contribution request:', error);
+      return null;
     }
   }
-  
+
   async updateActivityPermissions(activityId, permissions) {
     if (!this.redis) return false;
     
     try {
-      const activityData = await this.redis.get(`${this.keyPrefix}${activityId}`);
-      if (!activityData) return false;
-      
-      const activity = JSON.parse(activityData);
-      activity.permissions = { ...activity.permissions, ...permissions };
-      
-      await this.redis.set(`${this.keyPrefix}${activityId}`, JSON.stringify(activity));
-      return true;
+      return !!await this.changeActivity(activityId, activity => {
+        activity.permissions = { ...activity.permissions, ...permissions };
+        return activity;
+      });
     } catch (error) {
       console.error('Failed to update activity permissions:', error);
       return false;
@@ -416,7 +874,7 @@ export class ActivityPersistence {
       const activityData = await this.redis.get(`${this.keyPrefix}${activityId}`);
       if (!activityData) return false;
       
-      const activity = JSON.parse(activityData);
+      const activity = this.dropExpiredRequests(JSON.parse(activityData));
       
       // Owner can always contribute
       if (activity.ownerId === userHash) return true;
@@ -438,45 +896,572 @@ export class ActivityPersistence {
     }
   }
   
-  // Get all activities (no bounds restriction)
-  async getAllActivities() {
-    if (!this.redis) return [];
-    
+  // Contribution requests expire unanswered. They're hidden on read and
+  // dropped from storage the next time the activity is saved.
+  dropExpiredRequests(activity) {
+    const requests = activity.permissions?.contributorRequests;
+    if (requests?.length) {
+      const cutoff = Date.now() - this.contributionRequestTtlMs;
+      activity.permissions.contributorRequests = requests.filter(request => (request.timestamp || 0) > cutoff);
+    }
+    return activity;
+  }
+
+  // Helper: Read, change and save an activity without overwriting a write made
+  // in between. change(activity, multi) returns the activity to save, or null
+  // to leave it as it is, and may queue more commands on multi. Resolves to the
+  // saved activity, or null if it's missing or wasn't changed.
+  async changeActivity(activityId, change) {
+    const key = `${this.keyPrefix}${activityId}`;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await this.redis.executeIsolated(async isolatedClient => {
+          await isolatedClient.watch(key);
+
+          const data = await isolatedClient.get(key);
+          const multi = isolatedClient.multi();
+          const activity = data ? change(this.dropExpiredRequests(JSON.parse(data)), multi) : null;
+          if (!activity) {
+            await isolatedClient.unwatch();
+            return null;
+          }
+
+          await multi.set(key, JSON.stringify(activity)).exec();
+          return activity;
+        });
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        throw error;
+      }
+    }
+
+    console.warn(`[Activity] Gave up updating ${activityId} after repeated conflicts`);
+    return null;
+  }
+
+  // Refuse a pending contribution request. Returns false if there was none.
+  async denyContributionRequest(activityId, userHash) {
+    if (!this.redis) return false;
+
     try {
-      const activities = [];
-      const keys = await this.redis.keys(`${this.keyPrefix}*`);
-      console.log(`[getAllActivities] Found ${keys.length} total keys`);
-      
-      for (const key of keys) {
-        // Skip non-activity keys
-        if (key.includes(':canvas:') || key.includes(':default:') || 
-            key.includes(':geo:') || key.includes(':street:')) {
-          continue;
+      return !!await this.changeActivity(activityId, activity => {
+        const requests = activity.permissions?.contributorRequests || [];
+        if (!requests.some(request => request.userHash === userHash)) return null;
+
+        activity.permissions.contributorRequests = requests.filter(request => request.userHash !== userHash);
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to deny contribution request:', error);
+      return false;
+    }
+  }
+
+  // Ban a user from an activity, taking away every role and request they had
+  async banActivityUser(activityId, userHash, userName = null) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.changeActivity(activityId, activity => {
+        const permissions = activity.permissions || {};
+        const without = list => (list || []).filter(hash => hash !== userHash);
+        activity.permissions = {
+          ...permissions,
+          approvedContributors: without(permissions.approvedContributors),
+          moderators: without(permissions.moderators),
+          viewers: without(permissions.viewers),
+          contributorRequests: (permissions.contributorRequests || []).filter(request => request.userHash !== userHash),
+          bannedUsers: [...without(permissions.bannedUsers), userHash]
+        };
+        this.setMemberName(activity, userHash, userName);
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to ban user from activity:', error);
+      return null;
+    }
+  }
+
+  async unbanActivityUser(activityId, userHash) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.changeActivity(activityId, activity => {
+        activity.permissions = {
+          ...activity.permissions,
+          bannedUsers: (activity.permissions?.bannedUsers || []).filter(hash => hash !== userHash)
+        };
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to unban user from activity:', error);
+      return null;
+    }
+  }
+
+  // Log removals for every path and object a user drew. Returns their IDs.
+  async removeUserContent(activityId, userHash) {
+    const none = { pathIds: [], objectIds: [] };
+    const canvasData = await this.loadActivityCanvas(activityId);
+    if (!canvasData) return none;
+
+    const removed = {
+      pathIds: (canvasData.paths || []).filter(path => path.userHash === userHash).map(path => path.pathId),
+      objectIds: (canvasData.objects || []).filter(obj => obj.userId === userHash).map(obj => obj.id)
+    };
+    const operations = [
+      ...removed.pathIds.map(pathId => ({ type: 'removePath', pathId })),
+      ...removed.objectIds.map(objectId => ({ type: 'removeObject', objectId }))
+    ];
+
+    return await this.appendCanvasOperations(activityId, operations) ? removed : none;
+  }
+
+  // Unlisted and private activities stay out of map, list and search results
+  isListed(activity) {
+    return (activity.visibility || 'public') === 'public';
+  }
+
+  // Banned users are kept out; private activities are only open to their
+  // owner and members
+  canUserView(activity, userHash) {
+    if (activity.ownerId === userHash) return true;
+    if (activity.permissions?.bannedUsers?.includes(userHash)) return false;
+    if ((activity.visibility || 'public') !== 'private') return true;
+
+    const permissions = activity.permissions || {};
+    return [permissions.approvedContributors, permissions.moderators, permissions.viewers]
+      .some(list => list?.includes(userHash));
+  }
+
+  // Whether a user already has at least an invite's role
+  hasMemberRole(activity, userHash, role) {
+    if (activity.ownerId === userHash) return true;
+    if (activity.permissions?.approvedContributors?.includes(userHash)) return true;
+    return role === 'viewer' && !!activity.permissions?.viewers?.includes(userHash);
+  }
+
+  async setActivityVisibility(activityId, visibility) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.changeActivity(activityId, activity => {
+        activity.visibility = visibility;
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to set activity visibility:', error);
+      return null;
+    }
+  }
+
+  // Add a user who redeemed an invite, as a contributor or a viewer
+  async addActivityMember(activityId, userHash, role) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.changeActivity(activityId, activity => {
+        const listName = role === 'contributor' ? 'approvedContributors' : 'viewers';
+        activity.permissions = activity.permissions || {};
+        activity.permissions[listName] = activity.permissions[listName] || [];
+        if (!activity.permissions[listName].includes(userHash)) {
+          activity.permissions[listName].push(userHash);
         }
-        
-        // Check if it's a proper activity key
-        const activityIdMatch = key.match(/^activity:([^:]+)$/);
-        if (!activityIdMatch) continue;
-        
-        try {
-          const activityData = await this.redis.get(key);
-          if (activityData) {
-            const activity = JSON.parse(activityData);
-            activities.push(activity);
+        if (role === 'contributor' && activity.permissions.contributorRequests) {
+          activity.permissions.contributorRequests = activity.permissions.contributorRequests.filter(
+            request => request.userHash !== userHash
+          );
+        }
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to add activity member:', error);
+      return null;
+    }
+  }
+
+  // Remember display names of members so lists don't show bare hashes
+  setMemberName(activity, userHash, userName) {
+    if (!userName) return;
+    activity.memberNames = { ...activity.memberNames, [userHash]: userName };
+  }
+
+  async setActivityModerator(activityId, userHash, isModerator, userName = null) {
+    if (!this.redis) return null;
+
+    try {
+      return await this.changeActivity(activityId, activity => {
+        const moderators = (activity.permissions?.moderators || []).filter(hash => hash !== userHash);
+        if (isModerator) moderators.push(userHash);
+        activity.permissions = { ...activity.permissions, moderators };
+        this.setMemberName(activity, userHash, userName);
+        return activity;
+      });
+    } catch (error) {
+      console.error('Failed to update moderators:', error);
+      return null;
+    }
+  }
+
+  getOwnershipOfferKey(activityId) {
+    return `${this.keyPrefix}transfer:${activityId}`;
+  }
+
+  // A pending ownership transfer waits for the recipient to accept it
+  async offerOwnership(activityId, fromHash, toHash, toName = null) {
+    if (!this.redis) return null;
+
+    try {
+      const offer = { activityId, from: fromHash, to: toHash, toName, createdAt: Date.now() };
+      await this.redis.set(this.getOwnershipOfferKey(activityId), JSON.stringify(offer), {
+        EX: this.ownershipOfferTtl
+      });
+      return offer;
+    } catch (error) {
+      console.error('Failed to offer ownership:', error);
+      return null;
+    }
+  }
+
+  async getOwnershipOffer(activityId) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(this.getOwnershipOfferKey(activityId));
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to get ownership offer:', error);
+      return null;
+    }
+  }
+
+  async cancelOwnershipOffer(activityId) {
+    if (!this.redis) return false;
+
+    try {
+      return await this.redis.del(this.getOwnershipOfferKey(activityId)) > 0;
+    } catch (error) {
+      console.error('Failed to cancel ownership offer:', error);
+      return false;
+    }
+  }
+
+  // Take the pending offer and make its recipient the owner. The previous
+  // owner stays on as a moderator. Returns { activity, previousOwnerId } or { error }.
+  async acceptOwnershipOffer(activityId, userHash, userName = null) {
+    if (!this.redis) return { error: 'NO_OFFER' };
+
+    try {
+      const offer = await this.getOwnershipOffer(activityId);
+      if (!offer || offer.to !== userHash) return { error: 'NO_OFFER' };
+
+      // Only one accept can take the offer, even if it was cancelled meanwhile
+      if (!await this.redis.getDel(this.getOwnershipOfferKey(activityId))) return { error: 'NO_OFFER' };
+
+      const activity = await this.changeActivity(activityId, (previous, multi) => {
+        if (previous.ownerId !== offer.from) return null;
+
+        const permissions = previous.permissions || {};
+        const activity = {
+          ...previous,
+          ownerId: userHash,
+          ownerName: userName || offer.toName || 'Anonymous',
+          permissions: {
+            ...permissions,
+            moderators: [...(permissions.moderators || []).filter(hash => hash !== userHash), previous.ownerId],
+            approvedContributors: [...new Set([...(permissions.approvedContributors || []), userHash])],
+            bannedUsers: (permissions.bannedUsers || []).filter(hash => hash !== userHash)
           }
-        } catch (err) {
-          console.log(`[getAllActivities] Skipping invalid key: ${key}`);
-          continue;
+        };
+        this.setMemberName(activity, previous.ownerId, previous.ownerName);
+
+        // Move it between the owners' indexes along with the ownerId
+        this.addToIndexes(this.removeFromIndexes(multi, previous), activity);
+        return activity;
+      });
+      if (!activity) return { error: 'NO_OFFER' };
+
+      console.log(`[Activity] Ownership of ${activityId} moved from ${offer.from} to ${userHash}`);
+      return { activity, previousOwnerId: offer.from };
+    } catch (error) {
+      console.error('Failed to transfer ownership:', error);
+      return { error: 'TRANSFER_FAILED' };
+    }
+  }
+
+  // Get activities sorted by createdAt or lastActive. With a limit, returns
+  // one page and a cursor for the next (null on the last page); without one,
+  // every activity. Pages leave out unlisted and private activities unless
+  // includeHidden is set; they are still filled up to the limit.
+  async getAllActivities({ sort = 'createdAt', order = 'desc', cursor = null, limit = null, includeHidden = false } = {}) {
+    if (!this.redis) return { activities: [], nextCursor: null };
+
+    try {
+      const indexKey = this.sortIndexKeys[sort] || this.sortIndexKeys.createdAt;
+      const descending = order !== 'asc';
+
+      const visible = activities => includeHidden ? activities : activities.filter(activity => this.isListed(activity));
+
+      if (!limit) {
+        const activityIds = await this.redis.zRange(indexKey, 0, -1, descending ? { REV: true } : undefined);
+        return { activities: visible(await this.loadActivities(activityIds)), nextCursor: null };
+      }
+
+      // Keep reading the index past hidden activities until the page is full.
+      // One visible activity beyond the limit tells whether there is a next page.
+      const page = [];
+      let after = this.parseCursor(cursor);
+      while (page.length <= limit) {
+        const entries = await this.getIndexPage(indexKey, descending, after, limit + 1);
+        if (entries.length === 0) break;
+
+        const loaded = await this.loadActivities(entries.map(entry => entry.value));
+        const byId = new Map(visible(loaded).map(activity => [activity.id, activity]));
+        for (const entry of entries) {
+          if (!byId.has(entry.value)) continue;
+          page.push({ entry, activity: byId.get(entry.value) });
+          if (page.length > limit) break;
         }
+
+        if (entries.length <= limit) break;
+        const lastEntry = entries[entries.length - 1];
+        after = { score: lastEntry.score, id: lastEntry.value };
       }
-      
-      console.log(`[getAllActivities] Found ${activities.length} total activities`);
-      // Sort by creation date, newest first
-      activities.sort((a, b) => b.createdAt - a.createdAt);
-      return activities;
+
+      const last = page[limit - 1]?.entry;
+      return {
+        activities: page.slice(0, limit).map(({ activity }) => activity),
+        nextCursor: page.length > limit ? `${last.score}:${last.value}` : null
+      };
     } catch (error) {
       console.error('Failed to get all activities:', error);
-      return [];
+      return { activities: [], nextCursor: null };
+    }
+  }
+
+  // Up to count index entries after a cursor. Entries sharing the cursor's
+  // score are ordered by ID, the way Redis orders them.
+  async getIndexPage(indexKey, descending, after, count) {
+    if (!after) {
+      return this.redis.zRangeWithScores(indexKey, descending ? '+inf' : '-inf', descending ? '-inf' : '+inf', {
+        BY: 'SCORE',
+        REV: descending || undefined,
+        LIMIT: { offset: 0, count }
+      });
+    }
+
+    const tied = (await this.redis.zRangeWithScores(indexKey, after.score, after.score, { BY: 'SCORE' }))
+      .filter(entry => descending ? entry.value < after.id : entry.value > after.id)
+      .sort((a, b) => descending ? b.value.localeCompare(a.value) : a.value.localeCompare(b.value));
+
+    const rest = await this.redis.zRangeWithScores(
+      indexKey,
+      `(${after.score}`,
+      descending ? '-inf' : '+inf',
+      { BY: 'SCORE', REV: descending || undefined, LIMIT: { offset: 0, count } }
+    );
+
+    return [...tied, ...rest].slice(0, count);
+  }
+
+  // Cursors are "<score>:<activityId>" of the last entry on the previous page
+  parseCursor(cursor) {
+    if (typeof cursor !== 'string') return null;
+
+    const separator = cursor.indexOf(':');
+    const score = Number(cursor.slice(0, separator));
+    if (separator < 1 || !Number.isFinite(score)) return null;
+
+    return { score, id: cursor.slice(separator + 1) };
+  }
+
+  // Load activities by ID in order, dropping index entries whose activity is gone
+  async loadActivities(activityIds, ownerKey = null) {
+    const activities = [];
+    const missing = [];
+
+    for (let i = 0; i < activityIds.length; i += 500) {
+      const batch = activityIds.slice(i, i + 500);
+      const values = await this.redis.mGet(batch.map(id => `${this.keyPrefix}${id}`));
+      values.forEach((value, j) => {
+        if (value) {
+          activities.push(this.dropExpiredRequests(JSON.parse(value)));
+        } else {
+          missing.push(batch[j]);
+        }
+      });
+    }
+
+    if (missing.length > 0) {
+      const multi = this.redis.multi()
+        .sRem(this.registryKey, missing)
+        .zRem(this.sortIndexKeys.createdAt, missing)
+        .zRem(this.sortIndexKeys.lastActive, missing);
+      if (ownerKey) multi.zRem(ownerKey, missing);
+      await multi.exec();
+    }
+
+    return activities;
+  }
+
+  // Queue the index updates for an activity on a multi
+  addToIndexes(multi, activity) {
+    multi
+      .sAdd(this.registryKey, activity.id)
+      .zAdd(this.sortIndexKeys.createdAt, { score: activity.createdAt, value: activity.id })
+      .zAdd(this.sortIndexKeys.lastActive, { score: activity.lastActive || activity.createdAt, value: activity.id })
+      .zAdd(this.getOwnerIndexKey(activity.ownerId), { score: activity.createdAt, value: activity.id });
+    this.getSearchKeys(activity).forEach(key => multi.sAdd(key, activity.id));
+    if (activity.geohash) {
+      multi.sAdd(this.geoCellIndexKey, activity.geohash.substring(0, this.minIndexPrecision));
+    }
+    return multi;
+  }
+
+  removeFromIndexes(multi, activity) {
+    multi
+      .sRem(this.registryKey, activity.id)
+      .zRem(this.sortIndexKeys.createdAt, activity.id)
+      .zRem(this.sortIndexKeys.lastActive, activity.id)
+      .zRem(this.getOwnerIndexKey(activity.ownerId), activity.id);
+    this.getSearchKeys(activity).forEach(key => multi.sRem(key, activity.id));
+    return multi;
+  }
+
+  // Term and tag sets an activity belongs to
+  getSearchKeys(activity) {
+    const terms = this.tokenize(`${activity.title || ''} ${activity.description || ''} ${activity.street || ''}`);
+    return [
+      ...terms.map(term => `${this.termIndexPrefix}${term}`),
+      ...(activity.tags || []).map(tag => `${this.tagIndexPrefix}${tag}`)
+    ];
+  }
+
+  // Lowercase words of two or more letters or digits
+  tokenize(text) {
+    return [...new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])];
+  }
+
+  // Lowercase, without '#', spaces turned into dashes
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+
+    const normalized = tags
+      .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, ''))
+      .filter(tag => tag.length > 0 && tag.length <= 30);
+    return [...new Set(normalized)].slice(0, this.maxTags);
+  }
+
+  // Search by text, tags and distance. Text matches every word against the
+  // title, description and street; near is { lat, lng } and radiusKm limits
+  // results to that distance. sort is 'relevance', 'recent' (last active) or
+  // 'popular' (participants, then drawings).
+  async searchActivities({ query = '', tags = [], near = null, radiusKm = null, sort = 'relevance', offset = 0, limit = 20 } = {}) {
+    if (!this.redis) return { results: [], total: 0 };
+
+    try {
+      const terms = this.tokenize(query);
+      const tagFilter = this.normalizeTags(tags);
+      const radius = near && radiusKm ? radiusKm * 1000 : null;
+      const setKeys = [
+        ...terms.map(term => `${this.termIndexPrefix}${term}`),
+        ...tagFilter.map(tag => `${this.tagIndexPrefix}${tag}`)
+      ];
+
+      let activityIds;
+      if (setKeys.length > 0) {
+        activityIds = await this.redis.sInter(setKeys);
+      } else if (radius) {
+        activityIds = await this.getActivityIdsInBounds(this.getBoundsAround(near, radius));
+      } else {
+        return { results: [], total: 0 };
+      }
+
+      let activities = (await this.loadActivities(activityIds)).filter(activity => this.isListed(activity));
+      if (near) {
+        activities = activities.map(activity => ({
+          ...activity,
+          distance: Math.round(this.getDistance(near.lat, near.lng, activity.lat, activity.lng))
+        }));
+      }
+      if (radius) {
+        activities = activities.filter(activity => activity.distance <= radius);
+      }
+
+      const byRecent = (a, b) => (b.lastActive || 0) - (a.lastActive || 0);
+      const byDistance = (a, b) => near ? a.distance - b.distance : 0;
+      if (sort === 'recent') {
+        activities.sort(byRecent);
+      } else if (sort === 'popular') {
+        activities.sort((a, b) =>
+          (b.participantCount || 0) - (a.participantCount || 0) ||
+          (b.drawingCount || 0) - (a.drawingCount || 0) ||
+          byRecent(a, b));
+      } else {
+        const scores = new Map(activities.map(activity => [activity.id, this.getRelevance(activity, terms)]));
+        activities.sort((a, b) => scores.get(b.id) - scores.get(a.id) || byDistance(a, b) || byRecent(a, b));
+      }
+
+      return { results: activities.slice(offset, offset + limit), total: activities.length };
+    } catch (error) {
+      console.error('Failed to search activities:', error);
+      return { results: [], total: 0 };
+    }
+  }
+
+  // Title matches count most, then street, then description
+  getRelevance(activity, terms) {
+    const title = this.tokenize(activity.title);
+    const street = this.tokenize(activity.street);
+    return terms.reduce((score, term) =>
+      score + (title.includes(term) ? 3 : street.includes(term) ? 2 : 1), 0);
+  }
+
+  // Smallest box containing a circle around a point
+  getBoundsAround({ lat, lng }, radiusMeters) {
+    const latDelta = radiusMeters / 111320;
+    const lngDelta = radiusMeters / (111320 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+    return {
+      south: Math.max(-90, lat - latDelta),
+      north: Math.min(90, lat + latDelta),
+      west: lngDelta >= 180 ? -180 : lng - lngDelta,
+      east: lngDelta >= 180 ? 180 : lng + lngDelta
+    };
+  }
+
+  getOwnerIndexKey(ownerId) {
+    return `${this.ownerIndexPrefix}${ownerId}`;
+  }
+
+  // Index activities stored before the indexes existed. Uses SCAN so Redis
+  // keeps serving while it runs, and only runs once per index version.
+  async ensureIndexes() {
+    if (!this.redis) return;
+
+    try {
+      if (Number(await this.redis.get(this.indexVersionKey)) >= this.indexVersion) return;
+
+      let indexed = 0;
+      for await (const key of this.redis.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 500 })) {
+        if (!/^activity:([^:]+)$/.test(key)) continue;
+
+        let activity;
+        try {
+          activity = JSON.parse(await this.redis.get(key));
+        } catch (err) {
+          continue; // Not an activity (e.g. the stats hash)
+        }
+        if (!activity?.id || !activity.ownerId) continue;
+
+        await this.addToIndexes(this.redis.multi(), activity).exec();
+        indexed++;
+      }
+
+      await this.redis.set(this.indexVersionKey, String(this.indexVersion));
+      console.log(`[ActivityIndexes] Indexed ${indexed} existing activities`);
+    } catch (error) {
+      console.error('Failed to build activity indexes:', error);
     }
   }
   
@@ -498,16 +1483,22 @@ export class ActivityPersistence {
       }
       
       // Delete activity data
-      await this.redis.del(`${this.keyPrefix}${activityId}`);
+      await this.removeFromIndexes(
+        this.redis.multi().del(`${this.keyPrefix}${activityId}`),
+        activity
+      ).exec();
       
-      // Delete canvas data
+      // Delete canvas snapshot, operation log and object states
       await this.redis.del(`${this.keyPrefix}canvas:${activityId}`);
+      await this.redis.del(`${this.keyPrefix}ops:${activityId}`);
+      await this.deleteObjectStates(activityId);
       
       // Remove from geohash indices
-      for (let precision = 4; precision <= this.defaultPrecision; precision++) {
+      for (let precision = this.minIndexPrecision; precision <= this.defaultPrecision; precision++) {
         const hash = activity.geohash.substring(0, precision);
         await this.redis.sRem(`${this.keyPrefix}geo:${hash}`, activityId);
       }
+      await this.removeGeoCellIfEmpty(activity.geohash.substring(0, this.minIndexPrecision));
       
       // Remove from street index if available
       if (activity.street) {
@@ -0,0 +1,129 @@
+// Named and automatic snapshots of activity canvases
+export class ActivityVersionManager {
+  constructor(redis, activityPersistence) {
+    this.redis = redis;
+    this.activityPersistence = activityPersistence;
+    this.keyPrefix = 'activity:';
+    this.maxAutoVersions = 20;
+    this.maxNamedVersions = 50;
+    this.autoVersionInterval = 10 * 60 * 1000; // At most one automatic snapshot per 10 minutes
+  }
+
+  // Snapshot the current canvas of an activity
+  async createVersion(activityId, options = {}) {
+    if (!this.redis) return null;
+
+    try {
+      const canvasData = await this.activityPersistence.loadActivityCanvas(activityId);
+      if (!canvasData) return null; // Nothing drawn yet
+
+      const version = {
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        activityId,
+        name: options.name || (options.auto ? 'Automatic snapshot' : 'Untitled version'),
+        auto: !!options.auto,
+        createdAt: Date.now(),
+        createdBy: options.createdBy || null,
+        createdByName: options.createdByName || null,
+        pathCount: canvasData.paths?.length || 0,
+        objectCount: canvasData.objects?.length || 0
+      };
+
+      await this.redis.multi()
+        .set(this.getVersionKey(activityId, version.id), JSON.stringify(canvasData))
+        .lPush(this.getListKey(activityId), JSON.stringify(version))
+        .exec();
+
+      await this.pruneVersions(activityId);
+
+      console.log(`[Versions] Created ${version.auto ? 'automatic' : 'named'} version ${version.id} for activity ${activityId}`);
+      return version;
+    } catch (error) {
+      console.error('Failed to create activity version:', error);
+      return null;
+    }
+  }
+
+  // Snapshot automatically unless a recent automatic snapshot exists
+  async createAutoVersion(activityId, name, force = false) {
+    if (!force) {
+      const versions = await this.getVersions(activityId);
+      const latestAuto = versions.find(version => version.auto);
+      if (latestAuto && Date.now() - latestAuto.createdAt < this.autoVersionInterval) {
+        return null;
+      }
+    }
+
+    return this.createVersion(activityId, { name, auto: true });
+  }
+
+  // List version metadata, newest first
+  async getVersions(activityId) {
+    if (!this.redis) return [];
+
+    try {
+      const entries = await this.redis.lRange(this.getListKey(activityId), 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      console.error('Failed to get activity versions:', error);
+      return [];
+    }
+  }
+
+  // Load the canvas data stored with a version
+  async getVersionCanvas(activityId, versionId) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(this.getVersionKey(activityId, versionId));
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to load activity version:', error);
+      return null;
+    }
+  }
+
+  // Delete every version of an activity
+  async deleteVersions(activityId) {
+    if (!this.redis) return;
+
+    try {
+      const versions = await this.getVersions(activityId);
+      for (const version of versions) {
+        await this.redis.del(this.getVersionKey(activityId, version.id));
+      }
+      await this.redis.del(this.getListKey(activityId));
+    } catch (error) {
+      console.error('Failed to delete activity versions:', error);
+    }
+  }
+
+  // Helper: Keep only the newest automatic and named versions
+  async pruneVersions(activityId) {
+    const versions = await this.getVersions(activityId);
+    const autoVersions = versions.filter(version => version.auto);
+    const namedVersions = versions.filter(version => !version.auto);
+
+    const expired = [
+      ...autoVersions.slice(this.maxAutoVersions),
+      ...namedVersions.slice(this.maxNamedVersions)
+    ];
+
+    for (const version of expired) {
+      await this.redis.multi()
+        .lRem(this.getListKey(activityId), 1, JSON.stringify(version))
+        .del(this.getVersionKey(activityId, version.id))
+        .exec();
+    }
+  }
+
+  // Helper: Redis key for an activity's version list
+  getListKey(activityId) {
+    return `${this.keyPrefix}versions:${activityId}`;
+  }
+
+  // Helper: Redis key for a version's canvas data
+  getVersionKey(activityId, versionId) {
+    return `${this.keyPrefix}version:${activityId}:${versionId}`;
+  }
+}
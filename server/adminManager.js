@@ -0,0 +1,99 @@
+// Admin roles, global bans and the audit log of admin actions.
+// Admins are Supabase users whose app_metadata.role is 'admin' (only settable
+// with the service key) or whose user ID is listed in ADMIN_USER_IDS.
+export class AdminManager {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.adminUserIds = new Set(options.adminUserIds || []);
+    this.bansKey = 'admin:bans';
+    this.auditKey = 'admin:audit';
+    this.maxAuditEntries = 5000;
+  }
+
+  isAdminUser(user) {
+    if (!user?.id) return false;
+    return user.app_metadata?.role === 'admin' || this.adminUserIds.has(user.id);
+  }
+
+  // Ban a userHash from the whole site
+  async banUser(userHash, reason, bannedBy) {
+    if (!this.redis) return false;
+
+    try {
+      await this.redis.hSet(this.bansKey, userHash, JSON.stringify({
+        userHash,
+        reason: reason || '',
+        bannedBy,
+        bannedAt: Date.now()
+      }));
+      return true;
+    } catch (error) {
+      console.error('Failed to ban user:', error);
+      return false;
+    }
+  }
+
+  async unbanUser(userHash) {
+    if (!this.redis) return false;
+
+    try {
+      return (await this.redis.hDel(this.bansKey, userHash)) > 0;
+    } catch (error) {
+      console.error('Failed to unban user:', error);
+      return false;
+    }
+  }
+
+  async isBanned(userHash) {
+    if (!this.redis || !userHash) return false;
+
+    try {
+      return await this.redis.hExists(this.bansKey, userHash);
+    } catch (error) {
+      console.error('Failed to check ban:', error);
+      return false;
+    }
+  }
+
+  async getBans() {
+    if (!this.redis) return [];
+
+    try {
+      const bans = await this.redis.hGetAll(this.bansKey);
+      return Object.values(bans).map(ban => JSON.parse(ban));
+    } catch (error) {
+      console.error('Failed to load bans:', error);
+      return [];
+    }
+  }
+
+  // Record an admin action. actor is { userId, userHash, name, via }.
+  async audit(actor, action, details = {}) {
+    const entry = { action, actor, details, timestamp: Date.now() };
+    console.log(`[Admin] ${actor?.name || actor?.userHash} ${action}`, details);
+
+    if (!this.redis) return;
+
+    try {
+      await this.redis.multi()
+        .lPush(this.auditKey, JSON.stringify(entry))
+        .lTrim(this.auditKey, 0, this.maxAuditEntries - 1)
+        .exec();
+    } catch (error) {
+      console.error('Failed to write admin audit log:', error);
+    }
+  }
+
+  // Most recent first
+  async getAuditLog(limit = 100) {
+    if (!this.redis) return [];
+
+    try {
+      const entries = await this.redis.lRange(this.auditKey, 0, limit - 1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      console.error('Failed to load admin audit log:', error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,464 @@
+import { Worker } from 'worker_threads';
+
+// Renders stored activity canvases to SVG/PNG without a browser.
+// Mirrors the Fabric.js defaults the client uses (origin top-left, stroke
+// included in the object's bounding box).
+export class CanvasExporter {
+  constructor() {
+    this.defaultWidth = 800;
+    this.defaultHeight = 600;
+    this.maxDimension = 8192; // Cap on SVG pixels per side
+    this.maxPngDimension = 2048; // Cap on rasterized pixels per side
+    this.textLineHeight = 1.16; // Fabric's default lineHeight
+
+    // PNGs are rasterized one at a time in a worker thread
+    this.worker = null;
+    this.pending = new Map(); // render id -> { resolve, reject, timeoutId }
+    this.renderId = 0;
+    this.maxQueuedRenders = 8;
+    this.renderTimeoutMs = 10000;
+  }
+
+  // Render canvas data to an SVG string.
+  // options: { background, scale, crop, padding, maxSize, images }
+  // images maps the src of image objects to data URLs; unresolved images are skipped.
+  renderSvg(canvasData, options = {}) {
+    const elements = [];
+    const bounds = this.createBounds();
+
+    (canvasData?.objects || []).forEach(obj => {
+      const rendered = this.renderObject(obj, options.images || {});
+      if (rendered) {
+        elements.push(rendered.svg);
+        this.extendBounds(bounds, rendered.bounds);
+      }
+    });
+
+    // Freehand activity paths sit underneath Fabric objects, as in the clients
+    const pathElements = [];
+    (canvasData?.paths || []).forEach(path => {
+      const rendered = this.renderPath(path);
+      if (rendered) {
+        pathElements.push(rendered.svg);
+        this.extendBounds(bounds, rendered.bounds);
+      }
+    });
+
+    const viewBox = this.getViewBox(bounds, options);
+    const scale = this.getScale(viewBox, options.scale, options.maxSize);
+    const width = Math.max(1, Math.round(viewBox.width * scale));
+    const height = Math.max(1, Math.round(viewBox.height * scale));
+    const background = options.background && options.background !== 'transparent'
+      ? `<rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="${this.escape(options.background)}"/>`
+      : '';
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">`,
+      background,
+      ...pathElements,
+      ...elements,
+      '</svg>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Render canvas data to a PNG buffer. Rejects with code EXPORT_BUSY when
+  // too many renders are already queued.
+  async renderPng(canvasData, options = {}) {
+    const maxSize = Math.min(this.toNumber(options.maxSize, this.maxPngDimension), this.maxPngDimension);
+    return this.rasterize(this.renderSvg(canvasData, { ...options, maxSize }));
+  }
+
+  // Helper: Rasterize SVG in the worker
+  rasterize(svg) {
+    if (this.pending.size >= this.maxQueuedRenders) {
+      const error = new Error('Too many exports in progress, try again shortly');
+      error.code = 'EXPORT_BUSY';
+      return Promise.reject(error);
+    }
+
+    const worker = this.getWorker();
+    const id = ++this.renderId;
+    return new Promise((resolve, reject) => {
+      // A render stuck this long takes the worker (and its queue) down with it
+      const timeoutId = setTimeout(() => {
+        this.resetWorker(new Error('PNG rendering timed out'));
+      }, this.renderTimeoutMs);
+      this.pending.set(id, { resolve, reject, timeoutId });
+      worker.postMessage({ id, svg });
+    });
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./pngWorker.js', import.meta.url));
+      this.worker.on('message', ({ id, png, error }) => {
+        const render = this.pending.get(id);
+        if (!render) return;
+
+        clearTimeout(render.timeoutId);
+        this.pending.delete(id);
+        if (error) {
+          render.reject(new Error(error));
+        } else {
+          render.resolve(Buffer.from(png.buffer, png.byteOffset, png.byteLength));
+        }
+      });
+      this.worker.on('error', error => this.resetWorker(error));
+      this.worker.unref(); // Never keeps the server alive on shutdown
+    }
+    return this.worker;
+  }
+
+  // Helper: Replace the worker, failing everything it had queued
+  resetWorker(error) {
+    const worker = this.worker;
+    this.worker = null;
+    worker?.terminate();
+
+    this.pending.forEach(render => {
+      clearTimeout(render.timeoutId);
+      render.reject(error);
+    });
+    this.pending.clear();
+  }
+
+  // Render a freehand activity path (a point list with color/size)
+  renderPath(path) {
+    const points = (path.points || []).filter(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+    if (points.length === 0) return null;
+
+    const size = this.toNumber(path.size, 3);
+    const color = this.escape(path.color || '#000000');
+    const bounds = this.createBounds();
+    points.forEach(p => {
+      this.extendBounds(bounds, { minX: p.x - size / 2, minY: p.y - size / 2, maxX: p.x + size / 2, maxY: p.y + size / 2 });
+    });
+
+    // A single point still shows up as a dot
+    const d = points.length === 1
+      ? `M ${points[0].x} ${points[0].y} L ${points[0].x} ${points[0].y}`
+      : points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+
+    return {
+      svg: `<path d="${d}" fill="none" stroke="${color}" stroke-width="${size}" stroke-linecap="round" stroke-linejoin="round"/>`,
+      bounds
+    };
+  }
+
+  // Render a serialized Fabric object
+  renderObject(obj, images = {}) {
+    const strokeWidth = obj.stroke ? this.toNumber(obj.strokeWidth, 1) : 0;
+    let shape = null;
+    let width = this.toNumber(obj.width, 0);
+    let height = this.toNumber(obj.height, 0);
+
+    switch (obj.type) {
+      case 'rect':
+        shape = `<rect x="${-width / 2}" y="${-height / 2}" width="${width}" height="${height}"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+
+      case 'circle': {
+        const radius = this.toNumber(obj.radius, width / 2);
+        width = height = radius * 2;
+        shape = `<circle cx="0" cy="0" r="${radius}"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+      }
+
+      case 'ellipse': {
+        const rx = this.toNumber(obj.rx, width / 2);
+        const ry = this.toNumber(obj.ry, height / 2);
+        width = rx * 2;
+        height = ry * 2;
+        shape = `<ellipse cx="0" cy="0" rx="${rx}" ry="${ry}"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+      }
+
+      case 'polygon':
+      case 'polyline': {
+        const points = (obj.points || []).filter(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+        if (points.length === 0) return null;
+        const pointBounds = this.createBounds();
+        points.forEach(p => this.extendBounds(pointBounds, { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y }));
+        width = pointBounds.maxX - pointBounds.minX;
+        height = pointBounds.maxY - pointBounds.minY;
+        // Like paths, polylines are drawn relative to the center of their points
+        const offsetX = (pointBounds.minX + pointBounds.maxX) / 2;
+        const offsetY = (pointBounds.minY + pointBounds.maxY) / 2;
+        shape = `<${obj.type} transform="translate(${-offsetX} ${-offsetY})" points="${points.map(p => `${p.x},${p.y}`).join(' ')}"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+      }
+
+      case 'image': {
+        const href = images[obj.src];
+        if (!href) return null;
+        shape = `<image x="${-width / 2}" y="${-height / 2}" width="${width}" height="${height}" preserveAspectRatio="none" href="${this.escape(href)}"/>`;
+        break;
+      }
+
+      case 'triangle':
+        shape = `<polygon points="${-width / 2},${height / 2} 0,${-height / 2} ${width / 2},${height / 2}"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+
+      case 'line': {
+        const x1 = this.toNumber(obj.x1, 0);
+        const y1 = this.toNumber(obj.y1, 0);
+        const x2 = this.toNumber(obj.x2, 0);
+        const y2 = this.toNumber(obj.y2, 0);
+        width = Math.abs(x2 - x1);
+        height = Math.abs(y2 - y1);
+        const startX = (x1 <= x2 ? -1 : 1) * width / 2;
+        const startY = (y1 <= y2 ? -1 : 1) * height / 2;
+        shape = `<line x1="${startX}" y1="${startY}" x2="${-startX}" y2="${-startY}"${this.getPaint({ ...obj, fill: null }, strokeWidth)}/>`;
+        break;
+      }
+
+      case 'i-text':
+      case 'text': {
+        const fontSize = this.toNumber(obj.fontSize, 40);
+        const lines = String(obj.text || '').split('\n');
+        if (!width) {
+          // Rough estimate when the client didn't send measured dimensions
+          width = Math.max(...lines.map(line => line.length)) * fontSize * 0.6;
+        }
+        if (!height) {
+          height = lines.length * fontSize * this.textLineHeight;
+        }
+        shape = this.renderText(obj, lines, width, height, fontSize);
+        break;
+      }
+
+      case 'path': {
+        const pathBounds = this.getPathCommandBounds(obj.path);
+        if (!pathBounds) return null;
+        width = width || pathBounds.maxX - pathBounds.minX;
+        height = height || pathBounds.maxY - pathBounds.minY;
+        // Fabric draws paths relative to the center of their bounding box
+        const offsetX = (pathBounds.minX + pathBounds.maxX) / 2;
+        const offsetY = (pathBounds.minY + pathBounds.maxY) / 2;
+        shape = `<path transform="translate(${-offsetX} ${-offsetY})" d="${this.escape(this.getPathData(obj.path))}" stroke-linecap="round" stroke-linejoin="round"${this.getPaint(obj, strokeWidth)}/>`;
+        break;
+      }
+
+      default:
+        return null;
+    }
+
+    const scaleX = this.toNumber(obj.scaleX, 1);
+    const scaleY = this.toNumber(obj.scaleY, 1);
+    const angle = this.toNumber(obj.angle, 0);
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    // left/top is the rotated top-left corner of the stroked bounding box
+    const halfWidth = (width + strokeWidth) * scaleX / 2;
+    const halfHeight = (height + strokeWidth) * scaleY / 2;
+    const left = this.toNumber(obj.left, 0);
+    const top = this.toNumber(obj.top, 0);
+    const centerX = left + halfWidth * cos - halfHeight * sin;
+    const centerY = top + halfWidth * sin + halfHeight * cos;
+
+    const bounds = this.createBounds();
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([dx, dy]) => {
+      const x = centerX + dx * halfWidth * cos - dy * halfHeight * sin;
+      const y = centerY + dx * halfWidth * sin + dy * halfHeight * cos;
+      this.extendBounds(bounds, { minX: x, minY: y, maxX: x, maxY: y });
+    });
+
+    return {
+      svg: `<g transform="translate(${centerX} ${centerY}) rotate(${angle}) scale(${scaleX} ${scaleY})">${shape}</g>`,
+      bounds
+    };
+  }
+
+  // Helper: Render multi-line text the way IText lays it out
+  renderText(obj, lines, width, height, fontSize) {
+    const anchor = { center: 'middle', right: 'end' }[obj.textAlign] || 'start';
+    const x = anchor === 'middle' ? 0 : anchor === 'end' ? width / 2 : -width / 2;
+    const lineHeight = fontSize * this.textLineHeight;
+    const attributes = [
+      `font-size="${fontSize}"`,
+      `font-family="${this.escape(obj.fontFamily || 'Times New Roman')}"`,
+      obj.fontWeight ? `font-weight="${this.escape(obj.fontWeight)}"` : '',
+      obj.fontStyle ? `font-style="${this.escape(obj.fontStyle)}"` : '',
+      `text-anchor="${anchor}"`,
+      `fill="${this.escape(obj.fill || '#000000')}"`
+    ].filter(Boolean).join(' ');
+
+    const tspans = lines.map((line, i) => {
+      // Baseline sits roughly one font size below the top of each line
+      const y = -height / 2 + i * lineHeight + fontSize;
+      return `<tspan x="${x}" y="${y}">${this.escape(line)}</tspan>`;
+    }).join('');
+
+    return `<text ${attributes} xml:space="preserve">${tspans}</text>`;
+  }
+
+  // Helper: fill/stroke attributes for a shape
+  getPaint(obj, strokeWidth) {
+    const fill = obj.fill && obj.fill !== 'transparent' ? this.escape(obj.fill) : 'none';
+    const stroke = obj.stroke && strokeWidth > 0
+      ? ` stroke="${this.escape(obj.stroke)}" stroke-width="${strokeWidth}"`
+      : '';
+    return ` fill="${fill}"${stroke}`;
+  }
+
+  // Helper: Convert Fabric's path command array to SVG path data
+  getPathData(path) {
+    if (typeof path === 'string') return path;
+    return (path || []).map(command => command.join(' ')).join(' ');
+  }
+
+  // Helper: Exact bounds of absolute M/L/Q/C/Z path commands
+  getPathCommandBounds(path) {
+    if (!Array.isArray(path)) return null;
+
+    const bounds = this.createBounds();
+    const addPoint = (x, y) => this.extendBounds(bounds, { minX: x, minY: y, maxX: x, maxY: y });
+    let current = null;
+    let start = null;
+
+    path.forEach(([command, ...args]) => {
+      const values = args.map(Number);
+      switch (command) {
+        case 'M':
+          current = start = [values[0], values[1]];
+          addPoint(...current);
+          break;
+        case 'L':
+          current = [values[0], values[1]];
+          addPoint(...current);
+          break;
+        case 'Q':
+          if (current) {
+            this.getQuadraticExtrema(current, values).forEach(point => addPoint(...point));
+          }
+          current = [values[2], values[3]];
+          addPoint(...current);
+          break;
+        case 'C':
+          if (current) {
+            this.getCubicExtrema(current, values).forEach(point => addPoint(...point));
+          }
+          current = [values[4], values[5]];
+          addPoint(...current);
+          break;
+        case 'Z':
+        case 'z':
+          current = start;
+          break;
+        default:
+          break;
+      }
+    });
+
+    return Number.isFinite(bounds.minX) ? bounds : null;
+  }
+
+  // Helper: Points where a quadratic curve turns around on either axis
+  getQuadraticExtrema([x0, y0], [cx, cy, x1, y1]) {
+    const points = [];
+    [[x0, cx, x1], [y0, cy, y1]].forEach(([p0, p1, p2]) => {
+      const denominator = p0 - 2 * p1 + p2;
+      if (denominator === 0) return;
+      const t = (p0 - p1) / denominator;
+      if (t > 0 && t < 1) {
+        const mt = 1 - t;
+        points.push([
+          mt * mt * x0 + 2 * mt * t * cx + t * t * x1,
+          mt * mt * y0 + 2 * mt * t * cy + t * t * y1
+        ]);
+      }
+    });
+    return points;
+  }
+
+  // Helper: Points where a cubic curve turns around on either axis
+  getCubicExtrema([x0, y0], [c1x, c1y, c2x, c2y, x1, y1]) {
+    const points = [];
+    const evaluate = (t) => {
+      const mt = 1 - t;
+      return [
+        mt * mt * mt * x0 + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * x1,
+        mt * mt * mt * y0 + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * y1
+      ];
+    };
+
+    [[x0, c1x, c2x, x1], [y0, c1y, c2y, y1]].forEach(([p0, p1, p2, p3]) => {
+      // Roots of the derivative a*t^2 + b*t + c
+      const a = -p0 + 3 * p1 - 3 * p2 + p3;
+      const b = 2 * (p0 - 2 * p1 + p2);
+      const c = p1 - p0;
+      const roots = [];
+
+      if (Math.abs(a) < 1e-12) {
+        if (b !== 0) roots.push(-c / b);
+      } else {
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant >= 0) {
+          const sqrt = Math.sqrt(discriminant);
+          roots.push((-b + sqrt) / (2 * a), (-b - sqrt) / (2 * a));
+        }
+      }
+
+      roots.filter(t => t > 0 && t < 1).forEach(t => points.push(evaluate(t)));
+    });
+    return points;
+  }
+
+  // Helper: Region of the canvas to export
+  getViewBox(bounds, options) {
+    const hasContent = Number.isFinite(bounds.minX);
+
+    if (options.crop && hasContent) {
+      const padding = Math.max(0, this.toNumber(options.padding, 20));
+      return {
+        x: Math.floor(bounds.minX - padding),
+        y: Math.floor(bounds.minY - padding),
+        width: Math.ceil(bounds.maxX - bounds.minX + padding * 2),
+        height: Math.ceil(bounds.maxY - bounds.minY + padding * 2)
+      };
+    }
+
+    // Canvases are anchored at the origin, so export from there
+    return {
+      x: 0,
+      y: 0,
+      width: Math.ceil(Math.max(this.defaultWidth, hasContent ? bounds.maxX : 0)),
+      height: Math.ceil(Math.max(this.defaultHeight, hasContent ? bounds.maxY : 0))
+    };
+  }
+
+  // Helper: Clamp the requested scale so the output stays within maxSize
+  // (or maxDimension) pixels on its longest side
+  getScale(viewBox, requestedScale, maxSize) {
+    const scale = Math.min(Math.max(this.toNumber(requestedScale, 1), 0.1), 4);
+    const limit = Math.min(this.toNumber(maxSize, this.maxDimension), this.maxDimension);
+    const maxScale = limit / Math.max(viewBox.width, viewBox.height, 1);
+    return Math.min(scale, maxScale);
+  }
+
+  createBounds() {
+    return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  }
+
+  extendBounds(bounds, other) {
+    bounds.minX = Math.min(bounds.minX, other.minX);
+    bounds.minY = Math.min(bounds.minY, other.minY);
+    bounds.maxX = Math.max(bounds.maxX, other.maxX);
+    bounds.maxY = Math.max(bounds.maxY, other.maxY);
+  }
+
+  toNumber(value, fallback) {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+  }
+
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
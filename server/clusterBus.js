@@ -0,0 +1,149 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Fans messages out to every server instance sharing the Redis database, so
+// users connected to different nodes still see each other. Without Redis the
+// bus is a no-op and the server behaves as a single node.
+export class ClusterBus {
+  constructor(redis) {
+    this.redis = redis;
+    this.nodeId = uuidv4();
+    this.channel = 'cluster:messages';
+    this.nodeKeyPrefix = 'cluster:node:';
+    this.presenceKeyPrefix = 'cluster:presence:';
+    this.subscriber = null;
+    this.handlers = new Map(); // message type -> handler
+    this.heartbeatMs = 10000;
+    this.nodeTtlSeconds = 30; // A node that stops heartbeating drops out of counts
+    this.heartbeatInterval = null;
+    this.published = 0;
+    this.received = 0;
+  }
+
+  // Subscribe on a dedicated connection; a subscribed client can't run commands
+  async start() {
+    if (!this.redis) return;
+
+    try {
+      this.subscriber = this.redis.duplicate();
+      this.subscriber.on('error', (err) => {
+        console.error('Cluster subscriber error:', err);
+      });
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.channel, (raw) => this.handleMessage(raw));
+
+      await this.heartbeat();
+      this.heartbeatInterval = setInterval(() => {
+        this.heartbeat().catch(err => console.error('Cluster heartbeat failed:', err));
+      }, this.heartbeatMs);
+
+      console.log(`[Cluster] Node ${this.nodeId} joined the cluster`);
+    } catch (error) {
+      console.error('Failed to start cluster bus:', error);
+      this.subscriber = null;
+    }
+  }
+
+  async stop() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    if (!this.subscriber) return;
+
+    try {
+      await this.redis.del(`${this.nodeKeyPrefix}${this.nodeId}`);
+      await this.subscriber.quit();
+    } catch (error) {
+      console.error('Failed to stop cluster bus:', error);
+    }
+    this.subscriber = null;
+  }
+
+  // Register the handler for messages of a type published by other nodes
+  on(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Send to every other node. Callers deliver to their own clients first.
+  publish(type, payload) {
+    if (!this.subscriber) return;
+
+    this.published++;
+    this.redis.publish(this.channel, JSON.stringify({ nodeId: this.nodeId, type, payload }))
+      .catch(err => console.error('Failed to publish cluster message:', err));
+  }
+
+  handleMessage(raw) {
+    try {
+      const { nodeId, type, payload } = JSON.parse(raw);
+      if (nodeId === this.nodeId) return;
+
+      this.received++;
+      const handler = this.handlers.get(type);
+      if (handler) {
+        handler(payload);
+      }
+    } catch (error) {
+      console.error('Failed to handle cluster message:', error);
+    }
+  }
+
+  async heartbeat() {
+    await this.redis.set(`${this.nodeKeyPrefix}${this.nodeId}`, Date.now().toString(), {
+      EX: this.nodeTtlSeconds
+    });
+  }
+
+  // Record this node's participant count for an activity and return the
+  // total across live nodes
+  async updatePresence(activityId, localCount) {
+    if (!this.subscriber) return localCount;
+
+    try {
+      const key = `${this.presenceKeyPrefix}${activityId}`;
+      if (localCount > 0) {
+        await this.redis.hSet(key, this.nodeId, localCount.toString());
+      } else {
+        await this.redis.hDel(key, this.nodeId);
+      }
+      return await this.getParticipantCount(activityId);
+    } catch (error) {
+      console.error('Failed to update cluster presence:', error);
+      return localCount;
+    }
+  }
+
+  async getParticipantCount(activityId) {
+    const key = `${this.presenceKeyPrefix}${activityId}`;
+    const counts = await this.redis.hGetAll(key);
+    const nodeIds = Object.keys(counts);
+    if (nodeIds.length === 0) return 0;
+
+    const alive = await this.redis.mGet(nodeIds.map(nodeId => `${this.nodeKeyPrefix}${nodeId}`));
+    let total = 0;
+    const deadNodes = [];
+    nodeIds.forEach((nodeId, i) => {
+      if (alive[i]) {
+        total += parseInt(counts[nodeId], 10) || 0;
+      } else {
+        deadNodes.push(nodeId);
+      }
+    });
+
+    // Forget nodes that crashed without cleaning up
+    if (deadNodes.length > 0) {
+      await this.redis.hDel(key, deadNodes);
+    }
+
+    return total;
+  }
+
+  getStats() {
+    return {
+      nodeId: this.nodeId,
+      connected: !!this.subscriber,
+      published: this.published,
+      received: this.received
+    };
+  }
+}
@@ -0,0 +1,177 @@
+// Per-user undo/redo stacks for Fabric activity canvases
+export class FabricHistoryManager {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'activity:history:';
+    this.maxEntries = 50; // Undo depth per user per activity
+    this.ttlSeconds = 7 * 24 * 60 * 60; // Forget stacks after a week of inactivity
+  }
+
+  // Record an operation together with the operation that reverts it
+  async recordOperation(activityId, userHash, forward, inverse) {
+    if (!this.redis || !inverse) return;
+
+    try {
+      const undoKey = this.getStackKey(activityId, userHash, 'undo');
+      const redoKey = this.getStackKey(activityId, userHash, 'redo');
+      const usersKey = this.getUsersKey(activityId);
+
+      await this.redis.multi()
+        .lPush(undoKey, JSON.stringify({ forward, inverse }))
+        .lTrim(undoKey, 0, this.maxEntries - 1)
+        .expire(undoKey, this.ttlSeconds)
+        .del(redoKey) // A new edit invalidates anything that was undone
+        .sAdd(usersKey, userHash)
+        .expire(usersKey, this.ttlSeconds)
+        .exec();
+    } catch (error) {
+      console.error('Failed to record fabric history:', error);
+    }
+  }
+
+  // Pop the latest entry off the undo stack and park it on the redo stack
+  async undo(activityId, userHash) {
+    return this.moveEntry(
+      activityId,
+      this.getStackKey(activityId, userHash, 'undo'),
+      this.getStackKey(activityId, userHash, 'redo')
+    );
+  }
+
+  // Pop the latest entry off the redo stack and put it back on the undo stack
+  async redo(activityId, userHash) {
+    return this.moveEntry(
+      activityId,
+      this.getStackKey(activityId, userHash, 'redo'),
+      this.getStackKey(activityId, userHash, 'undo')
+    );
+  }
+
+  // Put an entry that undo or redo took but couldn't apply back where it was,
+  // so it can be tried again
+  async restoreEntry(activityId, userHash, action, entry) {
+    if (!this.redis) return;
+
+    try {
+      const { fromKey, toKey } = this.getActionKeys(activityId, userHash, action);
+      const serialized = JSON.stringify(entry);
+      // Unless another undo or redo already moved it on
+      if (await this.redis.lRem(toKey, 1, serialized) > 0) {
+        await this.redis.lPush(fromKey, serialized);
+      }
+    } catch (error) {
+      console.error('Failed to restore fabric history entry:', error);
+    }
+  }
+
+  // Forget an entry that undo or redo took but that no longer applies
+  async discardEntry(activityId, userHash, action, entry) {
+    if (!this.redis) return;
+
+    try {
+      const { toKey } = this.getActionKeys(activityId, userHash, action);
+      await this.redis.lRem(toKey, 1, JSON.stringify(entry));
+    } catch (error) {
+      console.error('Failed to discard fabric history entry:', error);
+    }
+  }
+
+  // Get stack depths so the client can enable/disable its buttons
+  async getState(activityId, userHash) {
+    if (!this.redis) return { undoCount: 0, redoCount: 0 };
+
+    try {
+      const [undoCount, redoCount] = await this.redis.multi()
+        .lLen(this.getStackKey(activityId, userHash, 'undo'))
+        .lLen(this.getStackKey(activityId, userHash, 'redo'))
+        .exec();
+      return { undoCount, redoCount };
+    } catch (error) {
+      console.error('Failed to get fabric history state:', error);
+      return { undoCount: 0, redoCount: 0 };
+    }
+  }
+
+  // Drop every user's stacks for an activity (e.g. when it is deleted)
+  async clearActivity(activityId) {
+    if (!this.redis) return;
+
+    try {
+      const usersKey = this.getUsersKey(activityId);
+      const userHashes = await this.redis.sMembers(usersKey);
+      const keys = userHashes.flatMap(userHash => [
+        this.getStackKey(activityId, userHash, 'undo'),
+        this.getStackKey(activityId, userHash, 'redo')
+      ]);
+      await this.redis.del([usersKey, ...keys]);
+    } catch (error) {
+      console.error('Failed to clear fabric history:', error);
+    }
+  }
+
+  // Build the operation that reverts a canvas operation.
+  // previousObject is the stored object before the operation was applied.
+  buildInverse(operation, previousObject) {
+    switch (operation.type) {
+      case 'addObject':
+        return { type: 'removeObject', objectId: operation.object.id };
+
+      case 'modifyObject': {
+        if (!previousObject) return null;
+        // Only restore the properties this modification touched
+        const object = {};
+        Object.keys(operation.object || {}).forEach(key => {
+          object[key] = previousObject[key];
+        });
+        return { type: 'modifyObject', objectId: operation.objectId, object };
+      }
+
+      case 'removeObject':
+        return previousObject ? { type: 'addObject', object: previousObject } : null;
+
+      default:
+        return null;
+    }
+  }
+
+  // Helper: Atomically move the head of one stack onto another
+  async moveEntry(activityId, fromKey, toKey) {
+    if (!this.redis) return null;
+
+    try {
+      const entry = await this.redis.lMove(fromKey, toKey, 'LEFT', 'LEFT');
+      if (!entry) return null;
+
+      await this.redis.multi()
+        .lTrim(toKey, 0, this.maxEntries - 1)
+        .expire(toKey, this.ttlSeconds)
+        .expire(this.getUsersKey(activityId), this.ttlSeconds)
+        .exec();
+
+      return JSON.parse(entry);
+    } catch (error) {
+      console.error('Failed to move fabric history entry:', error);
+      return null;
+    }
+  }
+
+  // Helper: The stacks undo or redo moves an entry between
+  getActionKeys(activityId, userHash, action) {
+    const [from, to] = action === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+    return {
+      fromKey: this.getStackKey(activityId, userHash, from),
+      toKey: this.getStackKey(activityId, userHash, to)
+    };
+  }
+
+  // Helper: Redis key for a user's undo or redo stack
+  getStackKey(activityId, userHash, stack) {
+    return `${this.keyPrefix}${activityId}:${userHash}:${stack}`;
+  }
+
+  // Helper: Redis key for the set of users with stacks in an activity.
+  // It lives as long as the newest stack, so clearing never has to scan.
+  getUsersKey(activityId) {
+    return `activity:history-users:${activityId}`;
+  }
+}
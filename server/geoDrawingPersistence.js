@@ -1,3 +1,5 @@
+import { encodeGeohash, decodeGeohash, geohashesForBounds, boundsIntersect, isInBounds } from './geohash.js';
+
 // Persistence layer for geo-based drawings
 export class GeoDrawingPersistence {
   constructor(redis) {
@@ -7,53 +9,15 @@ export class GeoDrawingPersistence {
     // Geohash precision levels
     // Level 5 = ~5km, Level 7 = ~150m, Level 9 = ~5m
     this.defaultPrecision = 7; // Street level detail
+    this.minIndexPrecision = 3; // Coarsest geohash index kept
+    this.cellIndexKey = `${this.keyPrefix}index:cells`; // Coarsest geohash cells holding paths
+    this.indexVersionKey = `${this.keyPrefix}index:version`;
+    this.indexVersion = 1; // Bump when the cell index changes so ensureIndexes reruns
   }
 
   // Convert lat/lng to geohash for spatial indexing
   async getGeohash(lat, lng, precision = this.defaultPrecision) {
-    // Simple geohash implementation (you could use a library for this)
-    const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
-    let idx = 0;
-    let bit = 0;
-    let evenBit = true;
-    let geohash = '';
-
-    const latRange = [-90, 90];
-    const lngRange = [-180, 180];
-
-    while (geohash.length < precision) {
-      if (evenBit) {
-        // longitude
-        const mid = (lngRange[0] + lngRange[1]) / 2;
-        if (lng > mid) {
-          idx |= (1 << (4 - bit));
-          lngRange[0] = mid;
-        } else {
-          lngRange[1] = mid;
-        }
-      } else {
-        // latitude
-        const mid = (latRange[0] + latRange[1]) / 2;
-        if (lat > mid) {
-          idx |= (1 << (4 - bit));
-          latRange[0] = mid;
-        } else {
-          latRange[1] = mid;
-        }
-      }
-
-      evenBit = !evenBit;
-
-      if (bit < 4) {
-        bit++;
-      } else {
-        geohash += base32[idx];
-        bit = 0;
-        idx = 0;
-      }
-    }
-
-    return geohash;
+    return encodeGeohash(lat, lng, precision);
   }
 
   // Save a geo-located drawing path
@@ -76,10 +40,11 @@ export class GeoDrawingPersistence {
       }));
 
       // Add to geohash index for efficient spatial queries
-      for (let precision = 3; precision <= this.defaultPrecision; precision++) {
+      for (let precision = this.minIndexPrecision; precision <= this.defaultPrecision; precision++) {
         const hash = geohash.substring(0, precision);
         await this.redis.sAdd(`${this.keyPrefix}geohash:${hash}`, pathId);
       }
+      await this.redis.sAdd(this.cellIndexKey, geohash.substring(0, this.minIndexPrecision));
 
       // Add to global activity tracking
       await this.redis.hIncrBy('geo:stats', 'totalPaths', 1);
@@ -107,13 +72,16 @@ export class GeoDrawingPersistence {
       const paths = [];
       
       // Calculate geohashes that cover the bounds
-      const geohashes = await this.getGeohashesForBounds(bounds);
-      console.log(`[GeoLoad] Searching geohashes:`, geohashes);
+      const geohashes = await this.getGeohashesForBounds(bounds)
+        || await this.getIndexedCellsInBounds(bounds);
+      console.log(`[GeoLoad] Searching ${geohashes.length} geohashes`);
       
       // Load paths from each geohash
       for (const geohash of geohashes) {
         const pathIds = await this.redis.sMembers(`${this.keyPrefix}geohash:${geohash}`);
-        console.log(`[GeoLoad] Geohash ${geohash} has ${pathIds.length} paths`);
+        if (pathIds.length > 0) {
+          console.log(`[GeoLoad] Geohash ${geohash} has ${pathIds.length} paths`);
+        }
         
         for (const pathId of pathIds) {
           const pathData = await this.redis.get(`${this.keyPrefix}${pathId}`);
@@ -141,32 +109,44 @@ export class GeoDrawingPersistence {
     }
   }
 
-  // Get geohashes that cover a bounding box
-  async getGeohashesForBounds(bounds, precision = 5) {
-    const geohashes = new Set();
-    
-    // Sample points across the bounds to get covering geohashes
-    const latStep = (bounds.north - bounds.south) / 4;
-    const lngStep = (bounds.east - bounds.west) / 4;
-    
-    for (let lat = bounds.south; lat <= bounds.north; lat += latStep) {
-      for (let lng = bounds.west; lng <= bounds.east; lng += lngStep) {
-        const hash = await this.getGeohash(lat, lng, precision);
-        geohashes.add(hash);
+  // Geohashes covering a bounding box at a precision we index, or null when
+  // the box is too large to enumerate
+  async getGeohashesForBounds(bounds) {
+    return geohashesForBounds(bounds, { minPrecision: this.minIndexPrecision, maxPrecision: this.defaultPrecision });
+  }
+
+  // Cells at the coarsest indexed precision that hold paths and overlap the
+  // bounds, for boxes too large to enumerate
+  async getIndexedCellsInBounds(bounds) {
+    const geohashes = await this.redis.sMembers(this.cellIndexKey);
+    return geohashes.filter(geohash => boundsIntersect(decodeGeohash(geohash), bounds));
+  }
+
+  // List the cells of paths saved before the cell index existed. Uses SCAN so
+  // Redis keeps serving while it runs, and only runs once per index version.
+  async ensureIndexes() {
+    if (!this.redis) return;
+
+    try {
+      if (Number(await this.redis.get(this.indexVersionKey)) >= this.indexVersion) return;
+
+      const cellPrefix = `${this.keyPrefix}geohash:`;
+      let indexed = 0;
+      for await (const key of this.redis.scanIterator({ MATCH: `${cellPrefix}${'?'.repeat(this.minIndexPrecision)}`, COUNT: 500 })) {
+        await this.redis.sAdd(this.cellIndexKey, key.slice(cellPrefix.length));
+        indexed++;
       }
+
+      await this.redis.set(this.indexVersionKey, String(this.indexVersion));
+      console.log(`[GeoIndexes] Indexed ${indexed} existing cells`);
+    } catch (error) {
+      console.error('Failed to build geo indexes:', error);
     }
-    
-    return Array.from(geohashes);
   }
 
   // Check if a path intersects with bounds
   isPathInBounds(path, bounds) {
-    return path.points.some(point => 
-      point.lat >= bounds.south && 
-      point.lat <= bounds.north &&
-      point.lng >= bounds.west && 
-      point.lng <= bounds.east
-    );
+    return path.points.some(point => isInBounds(point.lat, point.lng, bounds));
   }
 
   // Get heatmap data for world view
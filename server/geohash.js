@@ -0,0 +1,160 @@
+// Geohash encoding and bounding-box covers shared by the spatial indexes.
+// Bounds are { north, south, east, west } in degrees; west > east means the
+// box crosses the antimeridian.
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Points exactly on a cell edge go to the lower cell, matching the hashes
+// already stored in Redis.
+export function encodeGeohash(lat, lng, precision) {
+  let idx = 0;
+  let bit = 0;
+  let evenBit = true;
+  let geohash = '';
+
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+
+  while (geohash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    if (value > mid) {
+      idx |= (1 << (4 - bit));
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+
+    if (bit < 4) {
+      bit++;
+    } else {
+      geohash += BASE32[idx];
+      bit = 0;
+      idx = 0;
+    }
+  }
+
+  return geohash;
+}
+
+// The box a geohash covers
+export function decodeGeohash(geohash) {
+  let evenBit = true;
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+
+  for (const char of geohash) {
+    const idx = BASE32.indexOf(char);
+    if (idx < 0) throw new Error(`Invalid geohash: ${geohash}`);
+
+    for (let j = 4; j >= 0; j--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      range[(idx >> j) & 1 ? 0 : 1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+
+  return { south: latRange[0], north: latRange[1], west: lngRange[0], east: lngRange[1] };
+}
+
+// Width and height in degrees of a cell at a precision
+export function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(bits / 2),
+    lng: 360 / 2 ** Math.ceil(bits / 2)
+  };
+}
+
+// Bring a longitude into [-180, 180]
+function wrapLng(lng) {
+  if (lng >= -180 && lng <= 180) return lng;
+  return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+// Longitude ranges a box covers, split at the antimeridian
+function lngRanges(bounds) {
+  if (bounds.east - bounds.west >= 360) return [[-180, 180]];
+
+  const west = wrapLng(bounds.west);
+  const east = wrapLng(bounds.east);
+  if (west <= east) return [[west, east]];
+  return [[west, 180], [-180, east]];
+}
+
+export function lngInBounds(lng, bounds) {
+  return lngRanges(bounds).some(([west, east]) => lng >= west && lng <= east);
+}
+
+export function isInBounds(lat, lng, bounds) {
+  return lat >= bounds.south && lat <= bounds.north && lngInBounds(lng, bounds);
+}
+
+export function boundsIntersect(a, b) {
+  if (a.south > b.north || a.north < b.south) return false;
+  return lngRanges(a).some(([aWest, aEast]) =>
+    lngRanges(b).some(([bWest, bEast]) => aWest <= bEast && aEast >= bWest)
+  );
+}
+
+// Rows and columns of cells at a precision that intersect the bounds, plus
+// one ring of neighbors, or null if that's more than maxCells. Neighbors
+// wrap around the antimeridian but stop at the poles.
+function coverCells(bounds, precision, maxCells) {
+  const size = cellSize(precision);
+  const rowCount = Math.round(180 / size.lat);
+  const colCount = Math.round(360 / size.lng);
+  const rowOf = lat => Math.min(rowCount - 1, Math.max(0, Math.floor((lat + 90) / size.lat)));
+  const colOf = lng => Math.min(colCount - 1, Math.max(0, Math.floor((lng + 180) / size.lng)));
+
+  const south = Math.max(-90, Math.min(bounds.south, bounds.north));
+  const north = Math.min(90, Math.max(bounds.south, bounds.north));
+  const firstRow = Math.max(0, rowOf(south) - 1);
+  const lastRow = Math.min(rowCount - 1, rowOf(north) + 1);
+
+  const spans = lngRanges(bounds).map(([west, east]) => [colOf(west) - 1, colOf(east) + 1]);
+  const colTotal = Math.min(colCount, spans.reduce((sum, [first, last]) => sum + last - first + 1, 0));
+  if ((lastRow - firstRow + 1) * colTotal > maxCells) return null;
+
+  const rows = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    rows.push(row);
+  }
+
+  const cols = new Set();
+  for (const [first, last] of spans) {
+    for (let col = first; col <= last; col++) {
+      cols.add((col + colCount) % colCount);
+    }
+  }
+
+  return { rows, cols: [...cols], size };
+}
+
+// Geohashes covering a box. Picks the finest precision between minPrecision
+// and maxPrecision whose cover (neighbors included) has at most maxCells
+// cells. Returns null when even minPrecision needs more than that.
+export function geohashesForBounds(bounds, { minPrecision = 1, maxPrecision = 7, maxCells = 256 } = {}) {
+  for (let precision = maxPrecision; precision >= minPrecision; precision--) {
+    const cover = coverCells(bounds, precision, maxCells);
+    if (!cover) continue;
+
+    const geohashes = [];
+    for (const row of cover.rows) {
+      for (const col of cover.cols) {
+        // Encode the cell's center, which is never on an edge
+        geohashes.push(encodeGeohash(
+          -90 + (row + 0.5) * cover.size.lat,
+          -180 + (col + 0.5) * cover.size.lng,
+          precision
+        ));
+      }
+    }
+    return geohashes;
+  }
+
+  return null;
+}
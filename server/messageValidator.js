@@ -0,0 +1,536 @@
+// Schemas for inbound WebSocket messages, in a subset of JSON Schema: type,
+// properties, required, additionalProperties, items, enum, pattern,
+// minimum/maximum, minLength/maxLength and maxItems. maxBytes caps the
+// serialized size of a value, for blobs like Fabric objects that are stored
+// as sent. Fields not listed are passed through unchecked.
+
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const USER_HASH = { type: 'string', minLength: 1, maxLength: 128 };
+const COORD = { type: 'number', minimum: -1e9, maximum: 1e9 };
+const LAT = { type: 'number', minimum: -90, maximum: 90 };
+const LNG = { type: 'number', minimum: -180, maximum: 180 };
+const VIEW_LNG = { type: 'number', minimum: -720, maximum: 720 }; // Map views can pan past the antimeridian
+const COLOR = { type: 'string', maxLength: 64 };
+const BRUSH_SIZE = { type: 'number', minimum: 0, maximum: 500 };
+const DRAW_TYPE = { enum: ['start', 'draw', 'end'] };
+const TIMESTAMP = { type: 'number', minimum: 0 };
+const IDEMPOTENCY_KEY = { type: 'string', minLength: 1, maxLength: 64 };
+const EMPTY = { type: 'object' };
+
+const BOUNDS = {
+  type: 'object',
+  required: ['north', 'south', 'east', 'west'],
+  properties: { north: LAT, south: LAT, east: VIEW_LNG, west: VIEW_LNG }
+};
+
+const TAGS = { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 30 } };
+
+const POINT = {
+  type: 'object',
+  required: ['x', 'y'],
+  properties: { x: COORD, y: COORD }
+};
+
+const OBJECT_IDS = { type: 'array', maxItems: 500, items: ID };
+
+const USER_LIST = { type: 'array', maxItems: 1000, items: USER_HASH };
+
+// Inline images are limited separately, after decoding (see activityImages.js)
+const FABRIC_OBJECT = {
+  type: 'object',
+  maxBytes: 3 * 1024 * 1024,
+  required: ['id', 'type'],
+  properties: {
+    id: ID,
+    type: { type: 'string', minLength: 1, maxLength: 32 },
+    left: COORD,
+    top: COORD,
+    width: { type: 'number', minimum: 0, maximum: 1e6 },
+    height: { type: 'number', minimum: 0, maximum: 1e6 },
+    scaleX: { type: 'number', minimum: -1e4, maximum: 1e4 },
+    scaleY: { type: 'number', minimum: -1e4, maximum: 1e4 },
+    angle: { type: 'number', minimum: -360, maximum: 360 },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    strokeWidth: { type: 'number', minimum: 0, maximum: 1000 },
+    text: { type: 'string', maxLength: 10000 },
+    src: { type: 'string' }
+  }
+};
+
+// The changed properties of an object; the same limits as a whole object
+const FABRIC_CHANGES = {
+  ...FABRIC_OBJECT,
+  maxBytes: 1024 * 1024,
+  required: []
+};
+
+const messageSchemas = {
+  authenticate: { properties: { userHash: USER_HASH } },
+  join: {
+    properties: {
+      room: { type: 'string', minLength: 1, maxLength: 64 },
+      username: { type: 'string', maxLength: 50 }
+    }
+  },
+  draw: {
+    maxBytes: 1024,
+    properties: {
+      drawType: DRAW_TYPE,
+      x: COORD,
+      y: COORD,
+      lastX: COORD,
+      lastY: COORD,
+      x1: COORD,
+      y1: COORD,
+      x2: COORD,
+      y2: COORD,
+      color: COLOR,
+      size: BRUSH_SIZE
+    }
+  },
+  cursor: {
+    maxBytes: 512,
+    properties: { x: COORD, y: COORD, color: COLOR, name: { type: 'string', maxLength: 50 } }
+  },
+  clear: EMPTY,
+  switchRegion: { required: ['regionId'], properties: { regionId: ID } },
+  requestChunk: { required: ['chunkId'], properties: { chunkId: ID } },
+  pixelPlace: {
+    required: ['x', 'y', 'color'],
+    properties: {
+      x: { type: 'integer', minimum: -1e6, maximum: 1e6 },
+      y: { type: 'integer', minimum: -1e6, maximum: 1e6 },
+      color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, description: 'a #rrggbb color' }
+    }
+  },
+  ping: { properties: { timestamp: TIMESTAMP } },
+  requestSpace: {
+    properties: {
+      viewportWidth: { type: 'number', minimum: 0, maximum: 10000 },
+      viewportHeight: { type: 'number', minimum: 0, maximum: 10000 }
+    }
+  },
+  activity: { properties: { isDrawing: { type: 'boolean' } } },
+  markDrawn: EMPTY,
+  releaseSpace: EMPTY,
+  loadDrawings: {
+    required: ['viewport'],
+    properties: {
+      viewport: {
+        type: 'object',
+        required: ['x', 'y', 'width', 'height'],
+        properties: {
+          x: COORD,
+          y: COORD,
+          width: { type: 'number', minimum: 0, maximum: 1e6 },
+          height: { type: 'number', minimum: 0, maximum: 1e6 }
+        }
+      }
+    }
+  },
+  updateViewport: {
+    required: ['viewport'],
+    properties: {
+      viewport: {
+        type: 'object',
+        required: ['x', 'y', 'width', 'height'],
+        properties: {
+          x: COORD,
+          y: COORD,
+          width: { type: 'number', minimum: 0, maximum: 1e6 },
+          height: { type: 'number', minimum: 0, maximum: 1e6 },
+          zoom: { type: 'number', minimum: 0, maximum: 100 }
+        }
+      }
+    }
+  },
+  geoDraw: {
+    maxBytes: 1024,
+    properties: { drawType: DRAW_TYPE, lat: LAT, lng: LNG, color: COLOR, size: BRUSH_SIZE }
+  },
+  setLocation: {
+    required: ['location'],
+    properties: {
+      location: { type: 'object', maxBytes: 512, required: ['lat', 'lng'], properties: { lat: LAT, lng: LNG } }
+    }
+  },
+  updateGeoViewport: {
+    required: ['viewport'],
+    properties: {
+      viewport: {
+        type: 'object',
+        maxBytes: 1024,
+        required: ['bounds'],
+        properties: { bounds: BOUNDS, zoom: { type: 'number', minimum: 0, maximum: 24 } }
+      }
+    }
+  },
+  requestWorldArtwork: EMPTY,
+  createActivity: {
+    required: ['title', 'lat', 'lng'],
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', maxLength: 1000 },
+      lat: LAT,
+      lng: LNG,
+      address: { type: 'string', maxLength: 300 },
+      street: { type: 'string', maxLength: 200 },
+      tags: TAGS
+    }
+  },
+  getActivities: {
+    required: ['bounds'],
+    properties: { bounds: BOUNDS, zoom: { type: 'number', minimum: 0, maximum: 24 } }
+  },
+  resume: {
+    required: ['activityId'],
+    properties: {
+      resumeToken: { type: 'string', maxLength: 128 },
+      activityId: ID,
+      lastSeq: { type: 'integer', minimum: 0 }
+    }
+  },
+  joinActivity: {
+    required: ['activityId'],
+    properties: { activityId: ID, inviteToken: { type: 'string', maxLength: 128 } }
+  },
+  leaveActivity: { properties: { activityId: ID } },
+  activityDraw: {
+    maxBytes: 1024,
+    required: ['drawType'],
+    properties: {
+      drawType: DRAW_TYPE,
+      x: COORD,
+      y: COORD,
+      color: COLOR,
+      size: BRUSH_SIZE,
+      pathId: { type: 'string', maxLength: 128 },
+      userHash: USER_HASH,
+      timestamp: TIMESTAMP,
+      idempotencyKey: IDEMPOTENCY_KEY
+    }
+  },
+  getMyActivities: EMPTY,
+  updateActivityPermissions: {
+    required: ['activityId', 'permissions'],
+    properties: {
+      activityId: ID,
+      permissions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          allowContributions: { type: 'boolean' },
+          approvedContributors: USER_LIST
+        }
+      }
+    }
+  },
+  deleteActivity: { required: ['activityId'], properties: { activityId: ID } },
+  setActivityVisibility: {
+    required: ['activityId', 'visibility'],
+    properties: { activityId: ID, visibility: { type: 'string', enum: ['public', 'unlisted', 'private'] } }
+  },
+  createActivityInvite: {
+    required: ['activityId'],
+    properties: {
+      activityId: ID,
+      role: { type: 'string', enum: ['viewer', 'contributor'] },
+      expiresInHours: { type: 'number', minimum: 1, maximum: 8760 },
+      maxUses: { type: 'integer', minimum: 1, maximum: 10000 }
+    }
+  },
+  getActivityInvites: { required: ['activityId'], properties: { activityId: ID } },
+  getActivityMembers: { required: ['activityId'], properties: { activityId: ID } },
+  addModerator: { required: ['activityId', 'userHash'], properties: { activityId: ID, userHash: USER_HASH } },
+  removeModerator: { required: ['activityId', 'userHash'], properties: { activityId: ID, userHash: USER_HASH } },
+  transferOwnership: { required: ['activityId', 'userHash'], properties: { activityId: ID, userHash: USER_HASH } },
+  acceptOwnershipTransfer: { required: ['activityId'], properties: { activityId: ID } },
+  cancelOwnershipTransfer: { required: ['activityId'], properties: { activityId: ID } },
+  revokeActivityInvite: {
+    required: ['activityId', 'inviteId'],
+    properties: { activityId: ID, inviteId: { type: 'string', pattern: /^[0-9a-f]{16}$/, description: 'an invite ID' } }
+  },
+  getAllActivities: {
+    properties: {
+      sort: { type: 'string', enum: ['createdAt', 'lastActive'] },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      cursor: { type: 'string', maxLength: 160 },
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    }
+  },
+  deleteAllActivities: EMPTY,
+  searchActivities: {
+    properties: {
+      query: { type: 'string', maxLength: 200 },
+      tags: TAGS,
+      near: { type: 'object', required: ['lat', 'lng'], properties: { lat: LAT, lng: LNG } },
+      radiusKm: { type: 'number', minimum: 0.1, maximum: 20000 },
+      sort: { type: 'string', enum: ['relevance', 'recent', 'popular'] },
+      offset: { type: 'integer', minimum: 0, maximum: 10000 },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      requestId: { type: ['string', 'number'], maxLength: 64 }
+    }
+  },
+  removeUserDrawing: {
+    required: ['activityId', 'pathId'],
+    properties: { activityId: ID, pathId: { type: 'string', minLength: 1, maxLength: 128 } }
+  },
+  requestContribution: { required: ['activityId'], properties: { activityId: ID } },
+  approveContributor: {
+    required: ['activityId', 'userHash'],
+    properties: { activityId: ID, userHash: USER_HASH }
+  },
+  sendChatMessage: {
+    required: ['activityId', 'text'],
+    properties: {
+      activityId: ID,
+      text: { type: 'string', minLength: 1, maxLength: 1000 },
+      mentions: { type: 'array', maxItems: 10, items: USER_HASH },
+      clientMessageId: { type: 'string', maxLength: 64 }
+    }
+  },
+  getChatHistory: { required: ['activityId'], properties: { activityId: ID, before: ID } },
+  deleteChatMessage: { required: ['activityId', 'messageId'], properties: { activityId: ID, messageId: ID } },
+  getComments: { required: ['activityId'], properties: { activityId: ID } },
+  createCommentThread: {
+    required: ['activityId', 'x', 'y', 'text'],
+    properties: {
+      activityId: ID,
+      x: COORD,
+      y: COORD,
+      objectId: ID,
+      text: { type: 'string', minLength: 1, maxLength: 2000 }
+    }
+  },
+  replyToComment: {
+    required: ['activityId', 'threadId', 'text'],
+    properties: { activityId: ID, threadId: ID, text: { type: 'string', minLength: 1, maxLength: 2000 } }
+  },
+  setCommentStatus: {
+    required: ['activityId', 'threadId', 'status'],
+    properties: { activityId: ID, threadId: ID, status: { type: 'string', enum: ['open', 'resolved'] } }
+  },
+  deleteCommentThread: { required: ['activityId', 'threadId'], properties: { activityId: ID, threadId: ID } },
+  denyContributor: {
+    required: ['activityId', 'userHash'],
+    properties: { activityId: ID, userHash: USER_HASH }
+  },
+  banUser: {
+    required: ['activityId', 'userHash'],
+    properties: { activityId: ID, userHash: USER_HASH, removeContent: { type: 'boolean' } }
+  },
+  unbanUser: {
+    required: ['activityId', 'userHash'],
+    properties: { activityId: ID, userHash: USER_HASH }
+  },
+  fabricObjectAdded: {
+    required: ['object'],
+    properties: { object: FABRIC_OBJECT, idempotencyKey: IDEMPOTENCY_KEY }
+  },
+  fabricObjectModified: {
+    required: ['objectId', 'object'],
+    properties: {
+      objectId: ID,
+      object: FABRIC_CHANGES,
+      baseVersions: {
+        type: 'object',
+        maxBytes: 16 * 1024,
+        additionalProperties: { type: 'integer', minimum: 0 }
+      },
+      idempotencyKey: IDEMPOTENCY_KEY
+    }
+  },
+  fabricObjectRemoved: {
+    required: ['objectId'],
+    properties: { objectId: ID, idempotencyKey: IDEMPOTENCY_KEY }
+  },
+  fabricCursor: { maxBytes: 512, properties: { x: COORD, y: COORD, color: COLOR } },
+  fabricViewport: {
+    maxBytes: 512,
+    required: ['left', 'top', 'width', 'height'],
+    properties: {
+      left: COORD,
+      top: COORD,
+      width: { type: 'number', minimum: 1, maximum: 1e9 },
+      height: { type: 'number', minimum: 1, maximum: 1e9 }
+    }
+  },
+  startPresenting: { required: ['activityId'], properties: { activityId: ID } },
+  stopPresenting: { required: ['activityId'], properties: { activityId: ID } },
+  fabricPreview: {
+    required: ['previewId', 'phase'],
+    properties: {
+      previewId: ID,
+      phase: { enum: ['start', 'update', 'end'] },
+      object: { ...FABRIC_OBJECT, maxBytes: 64 * 1024, required: [] },
+      stroke: {
+        type: 'object',
+        maxBytes: 1024,
+        properties: { color: COLOR, width: BRUSH_SIZE, opacity: { type: 'number', minimum: 0, maximum: 1 } }
+      },
+      points: { type: 'array', maxItems: 5000, items: POINT }
+    }
+  },
+  fabricUndo: EMPTY,
+  fabricRedo: EMPTY,
+  requestActivityHistory: {
+    required: ['activityId'],
+    properties: {
+      activityId: ID,
+      kind: { type: 'string', maxLength: 32 },
+      requestId: { type: ['string', 'number'], maxLength: 64 }
+    }
+  },
+  saveActivityVersion: {
+    required: ['activityId'],
+    properties: { activityId: ID, name: { type: 'string', maxLength: 100 } }
+  },
+  getActivityVersions: { required: ['activityId'], properties: { activityId: ID } },
+  restoreActivityVersion: {
+    required: ['activityId', 'versionId'],
+    properties: { activityId: ID, versionId: ID }
+  },
+  lockObjects: { required: ['objectIds'], properties: { objectIds: OBJECT_IDS } },
+  unlockObjects: { required: ['objectIds'], properties: { objectIds: OBJECT_IDS } },
+  breakObjectLocks: { required: ['objectIds'], properties: { objectIds: OBJECT_IDS } },
+  adminListUsers: EMPTY,
+  adminDeleteActivity: { required: ['activityId'], properties: { activityId: ID } },
+  adminBanUser: {
+    required: ['userHash'],
+    properties: { userHash: USER_HASH, reason: { type: 'string', maxLength: 500 } }
+  },
+  adminUnbanUser: { required: ['userHash'], properties: { userHash: USER_HASH } },
+  adminListBans: EMPTY,
+  adminListContributionRequests: EMPTY,
+  adminGetAuditLog: { properties: { limit: { type: 'integer', minimum: 1, maximum: 1000 } } }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return 'non-finite number';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+function fieldError(code, field, message) {
+  return { code, field, message };
+}
+
+// Checks inbound messages against their type's schema
+export class MessageValidator {
+  constructor(schemas = messageSchemas) {
+    this.schemas = schemas;
+  }
+
+  // Returns null for a valid message, or { code, field, message }. Types
+  // without a schema are left to the message switch to reject.
+  validate(message) {
+    if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+      return fieldError('INVALID_MESSAGE', 'type', 'Messages must be objects with a string type');
+    }
+
+    const schema = this.schemas[message.type];
+    if (!schema) return null;
+
+    return this.check({ type: 'object', ...schema }, message, '');
+  }
+
+  check(schema, value, field) {
+    const name = field || 'message';
+    const actual = typeOf(value);
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(type, actual))) {
+        return fieldError('WRONG_TYPE', field, `${name} must be ${types.join(' or ')}, got ${actual}`);
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fieldError('INVALID_VALUE', field, `${name} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return fieldError('OUT_OF_RANGE', field, `${name} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return fieldError('OUT_OF_RANGE', field, `${name} must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (actual === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fieldError('TOO_SHORT', field, `${name} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fieldError('TOO_LONG', field, `${name} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return fieldError('INVALID_FORMAT', field, `${name} must be ${schema.description || `in the format ${schema.pattern}`}`);
+      }
+    }
+
+    if (schema.maxBytes !== undefined && JSON.stringify(value).length > schema.maxBytes) {
+      return fieldError('TOO_LARGE', field, `${name} must be at most ${schema.maxBytes} bytes`);
+    }
+
+    if (actual === 'array') {
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fieldError('TOO_MANY_ITEMS', field, `${name} must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = this.check(schema.items, value[i], `${field}[${i}]`);
+          if (error) return error;
+        }
+      }
+    }
+
+    if (actual === 'object') {
+      return this.checkProperties(schema, value, field);
+    }
+
+    return null;
+  }
+
+  checkProperties(schema, value, field) {
+    const prefix = field ? `${field}.` : '';
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        return fieldError('MISSING_FIELD', `${prefix}${key}`, `${prefix}${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      const propertySchema = properties[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          return fieldError('UNKNOWN_FIELD', `${prefix}${key}`, `${prefix}${key} is not allowed`);
+        }
+        continue;
+      }
+
+      // A field that isn't required may be sent as null to mean "not set"
+      if (propertyValue === null && !(schema.required || []).includes(key)) continue;
+
+      const error = this.check(propertySchema, propertyValue, `${prefix}${key}`);
+      if (error) return error;
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,320 @@
+import { WatchError } from 'redis';
+
+// Soft locks on Fabric objects while someone is editing them.
+// Locks are leases held by a connection: they lapse unless renewed and are
+// dropped when the holder deselects, leaves or disconnects. Leases live in
+// Redis so every server node sees the same holder for an object.
+export class ObjectLockManager {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'activity:';
+    this.leaseMs = 30000; // Holders renew well within this while selected
+    this.held = new Map(); // clientId -> Map(activityId -> Set(objectId)) for this node's connections
+  }
+
+  getLockKey(activityId, objectId) {
+    return `${this.keyPrefix}lock:${activityId}:${objectId}`;
+  }
+
+  // Set of object ids that may have a lease, so an activity's locks can be listed
+  getLockIndexKey(activityId) {
+    return `${this.keyPrefix}locks:${activityId}`;
+  }
+
+  // Claim or renew locks for a connection. Objects held by someone else are
+  // denied; granted only lists locks that are new to other participants.
+  async claim(activityId, objectIds, holder) {
+    const granted = [];
+    const denied = [];
+    if (!this.redis) return { granted, denied };
+
+    for (const objectId of objectIds) {
+      const lock = {
+        objectId,
+        clientId: holder.clientId,
+        userHash: holder.userHash,
+        userName: holder.userName,
+        expiresAt: Date.now() + this.leaseMs
+      };
+
+      try {
+        const { claimed, existing } = await this.claimObject(activityId, lock);
+
+        if (!claimed) {
+          if (existing) denied.push(existing);
+          continue;
+        }
+
+        this.trackHeld(holder.clientId, activityId, objectId);
+        if (!existing) {
+          granted.push(lock);
+        }
+      } catch (error) {
+        console.error('[ObjectLocks] Failed to claim lock:', error);
+      }
+    }
+
+    return { granted, denied };
+  }
+
+  // Release locks held by a connection; returns the object ids released
+  async release(activityId, objectIds, clientId) {
+    if (!this.redis) return [];
+
+    const released = [];
+    for (const objectId of objectIds) {
+      this.untrackHeld(clientId, activityId, objectId);
+      if (await this.releaseObject(activityId, objectId, clientId)) {
+        released.push(objectId);
+      }
+    }
+    return released;
+  }
+
+  // Release locks whoever holds them; returns the locks that were broken
+  async breakLocks(activityId, objectIds) {
+    if (!this.redis || objectIds.length === 0) return [];
+
+    try {
+      const keys = objectIds.map(objectId => this.getLockKey(activityId, objectId));
+      const broken = (await this.redis.mGet(keys)).map(parseLock).filter(Boolean);
+      if (broken.length === 0) return [];
+
+      await this.redis.multi()
+        .del(broken.map(lock => this.getLockKey(activityId, lock.objectId)))
+        .sRem(this.getLockIndexKey(activityId), broken.map(lock => lock.objectId))
+        .exec();
+      return broken;
+    } catch (error) {
+      console.error('[ObjectLocks] Failed to break locks:', error);
+      return [];
+    }
+  }
+
+  // Release everything a connection holds; returns activityId -> object ids
+  async releaseClient(clientId) {
+    const removed = new Map();
+    const activities = this.held.get(clientId);
+    this.held.delete(clientId);
+    if (!activities || !this.redis) return removed;
+
+    for (const [activityId, objectIds] of activities) {
+      const released = [];
+      for (const objectId of objectIds) {
+        if (await this.releaseObject(activityId, objectId, clientId)) {
+          released.push(objectId);
+        }
+      }
+      if (released.length > 0) removed.set(activityId, released);
+    }
+    return removed;
+  }
+
+  // Drop lapsed leases from the activities' indexes; returns activityId ->
+  // object ids. Only the node whose removal lands reports an object.
+  async expireLocks(activityIds) {
+    const removed = new Map();
+    if (!this.redis) return removed;
+
+    for (const activityId of activityIds) {
+      try {
+        const indexKey = this.getLockIndexKey(activityId);
+        const objectIds = await this.redis.sMembers(indexKey);
+        if (objectIds.length === 0) continue;
+
+        const stored = await this.redis.mGet(objectIds.map(objectId => this.getLockKey(activityId, objectId)));
+        const lapsed = objectIds.filter((objectId, index) => !stored[index]);
+
+        const expired = [];
+        for (const objectId of lapsed) {
+          if (await this.removeLapsed(activityId, objectId)) expired.push(objectId);
+        }
+        if (expired.length > 0) removed.set(activityId, expired);
+      } catch (error) {
+        console.error('[ObjectLocks] Failed to expire locks:', error);
+      }
+    }
+
+    // Lapsed leases are no longer this node's to release
+    removed.forEach((objectIds, activityId) => {
+      this.held.forEach((_, clientId) => {
+        objectIds.forEach(objectId => this.untrackHeld(clientId, activityId, objectId));
+      });
+    });
+
+    return removed;
+  }
+
+  // Get the live lock on an object held by anyone other than clientId
+  async getLockHeldByOther(activityId, objectId, clientId) {
+    if (!this.redis) return null;
+
+    try {
+      const lock = parseLock(await this.redis.get(this.getLockKey(activityId, objectId)));
+      if (!lock || lock.clientId === clientId) return null;
+      return lock;
+    } catch (error) {
+      console.error('[ObjectLocks] Failed to read lock:', error);
+      return null;
+    }
+  }
+
+  // Every live lock in an activity, whichever node its holder is on
+  async getLocks(activityId) {
+    if (!this.redis) return [];
+
+    try {
+      const objectIds = await this.redis.sMembers(this.getLockIndexKey(activityId));
+      if (objectIds.length === 0) return [];
+
+      const stored = await this.redis.mGet(objectIds.map(objectId => this.getLockKey(activityId, objectId)));
+      return stored.map(parseLock).filter(Boolean);
+    } catch (error) {
+      console.error('[ObjectLocks] Failed to load locks:', error);
+      return [];
+    }
+  }
+
+  async clearActivity(activityId) {
+    this.held.forEach(activities => activities.delete(activityId));
+    if (!this.redis) return;
+
+    try {
+      const indexKey = this.getLockIndexKey(activityId);
+      const objectIds = await this.redis.sMembers(indexKey);
+      await this.redis.del([indexKey, ...objectIds.map(objectId => this.getLockKey(activityId, objectId))]);
+    } catch (error) {
+      console.error('[ObjectLocks] Failed to clear locks:', error);
+    }
+  }
+
+  // Locks held by connections on this node
+  getStats() {
+    const activities = new Set();
+    let lockCount = 0;
+    this.held.forEach(clientActivities => {
+      clientActivities.forEach((objectIds, activityId) => {
+        activities.add(activityId);
+        lockCount += objectIds.size;
+      });
+    });
+    return { activities: activities.size, locks: lockCount };
+  }
+
+  // Helper: Take or renew one lease unless another connection holds it.
+  // existing is the lease that was there before, if any.
+  async claimObject(activityId, lock) {
+    const lockKey = this.getLockKey(activityId, lock.objectId);
+
+    // A new lease is a single SET NX; only renewals need to compare holders
+    const acquired = await this.redis.multi()
+      .set(lockKey, JSON.stringify(lock), { NX: true, PX: this.leaseMs })
+      .sAdd(this.getLockIndexKey(activityId), lock.objectId)
+      .exec();
+    if (acquired[0]) return { claimed: true, existing: null };
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await this.redis.executeIsolated(async isolatedClient => {
+          await isolatedClient.watch(lockKey);
+
+          const existing = parseLock(await isolatedClient.get(lockKey));
+          if (existing && existing.clientId !== lock.clientId) {
+            await isolatedClient.unwatch();
+            return { claimed: false, existing };
+          }
+
+          await isolatedClient.multi()
+            .set(lockKey, JSON.stringify(lock), { PX: this.leaseMs })
+            .sAdd(this.getLockIndexKey(activityId), lock.objectId)
+            .exec();
+          return { claimed: true, existing };
+        });
+      } catch (error) {
+        if (error instanceof WatchError) continue;
+        throw error;
+      }
+    }
+
+    return { claimed: false, existing: null };
+  }
+
+  // Helper: Delete a lease only if clientId still holds it
+  async releaseObject(activityId, objectId, clientId) {
+    const lockKey = this.getLockKey(activityId, objectId);
+
+    try {
+      return await this.redis.executeIsolated(async isolatedClient => {
+        await isolatedClient.watch(lockKey);
+
+        const existing = parseLock(await isolatedClient.get(lockKey));
+        if (existing?.clientId !== clientId) {
+          await isolatedClient.unwatch();
+          return false;
+        }
+
+        await isolatedClient.multi()
+          .del(lockKey)
+          .sRem(this.getLockIndexKey(activityId), objectId)
+          .exec();
+        return true;
+      });
+    } catch (error) {
+      // Someone else renewed or took the lease in the meantime
+      if (error instanceof WatchError) return false;
+      console.error('[ObjectLocks] Failed to release lock:', error);
+      return false;
+    }
+  }
+
+  // Helper: Unindex an object whose lease lapsed, unless it was claimed again
+  async removeLapsed(activityId, objectId) {
+    const lockKey = this.getLockKey(activityId, objectId);
+
+    try {
+      return await this.redis.executeIsolated(async isolatedClient => {
+        await isolatedClient.watch(lockKey);
+
+        if (await isolatedClient.exists(lockKey)) {
+          await isolatedClient.unwatch();
+          return false;
+        }
+
+        const [removed] = await isolatedClient.multi()
+          .sRem(this.getLockIndexKey(activityId), objectId)
+          .exec();
+        return removed > 0;
+      });
+    } catch (error) {
+      if (error instanceof WatchError) return false;
+      throw error;
+    }
+  }
+
+  trackHeld(clientId, activityId, objectId) {
+    const activities = this.held.get(clientId) || new Map();
+    const objectIds = activities.get(activityId) || new Set();
+    objectIds.add(objectId);
+    activities.set(activityId, objectIds);
+    this.held.set(clientId, activities);
+  }
+
+  untrackHeld(clientId, activityId, objectId) {
+    const activities = this.held.get(clientId);
+    const objectIds = activities?.get(activityId);
+    if (!objectIds) return;
+
+    objectIds.delete(objectId);
+    if (objectIds.size === 0) activities.delete(activityId);
+    if (activities.size === 0) this.held.delete(clientId);
+  }
+}
+
+function parseLock(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,15 @@
+import { parentPort } from 'worker_threads';
+import { Resvg } from '@resvg/resvg-js';
+
+// Rasterizes SVG for CanvasExporter. resvg renders synchronously, so it runs
+// here instead of on the server's event loop.
+parentPort.on('message', ({ id, svg }) => {
+  try {
+    const resvg = new Resvg(svg, {
+      font: { loadSystemFonts: true, defaultFontFamily: 'Arial' }
+    });
+    parentPort.postMessage({ id, png: resvg.render().asPng() });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
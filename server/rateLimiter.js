@@ -0,0 +1,202 @@
+// Token-bucket limits per message type. Each message takes a token from the
+// sender's user bucket and from its IP bucket; IP buckets are larger since
+// several users can share an address.
+//
+// capacity is the burst allowed, refillPerSecond the sustained rate.
+const DEFAULT_LIMITS = {
+  default: { capacity: 50, refillPerSecond: 20 },
+
+  // Drawing streams
+  draw: { capacity: 120, refillPerSecond: 60 },
+  geoDraw: { capacity: 120, refillPerSecond: 60 },
+  activityDraw: { capacity: 300, refillPerSecond: 60 }, // Offline outboxes replay in a burst
+  cursor: { capacity: 30, refillPerSecond: 20 },
+  fabricCursor: { capacity: 30, refillPerSecond: 20 },
+  fabricViewport: { capacity: 20, refillPerSecond: 10 },
+  fabricPreview: { capacity: 40, refillPerSecond: 25 },
+  fabricObjectAdded: { capacity: 200, refillPerSecond: 20 },
+  fabricObjectModified: { capacity: 200, refillPerSecond: 30 },
+  fabricObjectRemoved: { capacity: 200, refillPerSecond: 20 },
+  lockObjects: { capacity: 30, refillPerSecond: 10 },
+  unlockObjects: { capacity: 30, refillPerSecond: 10 },
+
+  // Expensive or stored requests
+  createActivity: { capacity: 3, refillPerSecond: 1 / 20 },
+  requestContribution: { capacity: 3, refillPerSecond: 1 / 10 },
+  getAllActivities: { capacity: 10, refillPerSecond: 2 }, // One page per request while scrolling
+  searchActivities: { capacity: 10, refillPerSecond: 1 },
+  deleteAllActivities: { capacity: 1, refillPerSecond: 1 / 60 },
+  getActivities: { capacity: 10, refillPerSecond: 2 },
+  joinActivity: { capacity: 10, refillPerSecond: 1 },
+  resume: { capacity: 5, refillPerSecond: 1 },
+  authenticate: { capacity: 5, refillPerSecond: 1 / 2 },
+  saveActivityVersion: { capacity: 5, refillPerSecond: 1 / 10 },
+  restoreActivityVersion: { capacity: 5, refillPerSecond: 1 / 5 },
+  setActivityVisibility: { capacity: 5, refillPerSecond: 1 / 5 },
+  createActivityInvite: { capacity: 5, refillPerSecond: 1 / 10 },
+  transferOwnership: { capacity: 3, refillPerSecond: 1 / 10 },
+  startPresenting: { capacity: 10, refillPerSecond: 1 }, // Repeated whenever someone joins
+  banUser: { capacity: 5, refillPerSecond: 1 / 5 }, // Each ban rewrites the canvas log
+  sendChatMessage: { capacity: 5, refillPerSecond: 1 },
+  getChatHistory: { capacity: 10, refillPerSecond: 2 },
+  createCommentThread: { capacity: 5, refillPerSecond: 1 / 2 },
+  replyToComment: { capacity: 5, refillPerSecond: 1 },
+  requestActivityHistory: { capacity: 10, refillPerSecond: 1 },
+  exportActivity: { capacity: 2, refillPerSecond: 1 / 10 }, // HTTP exports, limited per address only
+  ping: { capacity: 5, refillPerSecond: 1 }
+};
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.ipMultiplier = options.ipMultiplier || 5;
+    this.warnAfter = options.warnAfter || 5; // Violations dropped silently before warning
+    this.disconnectAfter = options.disconnectAfter || 50; // Violations before disconnecting
+    this.violationWindowMs = options.violationWindowMs || 60000;
+    this.cooldownMs = options.cooldownMs || 5 * 60 * 1000; // Disconnected senders stay cut off this long
+    this.warnIntervalMs = options.warnIntervalMs || 1000; // At most one warning per type per second
+    this.idleMs = options.idleMs || 5 * 60 * 1000; // Forget buckets unused this long
+
+    this.buckets = new Map(); // `${type}|${key}` -> { tokens, capacity, refillPerSecond, updatedAt }
+    this.offenders = new Map(); // key -> { violations: [timestamps], lastWarned: { type: time }, cooldownUntil }
+    this.counters = { allowed: 0, dropped: 0, warned: 0, disconnected: 0 };
+    this.droppedByType = {};
+  }
+
+  getLimit(type) {
+    return this.limits[type] || this.limits.default;
+  }
+
+  // Take a token for a message. Returns { allowed: true } or
+  // { allowed: false, action: 'drop' | 'warn' | 'disconnect', retryAfter }
+  // where retryAfter is in seconds. Replays of offline operations are dropped
+  // over the limit like anything else but never count as flooding: the
+  // client paces them and sends them again.
+  check({ userHash, ip }, type, { replay = false, now = Date.now() } = {}) {
+    if (this.isCoolingDown({ userHash, ip }, now)) {
+      return { allowed: false, action: 'disconnect', retryAfter: this.getRetryAfter({ userHash, ip }, now) };
+    }
+
+    const limit = this.getLimit(type);
+    const buckets = [];
+    if (userHash) {
+      buckets.push(this.getBucket(`${type}|user:${userHash}`, limit.capacity, limit.refillPerSecond, now));
+    }
+    if (ip) {
+      buckets.push(this.getBucket(`${type}|ip:${ip}`, limit.capacity * this.ipMultiplier,
+        limit.refillPerSecond * this.ipMultiplier, now));
+    }
+
+    const empty = buckets.filter(bucket => bucket.tokens < 1);
+    if (empty.length === 0) {
+      buckets.forEach(bucket => bucket.tokens--);
+      this.counters.allowed++;
+      return { allowed: true };
+    }
+
+    const retryAfter = Math.ceil(Math.max(...empty.map(bucket => (1 - bucket.tokens) / bucket.refillPerSecond)));
+    if (replay) {
+      this.counters.dropped++;
+      this.droppedByType[type] = (this.droppedByType[type] || 0) + 1;
+      return { allowed: false, action: 'drop', retryAfter };
+    }
+
+    return {
+      allowed: false,
+      action: this.recordViolations([userHash && `user:${userHash}`, ip && `ip:${ip}`], type, now),
+      retryAfter
+    };
+  }
+
+  // Whether a user or address was disconnected recently. Anonymous users get
+  // a new userHash on every connection, so the address is what holds them.
+  isCoolingDown({ userHash, ip }, now = Date.now()) {
+    return this.getRetryAfter({ userHash, ip }, now) > 0;
+  }
+
+  // Seconds until a cooldown ends, or 0
+  getRetryAfter({ userHash, ip }, now = Date.now()) {
+    const until = Math.max(
+      (userHash && this.offenders.get(`user:${userHash}`)?.cooldownUntil) || 0,
+      (ip && this.offenders.get(`ip:${ip}`)?.cooldownUntil) || 0
+    );
+    return until > now ? Math.ceil((until - now) / 1000) : 0;
+  }
+
+  // Count a violation against the user and the address; the worse one decides
+  recordViolations(keys, type, now) {
+    const actions = keys.filter(Boolean).map(key => this.recordViolation(key, type, now));
+    return ['disconnect', 'warn'].find(action => actions.includes(action)) || 'drop';
+  }
+
+  getBucket(key, capacity, refillPerSecond, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, capacity, refillPerSecond, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.capacity = capacity;
+    bucket.refillPerSecond = refillPerSecond;
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // Escalate with repeated violations: drop, then warn, then disconnect.
+  // Disconnecting starts a cooldown; the strikes are kept through it so a
+  // reconnect doesn't start from a clean slate.
+  recordViolation(key, type, now) {
+    let offender = this.offenders.get(key);
+    if (!offender) {
+      offender = { violations: [], lastWarned: {}, cooldownUntil: 0 };
+      this.offenders.set(key, offender);
+    }
+
+    offender.violations = offender.violations.filter(time => now - time < this.violationWindowMs);
+    offender.violations.push(now);
+    this.droppedByType[type] = (this.droppedByType[type] || 0) + 1;
+
+    const count = offender.violations.length;
+    if (count >= this.disconnectAfter) {
+      this.counters.disconnected++;
+      offender.cooldownUntil = now + this.cooldownMs;
+      return 'disconnect';
+    }
+
+    this.counters.dropped++;
+    const lastWarned = offender.lastWarned[type];
+    if (count > this.warnAfter && (lastWarned === undefined || now - lastWarned >= this.warnIntervalMs)) {
+      offender.lastWarned[type] = now;
+      this.counters.warned++;
+      return 'warn';
+    }
+    return 'drop';
+  }
+
+  // Forget idle buckets, and offenders that have gone quiet and served any cooldown
+  cleanup(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > this.idleMs) {
+        this.buckets.delete(key);
+      }
+    });
+    this.offenders.forEach((offender, key) => {
+      const latest = offender.violations[offender.violations.length - 1] || 0;
+      if (now - latest > this.violationWindowMs && now > offender.cooldownUntil) {
+        this.offenders.delete(key);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.counters,
+      droppedByType: { ...this.droppedByType },
+      buckets: this.buckets.size,
+      offenders: this.offenders.size
+    };
+  }
+}
@@ -15,6 +15,21 @@ import MessageBatcher from './messageBatcher.js';
 import ViewportManager from './viewportManager.js';
 import { GeoDrawingPersistence } from './geoDrawingPersistence.js';
 import { ActivityPersistence } from './activityPersistence.js';
+import { FabricHistoryManager } from './fabricHistory.js';
+import { ActivityVersionManager } from './activityVersions.js';
+import { ActivityInviteManager } from './activityInvites.js';
+import { ActivityChatManager } from './activityChat.js';
+import { ActivityCommentManager } from './activityComments.js';
+import { CanvasExporter } from './canvasExport.js';
+import { ThumbnailManager } from './thumbnails.js';
+import { ActivityImageStore } from './activityImages.js';
+import { ObjectLockManager } from './objectLocks.js';
+import { ClusterBus } from './clusterBus.js';
+import { ActivityBroadcastLog } from './activityBroadcastLog.js';
+import { SessionStore } from './sessionStore.js';
+import { MessageValidator } from './messageValidator.js';
+import { RateLimiter } from './rateLimiter.js';
+import { AdminManager } from './adminManager.js';
 import { UserIdentityManager } from './userIdentity.js';
 import { initializeRedis } from './redisClient.js';
 import { verifySession } from './config/supabase.config.js';
@@ -65,6 +80,7 @@ const server = createServer(app);
 // WebSocket server
 const wss = new WebSocketServer({
   server,
+  maxPayload: 4 * 1024 * 1024, // Room for an inline image; schemas limit each field further
   perMessageDeflate: {
     zlibDeflateOptions: {
       chunkSize: 1024,
@@ -95,7 +111,31 @@ const spaceManager = new ServerSpaceManager();
 // Drawing persistence
 const drawingPersistence = new DrawingPersistence(redis);
 const geoDrawingPersistence = new GeoDrawingPersistence(redis);
-const activityPersistence = new ActivityPersistence(redis);
+const activityPersistence = new ActivityPersistence(redis, {
+  contributionRequestTtlHours: Number(process.env.CONTRIBUTION_REQUEST_TTL_HOURS) || undefined
+});
+await activityPersistence.ensureIndexes();
+await geoDrawingPersistence.ensureIndexes();
+const messageValidator = new MessageValidator();
+const rateLimiter = new RateLimiter({ limits: loadRateLimits() });
+const adminManager = new AdminManager(redis, {
+  adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+});
+const fabricHistory = new FabricHistoryManager(redis);
+const activityVersions = new ActivityVersionManager(redis, activityPersistence);
+const activityChat = new ActivityChatManager(redis);
+const activityComments = new ActivityCommentManager(redis);
+const activityInvites = new ActivityInviteManager(redis, activityPersistence, {
+  secret: process.env.INVITE_SECRET
+});
+const canvasExporter = new CanvasExporter();
+const activityImages = new ActivityImageStore(redis);
+const thumbnails = new ThumbnailManager(redis, activityPersistence, canvasExporter, activityImages);
+const objectLocks = new ObjectLockManager(redis);
+const clusterBus = new ClusterBus(redis);
+await clusterBus.start();
+const broadcastLog = new ActivityBroadcastLog(redis);
+const sessionStore = new SessionStore(redis);
 const userIdentityManager = new UserIdentityManager(redis);
 
 // Connection manager for handling connection queue
@@ -173,7 +213,14 @@ class Room {
     this.lastActivity = Date.now();
   }
 
+  // Send to this room's clients on every node
   broadcast(message, excludeId = null) {
+    this.deliver(message, excludeId);
+    clusterBus.publish('room', { roomId: this.id, message, excludeId });
+  }
+
+  // Send to this room's clients connected to this node
+  deliver(message, excludeId = null) {
     this.clients.forEach(clientId => {
       if (clientId !== excludeId) {
         const client = clients.get(clientId);
@@ -224,7 +271,7 @@ wss.on('connection', async (ws, req) => {
 // Handle connections after they're processed by queue
 connectionManager.on('connection', async (ws, req) => {
   const clientId = uuidv4();
-  const clientIp = req.socket.remoteAddress;
+  const clientIp = getClientIp(req);
   const userAgent = req.headers['user-agent'] || 'unknown';
 
   console.log(`👤 New client connected: ${clientId} from ${clientIp}`);
@@ -240,6 +287,7 @@ connectionManager.on('connection', async (ws, req) => {
   let userId = null;
   let userName = null;
   let isAuthenticated = false;
+  let isAdmin = false;
 
   // Try token-based auth first (Better Auth)
   if (authToken) {
@@ -260,7 +308,8 @@ connectionManager.on('connection', async (ws, req) => {
           userName = user.user_metadata?.name || user.email?.split('@')[0] || 'User';
           userHash = `auth_${userId}`; // Use auth-based hash
           isAuthenticated = true;
-          console.log(`[Auth] ✅ Authenticated user: ${userName} (${userId})`);
+          isAdmin = adminManager.isAdminUser(user);
+          console.log(`[Auth] ✅ Authenticated user: ${userName} (${userId})${isAdmin ? ' [admin]' : ''}`);
           console.log(`[Auth] 📧 Email: ${user.email}`);
           console.log(`[Auth] 📝 Metadata:`, user.user_metadata);
         } else {
@@ -294,6 +343,29 @@ connectionManager.on('connection', async (ws, req) => {
     }
   }
 
+  // Flooders disconnected recently can't come straight back with a new userHash
+  const limitKeys = { userHash, ip: getRateLimitAddress(clientIp) };
+  if (rateLimiter.isCoolingDown(limitKeys)) {
+    const retryAfter = rateLimiter.getRetryAfter(limitKeys);
+    console.log(`[RateLimit] Refusing connection from ${clientIp} for another ${retryAfter}s`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'RATE_LIMITED',
+      retryAfter,
+      message: `Too many requests, try again in ${retryAfter} seconds`
+    }));
+    ws.close(1008, 'Rate limit exceeded');
+    return;
+  }
+
+  // Globally banned users are turned away
+  if (await adminManager.isBanned(userHash)) {
+    console.log(`[Admin] Refusing connection from banned user ${userHash}`);
+    ws.send(JSON.stringify({ type: 'error', code: 'BANNED', message: 'You have been banned' }));
+    ws.close(1008, 'Banned');
+    return;
+  }
+
   // Store client
   clients.set(clientId, {
     id: clientId,
@@ -304,17 +376,25 @@ connectionManager.on('connection', async (ws, req) => {
     userId, // Real user ID from Better Auth (if authenticated)
     userName, // Display name from Better Auth
     isAuthenticated, // Whether user is authenticated via Better Auth
+    isAdmin, // Allowed to send admin messages
+    ip: clientIp, // Rate limits also apply per address when proxy hops are set
     location: null
   });
 
+  // Lets the client resume this session if the connection drops
+  const resumeToken = await sessionStore.createSession(clientId, userHash);
+  clients.get(clientId).resumeToken = resumeToken;
+
   // Send welcome message
   ws.send(JSON.stringify({
     type: 'welcome',
     clientId,
+    resumeToken,
     userHash, // Send user hash to client for persistent identity
     userId, // Send real user ID if authenticated
     userName, // Send display name if authenticated
     isAuthenticated, // Let client know if they're authenticated
+    isAdmin,
     serverTime: Date.now(),
     stats: {
       totalClients: clients.size,
@@ -338,6 +418,22 @@ connectionManager.on('connection', async (ws, req) => {
       const message = JSON.parse(data);
       const client = clients.get(clientId);
 
+      const limited = rateLimiter.check(
+        { userHash: client?.userHash, ip: getRateLimitAddress(client?.ip) },
+        typeof message?.type === 'string' ? message.type : 'invalid',
+        { replay: typeof message?.idempotencyKey === 'string' }
+      );
+      if (!limited.allowed) {
+        handleRateLimited(clientId, ws, message, limited);
+        return;
+      }
+
+      const invalid = messageValidator.validate(message);
+      if (invalid) {
+        rejectInvalidMessage(ws, message, invalid);
+        return;
+      }
+
       switch (message.type) {
         case 'authenticate':
           handleAuthenticate(clientId, message);
@@ -435,6 +531,10 @@ connectionManager.on('connection', async (ws, req) => {
           handleGetActivities(clientId, message);
           break;
 
+        case 'resume':
+          await handleResume(clientId, message);
+          break;
+
         case 'joinActivity':
           handleJoinActivity(clientId, message);
           break;
@@ -444,7 +544,7 @@ connectionManager.on('connection', async (ws, req) => {
           break;
 
         case 'activityDraw':
-          handleActivityDraw(clientId, message);
+          applyOnce(clientId, message, handleActivityDraw);
           break;
 
         // Removed getDefaultActivity - no longer creating default canvases
@@ -457,6 +557,22 @@ connectionManager.on('connection', async (ws, req) => {
           handleUpdateActivityPermissions(clientId, message);
           break;
 
+        case 'setActivityVisibility':
+          handleSetActivityVisibility(clientId, message);
+          break;
+
+        case 'createActivityInvite':
+          handleCreateActivityInvite(clientId, message);
+          break;
+
+        case 'getActivityInvites':
+          handleGetActivityInvites(clientId, message);
+          break;
+
+        case 'revokeActivityInvite':
+          handleRevokeActivityInvite(clientId, message);
+          break;
+
         case 'deleteActivity':
           handleDeleteActivity(clientId, message);
           break;
@@ -465,6 +581,10 @@ connectionManager.on('connection', async (ws, req) => {
           handleGetAllActivities(clientId, message);
           break;
 
+        case 'searchActivities':
+          handleSearchActivities(clientId, message);
+          break;
+
         case 'deleteAllActivities':
           handleDeleteAllActivities(clientId, message);
           break;
@@ -477,27 +597,157 @@ connectionManager.on('connection', async (ws, req) => {
           handleRequestContribution(clientId, message);
           break;
 
+        case 'getActivityMembers':
+          handleGetActivityMembers(clientId, message);
+          break;
+
+        case 'addModerator':
+          handleSetModerator(clientId, message, true);
+          break;
+
+        case 'removeModerator':
+          handleSetModerator(clientId, message, false);
+          break;
+
+        case 'transferOwnership':
+          handleTransferOwnership(clientId, message);
+          break;
+
+        case 'acceptOwnershipTransfer':
+          handleAcceptOwnershipTransfer(clientId, message);
+          break;
+
+        case 'cancelOwnershipTransfer':
+          handleCancelOwnershipTransfer(clientId, message);
+          break;
+
+        case 'sendChatMessage':
+          handleSendChatMessage(clientId, message);
+          break;
+
+        case 'getChatHistory':
+          handleGetChatHistory(clientId, message);
+          break;
+
+        case 'deleteChatMessage':
+          handleDeleteChatMessage(clientId, message);
+          break;
+
+        case 'getComments':
+          handleGetComments(clientId, message);
+          break;
+
+        case 'createCommentThread':
+          handleCreateCommentThread(clientId, message);
+          break;
+
+        case 'replyToComment':
+          handleReplyToComment(clientId, message);
+          break;
+
+        case 'setCommentStatus':
+          handleSetCommentStatus(clientId, message);
+          break;
+
+        case 'deleteCommentThread':
+          handleDeleteCommentThread(clientId, message);
+          break;
+
+        case 'denyContributor':
+          handleDenyContributor(clientId, message);
+          break;
+
+        case 'banUser':
+          handleBanUser(clientId, message);
+          break;
+
+        case 'unbanUser':
+          handleUnbanUser(clientId, message);
+          break;
+
         case 'approveContributor':
           handleApproveContributor(clientId, message);
           break;
 
         // Fabric.js canvas handlers
         case 'fabricObjectAdded':
-          handleFabricObjectAdded(clientId, message);
+          applyOnce(clientId, message, handleFabricObjectAdded);
           break;
 
         case 'fabricObjectModified':
-          handleFabricObjectModified(clientId, message);
+          applyOnce(clientId, message, handleFabricObjectModified);
           break;
 
         case 'fabricObjectRemoved':
-          handleFabricObjectRemoved(clientId, message);
+          applyOnce(clientId, message, handleFabricObjectRemoved);
           break;
 
         case 'fabricCursor':
           handleFabricCursor(clientId, message);
           break;
 
+        case 'fabricViewport':
+          handleFabricViewport(clientId, message);
+          break;
+
+        case 'startPresenting':
+          await handleStartPresenting(clientId, message);
+          break;
+
+        case 'stopPresenting':
+          handleStopPresenting(clientId, message);
+          break;
+
+        case 'fabricPreview':
+          await handleFabricPreview(clientId, message);
+          break;
+
+        case 'fabricUndo':
+          handleFabricHistoryAction(clientId, 'undo');
+          break;
+
+        case 'fabricRedo':
+          handleFabricHistoryAction(clientId, 'redo');
+          break;
+
+        case 'requestActivityHistory':
+          handleRequestActivityHistory(clientId, message);
+          break;
+
+        case 'saveActivityVersion':
+          handleSaveActivityVersion(clientId, message);
+          break;
+
+        case 'getActivityVersions':
+          handleGetActivityVersions(clientId, message);
+          break;
+
+        case 'lockObjects':
+          await handleLockObjects(clientId, message);
+          break;
+
+        case 'unlockObjects':
+          await handleUnlockObjects(clientId, message);
+          break;
+
+        case 'breakObjectLocks':
+          await handleBreakObjectLocks(clientId, message);
+          break;
+
+        case 'restoreActivityVersion':
+          handleRestoreActivityVersion(clientId, message);
+          break;
+
+        case 'adminListUsers':
+        case 'adminDeleteActivity':
+        case 'adminBanUser':
+        case 'adminUnbanUser':
+        case 'adminListBans':
+        case 'adminListContributionRequests':
+        case 'adminGetAuditLog':
+          await handleAdminMessage(clientId, message);
+          break;
+
         default:
           console.log('Unknown message type:', message.type);
       }
@@ -537,18 +787,21 @@ connectionManager.on('connection', async (ws, req) => {
     // Clean up viewport manager
     viewportManager.removeClient(clientId);
 
+    // Leave the activity so other nodes see the participant count drop
+    if (client && client.currentActivity) {
+      handleLeaveActivity(clientId, {});
+    }
+
+    if (client) {
+      sessionStore.endSession(client.resumeToken);
+    }
+
     // Notify others that artist went offline
     if (client && client.location) {
-      const locationUpdate = {
+      broadcastGeo({
         type: 'artistLocation',
         clientId,
         active: false
-      };
-
-      clients.forEach((targetClient) => {
-        if (targetClient.ws.readyState === 1) {
-          targetClient.ws.send(JSON.stringify(locationUpdate));
-        }
       });
     }
 
@@ -704,6 +957,20 @@ setInterval(() => {
   });
 }, 5 * 60 * 1000); // Every 5 minutes
 
+// Forget idle rate limit buckets
+setInterval(() => {
+  rateLimiter.cleanup();
+}, 60 * 1000);
+
+// Expire object locks whose holders stopped renewing them
+setInterval(async () => {
+  const activityIds = new Set();
+  clients.forEach(client => {
+    if (client.currentActivity) activityIds.add(client.currentActivity);
+  });
+  broadcastReleasedLocks(await objectLocks.expireLocks(activityIds));
+}, 5000);
+
 // REST endpoints
 app.get('/health', async (req, res) => {
   const drawingStats = await getDrawingStats();
@@ -721,7 +988,10 @@ app.get('/health', async (req, res) => {
     drawings: drawingStats,
     connections: connectionStats,
     batcher: batcherStats,
-    viewports: viewportStats
+    viewports: viewportStats,
+    objectLocks: objectLocks.getStats(),
+    cluster: clusterBus.getStats(),
+    rateLimits: rateLimiter.getStats()
   });
 });
 
@@ -735,6 +1005,265 @@ app.get('/rooms', (req, res) => {
   res.json(roomList);
 });
 
+// Search activities by text, tags and distance.
+// Query: q, tags (comma separated), lat, lng, radiusKm, sort, offset, limit
+app.get('/activities/search', async (req, res) => {
+  const number = value => value === undefined ? undefined : Number(value);
+  const message = {
+    type: 'searchActivities',
+    query: req.query.q,
+    tags: req.query.tags ? String(req.query.tags).split(',') : undefined,
+    near: req.query.lat !== undefined || req.query.lng !== undefined
+      ? { lat: number(req.query.lat), lng: number(req.query.lng) }
+      : undefined,
+    radiusKm: number(req.query.radiusKm),
+    sort: req.query.sort,
+    offset: number(req.query.offset),
+    limit: number(req.query.limit)
+  };
+  Object.keys(message).forEach(key => message[key] === undefined && delete message[key]);
+
+  const invalid = messageValidator.validate(message);
+  if (invalid) {
+    return res.status(400).json({ error: invalid.message, code: invalid.code, field: invalid.field });
+  }
+
+  const search = getSearchOptions(message, null);
+  if (search.error) {
+    return res.status(400).json({ error: search.error });
+  }
+
+  try {
+    res.json(await activityPersistence.searchActivities(search.options));
+  } catch (error) {
+    console.error('Failed to search activities:', error);
+    res.status(500).json({ error: 'Failed to search activities' });
+  }
+});
+
+// Helper: Load an activity an HTTP request may see. Requests carry no user
+// unless they pass the access token handed out on join, so without one only
+// public and unlisted activities are served.
+async function loadViewableActivity(req, activityId) {
+  const activity = await activityPersistence.getActivity(activityId);
+  if (!activity) return null;
+
+  const userHash = await activityInvites.verifyAccessToken(activityId, req.query.token);
+  return activityPersistence.canUserView(activity, userHash) ? activity : null;
+}
+
+// Export an activity canvas as SVG or PNG.
+// Query: background (color or 'transparent'), scale (0.1-4), crop (true/false), padding, download, token
+app.get('/activities/:id/export.:format', async (req, res) => {
+  const { id, format } = req.params;
+  if (format !== 'svg' && format !== 'png') {
+    return res.status(400).json({ error: 'Unsupported export format' });
+  }
+
+  // Exports are rendered on demand, so they are limited per address. Without
+  // proxy hops configured that address may be the proxy's, which caps exports
+  // for everyone behind it: the safe side for an expensive route.
+  const limited = rateLimiter.check({ ip: getClientIp(req) }, 'exportActivity');
+  if (!limited.allowed) {
+    res.set('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: `Too many exports, try again in ${limited.retryAfter} seconds` });
+  }
+
+  try {
+    const activity = await loadViewableActivity(req, id);
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const canvasData = await activityPersistence.loadActivityCanvas(id) || { paths: [], objects: [] };
+    const options = {
+      background: req.query.background || '#ffffff',
+      scale: req.query.scale,
+      crop: req.query.crop === 'true' || req.query.crop === '1',
+      padding: req.query.padding,
+      images: await activityImages.resolveImages(id, canvasData)
+    };
+
+    const body = format === 'svg'
+      ? canvasExporter.renderSvg(canvasData, options)
+      : await canvasExporter.renderPng(canvasData, options);
+
+    const filename = `${(activity.title || 'activity').replace(/[^a-z0-9-_]+/gi, '_')}.${format}`;
+    res.set({
+      'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`,
+      'Cache-Control': 'no-cache'
+    });
+    res.send(body);
+  } catch (error) {
+    if (error.code === 'EXPORT_BUSY') {
+      res.set('Retry-After', '5');
+      return res.status(503).json({ error: error.message });
+    }
+    console.error('Failed to export activity:', error);
+    res.status(500).json({ error: 'Failed to export activity' });
+  }
+});
+
+// Serve an image placed on a Fabric activity canvas
+app.get('/activities/:id/images/:imageId', async (req, res) => {
+  try {
+    if (!await loadViewableActivity(req, req.params.id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const image = await activityImages.getImage(req.params.id, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Image IDs are never reused, so the content can't change. Images of
+    // activities that need a token must not sit in shared caches.
+    res.set({
+      'Content-Type': image.mimeType,
+      'Cache-Control': `${req.query.token ? 'private' : 'public'}, max-age=31536000, immutable`
+    });
+    res.send(image.buffer);
+  } catch (error) {
+    console.error('Failed to serve activity image:', error);
+    res.status(500).json({ error: 'Failed to load image' });
+  }
+});
+
+// Serve the cached thumbnail of an activity, rendering it on first request
+app.get('/activities/:id/thumbnail.png', async (req, res) => {
+  try {
+    const activity = await activityPersistence.getActivity(req.params.id);
+    if (!activity || activity.visibility === 'private') {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    let png = await thumbnails.getThumbnail(req.params.id);
+    if (!png) {
+      png = await thumbnails.generateThumbnail(req.params.id);
+    }
+    if (!png) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    // URLs carry a version parameter, so a cached copy never goes stale
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': req.query.v ? 'public, max-age=31536000, immutable' : 'no-cache'
+    });
+    res.send(png);
+  } catch (error) {
+    console.error('Failed to serve thumbnail:', error);
+    res.status(500).json({ error: 'Failed to load thumbnail' });
+  }
+});
+
+// Admin routes take a Supabase access token as "Authorization: Bearer <token>"
+async function requireAdmin(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = token ? await verifySession(token) : null;
+
+  if (!session?.user || !adminManager.isAdminUser(session.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  req.adminActor = getAdminActor({
+    userId: session.user.id,
+    userHash: `auth_${session.user.id}`,
+    userName: session.user.user_metadata?.name || session.user.email
+  }, 'rest');
+  next();
+}
+
+function isValidUserHash(userHash) {
+  return typeof userHash === 'string' && userHash.length > 0 && userHash.length <= 128;
+}
+
+app.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    res.json({ users: await adminListUsers(req.adminActor) });
+  } catch (error) {
+    console.error('Failed to list users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+app.delete('/admin/activities/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await adminDeleteActivity(req.params.id, req.adminActor);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+    res.json({ deleted: true, activityId: req.params.id });
+  } catch (error) {
+    console.error('Failed to delete activity:', error);
+    res.status(500).json({ error: 'Failed to delete activity' });
+  }
+});
+
+app.get('/admin/bans', requireAdmin, async (req, res) => {
+  try {
+    res.json({ bans: await adminListBans(req.adminActor) });
+  } catch (error) {
+    console.error('Failed to list bans:', error);
+    res.status(500).json({ error: 'Failed to list bans' });
+  }
+});
+
+app.post('/admin/bans', requireAdmin, async (req, res) => {
+  const { userHash, reason } = req.body || {};
+  if (!isValidUserHash(userHash)) {
+    return res.status(400).json({ error: 'userHash is required' });
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({ error: 'reason must be a string of at most 500 characters' });
+  }
+
+  try {
+    const banned = await adminBanUser(userHash, reason, req.adminActor);
+    if (!banned) {
+      return res.status(500).json({ error: 'Failed to ban user' });
+    }
+    res.status(201).json({ banned: true, userHash });
+  } catch (error) {
+    console.error('Failed to ban user:', error);
+    res.status(500).json({ error: 'Failed to ban user' });
+  }
+});
+
+app.delete('/admin/bans/:userHash', requireAdmin, async (req, res) => {
+  try {
+    const unbanned = await adminUnbanUser(req.params.userHash, req.adminActor);
+    if (!unbanned) {
+      return res.status(404).json({ error: 'User is not banned' });
+    }
+    res.json({ unbanned: true, userHash: req.params.userHash });
+  } catch (error) {
+    console.error('Failed to unban user:', error);
+    res.status(500).json({ error: 'Failed to unban user' });
+  }
+});
+
+app.get('/admin/contribution-requests', requireAdmin, async (req, res) => {
+  try {
+    res.json({ requests: await adminListContributionRequests(req.adminActor) });
+  } catch (error) {
+    console.error('Failed to list contribution requests:', error);
+    res.status(500).json({ error: 'Failed to list contribution requests' });
+  }
+});
+
+app.get('/admin/audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  try {
+    res.json({ entries: await adminGetAuditLog(limit, req.adminActor) });
+  } catch (error) {
+    console.error('Failed to load audit log:', error);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
 // Start server
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
@@ -1118,16 +1647,9 @@ function handleGeoDraw(clientId, message) {
   };
 
   // For now, broadcast to all clients (could optimize with geo proximity later)
-  let broadcastCount = 0;
-  clients.forEach((targetClient, targetId) => {
-    if (targetId !== clientId && targetClient.ws.readyState === 1) {
-      broadcastCount++;
-      // Send geo draw messages immediately for real-time updates
-      targetClient.ws.send(JSON.stringify(broadcastMessage));
-    }
-  });
+  const broadcastCount = broadcastGeo(broadcastMessage, { excludeId: clientId });
 
-  console.log(`[GeoDraw] Broadcasted to ${broadcastCount} clients`);
+  console.log(`[GeoDraw] Broadcasted to ${broadcastCount} local clients`);
 }
 
 // Handle user location update
@@ -1147,11 +1669,7 @@ function handleSetLocation(clientId, message) {
     active: true
   };
 
-  clients.forEach((targetClient, targetId) => {
-    if (targetClient.ws.readyState === 1) {
-      targetClient.ws.send(JSON.stringify(locationUpdate));
-    }
-  });
+  broadcastGeo(locationUpdate);
 }
 
 // Handle geo viewport update
@@ -1268,6 +1786,7 @@ async function handleCreateActivity(clientId, message) {
       lng: message.lng,
       address: message.address,
       street: message.street,
+      tags: message.tags,
       ownerId: client.userHash, // Set persistent owner
       ownerName: client.userName || client.username || 'Anonymous', // Use authenticated name first
       creatorId: clientId,
@@ -1286,18 +1805,11 @@ async function handleCreateActivity(clientId, message) {
     }));
 
     // Notify others in the area about the new activity
-    clients.forEach((targetClient, targetId) => {
-      if (targetId !== clientId && targetClient.ws.readyState === 1 && targetClient.geoViewport) {
-        const bounds = targetClient.geoViewport.bounds;
-        if (bounds && activityPersistence.isInBounds(activity.lat, activity.lng, bounds)) {
-          targetClient.ws.send(JSON.stringify({
-            type: 'activityCreated',
-            activity,
-            isOwnCreation: false
-          }));
-        }
-      }
-    });
+    broadcastGeo({
+      type: 'activityCreated',
+      activity,
+      isOwnCreation: false
+    }, { excludeId: clientId, location: activity });
   } catch (error) {
     console.error('Failed to create activity:', error);
     client.ws.send(JSON.stringify({
@@ -1340,10 +1852,38 @@ async function handleGetActivities(clientId, message) {
   }
 }
 
+const INVITE_ERRORS = {
+  INVALID_INVITE: 'This invite link is not valid',
+  INVITE_EXPIRED: 'This invite link has expired or was revoked',
+  INVITE_USED_UP: 'This invite link has already been used the maximum number of times',
+  BANNED_FROM_ACTIVITY: 'You have been banned from this canvas'
+};
+
 async function handleJoinActivity(clientId, message) {
   const client = clients.get(clientId);
   if (!client || !message.activityId) return;
 
+  // Redeem an invite link first, so its user can get into a private activity
+  if (message.inviteToken) {
+    const { error } = await activityInvites.redeemInvite(message.activityId, message.inviteToken, client.userHash);
+    if (error) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        code: error,
+        activityId: message.activityId,
+        message: INVITE_ERRORS[error]
+      }));
+      return;
+    }
+  }
+
+  // Private activities are only open to members; the data also carries permissions/requests
+  const activity = await activityPersistence.getActivity(message.activityId);
+  if (activity && !activityPersistence.canUserView(activity, client.userHash)) {
+    sendAccessDeniedError(client, activity);
+    return;
+  }
+
   // Leave current activity if any
   if (client.currentActivity) {
     handleLeaveActivity(clientId, { activityId: client.currentActivity });
@@ -1352,58 +1892,145 @@ async function handleJoinActivity(clientId, message) {
   client.currentActivity = message.activityId;
   console.log(`[JoinActivity] ${clientId} joining activity ${message.activityId}`);
 
+  // Read the sequence first: later broadcasts reach the client live
+  const seq = await broadcastLog.getLatestSeq(message.activityId);
+
   // Load canvas data for the activity
   const canvasData = await activityPersistence.loadActivityCanvas(message.activityId);
 
-  // Also load activity data to get permissions/requests
-  const activity = await activityPersistence.getActivity(message.activityId);
-
   client.ws.send(JSON.stringify({
     type: 'activityJoined',
     activityId: message.activityId,
     canvasData: canvasData || { paths: [] },
-    activity: activity
+    activity: activity,
+    objectLocks: await objectLocks.getLocks(message.activityId),
+    accessToken: await activityInvites.createAccessToken(message.activityId, client.userHash),
+    seq
   }));
 
+  // Undo/redo stacks survive reloads, so restore the toolbar state
+  await sendFabricHistoryState(clientId, message.activityId);
+
+  // Remind the recipient of an ownership transfer they haven't answered
+  const offer = activity && await activityPersistence.getOwnershipOffer(activity.id);
+  if (offer?.to === client.userHash) {
+    sendOwnershipOffer(client.userHash, activity, offer);
+  }
+
   // Update participant count
-  const participants = getActivityParticipants(message.activityId);
-  console.log(`[JoinActivity] Activity ${message.activityId} now has ${participants.size} participants`);
+  const participantCount = await updateParticipantCount(message.activityId);
+  console.log(`[JoinActivity] Activity ${message.activityId} now has ${participantCount} participants`);
 
-  await activityPersistence.updateActivityStats(message.activityId, {
-    participantCount: participants.size
-  });
+  // Snapshot the canvas when a new session starts so it can be recovered later
+  if (participantCount === 1) {
+    activityVersions.createAutoVersion(message.activityId, 'Session start')
+      .catch(err => console.error('Failed to create automatic version:', err));
+  }
 
   // Notify other participants
   broadcastToActivity(message.activityId, {
     type: 'participantJoined',
     clientId,
+    userHash: client.userHash,
     username: client.userName || client.username || 'Anonymous'
   }, clientId);
 
-  console.log(`[Activity] ${clientId} joined activity ${message.activityId} with ${participants.size - 1} other participants`);
+  console.log(`[Activity] ${clientId} joined activity ${message.activityId} with ${participantCount - 1} other participants`);
 }
 
-function handleLeaveActivity(clientId, message) {
+// Rejoin the activity a dropped connection was in and replay what it missed
+async function handleResume(clientId, message) {
   const client = clients.get(clientId);
-  if (!client) return;
+  if (!client || !message.activityId) return;
 
-  const activityId = message.activityId || client.currentActivity;
-  if (!activityId) return;
+  const session = await sessionStore.getSession(message.resumeToken);
+  const lastSeq = Number.isInteger(message.lastSeq) ? message.lastSeq : null;
 
-  client.currentActivity = null;
+  if (!session || session.userHash !== client.userHash || lastSeq === null) {
+    console.log(`[Resume] ${clientId} has no resumable session, reloading activity ${message.activityId}`);
+    await handleJoinActivity(clientId, { activityId: message.activityId });
+    return;
+  }
+  await sessionStore.deleteSession(message.resumeToken);
 
-  // Notify other participants
-  broadcastToActivity(activityId, {
-    type: 'participantLeft',
-    clientId,
-    username: client.userName || client.username || 'Anonymous'
-  }, clientId);
+  // Access may have been taken away while disconnected
+  const activity = await activityPersistence.getActivity(message.activityId);
+  if (activity && !activityPersistence.canUserView(activity, client.userHash)) {
+    sendAccessDeniedError(client, activity);
+    return;
+  }
 
-  // Update participant count
-  const participants = getActivityParticipants(activityId);
-  activityPersistence.updateActivityStats(activityId, {
-    participantCount: participants.size
-  }).catch(err => console.error('Failed to update participant count:', err));
+  if (client.currentActivity && client.currentActivity !== message.activityId) {
+    handleLeaveActivity(clientId, { activityId: client.currentActivity });
+  }
+
+  // Join before reading the log so nothing broadcast in between is lost.
+  // The client merges the replay with anything it receives meanwhile.
+  client.currentActivity = message.activityId;
+  const { entries, latestSeq, complete } = await broadcastLog.getSince(message.activityId, lastSeq);
+
+  // Too much was missed to replay, so start over from the current canvas
+  if (!complete) {
+    console.log(`[Resume] Gap after ${lastSeq} in activity ${message.activityId} can't be replayed, reloading`);
+    client.currentActivity = null;
+    await handleJoinActivity(clientId, { activityId: message.activityId });
+    return;
+  }
+
+  // Skip what the old connection sent itself; it was never echoed back
+  const messages = entries
+    .filter(entry => entry.excludeId !== session.clientId)
+    .map(entry => ({ ...entry.message, activityId: message.activityId, seq: entry.seq }));
+
+  client.ws.send(JSON.stringify({
+    type: 'resumed',
+    activityId: message.activityId,
+    seq: latestSeq,
+    messages,
+    objectLocks: await objectLocks.getLocks(message.activityId),
+    accessToken: await activityInvites.createAccessToken(message.activityId, client.userHash)
+  }));
+
+  console.log(`[Resume] ${clientId} resumed activity ${message.activityId} (was ${session.clientId}), replayed ${messages.length} messages`);
+
+  await sendFabricHistoryState(clientId, message.activityId);
+  await updateParticipantCount(message.activityId);
+
+  broadcastToActivity(message.activityId, {
+    type: 'participantJoined',
+    clientId,
+    userHash: client.userHash,
+    username: client.userName || client.username || 'Anonymous'
+  }, clientId);
+}
+
+async function handleLeaveActivity(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activityId = message.activityId || client.currentActivity;
+  if (!activityId) return;
+
+  client.currentActivity = null;
+
+  broadcastReleasedLocks(await objectLocks.releaseClient(clientId));
+
+  // Notify other participants
+  broadcastToActivity(activityId, {
+    type: 'participantLeft',
+    clientId,
+    username: client.userName || client.username || 'Anonymous'
+  }, clientId);
+
+  // Update participant count, then fold the operation log into the
+  // snapshot once the canvas goes idle on every node
+  updateParticipantCount(activityId)
+    .then(participantCount => {
+      if (participantCount === 0) {
+        return activityPersistence.compactActivityCanvas(activityId);
+      }
+    })
+    .catch(err => console.error('Failed to update participant count:', err));
 
   console.log(`[Activity] ${clientId} left activity ${activityId}`);
 }
@@ -1422,7 +2049,7 @@ async function handleActivityDraw(clientId, message) {
       type: 'error',
       message: 'You do not have permission to draw in this activity'
     }));
-    return;
+    return OPERATION_REJECTED;
   }
 
   console.log(`[ActivityDraw] ${clientId} drawing in activity ${activityId}, type: ${message.drawType}`);
@@ -1441,20 +2068,20 @@ async function handleActivityDraw(clientId, message) {
   } else if (message.drawType === 'end') {
     // Save the path
     if (client.currentActivityPath && client.currentActivityPath.points.length > 1) {
-      // Load existing canvas data
-      let canvasData = await activityPersistence.loadActivityCanvas(activityId) || { paths: [] };
-
-      // Add new path with unique ID
-      canvasData.paths.push({
-        ...client.currentActivityPath,
-        pathId: `${clientId}_${Date.now()}`, // Unique path ID
-        clientId,
-        userHash: client.userHash, // Store user hash with path
-        timestamp: Date.now()
+      const opId = await activityPersistence.appendCanvasOperation(activityId, {
+        type: 'addPath',
+        path: {
+          ...client.currentActivityPath,
+          pathId: `${clientId}_${Date.now()}`, // Unique path ID
+          clientId,
+          userHash: client.userHash, // Store user hash with path
+          userName: client.userName || 'Anonymous',
+          timestamp: Date.now()
+        }
       });
-
-      // Save updated canvas
-      await activityPersistence.saveActivityCanvas(activityId, canvasData);
+      // Keep the path so a retried end can still save it
+      if (!opId) return OPERATION_FAILED;
+      thumbnails.scheduleThumbnail(activityId);
     }
     client.currentActivityPath = null;
   }
@@ -1465,12 +2092,129 @@ async function handleActivityDraw(clientId, message) {
 
   // Broadcast to other participants
   // Remove the 'type' field from message to avoid overwriting
-  const { type, ...drawData } = message;
+  const { type, idempotencyKey, ...drawData } = message;
   broadcastToActivity(activityId, {
     type: 'remoteActivityDraw',
     clientId,
     ...drawData
   }, clientId);
+  return OPERATION_APPLIED;
+}
+
+// Over the limit: drop quietly at first, then warn, then disconnect
+function handleRateLimited(clientId, ws, message, limited) {
+  if (limited.action === 'disconnect') {
+    console.log(`[RateLimit] Disconnecting ${clientId} for flooding ${message?.type}`);
+    ws.close(1008, 'Rate limit exceeded');
+  } else if (limited.action === 'warn') {
+    console.log(`[RateLimit] Warning ${clientId} about ${message?.type}`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'RATE_LIMITED',
+      messageType: message?.type,
+      retryAfter: limited.retryAfter,
+      message: `Too many requests, try again in ${limited.retryAfter} seconds`
+    }));
+  }
+}
+
+// Behind proxies every connection comes from the nearest proxy, and the
+// left of X-Forwarded-For is whatever the client sent. With
+// TRUSTED_PROXY_HOPS proxies of our own in front, the client is the address
+// that many hops back: the right-most one our proxies didn't add.
+const TRUSTED_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS || '0') || 0);
+
+function getClientIp(req) {
+  const forwardedFor = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  const hops = [req.socket.remoteAddress, ...forwardedFor.reverse()];
+  return hops[Math.min(TRUSTED_PROXY_HOPS, hops.length - 1)];
+}
+
+// Until proxy hops are configured, every client behind a proxy shares its
+// address. Socket limits and cooldowns then key on the userHash alone rather
+// than lumping everyone into one address bucket.
+function getRateLimitAddress(ip) {
+  return TRUSTED_PROXY_HOPS > 0 ? ip : null;
+}
+
+// RATE_LIMITS overrides limits per message type as JSON, e.g.
+// {"activityDraw":{"capacity":100,"refillPerSecond":30}}
+function loadRateLimits() {
+  if (!process.env.RATE_LIMITS) return {};
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    console.error('Ignoring invalid RATE_LIMITS:', error.message);
+    return {};
+  }
+}
+
+// Tell the sender which field of its message was rejected
+function rejectInvalidMessage(ws, message, invalid) {
+  console.log(`[Validation] Rejected ${message?.type}: ${invalid.code} at ${invalid.field}`);
+  ws.send(JSON.stringify({
+    type: 'error',
+    code: invalid.code,
+    field: invalid.field,
+    messageType: message?.type,
+    message: invalid.message
+  }));
+
+  // A replayed offline operation that can never be applied shouldn't be retried
+  if (typeof message?.idempotencyKey === 'string') {
+    ws.send(JSON.stringify({
+      type: 'operationAcked',
+      idempotencyKey: message.idempotencyKey,
+      rejected: true
+    }));
+  }
+}
+
+// What a canvas operation handler did with an operation. Refused operations
+// will never apply; failed ones might on a later try.
+const OPERATION_APPLIED = 'applied';
+const OPERATION_REJECTED = 'rejected';
+const OPERATION_FAILED = 'failed';
+
+// Operations replayed from a client's offline outbox carry an idempotency key.
+// Each is applied at most once and acknowledged so the client can drop it.
+// Failed operations go unacknowledged, so the client replays them again.
+async function applyOnce(clientId, message, handler) {
+  const client = clients.get(clientId);
+  const key = message.idempotencyKey;
+  if (!client || !client.currentActivity || typeof key !== 'string' || key.length > 64) {
+    return handler(clientId, message);
+  }
+
+  const activityId = client.currentActivity;
+  const firstTime = await activityPersistence.claimIdempotencyKey(activityId, key);
+  if (!firstTime) {
+    console.log(`[Outbox] Skipping duplicate ${message.type} ${key} from ${clientId}`);
+    client.ws.send(JSON.stringify({
+      type: 'operationAcked',
+      idempotencyKey: key,
+      duplicate: true
+    }));
+    return;
+  }
+
+  const outcome = await handler(clientId, message);
+  if (outcome === OPERATION_FAILED) {
+    console.log(`[Outbox] ${message.type} ${key} from ${clientId} failed; leaving it for a retry`);
+    await activityPersistence.releaseIdempotencyKey(activityId, key);
+    return;
+  }
+
+  client.ws.send(JSON.stringify({
+    type: 'operationAcked',
+    idempotencyKey: key,
+    duplicate: false,
+    ...(outcome === OPERATION_REJECTED && { rejected: true })
+  }));
 }
 
 // Helper: Get participants of an activity
@@ -1484,8 +2228,48 @@ function getActivityParticipants(activityId) {
   return participants;
 }
 
-// Helper: Broadcast to all participants in an activity
+// Helper: Count participants across all nodes and store it on the activity
+async function updateParticipantCount(activityId) {
+  const participantCount = await clusterBus.updatePresence(
+    activityId,
+    getActivityParticipants(activityId).size
+  );
+  await activityPersistence.updateActivityStats(activityId, { participantCount });
+  return participantCount;
+}
+
+// Broadcasts that only matter live. Everything else is numbered and logged
+// so reconnecting clients can catch up.
+const UNSEQUENCED_ACTIVITY_MESSAGES = new Set([
+  'fabricCursor',
+  'fabricViewport',
+  'fabricPreview',
+  'presentationStarted',
+  'presentationStopped',
+  'participantJoined',
+  'participantLeft',
+  'objectsLocked',
+  'objectsUnlocked'
+]);
+
+// Helper: Broadcast to all participants in an activity, on every node
 function broadcastToActivity(activityId, message, excludeId = null) {
+  if (!broadcastLog.enabled || UNSEQUENCED_ACTIVITY_MESSAGES.has(message.type)) {
+    deliverToActivity(activityId, message, excludeId);
+    clusterBus.publish('activity', { activityId, message, excludeId });
+    return;
+  }
+
+  // Deliver only once logged, so anything a client received can be replayed
+  broadcastLog.append(activityId, message, excludeId).then(seq => {
+    const numbered = seq ? { ...message, activityId, seq } : message;
+    deliverToActivity(activityId, numbered, excludeId);
+    clusterBus.publish('activity', { activityId, message: numbered, excludeId });
+  });
+}
+
+// Helper: Send to the participants of an activity connected to this node
+function deliverToActivity(activityId, message, excludeId = null) {
   const participants = getActivityParticipants(activityId);
   console.log(`[BroadcastActivity] Sending ${message.type} to ${participants.size - 1} participants in activity ${activityId}`);
 
@@ -1505,26 +2289,162 @@ function broadcastToActivity(activityId, message, excludeId = null) {
   });
 
   if (sentCount === 0) {
-    console.log(`[BroadcastActivity] WARNING: No participants received the message (activity: ${activityId})`);
+    console.log(`[BroadcastActivity] No local participants received the message (activity: ${activityId})`);
   }
 }
 
 // Helper: Broadcast activity update to users in the area
 function broadcastActivityUpdate(activity) {
-  clients.forEach((client) => {
-    if (client.ws.readyState === 1 && client.geoViewport) {
-      // Check if activity is in client's viewport
-      const bounds = client.geoViewport.bounds;
-      if (bounds && activityPersistence.isInBounds(activity.lat, activity.lng, bounds)) {
-        client.ws.send(JSON.stringify({
-          type: 'activityUpdate',
-          activity
-        }));
+  broadcastGeo({
+    type: 'activityUpdate',
+    activity
+  }, { location: activity });
+}
+
+// Helper: Broadcast to map users on every node. With a location, only users
+// whose map viewport contains it; with viewportOnly, only users on the map.
+function broadcastGeo(message, options = {}) {
+  clusterBus.publish('geo', { message, options });
+  return deliverGeo(message, options);
+}
+
+// Helper: Send a map message to matching clients on this node
+function deliverGeo(message, { excludeId = null, location = null, viewportOnly = false } = {}) {
+  let sentCount = 0;
+
+  clients.forEach((targetClient, targetId) => {
+    if (targetId === excludeId || targetClient.ws.readyState !== 1) return;
+    if ((location || viewportOnly) && !targetClient.geoViewport) return;
+
+    if (location) {
+      const bounds = targetClient.geoViewport.bounds;
+      if (!bounds || !activityPersistence.isInBounds(location.lat, location.lng, bounds)) return;
+    }
+
+    targetClient.ws.send(JSON.stringify(message));
+    sentCount++;
+  });
+
+  return sentCount;
+}
+
+// Helper: Send to every connection of a user, on every node
+function sendToUser(userHash, message) {
+  deliverToUser(userHash, message);
+  clusterBus.publish('user', { userHash, message });
+}
+
+function deliverToUser(userHash, message) {
+  clients.forEach((targetClient) => {
+    if (targetClient.userHash === userHash && targetClient.ws.readyState === 1) {
+      targetClient.ws.send(JSON.stringify(message));
+    }
+  });
+}
+
+// Helper: Drop every connection of a user, on every node
+function disconnectUser(userHash, message, reason) {
+  clusterBus.publish('userDisconnected', { userHash, message, reason });
+  closeUserConnections(userHash, message, reason);
+}
+
+function closeUserConnections(userHash, message, reason) {
+  clients.forEach((targetClient) => {
+    if (targetClient.userHash === userHash && targetClient.ws.readyState === 1) {
+      targetClient.ws.send(JSON.stringify(message));
+      targetClient.ws.close(1008, reason);
+    }
+  });
+}
+
+// Helper: Remove everyone from a deleted activity, on every node
+function closeActivity(activityId, message = null) {
+  clusterBus.publish('activityClosed', { activityId, message });
+  removeActivityParticipants(activityId, message);
+}
+
+function removeActivityParticipants(activityId, message = null) {
+  clients.forEach((targetClient) => {
+    if (targetClient.currentActivity === activityId) {
+      targetClient.currentActivity = null;
+      if (message && targetClient.ws.readyState === 1) {
+        targetClient.ws.send(JSON.stringify(message));
       }
     }
   });
 }
 
+// Helper: Remove participants who may no longer see an activity (made
+// private, or banned), on every node
+function enforceActivityAccess(activity) {
+  clusterBus.publish('activityAccessChanged', { activity });
+  removeUnauthorizedParticipants(activity);
+}
+
+function removeUnauthorizedParticipants(activity) {
+  clients.forEach((targetClient) => {
+    if (targetClient.currentActivity !== activity.id) return;
+    if (activityPersistence.canUserView(activity, targetClient.userHash)) return;
+
+    handleLeaveActivity(targetClient.id, { activityId: activity.id });
+    if (targetClient.ws.readyState === 1) {
+      targetClient.ws.send(JSON.stringify({
+        type: 'activityAccessRevoked',
+        activityId: activity.id,
+        message: activity.permissions?.bannedUsers?.includes(targetClient.userHash)
+          ? INVITE_ERRORS.BANNED_FROM_ACTIVITY
+          : 'This canvas is now private'
+      }));
+    }
+  });
+}
+
+// Deliver messages published by other nodes to the clients connected here
+clusterBus.on('activity', ({ activityId, message, excludeId }) => {
+  deliverToActivity(activityId, message, excludeId);
+});
+
+clusterBus.on('room', ({ roomId, message, excludeId }) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  // Keep this node's copy of the room in step for clients joining here
+  if (message.type === 'draw') {
+    const { type, ...drawOp } = message;
+    room.addDrawingOperation(drawOp);
+  } else if (message.type === 'clear') {
+    room.drawingHistory = [];
+  } else if (message.type === 'pixelUpdate') {
+    pixelOwners.set(`${message.x},${message.y}`, {
+      owner: message.owner,
+      color: message.color,
+      timestamp: message.timestamp
+    });
+  }
+
+  room.deliver(message, excludeId);
+});
+
+clusterBus.on('geo', ({ message, options }) => {
+  deliverGeo(message, options);
+});
+
+clusterBus.on('user', ({ userHash, message }) => {
+  deliverToUser(userHash, message);
+});
+
+clusterBus.on('activityClosed', ({ activityId, message }) => {
+  removeActivityParticipants(activityId, message);
+});
+
+clusterBus.on('userDisconnected', ({ userHash, message, reason }) => {
+  closeUserConnections(userHash, message, reason);
+});
+
+clusterBus.on('activityAccessChanged', ({ activity }) => {
+  removeUnauthorizedParticipants(activity);
+});
+
 // Get user's created activities
 async function handleGetMyActivities(clientId, message) {
   const client = clients.get(clientId);
@@ -1598,6 +2518,135 @@ async function handleUpdateActivityPermissions(clientId, message) {
   }
 }
 
+function sendAccessDeniedError(client, activity) {
+  const banned = activity.permissions?.bannedUsers?.includes(client.userHash);
+  console.log(`[JoinActivity] ${client.userHash} refused from ${banned ? 'banned' : 'private'} activity ${activity.id}`);
+  client.ws.send(JSON.stringify({
+    type: 'error',
+    code: banned ? 'BANNED_FROM_ACTIVITY' : 'PRIVATE_ACTIVITY',
+    activityId: activity.id,
+    message: banned
+      ? INVITE_ERRORS.BANNED_FROM_ACTIVITY
+      : 'This canvas is private. Ask the owner for an invite link.'
+  }));
+}
+
+// Helper: Load an activity for an owner-only action, telling the client why not
+async function loadOwnedActivity(client, activityId, action) {
+  const activity = await activityPersistence.getActivity(activityId);
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Activity not found'
+    }));
+    return null;
+  }
+
+  if (activity.ownerId !== client.userHash) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: `Only the owner can ${action}`
+    }));
+    return null;
+  }
+
+  return activity;
+}
+
+// Change who can find and open an activity (owner only)
+async function handleSetActivityVisibility(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  try {
+    const owned = await loadOwnedActivity(client, message.activityId, 'change who can see this canvas');
+    if (!owned) return;
+
+    const activity = await activityPersistence.setActivityVisibility(message.activityId, message.visibility);
+    if (!activity) throw new Error('Activity could not be saved');
+    console.log(`[Visibility] Activity ${activity.id} is now ${activity.visibility}`);
+
+    broadcastToActivity(activity.id, {
+      type: 'activityVisibilityChanged',
+      activityId: activity.id,
+      visibility: activity.visibility
+    });
+
+    // Take it off maps when hidden; people inside without access are removed
+    if (!activityPersistence.isListed(activity)) {
+      broadcastGeo({
+        type: 'activityHidden',
+        activityId: activity.id
+      }, { excludeId: clientId, viewportOnly: true });
+    }
+    enforceActivityAccess(activity);
+  } catch (error) {
+    console.error('Failed to set activity visibility:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to change visibility'
+    }));
+  }
+}
+
+async function handleCreateActivityInvite(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadOwnedActivity(client, message.activityId, 'create invite links');
+  if (!activity) return;
+
+  const invite = await activityInvites.createInvite(activity.id, {
+    role: message.role || 'viewer',
+    expiresInHours: message.expiresInHours || null,
+    maxUses: message.maxUses || null,
+    createdBy: client.userHash
+  });
+  if (!invite) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to create invite link'
+    }));
+    return;
+  }
+
+  client.ws.send(JSON.stringify({
+    type: 'activityInviteCreated',
+    activityId: activity.id,
+    invite
+  }));
+}
+
+async function handleGetActivityInvites(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadOwnedActivity(client, message.activityId, 'see invite links');
+  if (!activity) return;
+
+  client.ws.send(JSON.stringify({
+    type: 'activityInvites',
+    activityId: activity.id,
+    invites: await activityInvites.getInvites(activity.id)
+  }));
+}
+
+async function handleRevokeActivityInvite(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadOwnedActivity(client, message.activityId, 'revoke invite links');
+  if (!activity) return;
+
+  await activityInvites.revokeInvite(activity.id, message.inviteId);
+  client.ws.send(JSON.stringify({
+    type: 'activityInviteRevoked',
+    activityId: activity.id,
+    inviteId: message.inviteId
+  }));
+}
+
 // Remove a user's drawing from activity (owner/moderator only)
 async function handleRemoveUserDrawing(clientId, message) {
   const client = clients.get(clientId);
@@ -1629,12 +2678,12 @@ async function handleRemoveUserDrawing(clientId, message) {
       return;
     }
 
-    // Load canvas and remove the path
-    const canvasData = await activityPersistence.loadActivityCanvas(message.activityId);
-    if (canvasData && canvasData.paths) {
-      canvasData.paths = canvasData.paths.filter(path => path.pathId !== message.pathId);
-      await activityPersistence.saveActivityCanvas(message.activityId, canvasData);
-    }
+    // Log the path removal
+    await activityPersistence.appendCanvasOperation(message.activityId, {
+      type: 'removePath',
+      pathId: message.pathId
+    });
+    thumbnails.scheduleThumbnail(message.activityId);
 
     console.log(`[RemoveDraw] Removed drawing ${message.pathId} from activity ${message.activityId}`);
 
@@ -1662,6 +2711,13 @@ async function handleAuthenticate(clientId, message) {
     const exists = await userIdentityManager.userHashExists(message.userHash);
 
     if (exists) {
+      if (await adminManager.isBanned(message.userHash)) {
+        console.log(`[Admin] Refusing banned user ${message.userHash} on ${clientId}`);
+        client.ws.send(JSON.stringify({ type: 'error', code: 'BANNED', message: 'You have been banned' }));
+        client.ws.close(1008, 'Banned');
+        return;
+      }
+
       // Update client with the authenticated hash
       client.userHash = message.userHash;
       console.log(`[Auth] Client ${clientId} authenticated with existing hash: ${message.userHash}`);
@@ -1712,38 +2768,22 @@ async function handleRequestContribution(clientId, message) {
     }
 
     // Add to requests if not already there
-    if (!activity.permissions.contributorRequests) {
-      activity.permissions.contributorRequests = [];
-    }
-
-    const existingRequest = activity.permissions.contributorRequests.find(
-      req => req.userHash === client.userHash
-    );
-
-    if (!existingRequest) {
-      activity.permissions.contributorRequests.push({
-        userHash: client.userHash,
-        clientId: clientId,
-        timestamp: Date.now()
-      });
-
-      // Update activity
-      await activityPersistence.updateActivity(message.activityId, activity);
+    const requested = await activityPersistence.addContributionRequest(message.activityId, {
+      userHash: client.userHash,
+      clientId: clientId,
+      timestamp: Date.now()
+    });
 
+    if (requested) {
       // Notify the owner
-      const ownerClients = Array.from(clients.entries())
-        .filter(([_, c]) => c.userHash === activity.ownerId);
-
-      ownerClients.forEach(([_, ownerClient]) => {
-        ownerClient.ws.send(JSON.stringify({
-          type: 'contributionRequest',
-          activityId: message.activityId,
-          activityTitle: activity.title,
-          requester: {
-            userHash: client.userHash,
-            clientId: clientId
-          }
-        }));
+      sendToUser(activity.ownerId, {
+        type: 'contributionRequest',
+        activityId: message.activityId,
+        activityTitle: activity.title,
+        requester: {
+          userHash: client.userHash,
+          clientId: clientId
+        }
       });
     }
 
@@ -1776,41 +2816,21 @@ async function handleApproveContributor(clientId, message) {
       return;
     }
 
-    // Add to approved contributors
-    if (!activity.permissions.approvedContributors) {
-      activity.permissions.approvedContributors = [];
-    }
-
-    if (!activity.permissions.approvedContributors.includes(message.userHash)) {
-      activity.permissions.approvedContributors.push(message.userHash);
-    }
-
-    // Remove from requests
-    if (activity.permissions.contributorRequests) {
-      activity.permissions.contributorRequests = activity.permissions.contributorRequests.filter(
-        req => req.userHash !== message.userHash
-      );
-    }
-
-    // Update activity
-    await activityPersistence.updateActivity(message.activityId, activity);
+    // Add to approved contributors, which also clears their request
+    const updated = await activityPersistence.addActivityMember(message.activityId, message.userHash, 'contributor');
+    if (!updated) return;
 
     // Notify the approved user
-    const approvedClients = Array.from(clients.entries())
-      .filter(([_, c]) => c.userHash === message.userHash);
-
-    approvedClients.forEach(([_, approvedClient]) => {
-      approvedClient.ws.send(JSON.stringify({
-        type: 'contributionStatus',
-        status: 'approved',
-        activityId: message.activityId
-      }));
+    sendToUser(message.userHash, {
+      type: 'contributionStatus',
+      status: 'approved',
+      activityId: message.activityId
     });
 
     // Broadcast to all participants
     broadcastToActivity(message.activityId, {
       type: 'activityUpdate',
-      activity: activity
+      activity: updated
     });
 
   } catch (error) {
@@ -1818,264 +2838,1738 @@ async function handleApproveContributor(clientId, message) {
   }
 }
 
-// Get all activities (for list view)
-async function handleGetAllActivities(clientId, message) {
+// Chat is only open to people currently in the activity
+async function loadChatActivity(client, activityId) {
+  if (client.currentActivity !== activityId) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'NOT_IN_ACTIVITY',
+      message: 'Join the canvas to use its chat'
+    }));
+    return null;
+  }
+
+  const activity = await activityPersistence.getActivity(activityId);
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Activity not found'
+    }));
+    return null;
+  }
+  return activity;
+}
+
+async function handleSendChatMessage(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadChatActivity(client, message.activityId);
+  if (!activity) return;
+
+  // Banned users stay muted even if a session slipped through
+  if (activity.permissions?.bannedUsers?.includes(client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'CHAT_MUTED',
+      message: 'You cannot chat in this canvas'
+    }));
+    return;
+  }
+
+  const text = message.text.trim();
+  if (!text) return;
+
+  // Only people who can open the activity are notified of mentions
+  const mentions = (message.mentions || []).filter(userHash => activityPersistence.canUserView(activity, userHash));
+
+  const chatMessage = await activityChat.addMessage(activity.id, {
+    userHash: client.userHash,
+    userName: client.userName || client.username,
+    text,
+    mentions
+  });
+  if (!chatMessage) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to send message'
+    }));
+    return;
+  }
+
+  // clientMessageId lets the sender match the echo to what it typed
+  broadcastToActivity(activity.id, {
+    type: 'chatMessage',
+    activityId: activity.id,
+    message: chatMessage,
+    clientMessageId: message.clientMessageId
+  });
+
+  chatMessage.mentions.forEach(userHash => {
+    sendToUser(userHash, {
+      type: 'chatMention',
+      activityId: activity.id,
+      activityTitle: activity.title,
+      message: chatMessage
+    });
+  });
+}
+
+async function handleGetChatHistory(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadChatActivity(client, message.activityId);
+  if (!activity) return;
+
+  const { messages, hasMore } = await activityChat.getMessages(activity.id, message.before || null);
+  client.ws.send(JSON.stringify({
+    type: 'chatHistory',
+    activityId: activity.id,
+    before: message.before || null,
+    messages,
+    hasMore
+  }));
+}
+
+// Authors can delete their own messages; the owner and moderators any
+async function handleDeleteChatMessage(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadChatActivity(client, message.activityId);
+  if (!activity) return;
+
+  const isOwner = activity.ownerId === client.userHash;
+  const isModerator = activity.permissions?.moderators?.includes(client.userHash);
+  const target = await activityChat.getMessage(activity.id, message.messageId);
+  const isAuthor = target?.userHash === client.userHash;
+
+  if (!isOwner && !isModerator && !isAuthor) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'You can only delete your own messages'
+    }));
+    return;
+  }
+
+  const deleted = await activityChat.deleteMessage(activity.id, message.messageId);
+  if (!deleted) return;
+
+  console.log(`[Chat] ${client.userHash} deleted message ${deleted.id} in activity ${activity.id}`);
+  broadcastToActivity(activity.id, {
+    type: 'chatMessageDeleted',
+    activityId: activity.id,
+    messageId: deleted.id
+  });
+}
+
+// Review comments use the same access rules as chat: anyone in the activity
+// who isn't banned can comment, even without permission to draw
+async function loadCommentActivity(client, activityId) {
+  const activity = await loadChatActivity(client, activityId);
+  if (activity?.permissions?.bannedUsers?.includes(client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'You cannot comment in this canvas'
+    }));
+    return null;
+  }
+  return activity;
+}
+
+// Thread authors, the owner and moderators can resolve and delete threads
+function canManageThread(activity, thread, userHash) {
+  return thread.createdBy === userHash ||
+    activity.ownerId === userHash ||
+    !!activity.permissions?.moderators?.includes(userHash);
+}
+
+async function handleGetComments(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadChatActivity(client, message.activityId);
+  if (!activity) return;
+
+  client.ws.send(JSON.stringify({
+    type: 'activityComments',
+    activityId: activity.id,
+    threads: await activityComments.getThreads(activity.id)
+  }));
+}
+
+async function handleCreateCommentThread(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadCommentActivity(client, message.activityId);
+  if (!activity) return;
+
+  const text = message.text.trim();
+  if (!text) return;
+
+  const thread = await activityComments.createThread(activity.id, {
+    x: message.x,
+    y: message.y,
+    objectId: message.objectId || null,
+    text,
+    userHash: client.userHash,
+    userName: client.userName || client.username
+  });
+  if (!thread) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to add comment'
+    }));
+    return;
+  }
+
+  broadcastToActivity(activity.id, {
+    type: 'commentThreadCreated',
+    activityId: activity.id,
+    thread
+  });
+}
+
+async function handleReplyToComment(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadCommentActivity(client, message.activityId);
+  if (!activity) return;
+
+  const text = message.text.trim();
+  if (!text) return;
+
+  const comment = await activityComments.addReply(activity.id, message.threadId, {
+    text,
+    userHash: client.userHash,
+    userName: client.userName || client.username
+  });
+  if (!comment) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to add reply'
+    }));
+    return;
+  }
+
+  broadcastToActivity(activity.id, {
+    type: 'commentAdded',
+    activityId: activity.id,
+    threadId: message.threadId,
+    comment
+  });
+}
+
+async function handleSetCommentStatus(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadCommentActivity(client, message.activityId);
+  if (!activity) return;
+
+  const thread = await activityComments.getThread(activity.id, message.threadId);
+  if (!thread || !canManageThread(activity, thread, client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'Only the author, owner or moderators can resolve this thread'
+    }));
+    return;
+  }
+
+  const updated = await activityComments.setStatus(activity.id, thread.id, message.status, client.userHash);
+  if (!updated) return;
+
+  broadcastToActivity(activity.id, {
+    type: 'commentThreadUpdated',
+    activityId: activity.id,
+    thread: updated
+  });
+}
+
+async function handleDeleteCommentThread(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadCommentActivity(client, message.activityId);
+  if (!activity) return;
+
+  const thread = await activityComments.getThread(activity.id, message.threadId);
+  if (!thread || !canManageThread(activity, thread, client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'Only the author, owner or moderators can delete this thread'
+    }));
+    return;
+  }
+
+  if (await activityComments.deleteThread(activity.id, thread.id)) {
+    broadcastToActivity(activity.id, {
+      type: 'commentThreadDeleted',
+      activityId: activity.id,
+      threadId: thread.id
+    });
+  }
+}
+
+// Helper: Load an activity the client owns or moderates
+async function loadModeratedActivity(client, activityId, action) {
+  const activity = await activityPersistence.getActivity(activityId);
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Activity not found'
+    }));
+    return null;
+  }
+
+  const isOwner = activity.ownerId === client.userHash;
+  const isModerator = activity.permissions?.moderators?.includes(client.userHash);
+  if (!isOwner && !isModerator) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: `Only the owner or moderators can ${action}`
+    }));
+    return null;
+  }
+
+  return activity;
+}
+
+// Handle a refused contribution request
+async function handleDenyContributor(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadModeratedActivity(client, message.activityId, 'deny contribution requests');
+  if (!activity) return;
+
+  if (await activityPersistence.denyContributionRequest(activity.id, message.userHash)) {
+    console.log(`[Contributions] Denied ${message.userHash} on activity ${activity.id}`);
+    sendToUser(message.userHash, {
+      type: 'contributionStatus',
+      status: 'denied',
+      activityId: activity.id
+    });
+  }
+}
+
+// Ban a user from an activity: remove their drawings and send them out
+async function handleBanUser(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const target = await loadModeratedActivity(client, message.activityId, 'ban users');
+  if (!target) return;
+
+  // Moderators can't ban the owner or each other
+  const targetIsModerator = target.permissions?.moderators?.includes(message.userHash);
+  if (message.userHash === target.ownerId || (targetIsModerator && target.ownerId !== client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'You cannot ban this user'
+    }));
+    return;
+  }
+
+  const activity = await activityPersistence.banActivityUser(target.id, message.userHash, findUserName(message.userHash));
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to ban user'
+    }));
+    return;
+  }
+  console.log(`[Contributions] ${client.userHash} banned ${message.userHash} from activity ${activity.id}`);
+
+  const offer = await activityPersistence.getOwnershipOffer(activity.id);
+  if (offer?.to === message.userHash) {
+    await activityPersistence.cancelOwnershipOffer(activity.id);
+  }
+
+  enforceActivityAccess(activity);
+  broadcastMembersChanged(activity);
+
+  if (message.removeContent !== false) {
+    const { pathIds, objectIds } = await activityPersistence.removeUserContent(activity.id, message.userHash);
+    if (pathIds.length > 0) {
+      broadcastToActivity(activity.id, { type: 'drawingsRemoved', pathIds });
+    }
+    if (objectIds.length > 0) {
+      broadcastToActivity(activity.id, { type: 'fabricObjectsRemoved', objectIds });
+    }
+    if (pathIds.length + objectIds.length > 0) {
+      thumbnails.scheduleThumbnail(activity.id);
+      console.log(`[Contributions] Removed ${pathIds.length} paths and ${objectIds.length} objects by ${message.userHash}`);
+    }
+  }
+}
+
+async function handleUnbanUser(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const target = await loadModeratedActivity(client, message.activityId, 'unban users');
+  if (!target) return;
+
+  const activity = await activityPersistence.unbanActivityUser(target.id, message.userHash);
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to unban user'
+    }));
+    return;
+  }
+
+  console.log(`[Contributions] ${client.userHash} unbanned ${message.userHash} from activity ${activity.id}`);
+  broadcastMembersChanged(activity);
+}
+
+// Helper: Display name of a user connected to this node, if any
+function findUserName(userHash) {
+  for (const targetClient of clients.values()) {
+    if (targetClient.userHash === userHash && (targetClient.userName || targetClient.username)) {
+      return targetClient.userName || targetClient.username;
+    }
+  }
+  return null;
+}
+
+function describeMember(activity, userHash) {
+  const name = userHash === activity.ownerId
+    ? activity.ownerName
+    : activity.memberNames?.[userHash] || findUserName(userHash);
+  return { userHash, name: name || null };
+}
+
+// Tell everyone in an activity that its roles changed. Participants only get
+// the roles the members list shows them; bans, requests and viewers stay out.
+function broadcastMembersChanged(activity) {
+  const permissions = activity.permissions || {};
+  broadcastToActivity(activity.id, {
+    type: 'activityMembersChanged',
+    activityId: activity.id,
+    ownerId: activity.ownerId,
+    ownerName: activity.ownerName,
+    permissions: {
+      allowContributions: !!permissions.allowContributions,
+      approvedContributors: permissions.approvedContributors || [],
+      moderators: permissions.moderators || []
+    }
+  });
+}
+
+// Owner, moderators and contributors of an activity. Banned users and the
+// pending ownership transfer are only shown to those who manage them.
+async function handleGetActivityMembers(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await activityPersistence.getActivity(message.activityId);
+  if (!activity || !activityPersistence.canUserView(activity, client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Activity not found'
+    }));
+    return;
+  }
+
+  const permissions = activity.permissions || {};
+  const isOwner = activity.ownerId === client.userHash;
+  const canModerate = isOwner || permissions.moderators?.includes(client.userHash);
+  const moderators = permissions.moderators || [];
+  const offer = await activityPersistence.getOwnershipOffer(activity.id);
+
+  client.ws.send(JSON.stringify({
+    type: 'activityMembers',
+    activityId: activity.id,
+    owner: describeMember(activity, activity.ownerId),
+    moderators: moderators.map(hash => describeMember(activity, hash)),
+    contributors: (permissions.approvedContributors || [])
+      .filter(hash => hash !== activity.ownerId && !moderators.includes(hash))
+      .map(hash => describeMember(activity, hash)),
+    banned: canModerate ? (permissions.bannedUsers || []).map(hash => describeMember(activity, hash)) : [],
+    ownershipOffer: offer && (isOwner || offer.to === client.userHash) ? offer : null
+  }));
+}
+
+async function handleSetModerator(clientId, message, isModerator) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const owned = await loadOwnedActivity(client, message.activityId, 'change moderators');
+  if (!owned) return;
+
+  if (message.userHash === owned.ownerId) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'The owner is already in charge of this canvas'
+    }));
+    return;
+  }
+  if (isModerator && owned.permissions?.bannedUsers?.includes(message.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Banned users cannot be moderators'
+    }));
+    return;
+  }
+
+  const activity = await activityPersistence.setActivityModerator(
+    owned.id, message.userHash, isModerator, findUserName(message.userHash)
+  );
+  if (!activity) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to update moderators'
+    }));
+    return;
+  }
+
+  console.log(`[Members] ${message.userHash} ${isModerator ? 'is now a moderator of' : 'is no longer a moderator of'} ${activity.id}`);
+  broadcastMembersChanged(activity);
+}
+
+// Offer the activity to another user; it only changes hands once they accept
+async function handleTransferOwnership(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const activity = await loadOwnedActivity(client, message.activityId, 'transfer ownership');
+  if (!activity) return;
+
+  if (message.userHash === activity.ownerId || activity.permissions?.bannedUsers?.includes(message.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Ownership cannot be transferred to this user'
+    }));
+    return;
+  }
+
+  const offer = await activityPersistence.offerOwnership(
+    activity.id, client.userHash, message.userHash, findUserName(message.userHash)
+  );
+  if (!offer) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to transfer ownership'
+    }));
+    return;
+  }
+
+  console.log(`[Members] Ownership of ${activity.id} offered to ${message.userHash}`);
+  client.ws.send(JSON.stringify({
+    type: 'ownershipTransferPending',
+    activityId: activity.id,
+    offer
+  }));
+  sendOwnershipOffer(message.userHash, activity, offer);
+}
+
+function sendOwnershipOffer(userHash, activity, offer) {
+  sendToUser(userHash, {
+    type: 'ownershipTransferOffered',
+    activityId: activity.id,
+    activityTitle: activity.title,
+    fromUserHash: offer.from,
+    fromName: activity.ownerName
+  });
+}
+
+async function handleAcceptOwnershipTransfer(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const { activity, previousOwnerId, error } = await activityPersistence.acceptOwnershipOffer(
+    message.activityId, client.userHash, client.userName || client.username
+  );
+  if (error) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: error,
+      message: error === 'NO_OFFER'
+        ? 'This ownership transfer is no longer available'
+        : 'Failed to transfer ownership'
+    }));
+    return;
+  }
+
+  const ownerChanged = {
+    type: 'activityOwnerChanged',
+    activityId: activity.id,
+    activity,
+    previousOwnerId
+  };
+
+  // Both owners may be elsewhere, so reach them directly as well
+  broadcastToActivity(activity.id, ownerChanged);
+  sendToUser(previousOwnerId, ownerChanged);
+  sendToUser(activity.ownerId, ownerChanged);
+  if (activityPersistence.isListed(activity)) {
+    broadcastGeo({
+      type: 'activityUpdate',
+      activity
+    }, { location: { lat: activity.lat, lng: activity.lng } });
+  }
+}
+
+// The owner withdraws an offer, or its recipient declines it
+async function handleCancelOwnershipTransfer(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const offer = await activityPersistence.getOwnershipOffer(message.activityId);
+  if (!offer || (offer.from !== client.userHash && offer.to !== client.userHash)) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'NO_OFFER',
+      message: 'This ownership transfer is no longer available'
+    }));
+    return;
+  }
+
+  await activityPersistence.cancelOwnershipOffer(message.activityId);
+  const cancelled = {
+    type: 'ownershipTransferCancelled',
+    activityId: message.activityId,
+    cancelledBy: client.userHash
+  };
+  sendToUser(offer.from, cancelled);
+  sendToUser(offer.to, cancelled);
+}
+
+// Get a page of activities (for list view)
+async function handleGetAllActivities(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  try {
+    const sort = message.sort || 'createdAt';
+    const order = message.order || 'desc';
+    const cursor = message.cursor || null;
+    const { activities, nextCursor } = await activityPersistence.getAllActivities({
+      sort,
+      order,
+      cursor,
+      limit: message.limit || 50
+    });
+    console.log(`[AllActivities] Sent ${activities.length} activities by ${sort} ${order}`);
+
+    // cursor echoes the request so the client knows whether to replace or append
+    client.ws.send(JSON.stringify({
+      type: 'allActivities',
+      activities,
+      sort,
+      order,
+      cursor,
+      nextCursor
+    }));
+  } catch (error) {
+    console.error('Failed to get all activities:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to get activities'
+    }));
+  }
+}
+
+// Search options from a validated searchActivities message. Distance
+// searches use the given point, or else the sender's last known location.
+function getSearchOptions(message, location) {
+  const near = message.near || (message.radiusKm ? location : null);
+  if (message.radiusKm && !near) {
+    return { error: 'Share your location to search by distance' };
+  }
+  if (!message.query?.trim() && !message.tags?.length && !message.radiusKm) {
+    return { error: 'Search needs text, a tag or a distance' };
+  }
+
+  return {
+    options: {
+      query: message.query || '',
+      tags: message.tags || [],
+      near: near ? { lat: near.lat, lng: near.lng } : null,
+      radiusKm: message.radiusKm || null,
+      sort: message.sort || 'relevance',
+      offset: message.offset || 0,
+      limit: message.limit || 20
+    }
+  };
+}
+
+async function handleSearchActivities(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const search = getSearchOptions(message, client.location);
+  if (search.error) {
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'INVALID_SEARCH',
+      message: search.error
+    }));
+    return;
+  }
+
+  try {
+    const { results, total } = await activityPersistence.searchActivities(search.options);
+    console.log(`[Search] "${search.options.query}" found ${total} activities`);
+
+    client.ws.send(JSON.stringify({
+      type: 'activitySearchResults',
+      requestId: message.requestId || null,
+      results,
+      total,
+      offset: search.options.offset
+    }));
+  } catch (error) {
+    console.error('Failed to search activities:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to search activities'
+    }));
+  }
+}
+
+// Delete all activities (for testing/admin purposes)
+async function handleDeleteAllActivities(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  if (!client.isAdmin) {
+    console.log(`[DeleteAllActivities] Refused for non-admin ${client.userHash}`);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'Only admins can delete all activities'
+    }));
+    return;
+  }
+
+  try {
+    // Get all activities
+    const { activities } = await activityPersistence.getAllActivities({ includeHidden: true });
+    console.log(`[DeleteAllActivities] Deleting ${activities.length} activities`);
+
+    let deletedCount = 0;
+
+    // Delete each activity
+    for (const activity of activities) {
+      const deleted = await activityPersistence.deleteActivity(activity.id, activity.ownerId);
+      if (deleted) {
+        deletedCount++;
+        await clearActivityData(activity.id);
+
+        // Broadcast deletion to all clients
+        broadcastGeo({
+          type: 'activityDeleted',
+          activityId: activity.id
+        });
+
+        // Kick out any users currently in this activity
+        closeActivity(activity.id);
+      }
+    }
+
+    console.log(`[DeleteAllActivities] Successfully deleted ${deletedCount} activities`);
+    await adminManager.audit(getAdminActor(client), 'deleteAllActivities', { count: deletedCount });
+
+    client.ws.send(JSON.stringify({
+      type: 'allActivitiesDeleted',
+      count: deletedCount
+    }));
+
+  } catch (error) {
+    console.error('Failed to delete all activities:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to delete all activities'
+    }));
+  }
+}
+
+// Handle activity deletion (owner only)
+async function handleDeleteActivity(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !message.activityId) return;
+
+  try {
+    // Attempt to delete the activity
+    const deleted = await activityPersistence.deleteActivity(message.activityId, client.userHash);
+
+    if (deleted) {
+      console.log(`[DeleteActivity] Activity ${message.activityId} deleted by owner ${client.userHash}`);
+      await clearActivityData(message.activityId);
+
+      // Notify the client of successful deletion
+      client.ws.send(JSON.stringify({
+        type: 'activityDeleted',
+        activityId: message.activityId
+      }));
+
+      // Broadcast deletion to all clients in the area
+      broadcastGeo({
+        type: 'activityDeleted',
+        activityId: message.activityId
+      }, { viewportOnly: true });
+
+      // Kick out any users currently in this activity
+      closeActivity(message.activityId, {
+        type: 'activityDeleted',
+        activityId: message.activityId,
+        kicked: true
+      });
+    } else {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You do not have permission to delete this activity'
+      }));
+    }
+  } catch (error) {
+    console.error('Failed to delete activity:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to delete activity'
+    }));
+  }
+}
+
+// Helper: Remove everything stored alongside a deleted activity
+async function clearActivityData(activityId) {
+  await fabricHistory.clearActivity(activityId);
+  await activityVersions.deleteVersions(activityId);
+  await activityChat.deleteHistory(activityId);
+  await activityComments.deleteComments(activityId);
+  await thumbnails.deleteThumbnail(activityId);
+  await activityImages.deleteImages(activityId);
+  await broadcastLog.deleteLog(activityId);
+  await objectLocks.clearActivity(activityId);
+}
+
+// Admin actions, shared by the admin messages and REST routes. Each one is
+// recorded in the audit log under the admin who made it.
+function getAdminActor(client, via = 'websocket') {
+  return {
+    userId: client.userId,
+    userHash: client.userHash,
+    name: client.userName || 'Anonymous',
+    via
+  };
+}
+
+// Known users with whether they're banned and connected to this node
+async function adminListUsers(actor) {
+  const [stored, bans] = await Promise.all([
+    userIdentityManager.listUsers(),
+    adminManager.getBans()
+  ]);
+  const banned = new Set(bans.map(ban => ban.userHash));
+
+  const users = new Map();
+  stored.forEach(user => {
+    users.set(user.hash, {
+      userHash: user.hash,
+      firstSeen: user.firstSeen,
+      lastSeen: user.lastSeen,
+      connected: false
+    });
+  });
+  // Signed-in users have no stored identity, so add whoever is connected
+  clients.forEach(client => {
+    const user = users.get(client.userHash) || { userHash: client.userHash };
+    user.connected = true;
+    user.userId = client.userId || user.userId;
+    user.userName = client.userName || user.userName;
+    users.set(client.userHash, user);
+  });
+
+  await adminManager.audit(actor, 'listUsers');
+  return Array.from(users.values()).map(user => ({ ...user, banned: banned.has(user.userHash) }));
+}
+
+async function adminDeleteActivity(activityId, actor) {
+  const activity = await activityPersistence.getActivity(activityId);
+  if (!activity) return false;
+
+  const deleted = await activityPersistence.deleteActivity(activityId, activity.ownerId);
+  if (!deleted) return false;
+
+  await clearActivityData(activityId);
+  broadcastGeo({
+    type: 'activityDeleted',
+    activityId
+  });
+  closeActivity(activityId, {
+    type: 'activityDeleted',
+    activityId,
+    kicked: true
+  });
+
+  await adminManager.audit(actor, 'deleteActivity', {
+    activityId,
+    title: activity.title,
+    ownerId: activity.ownerId
+  });
+  return true;
+}
+
+async function adminBanUser(userHash, reason, actor) {
+  const banned = await adminManager.banUser(userHash, reason, actor.userHash);
+  if (!banned) return false;
+
+  disconnectUser(userHash, {
+    type: 'error',
+    code: 'BANNED',
+    message: 'You have been banned'
+  }, 'Banned');
+
+  await adminManager.audit(actor, 'banUser', { userHash, reason });
+  return true;
+}
+
+async function adminUnbanUser(userHash, actor) {
+  const unbanned = await adminManager.unbanUser(userHash);
+  if (unbanned) {
+    await adminManager.audit(actor, 'unbanUser', { userHash });
+  }
+  return unbanned;
+}
+
+async function adminListBans(actor) {
+  await adminManager.audit(actor, 'listBans');
+  return adminManager.getBans();
+}
+
+// Pending contribution requests across every activity
+async function adminListContributionRequests(actor) {
+  const { activities } = await activityPersistence.getAllActivities({ includeHidden: true });
+  await adminManager.audit(actor, 'listContributionRequests');
+
+  return activities.flatMap(activity =>
+    (activity.permissions?.contributorRequests || []).map(request => ({
+      activityId: activity.id,
+      activityTitle: activity.title,
+      ownerId: activity.ownerId,
+      userHash: request.userHash,
+      timestamp: request.timestamp
+    }))
+  );
+}
+
+async function adminGetAuditLog(limit, actor) {
+  await adminManager.audit(actor, 'viewAuditLog');
+  return adminManager.getAuditLog(limit);
+}
+
+async function handleAdminMessage(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  if (!client.isAdmin) {
+    console.log(`[Admin] Refused ${message.type} from non-admin ${client.userHash}`);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      code: 'FORBIDDEN',
+      message: 'Admin access required'
+    }));
+    return;
+  }
+
+  const actor = getAdminActor(client);
+  const reply = (response) => client.ws.send(JSON.stringify(response));
+
+  try {
+    switch (message.type) {
+      case 'adminListUsers':
+        reply({ type: 'adminUsers', users: await adminListUsers(actor) });
+        break;
+
+      case 'adminDeleteActivity': {
+        const deleted = await adminDeleteActivity(message.activityId, actor);
+        reply(deleted
+          ? { type: 'adminActivityDeleted', activityId: message.activityId }
+          : { type: 'error', code: 'NOT_FOUND', message: 'Activity not found' });
+        break;
+      }
+
+      case 'adminBanUser': {
+        const banned = await adminBanUser(message.userHash, message.reason, actor);
+        reply(banned
+          ? { type: 'adminUserBanned', userHash: message.userHash }
+          : { type: 'error', message: 'Failed to ban user' });
+        break;
+      }
+
+      case 'adminUnbanUser': {
+        const unbanned = await adminUnbanUser(message.userHash, actor);
+        reply(unbanned
+          ? { type: 'adminUserUnbanned', userHash: message.userHash }
+          : { type: 'error', code: 'NOT_FOUND', message: 'User is not banned' });
+        break;
+      }
+
+      case 'adminListBans':
+        reply({ type: 'adminBans', bans: await adminListBans(actor) });
+        break;
+
+      case 'adminListContributionRequests':
+        reply({ type: 'adminContributionRequests', requests: await adminListContributionRequests(actor) });
+        break;
+
+      case 'adminGetAuditLog':
+        reply({ type: 'adminAuditLog', entries: await adminGetAuditLog(message.limit || 100, actor) });
+        break;
+    }
+  } catch (error) {
+    console.error(`Admin action ${message.type} failed:`, error);
+    reply({ type: 'error', message: 'Admin action failed' });
+  }
+}
+
+// Fabric.js Canvas Handlers
+async function handleFabricObjectAdded(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+
+  const activityId = client.currentActivity;
+
+  // Check if user can contribute
+  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
+  if (!canContribute) {
+    console.log(`[FabricObjectAdded] User ${client.userHash} not allowed to draw in activity ${activityId}`);
+    return OPERATION_REJECTED;
+  }
+
+  console.log(`[FabricObjectAdded] ${clientId} added object in activity ${activityId}`);
+
+  try {
+    const object = { ...message.object };
+
+    // Bitmaps arrive inline; store them separately and reference them by URL
+    if (object.type === 'image') {
+      try {
+        object.src = await activityImages.saveImage(activityId, object.src);
+      } catch (error) {
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          message: error.message
+        }));
+        // Take the rejected image off the sender's canvas
+        client.ws.send(JSON.stringify({
+          type: 'fabricObjectRemoved',
+          objectId: object.id
+        }));
+        return OPERATION_REJECTED;
+      }
+    }
+
+    const operation = {
+      type: 'addObject',
+      object: {
+        ...object,
+        userId: client.userHash,
+        userName: client.userName || 'Anonymous',
+        createdAt: Date.now(),
+        timestamp: Date.now()
+      }
+    };
+    const opId = await activityPersistence.addCanvasObject(activityId, operation);
+    if (opId === false) {
+      // Adding again would overwrite the object everyone else has
+      console.log(`[FabricObjectAdded] Rejected ${object.id} from ${clientId}: the ID is taken`);
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'An object with this ID already exists'
+      }));
+      await sendObjectCorrective(client, activityId, object.id);
+      return OPERATION_REJECTED;
+    }
+    if (!opId) return OPERATION_FAILED;
+    thumbnails.scheduleThumbnail(activityId);
+    await recordFabricHistory(clientId, activityId, operation, null);
+
+    // Broadcast to other participants
+    broadcastToActivity(activityId, {
+      type: 'fabricObjectAdded',
+      object,
+      userHash: client.userHash,
+      userName: client.userName || 'Anonymous'
+    }, clientId);
+    return OPERATION_APPLIED;
+  } catch (error) {
+    console.error('[FabricObjectAdded] Error:', error);
+    return OPERATION_FAILED;
+  }
+}
+
+async function handleFabricObjectModified(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+
+  const activityId = client.currentActivity;
+
+  // Check if user can contribute
+  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
+  if (!canContribute) {
+    console.log(`[FabricObjectModified] User ${client.userHash} not allowed to modify in activity ${activityId}`);
+    return OPERATION_REJECTED;
+  }
+
+  console.log(`[FabricObjectModified] ${clientId} modified object ${message.objectId} in activity ${activityId}`);
+
+  try {
+    const lock = await objectLocks.getLockHeldByOther(activityId, message.objectId, clientId);
+    if (lock) {
+      await rejectLockedObjectChange(client, activityId, message.objectId, lock, 'modify');
+      return OPERATION_REJECTED;
+    }
+
+    // Identity, attribution and image sources are fixed once the object exists
+    const { id, type, src, userId, userName, versions, ...changes } = message.object || {};
+
+    // Older clients don't send base versions; their changes win as before
+    const result = await activityPersistence.modifyCanvasObject(
+      activityId,
+      message.objectId,
+      changes,
+      message.baseVersions || null
+    );
+    if (!result) {
+      // The object is gone or kept changing under us; resync the sender
+      console.log(`[FabricObjectModified] Could not apply change to ${message.objectId} from ${clientId}`);
+      const exists = await sendObjectCorrective(client, activityId, message.objectId);
+      return exists ? OPERATION_FAILED : OPERATION_REJECTED;
+    }
+
+    const { operation, accepted, rejected, previousObject } = result;
+
+    if (operation) {
+      thumbnails.scheduleThumbnail(activityId);
+      await recordFabricHistory(clientId, activityId, operation, previousObject);
+
+      // Broadcast to other participants
+      broadcastToActivity(activityId, {
+        type: 'fabricObjectModified',
+        objectId: message.objectId,
+        object: accepted,
+        versions: operation.versions,
+        userHash: client.userHash
+      }, clientId);
+    }
+
+    if (Object.keys(rejected).length > 0) {
+      console.log(`[FabricObjectModified] Rejected stale ${Object.keys(rejected).join(', ')} on ${message.objectId} from ${clientId}`);
+    }
+
+    // Acknowledge accepted versions and correct anything that was stale
+    client.ws.send(JSON.stringify({
+      type: 'fabricObjectModified',
+      objectId: message.objectId,
+      object: { ...accepted, ...rejected },
+      versions: result.versions,
+      corrective: Object.keys(rejected).length > 0
+    }));
+    return OPERATION_APPLIED;
+  } catch (error) {
+    console.error('[FabricObjectModified] Error:', error);
+    return OPERATION_FAILED;
+  }
+}
+
+async function handleFabricObjectRemoved(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+
+  const activityId = client.currentActivity;
+
+  // Check if user can contribute
+  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
+  if (!canContribute) {
+    console.log(`[FabricObjectRemoved] User ${client.userHash} not allowed to remove in activity ${activityId}`);
+    return OPERATION_REJECTED;
+  }
+
+  console.log(`[FabricObjectRemoved] ${clientId} removed object ${message.objectId} in activity ${activityId}`);
+
+  try {
+    const lock = await objectLocks.getLockHeldByOther(activityId, message.objectId, clientId);
+    if (lock) {
+      await rejectLockedObjectChange(client, activityId, message.objectId, lock, 'remove');
+      return OPERATION_REJECTED;
+    }
+
+    // Capture the object so the removal can be undone
+    const previousObject = await activityPersistence.getCanvasObject(activityId, message.objectId);
+
+    const operation = {
+      type: 'removeObject',
+      objectId: message.objectId
+    };
+    if (!await activityPersistence.appendCanvasOperation(activityId, operation)) return OPERATION_FAILED;
+    thumbnails.scheduleThumbnail(activityId);
+    await recordFabricHistory(clientId, activityId, operation, previousObject);
+
+    // Broadcast to other participants
+    broadcastToActivity(activityId, {
+      type: 'fabricObjectRemoved',
+      objectId: message.objectId,
+      userHash: client.userHash
+    }, clientId);
+    return OPERATION_APPLIED;
+  } catch (error) {
+    console.error('[FabricObjectRemoved] Error:', error);
+    return OPERATION_FAILED;
+  }
+}
+
+// Undo or redo the caller's own latest Fabric operation
+async function handleFabricHistoryAction(clientId, action) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+
+  const activityId = client.currentActivity;
+
+  // Check if user can contribute
+  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
+  if (!canContribute) {
+    console.log(`[FabricHistory] User ${client.userHash} not allowed to ${action} in activity ${activityId}`);
+    return;
+  }
+
+  try {
+    const entry = action === 'undo'
+      ? await fabricHistory.undo(activityId, client.userHash)
+      : await fabricHistory.redo(activityId, client.userHash);
+
+    if (entry) {
+      let operation = action === 'undo' ? entry.inverse : entry.forward;
+      const objectId = operation.type === 'addObject' ? operation.object.id : operation.objectId;
+
+      // Someone else is editing the object; keep the entry for later
+      const lock = await objectLocks.getLockHeldByOther(activityId, objectId, clientId);
+      if (lock) {
+        console.log(`[ObjectLocks] Rejected ${action} of ${objectId}, locked by ${lock.clientId}`);
+        await fabricHistory.restoreEntry(activityId, client.userHash, action, entry);
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          message: `${lock.userName} is editing this object`
+        }));
+        await sendFabricHistoryState(clientId, activityId);
+        return;
+      }
+
+      const result = await applyFabricHistoryOperation(activityId, operation);
+      if (!result?.operation) {
+        if (result?.stale) {
+          // Someone else removed or re-added the object since
+          console.log(`[FabricHistory] Dropped ${action} of ${objectId} from ${clientId}: the object changed`);
+          await fabricHistory.discardEntry(activityId, client.userHash, action, entry);
+          client.ws.send(JSON.stringify({
+            type: 'error',
+            message: `That change can no longer be ${action === 'undo' ? 'undone' : 'redone'}`
+          }));
+        } else {
+          await fabricHistory.restoreEntry(activityId, client.userHash, action, entry);
+        }
+        await sendFabricHistoryState(clientId, activityId);
+        return;
+      }
+      operation = result.operation;
+      thumbnails.scheduleThumbnail(activityId);
+
+      console.log(`[FabricHistory] ${clientId} ${action} ${operation.type} in activity ${activityId}`);
+
+      // Broadcast to everyone, including the caller, so all canvases converge
+      broadcastToActivity(activityId, {
+        ...getFabricOperationMessage(operation),
+        userHash: client.userHash,
+        userName: client.userName || 'Anonymous',
+        historyAction: action
+      });
+    }
+
+    await sendFabricHistoryState(clientId, activityId);
+  } catch (error) {
+    console.error(`[FabricHistory] ${action} error:`, error);
+  }
+}
+
+// Helper: Apply an undo or redo operation while the object is still as it
+// left it: adds need it gone, anything else needs it there. Returns
+// { operation } as applied, { stale: true } if the object changed, or null
+// if it couldn't be stored.
+async function applyFabricHistoryOperation(activityId, operation) {
+  switch (operation.type) {
+    case 'addObject': {
+      const opId = await activityPersistence.addCanvasObject(activityId, operation);
+      if (opId === false) return { stale: true };
+      return opId ? { operation } : null;
+    }
+
+    case 'modifyObject': {
+      // Undo/redo always wins, but still bumps property versions
+      const result = await activityPersistence.modifyCanvasObject(activityId, operation.objectId, operation.object);
+      if (result?.operation) return { operation: result.operation };
+      return await activityPersistence.getCanvasObject(activityId, operation.objectId) ? null : { stale: true };
+    }
+
+    case 'removeObject':
+      if (!await activityPersistence.getCanvasObject(activityId, operation.objectId)) return { stale: true };
+      return await activityPersistence.appendCanvasOperation(activityId, operation) ? { operation } : null;
+
+    default:
+      return { stale: true };
+  }
+}
+
+// Helper: Push an operation and its inverse onto the caller's undo stack
+async function recordFabricHistory(clientId, activityId, operation, previousObject) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const inverse = fabricHistory.buildInverse(operation, previousObject);
+  await fabricHistory.recordOperation(activityId, client.userHash, operation, inverse);
+  await sendFabricHistoryState(clientId, activityId);
+}
+
+// Helper: Tell a client how deep its undo/redo stacks are
+async function sendFabricHistoryState(clientId, activityId) {
+  const client = clients.get(clientId);
+  if (!client || client.ws.readyState !== 1) return;
+
+  const state = await fabricHistory.getState(activityId, client.userHash);
+  client.ws.send(JSON.stringify({
+    type: 'fabricHistoryState',
+    activityId,
+    ...state
+  }));
+}
+
+// Helper: Map a canvas operation to the Fabric message participants understand
+function getFabricOperationMessage(operation) {
+  switch (operation.type) {
+    case 'addObject':
+      return { type: 'fabricObjectAdded', object: operation.object };
+    case 'modifyObject':
+      return { type: 'fabricObjectModified', objectId: operation.objectId, object: operation.object, versions: operation.versions };
+    case 'removeObject':
+      return { type: 'fabricObjectRemoved', objectId: operation.objectId };
+    default:
+      throw new Error(`Unsupported fabric operation: ${operation.type}`);
+  }
+}
+
+// Stream an activity's drawing history in chronological chunks for timelapse replay
+async function handleRequestActivityHistory(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !message.activityId) return;
+
+  const activityId = message.activityId;
+  const requestId = message.requestId || null;
+  const kind = message.kind === 'path' || message.kind === 'object' ? message.kind : null;
+  const chunkSize = 200;
+
+  try {
+    const activity = await activityPersistence.getActivity(activityId);
+    if (!activity) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Activity not found'
+      }));
+      return;
+    }
+
+    if (!activityPersistence.canUserView(activity, client.userHash)) {
+      sendAccessDeniedError(client, activity);
+      return;
+    }
+
+    const items = await activityPersistence.getActivityHistory(activityId, kind);
+
+    // Summarize contributors up front so the client can build its filter immediately
+    const contributors = new Map();
+    items.forEach(item => {
+      const key = item.userHash || 'unknown';
+      const contributor = contributors.get(key) || { userHash: item.userHash, userName: item.userName, count: 0 };
+      contributor.count++;
+      contributors.set(key, contributor);
+    });
+
+    client.ws.send(JSON.stringify({
+      type: 'activityHistoryStart',
+      activityId,
+      requestId,
+      total: items.length,
+      contributors: Array.from(contributors.values())
+    }));
+
+    for (let offset = 0; offset < items.length || offset === 0; offset += chunkSize) {
+      // Stop streaming if the client went away
+      if (client.ws.readyState !== 1) return;
+
+      client.ws.send(JSON.stringify({
+        type: 'activityHistoryChunk',
+        activityId,
+        requestId,
+        offset,
+        items: items.slice(offset, offset + chunkSize),
+        done: offset + chunkSize >= items.length
+      }));
+
+      // Yield between chunks so other clients aren't starved on large canvases
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    console.log(`[History] Streamed ${items.length} items of activity ${activityId} to ${clientId}`);
+  } catch (error) {
+    console.error('Failed to stream activity history:', error);
+    client.ws.send(JSON.stringify({
+      type: 'error',
+      message: 'Failed to load activity history'
+    }));
+  }
+}
+
+// Save a named version of an activity canvas (owner/moderator only)
+async function handleSaveActivityVersion(clientId, message) {
   const client = clients.get(clientId);
-  if (!client) return;
+  if (!client || !message.activityId) return;
 
   try {
-    // Get all activities without bounds restriction
-    const activities = await activityPersistence.getAllActivities();
-    console.log(`[AllActivities] Found ${activities.length} total activities`);
+    const activity = await activityPersistence.getActivity(message.activityId);
+    if (!activity) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Activity not found'
+      }));
+      return;
+    }
+
+    const isOwner = activity.ownerId === client.userHash;
+    const isModerator = activity.permissions?.moderators?.includes(client.userHash);
+    if (!isOwner && !isModerator) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You do not have permission to save versions'
+      }));
+      return;
+    }
+
+    const name = typeof message.name === 'string' ? message.name.trim().slice(0, 100) : '';
+    const version = await activityVersions.createVersion(message.activityId, {
+      name,
+      createdBy: client.userHash,
+      createdByName: client.userName || 'Anonymous'
+    });
+
+    if (!version) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Nothing to save yet'
+      }));
+      return;
+    }
 
     client.ws.send(JSON.stringify({
-      type: 'allActivities',
-      activities
+      type: 'activityVersionSaved',
+      activityId: message.activityId,
+      version
     }));
   } catch (error) {
-    console.error('Failed to get all activities:', error);
+    console.error('Failed to save activity version:', error);
     client.ws.send(JSON.stringify({
       type: 'error',
-      message: 'Failed to get activities'
+      message: 'Failed to save version'
     }));
   }
 }
 
-// Delete all activities (for testing/admin purposes)
-async function handleDeleteAllActivities(clientId, message) {
+// List the saved versions of an activity canvas (owner/moderator only)
+async function handleGetActivityVersions(clientId, message) {
   const client = clients.get(clientId);
-  if (!client) return;
+  if (!client || !message.activityId) return;
 
   try {
-    // Get all activities
-    const activities = await activityPersistence.getAllActivities();
-    console.log(`[DeleteAllActivities] Deleting ${activities.length} activities`);
-
-    let deletedCount = 0;
-
-    // Delete each activity
-    for (const activity of activities) {
-      const deleted = await activityPersistence.deleteActivity(activity.id, activity.ownerId);
-      if (deleted) {
-        deletedCount++;
-
-        // Broadcast deletion to all clients
-        clients.forEach((targetClient) => {
-          if (targetClient.ws.readyState === 1) {
-            targetClient.ws.send(JSON.stringify({
-              type: 'activityDeleted',
-              activityId: activity.id
-            }));
-          }
-        });
+    const activity = await activityPersistence.getActivity(message.activityId);
+    if (!activity) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Activity not found'
+      }));
+      return;
+    }
 
-        // Kick out any users currently in this activity
-        clients.forEach((targetClient) => {
-          if (targetClient.currentActivity === activity.id) {
-            targetClient.currentActivity = null;
-          }
-        });
-      }
+    const isOwner = activity.ownerId === client.userHash;
+    const isModerator = activity.permissions?.moderators?.includes(client.userHash);
+    if (!isOwner && !isModerator) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You do not have permission to view versions'
+      }));
+      return;
     }
 
-    console.log(`[DeleteAllActivities] Successfully deleted ${deletedCount} activities`);
+    const versions = await activityVersions.getVersions(message.activityId);
 
     client.ws.send(JSON.stringify({
-      type: 'allActivitiesDeleted',
-      count: deletedCount
+      type: 'activityVersions',
+      activityId: message.activityId,
+      versions
     }));
-
   } catch (error) {
-    console.error('Failed to delete all activities:', error);
+    console.error('Failed to get activity versions:', error);
     client.ws.send(JSON.stringify({
       type: 'error',
-      message: 'Failed to delete all activities'
+      message: 'Failed to load versions'
     }));
   }
 }
 
-// Handle activity deletion (owner only)
-async function handleDeleteActivity(clientId, message) {
+// Restore an activity canvas to a saved version (owner only)
+async function handleRestoreActivityVersion(clientId, message) {
   const client = clients.get(clientId);
-  if (!client || !message.activityId) return;
+  if (!client || !message.activityId || !message.versionId) return;
 
   try {
-    // Attempt to delete the activity
-    const deleted = await activityPersistence.deleteActivity(message.activityId, client.userHash);
-
-    if (deleted) {
-      console.log(`[DeleteActivity] Activity ${message.activityId} deleted by owner ${client.userHash}`);
-
-      // Notify the client of successful deletion
+    const activity = await activityPersistence.getActivity(message.activityId);
+    if (!activity) {
       client.ws.send(JSON.stringify({
-        type: 'activityDeleted',
-        activityId: message.activityId
+        type: 'error',
+        message: 'Activity not found'
       }));
+      return;
+    }
 
-      // Broadcast deletion to all clients in the area
-      clients.forEach((targetClient) => {
-        if (targetClient.ws.readyState === 1 && targetClient.geoViewport) {
-          targetClient.ws.send(JSON.stringify({
-            type: 'activityDeleted',
-            activityId: message.activityId
-          }));
-        }
-      });
+    if (activity.ownerId !== client.userHash) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Only the owner can restore versions'
+      }));
+      return;
+    }
 
-      // Kick out any users currently in this activity
-      clients.forEach((targetClient) => {
-        if (targetClient.currentActivity === message.activityId) {
-          targetClient.currentActivity = null;
-          targetClient.ws.send(JSON.stringify({
-            type: 'activityDeleted',
-            activityId: message.activityId,
-            kicked: true
-          }));
-        }
-      });
-    } else {
+    const versions = await activityVersions.getVersions(message.activityId);
+    const version = versions.find(v => v.id === message.versionId);
+    const canvasData = version && await activityVersions.getVersionCanvas(message.activityId, version.id);
+    if (!canvasData) {
       client.ws.send(JSON.stringify({
         type: 'error',
-        message: 'You do not have permission to delete this activity'
+        message: 'Version not found'
       }));
+      return;
     }
+
+    // Keep the current state so the restore itself can be undone
+    await activityVersions.createAutoVersion(message.activityId, `Before restoring "${version.name}"`, true);
+
+    await activityPersistence.saveActivityCanvas(message.activityId, canvasData);
+    thumbnails.scheduleThumbnail(message.activityId);
+
+    // Undo stacks refer to objects that may no longer exist
+    await fabricHistory.clearActivity(message.activityId);
+
+    console.log(`[Versions] Activity ${message.activityId} restored to version ${version.id} by ${client.userHash}`);
+
+    broadcastToActivity(message.activityId, {
+      type: 'activityCanvasRestored',
+      activityId: message.activityId,
+      version,
+      canvasData,
+      userName: client.userName || 'Anonymous'
+    });
+
+    getActivityParticipants(message.activityId).forEach(participantId => {
+      sendFabricHistoryState(participantId, message.activityId);
+    });
+
+    const updatedVersions = await activityVersions.getVersions(message.activityId);
+    client.ws.send(JSON.stringify({
+      type: 'activityVersions',
+      activityId: message.activityId,
+      versions: updatedVersions
+    }));
   } catch (error) {
-    console.error('Failed to delete activity:', error);
+    console.error('Failed to restore activity version:', error);
     client.ws.send(JSON.stringify({
       type: 'error',
-      message: 'Failed to delete activity'
+      message: 'Failed to restore version'
     }));
   }
 }
 
-// Fabric.js Canvas Handlers
-async function handleFabricObjectAdded(clientId, message) {
+// Claim (or renew) soft locks on the objects a client has selected
+async function handleLockObjects(clientId, message) {
   const client = clients.get(clientId);
-  if (!client || !client.currentActivity) return;
+  if (!client || !client.currentActivity || !Array.isArray(message.objectIds)) return;
 
   const activityId = client.currentActivity;
 
-  // Check if user can contribute
   const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
-  if (!canContribute) {
-    console.log(`[FabricObjectAdded] User ${client.userHash} not allowed to draw in activity ${activityId}`);
-    return;
-  }
+  if (!canContribute) return;
 
-  console.log(`[FabricObjectAdded] ${clientId} added object in activity ${activityId}`);
+  const { granted, denied } = await objectLocks.claim(activityId, message.objectIds, {
+    clientId,
+    userHash: client.userHash,
+    userName: client.userName || 'Anonymous'
+  });
 
-  try {
-    // Load existing canvas data
-    let canvasData = await activityPersistence.loadActivityCanvas(activityId) || { objects: [] };
+  if (granted.length > 0) {
+    broadcastToActivity(activityId, {
+      type: 'objectsLocked',
+      activityId,
+      locks: granted
+    }, clientId);
+  }
 
-    // Ensure objects array exists
-    if (!canvasData.objects) {
-      canvasData.objects = [];
-    }
+  // The client deselects anything it lost the race for
+  if (denied.length > 0) {
+    client.ws.send(JSON.stringify({
+      type: 'objectLocksDenied',
+      activityId,
+      locks: denied
+    }));
+  }
+}
 
-    // Add new object
-    canvasData.objects.push({
-      ...message.object,
-      userId: client.userHash,
-      userName: client.userName || 'Anonymous',
-      timestamp: Date.now()
-    });
+async function handleUnlockObjects(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity || !Array.isArray(message.objectIds)) return;
 
-    // Save updated canvas
-    await activityPersistence.saveActivityCanvas(activityId, canvasData);
+  const activityId = client.currentActivity;
+  const released = await objectLocks.release(activityId, message.objectIds, clientId);
 
-    // Broadcast to other participants
+  if (released.length > 0) {
     broadcastToActivity(activityId, {
-      type: 'fabricObjectAdded',
-      object: message.object,
-      userHash: client.userHash,
-      userName: client.userName || 'Anonymous'
+      type: 'objectsUnlocked',
+      activityId,
+      objectIds: released
     }, clientId);
-  } catch (error) {
-    console.error('[FabricObjectAdded] Error:', error);
   }
 }
 
-async function handleFabricObjectModified(clientId, message) {
+// Owners and moderators can take objects back from whoever is holding them
+async function handleBreakObjectLocks(clientId, message) {
   const client = clients.get(clientId);
-  if (!client || !client.currentActivity) return;
+  if (!client || !client.currentActivity || !Array.isArray(message.objectIds)) return;
 
   const activityId = client.currentActivity;
 
-  // Check if user can contribute
-  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
-  if (!canContribute) {
-    console.log(`[FabricObjectModified] User ${client.userHash} not allowed to modify in activity ${activityId}`);
-    return;
-  }
-
-  console.log(`[FabricObjectModified] ${clientId} modified object ${message.objectId} in activity ${activityId}`);
-
   try {
-    // Load existing canvas data
-    let canvasData = await activityPersistence.loadActivityCanvas(activityId) || { objects: [] };
-
-    // Find and update the object
-    const objectIndex = canvasData.objects?.findIndex(obj => obj.id === message.objectId);
-    if (objectIndex !== -1) {
-      canvasData.objects[objectIndex] = {
-        ...canvasData.objects[objectIndex],
-        ...message.object,
-        timestamp: Date.now()
-      };
+    const activity = await activityPersistence.getActivity(activityId);
+    if (!activity) return;
 
-      // Save updated canvas
-      await activityPersistence.saveActivityCanvas(activityId, canvasData);
+    const isOwner = activity.ownerId === client.userHash;
+    const isModerator = activity.permissions?.moderators?.includes(client.userHash);
+    if (!isOwner && !isModerator) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Only the owner or moderators can unlock objects'
+      }));
+      return;
     }
 
-    // Broadcast to other participants
+    const broken = await objectLocks.breakLocks(activityId, message.objectIds);
+    if (broken.length === 0) return;
+
+    console.log(`[ObjectLocks] ${clientId} broke ${broken.length} lock(s) in activity ${activityId}`);
+
+    // The holder is included so it drops its selection
     broadcastToActivity(activityId, {
-      type: 'fabricObjectModified',
-      objectId: message.objectId,
-      object: message.object,
-      userHash: client.userHash
-    }, clientId);
+      type: 'objectsUnlocked',
+      activityId,
+      objectIds: broken.map(lock => lock.objectId),
+      brokenBy: client.userName || 'Anonymous'
+    });
   } catch (error) {
-    console.error('[FabricObjectModified] Error:', error);
+    console.error('[ObjectLocks] Failed to break locks:', error);
   }
 }
 
-async function handleFabricObjectRemoved(clientId, message) {
-  const client = clients.get(clientId);
-  if (!client || !client.currentActivity) return;
+// Tell participants about locks released by leaving, disconnecting or expiry
+function broadcastReleasedLocks(released) {
+  released.forEach((objectIds, activityId) => {
+    broadcastToActivity(activityId, {
+      type: 'objectsUnlocked',
+      activityId,
+      objectIds
+    });
+  });
+}
 
-  const activityId = client.currentActivity;
+// Undo a change the client already made locally to an object someone else holds
+async function rejectLockedObjectChange(client, activityId, objectId, lock, action) {
+  console.log(`[ObjectLocks] Rejected ${action} of ${objectId}, locked by ${lock.clientId}`);
 
-  // Check if user can contribute
-  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
-  if (!canContribute) {
-    console.log(`[FabricObjectRemoved] User ${client.userHash} not allowed to remove in activity ${activityId}`);
-    return;
+  client.ws.send(JSON.stringify({
+    type: 'error',
+    message: `${lock.userName} is editing this object`
+  }));
+
+  await sendObjectCorrective(client, activityId, objectId, action);
+}
+
+// Put the stored state of an object back on a client that changed it
+// locally. Objects that no longer exist are taken off its canvas. Returns
+// whether the object still exists.
+async function sendObjectCorrective(client, activityId, objectId, action = 'modify') {
+  const current = await activityPersistence.getCanvasObject(activityId, objectId);
+  if (!current) {
+    client.ws.send(JSON.stringify({
+      type: 'fabricObjectRemoved',
+      objectId
+    }));
+    return false;
   }
 
-  console.log(`[FabricObjectRemoved] ${clientId} removed object ${message.objectId} in activity ${activityId}`);
+  if (action === 'remove') {
+    client.ws.send(JSON.stringify({
+      type: 'fabricObjectAdded',
+      object: current
+    }));
+  } else {
+    const { id, type, src, userId, userName, versions, ...properties } = current;
+    client.ws.send(JSON.stringify({
+      type: 'fabricObjectModified',
+      objectId,
+      object: properties,
+      versions,
+      corrective: true
+    }));
+  }
+  return true;
+}
 
-  try {
-    // Load existing canvas data
-    let canvasData = await activityPersistence.loadActivityCanvas(activityId) || { objects: [] };
+// Relay an in-progress shape or stroke so others see it being drawn.
+// Previews are never stored; the finished object arrives as fabricObjectAdded.
+async function handleFabricPreview(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+  if (typeof message.previewId !== 'string' || !['start', 'update', 'end'].includes(message.phase)) return;
 
-    // Remove the object
-    if (canvasData.objects) {
-      canvasData.objects = canvasData.objects.filter(obj => obj.id !== message.objectId);
+  const activityId = client.currentActivity;
 
-      // Save updated canvas
-      await activityPersistence.saveActivityCanvas(activityId, canvasData);
-    }
+  const canContribute = await activityPersistence.canUserContribute(activityId, client.userHash);
+  if (!canContribute) return;
 
-    // Broadcast to other participants
-    broadcastToActivity(activityId, {
-      type: 'fabricObjectRemoved',
-      objectId: message.objectId,
-      userHash: client.userHash
-    }, clientId);
-  } catch (error) {
-    console.error('[FabricObjectRemoved] Error:', error);
-  }
+  broadcastToActivity(activityId, {
+    type: 'fabricPreview',
+    activityId,
+    previewId: message.previewId,
+    phase: message.phase,
+    object: message.object,
+    stroke: message.stroke,
+    points: Array.isArray(message.points) ? message.points : undefined,
+    userHash: client.userHash,
+    userName: client.userName || 'Anonymous'
+  }, clientId);
 }
 
 function handleFabricCursor(clientId, message) {
@@ -2095,6 +4589,57 @@ function handleFabricCursor(clientId, message) {
   }, clientId);
 }
 
+// Share the part of the canvas a participant is looking at, in canvas
+// coordinates, so others can follow them
+function handleFabricViewport(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || !client.currentActivity) return;
+
+  broadcastToActivity(client.currentActivity, {
+    type: 'fabricViewport',
+    activityId: client.currentActivity,
+    clientId,
+    userHash: client.userHash,
+    userName: client.userName || 'Anonymous',
+    viewport: {
+      left: message.left,
+      top: message.top,
+      width: message.width,
+      height: message.height
+    }
+  }, clientId);
+}
+
+// Ask everyone in the activity to follow this participant's view. Nothing
+// is stored: the presenter's client announces again when someone joins,
+// and participants stop following when the presenter leaves.
+async function handleStartPresenting(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || client.currentActivity !== message.activityId) return;
+
+  const activity = await loadModeratedActivity(client, message.activityId, 'present');
+  if (!activity) return;
+
+  broadcastToActivity(activity.id, {
+    type: 'presentationStarted',
+    activityId: activity.id,
+    clientId,
+    userHash: client.userHash,
+    userName: client.userName || 'Anonymous'
+  });
+}
+
+function handleStopPresenting(clientId, message) {
+  const client = clients.get(clientId);
+  if (!client || client.currentActivity !== message.activityId) return;
+
+  broadcastToActivity(message.activityId, {
+    type: 'presentationStopped',
+    activityId: message.activityId,
+    clientId
+  });
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing server...');
@@ -2104,6 +4649,9 @@ process.on('SIGTERM', async () => {
   // Shutdown connection manager
   await connectionManager.shutdown();
 
+  // Leave the cluster so other nodes stop counting our participants
+  await clusterBus.stop();
+
   wss.clients.forEach((ws) => {
     ws.close();
   });
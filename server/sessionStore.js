@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+
+// Resume tokens let a client that lost its connection pick up where it left off
+export class SessionStore {
+  constructor(redis) {
+    this.redis = redis;
+    this.keyPrefix = 'session:';
+    this.ttlSeconds = 24 * 60 * 60; // Lifetime while connected
+    this.resumeWindowSeconds = 10 * 60; // How long after disconnecting a session can resume
+  }
+
+  // Issue a token for a new connection
+  async createSession(clientId, userHash) {
+    if (!this.redis) return null;
+
+    try {
+      const token = crypto.randomBytes(24).toString('hex');
+      await this.redis.set(`${this.keyPrefix}${token}`, JSON.stringify({
+        clientId,
+        userHash,
+        createdAt: Date.now()
+      }), { EX: this.ttlSeconds });
+      return token;
+    } catch (error) {
+      console.error('Failed to create session:', error);
+      return null;
+    }
+  }
+
+  async getSession(token) {
+    if (!this.redis || typeof token !== 'string') return null;
+
+    try {
+      const data = await this.redis.get(`${this.keyPrefix}${token}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      return null;
+    }
+  }
+
+  // Give a disconnected session a short window to be resumed
+  async endSession(token) {
+    if (!this.redis || !token) return;
+
+    try {
+      await this.redis.expire(`${this.keyPrefix}${token}`, this.resumeWindowSeconds);
+    } catch (error) {
+      console.error('Failed to end session:', error);
+    }
+  }
+
+  // Tokens are single use
+  async deleteSession(token) {
+    if (!this.redis || !token) return;
+
+    try {
+      await this.redis.del(`${this.keyPrefix}${token}`);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Multi-Node Fan-Out Test
+ *
+ * Starts two server processes on different ports against the same Redis and
+ * checks that room, activity, lock and participant updates cross between them.
+ * Needs a Redis server (local by default, or REDIS_URL / REDIS_HOST).
+ *
+ * Usage: node test-cluster.js
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import WebSocket from 'ws';
+import 'dotenv/config';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PORTS = [3101, 3102];
+const TIMEOUT_MS = 5000;
+
+const nodes = [];
+const sockets = [];
+
+function startNode(port) {
+  const child = spawn(process.execPath, [join(__dirname, 'server.js')], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  nodes.push(child);
+  return child;
+}
+
+async function waitForHealth(port) {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`http://localhost:${port}/health`);
+      if (res.ok) return res.json();
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Node on port ${port} did not start`);
+}
+
+// Open a connection and collect every message it receives
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    const received = [];
+    sockets.push(ws);
+
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      received.push(message);
+      if (message.type === 'welcome') {
+        resolve({ ws, received, clientId: message.clientId, send: (msg) => ws.send(JSON.stringify(msg)) });
+      }
+    });
+    ws.on('error', reject);
+  });
+}
+
+async function waitFor(conn, predicate, label) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const match = conn.received.find(predicate);
+    if (match) return match;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
+
+async function runTest() {
+  console.log('🔍 Testing multi-node fan-out...\n');
+
+  try {
+    console.log('1️⃣ Starting two nodes...');
+    PORTS.forEach(startNode);
+    const health = await Promise.all(PORTS.map(waitForHealth));
+    if (!health.every(h => h.cluster?.connected)) {
+      throw new Error('Nodes are not connected to the cluster bus (is Redis running?)');
+    }
+    console.log(`   ✅ Nodes ${health.map(h => h.cluster.nodeId.slice(0, 8)).join(' and ')} are up`);
+
+    const alice = await connect(PORTS[0]);
+    const bob = await connect(PORTS[1]);
+
+    console.log('\n2️⃣ Testing room broadcasts...');
+    const roomId = `cluster-test-${Date.now()}`;
+    alice.send({ type: 'join', room: roomId, username: 'Alice' });
+    bob.send({ type: 'join', room: roomId, username: 'Bob' });
+    await waitFor(alice, m => m.type === 'userJoined' && m.clientId === bob.clientId, 'userJoined from the other node');
+
+    alice.send({ type: 'draw', x1: 0, y1: 0, x2: 10, y2: 10, color: '#000000', size: 2 });
+    await waitFor(bob, m => m.type === 'draw' && m.clientId === alice.clientId, 'draw from the other node');
+    console.log('   ✅ Room draw crossed nodes');
+
+    console.log('\n3️⃣ Testing activity broadcasts...');
+    alice.send({
+      type: 'createActivity',
+      title: 'Cluster test',
+      description: 'Created by test-cluster.js',
+      lat: 0,
+      lng: 0,
+      street: 'Test Street'
+    });
+    const { activity } = await waitFor(alice, m => m.type === 'activityCreated' && m.isOwnCreation, 'activityCreated');
+
+    alice.send({ type: 'joinActivity', activityId: activity.id });
+    await waitFor(alice, m => m.type === 'activityJoined', 'activityJoined on the first node');
+    bob.send({ type: 'joinActivity', activityId: activity.id });
+    await waitFor(alice, m => m.type === 'participantJoined' && m.clientId === bob.clientId, 'participantJoined from the other node');
+
+    alice.send({ type: 'fabricCursor', x: 5, y: 5, color: '#ff0000' });
+    await waitFor(bob, m => m.type === 'fabricCursor', 'fabricCursor from the other node');
+    console.log('   ✅ Activity messages crossed nodes');
+
+    console.log('\n4️⃣ Testing object locks...');
+    alice.send({ type: 'lockObjects', objectIds: ['cluster-test-object'] });
+    await waitFor(bob, m => m.type === 'objectsLocked', 'objectsLocked from the other node');
+
+    // A participant joining through the other node sees the lock too
+    bob.send({ type: 'leaveActivity', activityId: activity.id });
+    bob.received.length = 0;
+    bob.send({ type: 'joinActivity', activityId: activity.id });
+    const rejoined = await waitFor(bob, m => m.type === 'activityJoined', 'activityJoined on the second node');
+    if (!rejoined.objectLocks?.some(lock => lock.objectId === 'cluster-test-object' && lock.clientId === alice.clientId)) {
+      throw new Error('Lock held on the first node is missing from the second node');
+    }
+    console.log('   ✅ Locks are shared between nodes');
+
+    console.log('\n5️⃣ Testing participant counts...');
+    bob.send({ type: 'getAllActivities' });
+    const { activities } = await waitFor(bob, m => m.type === 'allActivities', 'allActivities');
+    const counted = activities.find(a => a.id === activity.id)?.participantCount;
+    if (counted !== 2) {
+      throw new Error(`Expected 2 participants across nodes, got ${counted}`);
+    }
+    console.log('   ✅ Both nodes\' participants are counted');
+
+    console.log('\n6️⃣ Testing owner notifications...');
+    bob.send({ type: 'requestContribution', activityId: activity.id });
+    const request = await waitFor(alice, m => m.type === 'contributionRequest', 'contributionRequest');
+    if (request.activityId !== activity.id) {
+      throw new Error('contributionRequest was for the wrong activity');
+    }
+    console.log('   ✅ Owner was notified across nodes');
+
+    alice.send({ type: 'deleteActivity', activityId: activity.id });
+    await waitFor(bob, m => m.type === 'activityDeleted' && m.kicked, 'kick from deleted activity');
+    console.log('   ✅ Deleting the activity removed participants on both nodes');
+
+    console.log('\n✅ All cluster tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Cluster test failed:', error.message);
+    return false;
+  } finally {
+    sockets.forEach(ws => ws.close());
+    nodes.forEach(child => child.kill('SIGTERM'));
+  }
+}
+
+runTest().then(passed => {
+  // Give the nodes a moment to leave the cluster
+  setTimeout(() => process.exit(passed ? 0 : 1), 500);
+});
@@ -0,0 +1,162 @@
+/**
+ * Geohash Cover Test
+ *
+ * Checks that geohashesForBounds returns every cell a bounding box touches,
+ * including boxes across the antimeridian, at the poles, and very small or
+ * very large boxes. Needs no Redis.
+ *
+ * Usage: node test-geohash.js
+ */
+
+import assert from 'assert/strict';
+import { encodeGeohash, decodeGeohash, geohashesForBounds, isInBounds, boundsIntersect } from './geohash.js';
+
+// Same precisions the activity index keeps
+const OPTIONS = { minPrecision: 4, maxPrecision: 7 };
+
+// Deterministic random numbers so failures can be reproduced
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function assertCovered(bounds, lat, lng, options = OPTIONS) {
+  const cover = geohashesForBounds(bounds, options);
+  assert.ok(cover, `no cover for ${JSON.stringify(bounds)}`);
+  const hash = encodeGeohash(lat, lng, cover[0].length);
+  assert.ok(cover.includes(hash), `${lat},${lng} (${hash}) missing from cover of ${JSON.stringify(bounds)}`);
+  return cover;
+}
+
+const tests = [
+  ['Encodes and decodes known geohashes', () => {
+    assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.equal(encodeGeohash(37.7749, -122.4194, 7), '9q8yyk8');
+
+    const cell = decodeGeohash('u4pruyd');
+    assert.ok(isInBounds(57.64911, 10.40744, cell));
+    assert.ok(cell.north - cell.south < 0.002);
+  }],
+
+  ['Covers every point of random boxes', () => {
+    for (let i = 0; i < 300; i++) {
+      const south = random() * 170 - 85;
+      const west = random() * 350 - 175;
+      const height = 10 ** (-4 + random() * 4.5);
+      const width = 10 ** (-4 + random() * 4.5);
+      const bounds = { south, north: Math.min(90, south + height), west, east: Math.min(180, west + width) };
+
+      for (let j = 0; j < 20; j++) {
+        const lat = bounds.south + random() * (bounds.north - bounds.south);
+        const lng = bounds.west + random() * (bounds.east - bounds.west);
+        assertCovered(bounds, lat, lng);
+      }
+      // Corners sit on the box edges, where sampling used to miss cells
+      assertCovered(bounds, bounds.south, bounds.west);
+      assertCovered(bounds, bounds.north, bounds.east);
+    }
+  }],
+
+  ['Includes neighbors of the covered cells', () => {
+    const bounds = { south: 51.5, north: 51.501, west: -0.1, east: -0.099 };
+    const cover = geohashesForBounds(bounds, OPTIONS);
+    const size = decodeGeohash(cover[0]);
+    const cellHeight = size.north - size.south;
+    const cellWidth = size.east - size.west;
+
+    // Just outside the box, inside the ring of neighbor cells
+    assertCovered(bounds, bounds.north + cellHeight / 2, bounds.east + cellWidth / 2);
+    assertCovered(bounds, bounds.south - cellHeight / 2, bounds.west - cellWidth / 2);
+  }],
+
+  ['Crosses the antimeridian', () => {
+    const bounds = { south: -20, north: -18, west: 179, east: -179 };
+    assertCovered(bounds, -19, 179.99);
+    assertCovered(bounds, -19, -179.99);
+    assertCovered(bounds, -19, 180);
+    assertCovered(bounds, -19, -180);
+
+    const cover = geohashesForBounds(bounds, OPTIONS);
+    assert.ok(!cover.includes(encodeGeohash(-19, 0, cover[0].length)), 'cover spans the whole world');
+
+    assert.ok(isInBounds(-19, 179.5, bounds));
+    assert.ok(isInBounds(-19, -179.5, bounds));
+    assert.ok(!isInBounds(-19, 0, bounds));
+  }],
+
+  ['Wraps longitudes past 180', () => {
+    const bounds = { south: 10, north: 11, west: 185, east: 186 };
+    assertCovered(bounds, 10.5, -174.5);
+    assert.ok(isInBounds(10.5, -174.5, bounds));
+
+    const world = { south: -10, north: 10, west: -200, east: 200 };
+    assert.ok(isInBounds(0, 179, world));
+    assert.ok(isInBounds(0, -179, world));
+  }],
+
+  ['Covers the poles', () => {
+    const north = { south: 89.9, north: 90, west: -10, east: 10 };
+    assertCovered(north, 90, 0);
+    assertCovered(north, 90, -10);
+
+    const south = { south: -90, north: -89.5, west: 170, east: -170 };
+    assertCovered(south, -90, 180);
+    assertCovered(south, -90, -180);
+
+    for (const hash of geohashesForBounds(north, OPTIONS)) {
+      const cell = decodeGeohash(hash);
+      assert.ok(cell.north <= 90 && cell.south >= -90, `${hash} is outside the globe`);
+    }
+  }],
+
+  ['Covers tiny boxes at full precision', () => {
+    const bounds = { south: 40.7128, north: 40.7128001, west: -74.006, east: -74.0059999 };
+    const cover = assertCovered(bounds, 40.71280005, -74.00599995);
+    assert.equal(cover[0].length, 7);
+    assert.equal(cover.length, 9); // The cell and its eight neighbors
+
+    const point = { south: 10, north: 10, west: 20, east: 20 };
+    assertCovered(point, 10, 20);
+  }],
+
+  ['Gives up on huge boxes instead of enumerating thousands of cells', () => {
+    const world = { south: -90, north: 90, west: -180, east: 180 };
+    assert.equal(geohashesForBounds(world, OPTIONS), null);
+
+    const cover = geohashesForBounds(world, { minPrecision: 1, maxPrecision: 7 });
+    assert.equal(cover.length, 32);
+    assert.equal(new Set(cover).size, 32);
+
+    const continent = { south: 25, north: 50, west: -125, east: -65 };
+    const coarse = geohashesForBounds(continent, { minPrecision: 2, maxPrecision: 7 });
+    assert.ok(coarse.length <= 256);
+    assertCovered(continent, 37.7749, -122.4194, { minPrecision: 2, maxPrecision: 7 });
+  }],
+
+  ['Finds overlapping cells for the large-box fallback', () => {
+    const bounds = { south: -10, north: 10, west: 170, east: -170 };
+    assert.ok(boundsIntersect(decodeGeohash(encodeGeohash(0, 179, 4)), bounds));
+    assert.ok(boundsIntersect(decodeGeohash(encodeGeohash(0, -179, 4)), bounds));
+    assert.ok(!boundsIntersect(decodeGeohash(encodeGeohash(0, 0, 4)), bounds));
+  }]
+];
+
+console.log('🔍 Testing geohash covers...\n');
+
+let failed = 0;
+tests.forEach(([name, test], i) => {
+  try {
+    test();
+    console.log(`${i + 1}. ✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`${i + 1}. ❌ ${name}\n   ${error.message}`);
+  }
+});
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} of ${tests.length} geohash tests failed`);
+  process.exit(1);
+}
+console.log(`\n✅ All ${tests.length} geohash tests passed!`);
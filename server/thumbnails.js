@@ -0,0 +1,89 @@
+// Small PNG previews of activity canvases, regenerated in the background
+export class ThumbnailManager {
+  constructor(redis, activityPersistence, canvasExporter, imageStore) {
+    this.redis = redis;
+    this.activityPersistence = activityPersistence;
+    this.canvasExporter = canvasExporter;
+    this.imageStore = imageStore;
+    this.keyPrefix = 'activity:thumbnail:';
+    this.debounceMs = 5000; // Wait for a pause in drawing before re-rendering
+    this.maxSize = 256; // Longest side in pixels
+    this.timers = new Map(); // activityId -> pending timeout
+  }
+
+  // Regenerate the thumbnail once the canvas has been quiet for debounceMs
+  scheduleThumbnail(activityId) {
+    if (!this.redis || !activityId) return;
+
+    if (this.timers.has(activityId)) {
+      clearTimeout(this.timers.get(activityId));
+    }
+
+    this.timers.set(activityId, setTimeout(() => {
+      this.timers.delete(activityId);
+      this.generateThumbnail(activityId)
+        .catch(err => console.error('Failed to generate thumbnail:', err));
+    }, this.debounceMs));
+  }
+
+  // Render the thumbnail and point the activity at it
+  async generateThumbnail(activityId) {
+    if (!this.redis) return null;
+
+    try {
+      const activity = await this.activityPersistence.getActivity(activityId);
+      if (!activity) return null;
+
+      const canvasData = await this.activityPersistence.loadActivityCanvas(activityId) || { paths: [], objects: [] };
+      const png = await this.canvasExporter.renderPng(canvasData, {
+        background: '#ffffff',
+        crop: true,
+        maxSize: this.maxSize,
+        images: this.imageStore ? await this.imageStore.resolveImages(activityId, canvasData) : {}
+      });
+
+      const updatedAt = Date.now();
+      await this.redis.set(`${this.keyPrefix}${activityId}`, png.toString('base64'));
+
+      // The version parameter lets browsers cache each rendering forever
+      await this.activityPersistence.updateActivityStats(activityId, {
+        thumbnailUrl: `/activities/${activityId}/thumbnail.png?v=${updatedAt}`
+      });
+
+      console.log(`[Thumbnails] Generated thumbnail for activity ${activityId}`);
+      return png;
+    } catch (error) {
+      console.error('Failed to generate thumbnail:', error);
+      return null;
+    }
+  }
+
+  // Get the cached thumbnail PNG
+  async getThumbnail(activityId) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(`${this.keyPrefix}${activityId}`);
+      return data ? Buffer.from(data, 'base64') : null;
+    } catch (error) {
+      console.error('Failed to load thumbnail:', error);
+      return null;
+    }
+  }
+
+  // Drop the cached thumbnail and any pending regeneration
+  async deleteThumbnail(activityId) {
+    if (this.timers.has(activityId)) {
+      clearTimeout(this.timers.get(activityId));
+      this.timers.delete(activityId);
+    }
+
+    if (!this.redis) return;
+
+    try {
+      await this.redis.del(`${this.keyPrefix}${activityId}`);
+    } catch (error) {
+      console.error('Failed to delete thumbnail:', error);
+    }
+  }
+}
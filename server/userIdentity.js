@@ -67,6 +67,24 @@ export class UserIdentityManager {
     }
   }
 
+  // Stored identities, for the admin user list
+  async listUsers(limit = 500) {
+    if (!this.redis) return [];
+
+    try {
+      const users = [];
+      for await (const key of this.redis.scanIterator({ MATCH: `${this.keyPrefix}*`, COUNT: 100 })) {
+        const data = await this.redis.get(key);
+        if (data) users.push(JSON.parse(data));
+        if (users.length >= limit) break;
+      }
+      return users;
+    } catch (error) {
+      console.error('Failed to list users:', error);
+      return [];
+    }
+  }
+
   // Get or create user hash from cookie/session
   async getOrCreateUserHash(clientInfo, existingHash = null) {
     // If user provided a hash, verify it exists